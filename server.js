@@ -4,6 +4,10 @@ import { Server } from 'socket.io';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { v4 as uuidv4 } from 'uuid';
+import { WorldStore } from './server/WorldStore.js';
+import { TerrainGenerator } from './src/js/world/TerrainGenerator.js';
+import { BlockRegistry } from './src/js/world/BlockRegistry.js';
+import { CONFIG } from './src/js/config/config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -21,15 +25,32 @@ const io = new Server(server, {
 const PORT = process.env.PORT || 3001;
 const MAX_PLAYERS = 50;
 const WORLD_SIZE = 1000;
-const CHUNK_SIZE = 16;
+const CHUNK_SIZE = CONFIG.WORLD.CHUNK_SIZE;
+const CHUNK_HEIGHT = CONFIG.WORLD.CHUNK_HEIGHT;
+const WORLD_BORDER = 30000000; // Blocks can be edited up to this distance from the origin on x and z
+const WORLD_DATA_DIR = process.env.WORLD_DATA_DIR || path.join(__dirname, 'data', 'world');
+const WORLD_SAVE_INTERVAL = 30000; // Flush modified regions every 30 seconds
+const REGION_IDLE_TIME = 300000; // Saved regions unused for 5 minutes are dropped from memory
+
+// Persistent world state (chunks and block edits)
+const worldStore = new WorldStore({
+    dataDir: WORLD_DATA_DIR,
+    chunkSize: CHUNK_SIZE,
+    regionIdleTime: REGION_IDLE_TIME,
+    generateChunk: generateChunkData
+});
+worldStore.load();
+
+// World seed: stored seed, then WORLD_SEED, then random
+const WORLD_SEED = worldStore.initSeed(parseSeed(process.env.WORLD_SEED));
+
+// Same terrain generator the client uses, so both produce identical chunks
+const terrainGenerator = new TerrainGenerator(WORLD_SEED);
 
 // Game state
 const gameState = {
     players: new Map(),
-    world: {
-        chunks: new Map(),
-        changedBlocks: new Map()
-    },
+    world: worldStore,
     chatHistory: [],
     serverStartTime: Date.now()
 };
@@ -44,6 +65,7 @@ app.get('/api/status', (req, res) => {
         players: gameState.players.size,
         maxPlayers: MAX_PLAYERS,
         uptime: Date.now() - gameState.serverStartTime,
+        world: gameState.world.getStats(),
         version: '1.0.0'
     });
 });
@@ -94,6 +116,7 @@ io.on('connection', (socket) => {
             maxPlayers: MAX_PLAYERS,
             currentPlayers: gameState.players.size,
             worldSize: WORLD_SIZE,
+            worldSeed: WORLD_SEED,
             chunkSize: CHUNK_SIZE
         });
         
@@ -180,14 +203,12 @@ io.on('connection', (socket) => {
         
         const { position, blockType, timestamp } = data;
         
-        // Store block change
-        const blockKey = `${position.x},${position.y},${position.z}`;
-        gameState.world.changedBlocks.set(blockKey, {
-            position: position,
-            blockType: blockType,
-            playerId: playerId,
-            timestamp: timestamp
-        });
+        if (!isValidBlockPosition(position) || !BlockRegistry.getDefinition(blockType)) {
+            return;
+        }
+        
+        // Store block change in the persistent world
+        gameState.world.setBlock(position.x, position.y, position.z, blockType);
         
         // Broadcast to all players
         io.emit('block_changed', {
@@ -203,22 +224,14 @@ io.on('connection', (socket) => {
     // Handle chunk requests
     socket.on('request_chunk', (data) => {
         const { chunkX, chunkZ } = data;
-        const chunkKey = `${chunkX},${chunkZ}`;
         
-        // Check if chunk exists
-        let chunkData = gameState.world.chunks.get(chunkKey);
+        if (!Number.isInteger(chunkX) || !Number.isInteger(chunkZ)) return;
         
-        if (!chunkData) {
-            // Generate basic chunk data (placeholder)
-            chunkData = generateChunkData(chunkX, chunkZ);
-            gameState.world.chunks.set(chunkKey, chunkData);
-        }
-        
-        // Send chunk data to player
+        // Only the edited blocks are sent, the client generates the same terrain
         socket.emit('chunk_data', {
             chunkX: chunkX,
             chunkZ: chunkZ,
-            blockData: chunkData
+            changes: gameState.world.getChunkChanges(chunkX, chunkZ)
         });
     });
     
@@ -297,30 +310,46 @@ io.on('connection', (socket) => {
     });
 });
 
-// Generate basic chunk data (placeholder)
+// Check that a block position from a client is inside the world
+function isValidBlockPosition(position) {
+    if (!position || ![position.x, position.y, position.z].every(Number.isInteger)) {
+        return false;
+    }
+    
+    return position.y >= 0 && position.y < CHUNK_HEIGHT &&
+        Math.abs(position.x) < WORLD_BORDER && Math.abs(position.z) < WORLD_BORDER;
+}
+
+// Parse a seed given as text: 32-bit integers are used as they are, any other text is hashed
+// (like TerrainGenerator.stringHash), so the seed is always a valid 32-bit integer
+function parseSeed(value) {
+    const text = value !== undefined ? value.trim() : '';
+    if (text === '') return null;
+    
+    if (/^-?\d+$/.test(text)) {
+        const seed = Number(text);
+        if (seed === (seed | 0)) return seed;
+    }
+    
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+        hash = (Math.imul(hash, 31) + text.charCodeAt(i)) | 0;
+    }
+    return hash;
+}
+
+// Generate chunk data with the shared terrain generator
 function generateChunkData(chunkX, chunkZ) {
+    const blocks = terrainGenerator.generateChunk(chunkX, chunkZ, CHUNK_SIZE, CHUNK_HEIGHT);
     const chunkData = {};
-    const chunkSize = CHUNK_SIZE;
     
-    // Generate simple terrain
-    for (let x = 0; x < chunkSize; x++) {
-        for (let z = 0; z < chunkSize; z++) {
-            const worldX = chunkX * chunkSize + x;
-            const worldZ = chunkZ * chunkSize + z;
-            
-            // Simple height calculation
-            const height = Math.floor(50 + Math.sin(worldX * 0.1) * 10 + Math.cos(worldZ * 0.1) * 10);
-            
-            // Generate blocks
-            for (let y = 0; y <= height; y++) {
-                const blockKey = `${x},${y},${z}`;
-                
-                if (y === height) {
-                    chunkData[blockKey] = 'grass';
-                } else if (y >= height - 3) {
-                    chunkData[blockKey] = 'dirt';
-                } else {
-                    chunkData[blockKey] = 'stone';
+    // Store only non-air blocks, keyed by local "x,y,z"
+    for (let x = 0; x < CHUNK_SIZE; x++) {
+        for (let y = 0; y < CHUNK_HEIGHT; y++) {
+            for (let z = 0; z < CHUNK_SIZE; z++) {
+                const blockType = blocks[x][y][z];
+                if (blockType !== 'air') {
+                    chunkData[`${x},${y},${z}`] = blockType;
                 }
             }
         }
@@ -349,21 +378,13 @@ setInterval(() => {
     }
 }, 10000); // Check every 10 seconds
 
-// World update loop
+// World save loop
 setInterval(() => {
-    // Send world updates if needed
-    if (gameState.world.changedBlocks.size > 0) {
-        const updates = Array.from(gameState.world.changedBlocks.values());
-        
-        // Clear old changes (older than 1 minute)
-        const now = Date.now();
-        for (const [key, change] of gameState.world.changedBlocks) {
-            if (now - change.timestamp > 60000) {
-                gameState.world.changedBlocks.delete(key);
-            }
-        }
+    if (gameState.world.dirtyRegions.size > 0) {
+        gameState.world.flush();
     }
-}, 5000); // Every 5 seconds
+    gameState.world.evictIdleRegions();
+}, WORLD_SAVE_INTERVAL);
 
 // Start server
 server.listen(PORT, () => {
@@ -372,12 +393,17 @@ server.listen(PORT, () => {
     console.log(`Max players: ${MAX_PLAYERS}`);
     console.log(`World size: ${WORLD_SIZE}x${WORLD_SIZE}`);
     console.log(`Chunk size: ${CHUNK_SIZE}x${CHUNK_SIZE}`);
+    console.log(`World data: ${WORLD_DATA_DIR} (seed: ${WORLD_SEED})`);
 });
 
 // Graceful shutdown
 process.on('SIGINT', () => {
     console.log('\nShutting down server...');
     
+    // Save the world before exiting
+    gameState.world.close();
+    console.log('World saved');
+    
     // Notify all players
     io.emit('server_shutdown', {
         message: 'Server is shutting down',
@@ -0,0 +1,179 @@
+import { deflateRawSync, inflateRawSync } from 'zlib';
+
+// Region file layout:
+//   header: magic "PWRG" (4 bytes), format version (u16), chunk count (u16)
+//   per chunk: chunkX (i32), chunkZ (i32), payload length (u32), deflated payload
+// Chunk payload (before compression):
+//   palette size (u16), per entry: name length (u8) + utf8 name
+//   column height (u16), then runs of (count u16, palette index u16)
+//   covering every block in x -> z -> y order, air included
+export const REGION_MAGIC = 'PWRG';
+export const REGION_FORMAT_VERSION = 1;
+
+const HEADER_SIZE = 8;
+const CHUNK_HEADER_SIZE = 12;
+const MAX_RUN_LENGTH = 0xFFFF;
+const AIR = 'air';
+
+/**
+ * Encode a sparse chunk ("x,y,z" -> block type) into the compact binary payload
+ */
+export function encodeChunk(blocks, chunkSize) {
+    const palette = [AIR];
+    const paletteIndex = new Map([[AIR, 0]]);
+    
+    let height = 0;
+    for (const key in blocks) {
+        const y = Number(key.split(',')[1]);
+        if (y + 1 > height) height = y + 1;
+    }
+    
+    const runs = [];
+    let runIndex = -1;
+    let runCount = 0;
+    
+    for (let y = 0; y < height; y++) {
+        for (let z = 0; z < chunkSize; z++) {
+            for (let x = 0; x < chunkSize; x++) {
+                const blockType = blocks[`${x},${y},${z}`] || AIR;
+                
+                let index = paletteIndex.get(blockType);
+                if (index === undefined) {
+                    index = palette.length;
+                    palette.push(blockType);
+                    paletteIndex.set(blockType, index);
+                }
+                
+                if (index === runIndex && runCount < MAX_RUN_LENGTH) {
+                    runCount++;
+                } else {
+                    if (runCount > 0) runs.push(runCount, runIndex);
+                    runIndex = index;
+                    runCount = 1;
+                }
+            }
+        }
+    }
+    if (runCount > 0) runs.push(runCount, runIndex);
+    
+    const names = palette.map(name => Buffer.from(name, 'utf8'));
+    const paletteBytes = names.reduce((total, name) => total + 1 + name.length, 0);
+    const buffer = Buffer.alloc(2 + paletteBytes + 2 + runs.length * 2);
+    
+    let offset = buffer.writeUInt16LE(palette.length, 0);
+    names.forEach(name => {
+        offset = buffer.writeUInt8(name.length, offset);
+        offset += name.copy(buffer, offset);
+    });
+    offset = buffer.writeUInt16LE(height, offset);
+    runs.forEach(value => {
+        offset = buffer.writeUInt16LE(value, offset);
+    });
+    
+    return buffer;
+}
+
+/**
+ * Decode a chunk payload back into a sparse chunk ("x,y,z" -> block type)
+ */
+export function decodeChunk(buffer, chunkSize) {
+    let offset = 0;
+    
+    const paletteSize = buffer.readUInt16LE(offset);
+    offset += 2;
+    
+    const palette = [];
+    for (let i = 0; i < paletteSize; i++) {
+        const length = buffer.readUInt8(offset);
+        offset += 1;
+        palette.push(buffer.toString('utf8', offset, offset + length));
+        offset += length;
+    }
+    
+    offset += 2; // Column height, implied by the runs
+    
+    const blocks = {};
+    const layerSize = chunkSize * chunkSize;
+    let blockIndex = 0;
+    
+    while (offset < buffer.length) {
+        const count = buffer.readUInt16LE(offset);
+        const blockType = palette[buffer.readUInt16LE(offset + 2)];
+        offset += 4;
+        
+        if (blockType === undefined) {
+            throw new Error('Invalid palette index in chunk payload');
+        }
+        
+        if (blockType !== AIR) {
+            for (let i = blockIndex; i < blockIndex + count; i++) {
+                const y = Math.floor(i / layerSize);
+                const z = Math.floor((i % layerSize) / chunkSize);
+                const x = i % chunkSize;
+                blocks[`${x},${y},${z}`] = blockType;
+            }
+        }
+        
+        blockIndex += count;
+    }
+    
+    return blocks;
+}
+
+/**
+ * Encode all chunks of a region into a region file buffer
+ * @param {Array<{chunkX: number, chunkZ: number, blocks: Object}>} chunks
+ */
+export function encodeRegion(chunks, chunkSize) {
+    const header = Buffer.alloc(HEADER_SIZE);
+    header.write(REGION_MAGIC, 0, 'ascii');
+    header.writeUInt16LE(REGION_FORMAT_VERSION, 4);
+    header.writeUInt16LE(chunks.length, 6);
+    
+    const parts = [header];
+    chunks.forEach(({ chunkX, chunkZ, blocks }) => {
+        const payload = deflateRawSync(encodeChunk(blocks, chunkSize));
+        
+        const chunkHeader = Buffer.alloc(CHUNK_HEADER_SIZE);
+        chunkHeader.writeInt32LE(chunkX, 0);
+        chunkHeader.writeInt32LE(chunkZ, 4);
+        chunkHeader.writeUInt32LE(payload.length, 8);
+        
+        parts.push(chunkHeader, payload);
+    });
+    
+    return Buffer.concat(parts);
+}
+
+/**
+ * Decode a region file buffer into its chunks
+ * @returns {Array<{chunkX: number, chunkZ: number, blocks: Object}>}
+ */
+export function decodeRegion(buffer, chunkSize) {
+    if (buffer.length < HEADER_SIZE || buffer.toString('ascii', 0, 4) !== REGION_MAGIC) {
+        throw new Error('Not a region file');
+    }
+    
+    const version = buffer.readUInt16LE(4);
+    if (version !== REGION_FORMAT_VERSION) {
+        throw new Error(`Unsupported region format version ${version}`);
+    }
+    
+    const chunkCount = buffer.readUInt16LE(6);
+    const chunks = [];
+    let offset = HEADER_SIZE;
+    
+    for (let i = 0; i < chunkCount; i++) {
+        const chunkX = buffer.readInt32LE(offset);
+        const chunkZ = buffer.readInt32LE(offset + 4);
+        const length = buffer.readUInt32LE(offset + 8);
+        offset += CHUNK_HEADER_SIZE;
+        
+        const payload = inflateRawSync(buffer.subarray(offset, offset + length));
+        offset += length;
+        
+        chunks.push({ chunkX, chunkZ, blocks: decodeChunk(payload, chunkSize) });
+    }
+    
+    return chunks;
+}
\ No newline at end of file
@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { encodeRegion, decodeRegion, REGION_MAGIC } from './RegionFile.js';
+
+const CHUNK_SIZE = 16;
+
+describe('RegionFile', () => {
+    const chunks = [
+        { chunkX: 0, chunkZ: 0, blocks: { '0,0,0': 'bedrock', '15,1,15': 'stone', '3,70,4': 'oak_log' } },
+        { chunkX: -1, chunkZ: 31, blocks: { '5,255,9': 'glass', '5,254,9': 'water' } },
+        { chunkX: 7, chunkZ: -3, blocks: {} }
+    ];
+    
+    it('decodes the chunks it encoded, block names included', () => {
+        const buffer = encodeRegion(chunks, CHUNK_SIZE);
+        expect(buffer.toString('ascii', 0, 4)).toBe(REGION_MAGIC);
+        expect(decodeRegion(buffer, CHUNK_SIZE)).toEqual(chunks);
+    });
+    
+    it('leaves chunks that are not in the region out', () => {
+        const decoded = decodeRegion(encodeRegion(chunks.slice(0, 1), CHUNK_SIZE), CHUNK_SIZE);
+        expect(decoded.map(({ chunkX, chunkZ }) => `${chunkX},${chunkZ}`)).toEqual(['0,0']);
+        expect(decoded.find(({ chunkX, chunkZ }) => chunkX === -1 && chunkZ === 31)).toBeUndefined();
+    });
+    
+    it('rejects buffers that are not region files', () => {
+        expect(() => decodeRegion(Buffer.from('not a region'), CHUNK_SIZE)).toThrow('Not a region file');
+    });
+});
\ No newline at end of file
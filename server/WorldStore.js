@@ -0,0 +1,310 @@
+import fs from 'fs';
+import path from 'path';
+import { encodeRegion, decodeRegion } from './RegionFile.js';
+
+const LEVEL_FILE = 'level.json';
+
+/**
+ * WorldStore keeps the authoritative world state of the server
+ * Chunks are held in memory as sparse "x,y,z" -> block type maps and
+ * persisted to disk as one region file per REGION_SIZE x REGION_SIZE chunks
+ * Regions are read when first used and dropped from memory once idle and saved
+ */
+export class WorldStore {
+    constructor({ dataDir, chunkSize, regionSize = 32, regionIdleTime = 300000, generateChunk }) {
+        this.dataDir = dataDir;
+        this.chunkSize = chunkSize;
+        this.regionSize = regionSize;
+        this.regionIdleTime = regionIdleTime;
+        this.generateChunk = generateChunk;
+        
+        // World-wide data (seed), stored in level.json
+        this.level = null;
+        
+        // Chunk data keyed by "chunkX,chunkZ"
+        this.chunks = new Map();
+        
+        // Chunk keys of the loaded regions, by "rx,rz" region key
+        this.regions = new Map();
+        this.regionLastUsed = new Map();
+        
+        // Regions changed since the last flush
+        this.dirtyRegions = new Set();
+        this.flushingRegions = new Set();
+        this.flushPromise = null;
+        this.closed = false;
+        
+        // Statistics
+        this.blockChanges = 0;
+        this.lastFlushTime = 0;
+    }
+    
+    /**
+     * Read the world data (seed) from the data directory, regions are read when first used
+     */
+    load() {
+        fs.mkdirSync(this.dataDir, { recursive: true });
+        
+        const levelPath = path.join(this.dataDir, LEVEL_FILE);
+        if (fs.existsSync(levelPath)) {
+            this.level = JSON.parse(fs.readFileSync(levelPath, 'utf8'));
+        }
+        
+        console.log(`World opened from ${this.dataDir}`);
+    }
+    
+    /**
+     * Get the world seed, storing a new one for a new world
+     * A stored seed always wins, since existing chunks were generated with it
+     */
+    initSeed(seed = null) {
+        if (this.level) {
+            if (seed !== null && seed !== this.level.seed) {
+                console.warn(`Ignoring seed ${seed}, world was created with seed ${this.level.seed}`);
+            }
+            return this.level.seed;
+        }
+        
+        this.level = {
+            seed: seed !== null ? seed : Math.floor(Math.random() * 1000000),
+            createdAt: Date.now()
+        };
+        fs.mkdirSync(this.dataDir, { recursive: true });
+        fs.writeFileSync(path.join(this.dataDir, LEVEL_FILE), JSON.stringify(this.level, null, 2));
+        
+        return this.level.seed;
+    }
+    
+    /**
+     * Get the region key of a chunk
+     */
+    getRegionKey(chunkX, chunkZ) {
+        return `${Math.floor(chunkX / this.regionSize)},${Math.floor(chunkZ / this.regionSize)}`;
+    }
+    
+    /**
+     * Get the file path of a region
+     */
+    getRegionPath(regionKey) {
+        const [rx, rz] = regionKey.split(',');
+        return path.join(this.dataDir, `r.${rx}.${rz}.pwr`);
+    }
+    
+    /**
+     * Read a region file into memory unless the region is already loaded
+     */
+    loadRegion(regionKey) {
+        this.regionLastUsed.set(regionKey, Date.now());
+        if (this.regions.has(regionKey)) return;
+        
+        this.regions.set(regionKey, new Set());
+        
+        const filePath = this.getRegionPath(regionKey);
+        if (!fs.existsSync(filePath)) return;
+        
+        try {
+            decodeRegion(fs.readFileSync(filePath), this.chunkSize).forEach(({ chunkX, chunkZ, blocks }) => {
+                this.addChunk(chunkX, chunkZ, blocks);
+            });
+        } catch (error) {
+            console.error(`Failed to load region file ${filePath}:`, error);
+        }
+    }
+    
+    /**
+     * Drop regions that were not used for regionIdleTime from memory
+     * Regions with unsaved changes stay until they are written
+     */
+    evictIdleRegions(now = Date.now()) {
+        let evicted = 0;
+        
+        for (const [regionKey, lastUsed] of this.regionLastUsed) {
+            if (now - lastUsed < this.regionIdleTime ||
+                this.dirtyRegions.has(regionKey) || this.flushingRegions.has(regionKey)) {
+                continue;
+            }
+            
+            this.regions.get(regionKey).forEach(chunkKey => this.chunks.delete(chunkKey));
+            this.regions.delete(regionKey);
+            this.regionLastUsed.delete(regionKey);
+            evicted++;
+        }
+        
+        return evicted;
+    }
+    
+    /**
+     * Store chunk data and index it by region
+     */
+    addChunk(chunkX, chunkZ, blocks) {
+        const chunkKey = `${chunkX},${chunkZ}`;
+        const regionKey = this.getRegionKey(chunkX, chunkZ);
+        
+        this.chunks.set(chunkKey, blocks);
+        
+        if (!this.regions.has(regionKey)) {
+            this.regions.set(regionKey, new Set());
+        }
+        this.regions.get(regionKey).add(chunkKey);
+    }
+    
+    /**
+     * Get chunk data, generating and storing it on first access
+     */
+    getChunk(chunkX, chunkZ) {
+        const chunkKey = `${chunkX},${chunkZ}`;
+        this.loadRegion(this.getRegionKey(chunkX, chunkZ));
+        
+        let blocks = this.chunks.get(chunkKey);
+        
+        if (!blocks) {
+            blocks = this.generateChunk(chunkX, chunkZ);
+            this.addChunk(chunkX, chunkZ, blocks);
+            this.dirtyRegions.add(this.getRegionKey(chunkX, chunkZ));
+        }
+        
+        return blocks;
+    }
+    
+    /**
+     * Get the blocks of a chunk that differ from its generated terrain, as "x,y,z" -> block type
+     * Removed blocks are listed as air; chunks never edited have no changes
+     */
+    getChunkChanges(chunkX, chunkZ) {
+        this.loadRegion(this.getRegionKey(chunkX, chunkZ));
+        
+        const blocks = this.chunks.get(`${chunkX},${chunkZ}`);
+        if (!blocks) return {};
+        
+        const generated = this.generateChunk(chunkX, chunkZ);
+        const changes = {};
+        
+        for (const blockKey in blocks) {
+            if (blocks[blockKey] !== generated[blockKey]) {
+                changes[blockKey] = blocks[blockKey];
+            }
+        }
+        for (const blockKey in generated) {
+            if (!(blockKey in blocks)) {
+                changes[blockKey] = 'air';
+            }
+        }
+        
+        return changes;
+    }
+    
+    /**
+     * Apply a block change at world coordinates
+     */
+    setBlock(x, y, z, blockType) {
+        const chunkX = Math.floor(x / this.chunkSize);
+        const chunkZ = Math.floor(z / this.chunkSize);
+        const localX = x - chunkX * this.chunkSize;
+        const localZ = z - chunkZ * this.chunkSize;
+        
+        const blocks = this.getChunk(chunkX, chunkZ);
+        const blockKey = `${localX},${y},${localZ}`;
+        
+        if (!blockType || blockType === 'air') {
+            delete blocks[blockKey];
+        } else {
+            blocks[blockKey] = blockType;
+        }
+        
+        this.dirtyRegions.add(this.getRegionKey(chunkX, chunkZ));
+        this.blockChanges++;
+    }
+    
+    /**
+     * Encode a region and return its file path and contents
+     */
+    encodeRegionFile(regionKey) {
+        const chunks = Array.from(this.regions.get(regionKey) || [], chunkKey => {
+            const [chunkX, chunkZ] = chunkKey.split(',').map(Number);
+            return { chunkX, chunkZ, blocks: this.chunks.get(chunkKey) };
+        });
+        
+        return {
+            filePath: this.getRegionPath(regionKey),
+            buffer: encodeRegion(chunks, this.chunkSize)
+        };
+    }
+    
+    /**
+     * Write dirty regions to disk
+     * Files are written to a temporary path and renamed so a crash never leaves a partial region
+     */
+    flush() {
+        if (this.flushPromise) {
+            return this.flushPromise;
+        }
+        
+        const regionKeys = Array.from(this.dirtyRegions);
+        this.dirtyRegions.clear();
+        regionKeys.forEach(regionKey => this.flushingRegions.add(regionKey));
+        
+        this.flushPromise = (async () => {
+            await fs.promises.mkdir(this.dataDir, { recursive: true });
+            
+            for (const regionKey of regionKeys) {
+                // A synchronous shutdown flush already wrote everything
+                if (this.closed) return;
+                
+                try {
+                    const { filePath, buffer } = this.encodeRegionFile(regionKey);
+                    await fs.promises.writeFile(`${filePath}.tmp`, buffer);
+                    if (this.closed) return;
+                    await fs.promises.rename(`${filePath}.tmp`, filePath);
+                } catch (error) {
+                    console.error(`Failed to write region ${regionKey}:`, error);
+                    this.dirtyRegions.add(regionKey);
+                } finally {
+                    this.flushingRegions.delete(regionKey);
+                }
+            }
+            
+            this.lastFlushTime = Date.now();
+        })().finally(() => {
+            this.flushPromise = null;
+        });
+        
+        return this.flushPromise;
+    }
+    
+    /**
+     * Write dirty regions synchronously and stop further writes (used during shutdown)
+     * Regions of an in-progress asynchronous flush are written again here
+     */
+    close() {
+        this.closed = true;
+        fs.mkdirSync(this.dataDir, { recursive: true });
+        
+        const regionKeys = new Set([...this.dirtyRegions, ...this.flushingRegions]);
+        for (const regionKey of regionKeys) {
+            try {
+                const { filePath, buffer } = this.encodeRegionFile(regionKey);
+                fs.writeFileSync(`${filePath}.sync.tmp`, buffer);
+                fs.renameSync(`${filePath}.sync.tmp`, filePath);
+                this.dirtyRegions.delete(regionKey);
+            } catch (error) {
+                console.error(`Failed to write region ${regionKey}:`, error);
+            }
+        }
+        
+        this.lastFlushTime = Date.now();
+    }
+    
+    /**
+     * Get world statistics
+     */
+    getStats() {
+        return {
+            seed: this.level ? this.level.seed : null,
+            chunks: this.chunks.size,
+            regions: this.regions.size,
+            dirtyRegions: this.dirtyRegions.size,
+            blockChanges: this.blockChanges,
+            lastFlushTime: this.lastFlushTime
+        };
+    }
+}
\ No newline at end of file
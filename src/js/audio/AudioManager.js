@@ -31,6 +31,10 @@ export class AudioManager {
         // Audio state
         this.isEnabled = CONFIG.AUDIO.ENABLED;
         this.isMuted = false;
+        this.isUnderwater = false;
+        
+        // Low-pass filter muffling every sound while the camera is under water
+        this.underwaterFilter = null;
         
         // Sound pools for frequently used sounds
         this.soundPools = new Map();
@@ -551,6 +555,25 @@ export class AudioManager {
         this.saveSettings();
     }
     
+    /**
+     * Muffle all sounds while under water, with a low-pass filter on the listener
+     */
+    setUnderwater(underwater) {
+        if (underwater === this.isUnderwater) return;
+        this.isUnderwater = underwater;
+        
+        if (underwater) {
+            if (!this.underwaterFilter) {
+                this.underwaterFilter = this.listener.context.createBiquadFilter();
+                this.underwaterFilter.type = 'lowpass';
+                this.underwaterFilter.frequency.value = CONFIG.WATER.UNDERWATER.LOWPASS_FREQUENCY;
+            }
+            this.listener.setFilter(this.underwaterFilter);
+        } else {
+            this.listener.removeFilter();
+        }
+    }
+    
     /**
      * Add audio listener to camera
      */
@@ -661,6 +684,7 @@ export class AudioManager {
         return {
             isEnabled: this.isEnabled,
             isMuted: this.isMuted,
+            isUnderwater: this.isUnderwater,
             masterVolume: this.masterVolume,
             musicVolume: this.musicVolume,
             sfxVolume: this.sfxVolume,
@@ -1,6 +1,6 @@
 /**
  * 3D Pit Word - Configuration
- * 
+ *
  * File di configurazione principale del gioco.
  * Contiene tutte le impostazioni e costanti utilizzate nel gioco.
  */
@@ -43,6 +43,7 @@ export const CONFIG = {
         CHUNK_HEIGHT: 256,
         RENDER_DISTANCE: 8,
         WORLD_HEIGHT: 256,
+        SECTION_HEIGHT: 16, // Altezza delle sezioni verticali dei chunk
         SEA_LEVEL: 64,
         BEDROCK_LEVEL: 5,
         
@@ -56,51 +57,224 @@ export const CONFIG = {
             HEIGHT_OFFSET: 64
         },
         
-        // Biomi
+        // Fasi della generazione (attivabili/disattivabili)
+        GENERATION: {
+            STAGES: {
+                HYDROLOGY: true,
+                OVERHANGS: true,
+                CAVES: true,
+                ORES: true,
+                FEATURES: true,
+                STRUCTURES: true
+            },
+            
+            // Grotte e sporgenze (rumore 3D)
+            CAVES: {
+                CHEESE_SCALE: 0.03, // Frequenza delle caverne ampie
+                CHEESE_THRESHOLD: 0.35, // Più alto = caverne più rare
+                WORM_SCALE: 0.02, // Frequenza dei tunnel
+                WORM_RADIUS: 0.08, // Spessore dei tunnel
+                SURFACE_MARGIN: 8, // Profondità minima delle caverne ampie sotto la superficie
+                LAVA_LEVEL: 11, // Pavimenti sotto questa quota si riempiono di lava
+                WATER_LEVEL: 40, // Pavimenti sotto questa quota possono allagarsi
+                OVERHANG_SCALE: 0.05,
+                OVERHANG_RANGE: 8 // Blocchi sopra/sotto la superficie modellati dalla densità
+            },
+            
+            // Minerali: vene per chunk, blocchi per vena e fascia di profondità
+            ORES: [
+                { block: 'coal_ore', veinsPerChunk: 16, veinSize: 12, minY: 16, maxY: 128 },
+                { block: 'iron_ore', veinsPerChunk: 10, veinSize: 8, minY: 6, maxY: 64 },
+                { block: 'gold_ore', veinsPerChunk: 2, veinSize: 7, minY: 6, maxY: 32 },
+                { block: 'diamond_ore', veinsPerChunk: 1, veinSize: 5, minY: 6, maxY: 16 }
+            ],
+            
+            // Idrografia: fiumi lungo le creste del rumore, laghi nelle conche, spiagge sulle rive
+            HYDROLOGY: {
+                RIVER_SCALE: 0.0015,
+                RIVER_WIDTH: 0.012, // Larghezza dell'alveo (scarto dalla cresta del rumore)
+                VALLEY_WIDTH: 0.06, // Larghezza della valle scavata attorno all'alveo
+                RIVER_DEPTH: 3, // Profondità dell'alveo sotto il livello del mare alla foce
+                RIVER_MAX_ELEVATION: 40, // Quota sul mare oltre la quale i fiumi nascono
+                LAKE_CELL_SIZE: 128, // Al massimo un lago per cella di LAKE_CELL_SIZE blocchi
+                LAKE_CHANCE: 0.4,
+                LAKE_MIN_RADIUS: 8,
+                LAKE_MAX_RADIUS: 20,
+                LAKE_DEPTH: 5,
+                LAKE_MAX_SLOPE: 8, // Dislivello massimo del bordo di una conca
+                BEACH_HEIGHT: 2, // Blocchi di spiaggia sopra il livello dell'acqua
+                BEACH_WIDTH: 3 // Larghezza delle spiagge attorno ai laghi
+            },
+            
+            // Strutture: al massimo una per regione di REGION_SIZE chunk, origine scelta dal seed
+            STRUCTURES: {
+                VILLAGE: {
+                    REGION_SIZE: 8,
+                    CHANCE: 0.5,
+                    BIOMES: ['plains', 'desert'] // Biomi in cui può sorgere un villaggio
+                },
+                DUNGEON: {
+                    REGION_SIZE: 4,
+                    CHANCE: 0.6,
+                    MIN_Y: 12,
+                    MAX_Y: 40,
+                    SURFACE_MARGIN: 12 // Profondità minima sotto la superficie
+                }
+            }
+        },
+        
+        // Biomi: ogni bioma occupa un intervallo [min, max] (0-1) degli assi climatici
+        // temperature/humidity/continentalness (tabella di Whittaker).
+        // Altezza = altezza base * heightMultiplier + heightOffset, fusa tra biomi vicini.
+        // Per aggiungere un bioma basta aggiungere una voce qui.
+        // treeType (facoltativo): forma degli alberi, 'oak' (predefinita) o 'spruce'.
+        // shoreBlock (facoltativo): blocco di rive e fondali, 'sand' se assente.
+        BIOME_BLEND: 0.1, // Distanza climatica su cui i biomi vicini si fondono
         BIOMES: {
             PLAINS: {
                 id: 'plains',
                 name: 'Pianure',
                 color: 0x7CB342,
-                temperature: 0.8,
-                humidity: 0.4
+                temperature: [0.5, 0.75],
+                humidity: [0, 0.5],
+                continentalness: [0.3, 1],
+                heightMultiplier: 0.6,
+                heightOffset: 27,
+                surfaceBlock: 'grass',
+                subSurfaceBlock: 'dirt',
+                deepBlock: 'stone',
+                treeChance: 0.005
             },
             FOREST: {
                 id: 'forest',
                 name: 'Foresta',
                 color: 0x388E3C,
-                temperature: 0.7,
-                humidity: 0.8
+                temperature: [0.25, 0.75],
+                humidity: [0.5, 1],
+                continentalness: [0.3, 1],
+                heightMultiplier: 1.0,
+                heightOffset: 0,
+                surfaceBlock: 'grass',
+                subSurfaceBlock: 'dirt',
+                deepBlock: 'stone',
+                treeChance: 0.05
             },
             DESERT: {
                 id: 'desert',
                 name: 'Deserto',
                 color: 0xFFC107,
-                temperature: 1.0,
-                humidity: 0.1
+                temperature: [0.75, 1],
+                humidity: [0, 0.5],
+                continentalness: [0.3, 1],
+                heightMultiplier: 0.6,
+                heightOffset: 28,
+                surfaceBlock: 'sand',
+                subSurfaceBlock: 'sand',
+                deepBlock: 'stone',
+                treeChance: 0
             },
             MOUNTAINS: {
                 id: 'mountains',
                 name: 'Montagne',
                 color: 0x795548,
-                temperature: 0.3,
-                humidity: 0.5
+                temperature: [0.25, 0.5],
+                humidity: [0, 0.5],
+                continentalness: [0.3, 1],
+                heightMultiplier: 1.5,
+                heightOffset: -20,
+                surfaceBlock: 'stone',
+                subSurfaceBlock: 'stone',
+                deepBlock: 'stone',
+                treeChance: 0.002,
+                treeType: 'spruce'
+            },
+            TUNDRA: {
+                id: 'tundra',
+                name: 'Tundra',
+                color: 0xE0F2F1,
+                temperature: [0, 0.25],
+                humidity: [0, 1],
+                continentalness: [0.3, 1],
+                heightMultiplier: 0.7,
+                heightOffset: 20,
+                surfaceBlock: 'snow',
+                subSurfaceBlock: 'dirt',
+                deepBlock: 'stone',
+                treeChance: 0.002,
+                treeType: 'spruce'
+            },
+            SWAMP: {
+                id: 'swamp',
+                name: 'Palude',
+                color: 0x4E6B3A,
+                temperature: [0.75, 1],
+                humidity: [0.5, 1],
+                continentalness: [0.3, 1],
+                heightMultiplier: 0.3,
+                heightOffset: 44,
+                surfaceBlock: 'grass',
+                subSurfaceBlock: 'dirt',
+                shoreBlock: 'dirt',
+                deepBlock: 'stone',
+                treeChance: 0.03
+            },
+            OCEAN: {
+                id: 'ocean',
+                name: 'Oceano',
+                color: 0x1565C0,
+                continentalness: [0, 0.3],
+                heightMultiplier: 0.5,
+                heightOffset: -6,
+                surfaceBlock: 'sand',
+                subSurfaceBlock: 'sand',
+                deepBlock: 'stone',
+                treeChance: 0
             }
         }
     },
     
     // Tipi di blocchi
+    // render = passata di disegno (vedi RenderPass): 'opaque', 'cutout' (alpha test) o 'translucent' (trasparenza);
+    // i blocchi transparent senza render usano 'cutout'
+    // tool = tipo di attrezzo che scava il blocco più in fretta (vedi TOOLS)
     BLOCKS: {
         AIR: { id: 0, name: 'Air', transparent: true, solid: false },
-        DIRT: { id: 1, name: 'Dirt', texture: 'dirt', hardness: 1 },
-        GRASS: { id: 2, name: 'Grass', textures: { top: 'grass_top', side: 'grass_side', bottom: 'dirt' }, hardness: 1 },
-        STONE: { id: 3, name: 'Stone', texture: 'stone', hardness: 3 },
-        WOOD: { id: 4, name: 'Wood', texture: 'wood', hardness: 2 },
+        DIRT: { id: 1, name: 'Dirt', texture: 'dirt', hardness: 1, tool: 'shovel' },
+        GRASS: { id: 2, name: 'Grass', textures: { top: 'grass_top', side: 'grass_side', bottom: 'dirt' }, hardness: 1, tool: 'shovel' },
+        STONE: { id: 3, name: 'Stone', texture: 'stone', hardness: 3, tool: 'pickaxe' },
+        WOOD: { id: 4, name: 'Wood', texture: 'wood', hardness: 2, tool: 'axe' },
         LEAVES: { id: 5, name: 'Leaves', texture: 'leaves', transparent: true, hardness: 0.5 },
-        SAND: { id: 6, name: 'Sand', texture: 'sand', hardness: 1 },
-        WATER: { id: 7, name: 'Water', transparent: true, solid: false, liquid: true },
-        COBBLESTONE: { id: 8, name: 'Cobblestone', texture: 'cobblestone', hardness: 4 },
-        BEDROCK: { id: 9, name: 'Bedrock', texture: 'bedrock', hardness: -1 } // Indistruttibile
+        SAND: { id: 6, name: 'Sand', texture: 'sand', hardness: 1, tool: 'shovel' },
+        WATER: { id: 7, name: 'Water', texture: 'water', transparent: true, solid: false, liquid: true, render: 'translucent' },
+        COBBLESTONE: { id: 8, name: 'Cobblestone', texture: 'cobblestone', hardness: 4, tool: 'pickaxe' },
+        BEDROCK: { id: 9, name: 'Bedrock', texture: 'bedrock', hardness: -1 }, // Indistruttibile, tranne in modalità creativa
+        LAVA: { id: 10, name: 'Lava', texture: 'lava', solid: false, liquid: true, light: 15 },
+        
+        // Minerali (drop = oggetto ottenuto scavando)
+        COAL_ORE: { id: 11, name: 'Coal Ore', texture: 'coal_ore', hardness: 3, tool: 'pickaxe', drop: 'coal' },
+        IRON_ORE: { id: 12, name: 'Iron Ore', texture: 'iron_ore', hardness: 3.5, tool: 'pickaxe', drop: 'raw_iron' },
+        GOLD_ORE: { id: 13, name: 'Gold Ore', texture: 'gold_ore', hardness: 4, tool: 'pickaxe', drop: 'raw_gold' },
+        DIAMOND_ORE: { id: 14, name: 'Diamond Ore', texture: 'diamond_ore', hardness: 5, tool: 'pickaxe', drop: 'diamond' },
+        SNOW: { id: 15, name: 'Snow', texture: 'snow', hardness: 0.5, tool: 'shovel' },
+        PLANKS: { id: 16, name: 'Planks', texture: 'planks', hardness: 2, tool: 'axe' },
+        
+        // Blocchi luminosi (light = livello di luce emessa, vedi LightEngine)
+        TORCH: { id: 17, name: 'Torch', texture: 'torch', transparent: true, solid: false, hardness: 0, light: 14 },
+        GLOWSTONE: { id: 18, name: 'Glowstone', texture: 'glowstone', hardness: 0.3, light: 15 },
+        
+        GLASS: { id: 19, name: 'Glass', texture: 'glass', transparent: true, hardness: 0.3, render: 'translucent' }
+    },
+    
+    // Attrezzi: speed = quante volte più in fretta scavano i blocchi del loro tipo (vedi BlockBreaker)
+    TOOLS: {
+        WOODEN_PICKAXE: { name: 'Wooden Pickaxe', type: 'pickaxe', speed: 2 },
+        STONE_PICKAXE: { name: 'Stone Pickaxe', type: 'pickaxe', speed: 4 },
+        IRON_PICKAXE: { name: 'Iron Pickaxe', type: 'pickaxe', speed: 6 },
+        DIAMOND_PICKAXE: { name: 'Diamond Pickaxe', type: 'pickaxe', speed: 8 },
+        WOODEN_SHOVEL: { name: 'Wooden Shovel', type: 'shovel', speed: 2 },
+        STONE_SHOVEL: { name: 'Stone Shovel', type: 'shovel', speed: 4 },
+        WOODEN_AXE: { name: 'Wooden Axe', type: 'axe', speed: 2 },
+        STONE_AXE: { name: 'Stone Axe', type: 'axe', speed: 4 }
     },
     
     // Impostazioni della fisica
@@ -117,7 +291,24 @@ export const CONFIG = {
     PLAYER: {
         HEIGHT: 1.8,
         WIDTH: 0.6,
+        EYE_HEIGHT: 1.62,
+        STEP_HEIGHT: 1, // Blocchi superati camminando, senza saltare (vedi VoxelCollider)
+        MOVE_SPEED: 4.3, // Blocchi al secondo
+        RUN_MULTIPLIER: 1.3,
+        CROUCH_MULTIPLIER: 0.3,
+        JUMP_SPEED: 9, // Con GRAVITY -30 il salto supera poco più di un blocco
+        MAX_FALL_SPEED: 60,
+        MOUSE_SENSITIVITY: 2,
         REACH_DISTANCE: 5,
+        GAME_MODE: 'survival', // 'creative': i blocchi si rompono subito, anche la bedrock
+        
+        // Scavo tenendo premuto: secondi = hardness × HARDNESS_TIME / speed dell'attrezzo (vedi BlockBreaker)
+        MINING: {
+            HARDNESS_TIME: 1.5,
+            BREAK_DELAY: 0.25, // Secondi tra un blocco rotto e l'inizio del successivo
+            STAGES: 10 // Fasi della texture delle crepe (vedi BreakOverlay)
+        },
+        
         INVENTORY_SIZE: 36,
         HOTBAR_SIZE: 9,
         HEALTH: 100,
@@ -141,6 +332,55 @@ export const CONFIG = {
             COLOR: 0x8888ff,
             POSITION: { x: -100, y: 100, z: -50 },
             CAST_SHADOW: false
+        },
+        
+        // Cielo e ciclo giorno/notte (SkySystem)
+        SKY: {
+            DOME_RADIUS: 450, // Entro il piano lontano della camera
+            ORBIT_DISTANCE: 150, // Distanza di sole e luna dal giocatore
+            ORBIT_TILT: 0.3, // Inclinazione dell'arco verso sud
+            STAR_COUNT: 1500,
+            COLOR_TRANSITION: 2.0, // Velocità di transizione del colore del sole
+            DAY: { ZENITH: 0x3a78d8, HORIZON: 0x9fcdee },
+            TWILIGHT: { ZENITH: 0x2d3a78, HORIZON: 0xf08850 },
+            NIGHT: { ZENITH: 0x02040c, HORIZON: 0x0a1024 },
+            NIGHT_AMBIENT: 0.35 // Frazione della luce ambientale che resta di notte
+        },
+        
+        // Luce dei voxel (LightEngine): ogni livello in meno moltiplica la luminosità
+        VOXEL_LIGHT: {
+            FALLOFF: 0.8,
+            MIN_BRIGHTNESS: 0.05 // Luminosità delle zone completamente buie
+        }
+    },
+    
+    // Impostazioni dell'acqua (WaterMaterial, WaterReflection, WaterSystem)
+    WATER: {
+        SHALLOW_COLOR: 0x3aa6c8,
+        DEEP_COLOR: 0x0a2d5a,
+        SHALLOW_OPACITY: 0.55,
+        DEEP_OPACITY: 0.9,
+        MAX_DEPTH: 8, // Profondità in blocchi oltre la quale colore e opacità non cambiano
+        WAVE_SPEED: 1.0,
+        WAVE_STRENGTH: 0.12, // Inclinazione delle normali animate
+        SHININESS: 80,
+        
+        // Riflessi planari sulla superficie sotto la camera
+        REFLECTION: {
+            ENABLED: true,
+            RESOLUTION: 0.5, // Frazione della risoluzione dello schermo
+            UPDATE_INTERVAL: 2, // Frame tra un aggiornamento e il successivo
+            STRENGTH: 0.6,
+            DISTORTION: 0.03,
+            SEARCH_DEPTH: 48 // Blocchi sotto la camera in cui cercare la superficie
+        },
+        
+        // Camera dentro un blocco d'acqua
+        UNDERWATER: {
+            FOG_COLOR: 0x0c3a66,
+            FOG_NEAR: 0.5,
+            FOG_FAR: 24,
+            LOWPASS_FREQUENCY: 600 // Hz, audio ovattato
         }
     },
     
@@ -165,6 +405,24 @@ export const CONFIG = {
         FRUSTUM_CULLING: true,
         OCCLUSION_CULLING: false,
         
+        // Terreno lontano a bassa risoluzione oltre la distanza di rendering (vedi TerrainLod)
+        LOD: {
+            RINGS: [ // Anelli dal più vicino: blocchi per cella e distanza massima in chunk
+                { SCALE: 2, DISTANCE: 12 },
+                { SCALE: 4, DISTANCE: 18 },
+                { SCALE: 8, DISTANCE: 28 }
+            ],
+            SKIRT_DEPTH: 8, // Blocchi di bordo verso il basso, coprono le fessure tra anelli
+            MAX_TILES_PER_FRAME: 2, // Tile avviate per frame
+            MAX_PENDING_TILES: 4, // Tile in costruzione nei worker alla volta
+            REASSIGN_CHUNKS: 16 // Chunk caricati/scaricati prima di riassegnare le tile (anche a caricamento finito)
+        },
+        
+        // Caricamento dei chunk
+        MAX_CHUNK_OPERATIONS_PER_FRAME: 2, // Chunk caricati/scaricati per frame sul thread principale
+        CHUNK_WORKERS: 3, // Worker per generare e costruire i chunk (0 = sul thread principale)
+        MAX_PENDING_CHUNK_LOADS: 12, // Chunk in caricamento nello stesso momento con i worker
+        
         // Livelli di qualità
         QUALITY_LEVELS: {
             LOW: {
@@ -224,6 +482,15 @@ export const CONFIG = {
         PREDICTION: true
     },
     
+    // Salvataggi del mondo (IndexedDB)
+    SAVE: {
+        DB_NAME: '3d-pit-word-saves',
+        DB_VERSION: 1,
+        REGION_SIZE: 32, // Chunk per lato di una regione
+        AUTOSAVE_INTERVAL: 60000, // Millisecondi tra un salvataggio automatico e l'altro
+        DEFAULT_SLOT: 'Mondo 1'
+    },
+    
     // Impostazioni dell'interfaccia utente
     UI: {
         SHOW_FPS: true,
@@ -232,7 +499,13 @@ export const CONFIG = {
         CROSSHAIR_SIZE: 24,
         HOTBAR_SCALE: 1.0,
         CHAT_MAX_MESSAGES: 100,
-        CHAT_FADE_TIME: 5000
+        CHAT_FADE_TIME: 5000,
+        
+        // Contorno del blocco sotto il mirino (vedi BlockHighlight)
+        BLOCK_HIGHLIGHT: {
+            COLOR: 0x000000,
+            OPACITY: 0.5
+        }
     },
     
     // Percorsi delle risorse
@@ -281,6 +554,9 @@ export const ConfigUtils = {
      * Carica la configurazione dal localStorage
      */
     loadFromStorage() {
+        // Sul server (Node.js) non esiste localStorage
+        if (typeof localStorage === 'undefined') return;
+        
         try {
             const saved = localStorage.getItem('3d-pit-word-config');
             if (saved) {
@@ -1,11 +1,12 @@
 /**
  * 3D Pit Word - Asset Manager
- * 
+ *
  * Gestisce il caricamento e la cache di tutte le risorse del gioco:
  * texture, modelli 3D, suoni, shader, ecc.
  */
 
 import * as THREE from 'three';
+import { TextureAtlas } from './TextureAtlas.js';
 
 export class AssetManager {
     /**
@@ -20,9 +21,11 @@ export class AssetManager {
         this.models = new Map();
         this.sounds = new Map();
         this.shaders = new Map();
+        this.atlases = new Map();
         
         // Loader di Three.js
         this.textureLoader = new THREE.TextureLoader();
+        this.imageLoader = new THREE.ImageLoader();
         this.audioLoader = new THREE.AudioLoader();
         
         // Audio context
@@ -107,7 +110,7 @@ export class AssetManager {
             await this._loadShaders();
             
             console.log('All assets loaded successfully');
-            
+        
         } catch (error) {
             console.error('Error loading assets:', error);
             throw error;
@@ -169,6 +172,24 @@ export class AssetManager {
         });
     }
     
+    /**
+     * Costruisce un atlante di texture (vedi TextureAtlas) e lo mette in cache
+     * @param {string} id - ID dell'atlante
+     * @param {Array} textures - Array di oggetti texture {name, url}, nell'ordine delle tile
+     * @param {Object} options - Opzioni dell'atlante {tileSize, padding}
+     * @returns {Promise<TextureAtlas>} Promise che si risolve con l'atlante
+     */
+    async loadTextureAtlas(id, textures, options = {}) {
+        const atlas = new TextureAtlas(options);
+        await atlas.build(textures, url => this.imageLoader.loadAsync(url));
+        
+        const previous = this.atlases.get(id);
+        if (previous) previous.dispose();
+        
+        this.atlases.set(id, atlas);
+        return atlas;
+    }
+    
     /**
      * Carica i modelli 3D
      * @private
@@ -293,6 +314,15 @@ export class AssetManager {
         return this.textures.get(id) || null;
     }
     
+    /**
+     * Ottiene un atlante di texture dalla cache
+     * @param {string} id - ID dell'atlante
+     * @returns {TextureAtlas|null} Atlante o null se non trovato
+     */
+    getTextureAtlas(id) {
+        return this.atlases.get(id) || null;
+    }
+    
     /**
      * Ottiene un modello dalla cache
      * @param {string} id - ID del modello
@@ -359,6 +389,11 @@ export class AssetManager {
             if (texture) texture.dispose();
         }
         
+        // Rilascia gli atlanti
+        for (const atlas of this.atlases.values()) {
+            atlas.dispose();
+        }
+        
         // Rilascia i modelli
         for (const model of this.models.values()) {
             if (model && model.dispose) model.dispose();
@@ -369,6 +404,7 @@ export class AssetManager {
         this.models.clear();
         this.sounds.clear();
         this.shaders.clear();
+        this.atlases.clear();
         
         console.log('AssetManager disposed');
     }
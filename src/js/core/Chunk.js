@@ -9,6 +9,8 @@
  */
 
 import * as THREE from 'three';
+import { BlockRegistry } from '../world/BlockRegistry.js';
+import { BlockStorage } from '../world/BlockStorage.js';
 
 /**
  * Classe che rappresenta un chunk di voxel
@@ -20,8 +22,8 @@ export class Chunk {
         this.z = z;
         this.size = size;
         
-        // Array 3D per i dati voxel [x][y][z]
-        this.voxels = this.createVoxelArray();
+        // Dati voxel: id dei blocchi in un array tipizzato (cubo size x size x size)
+        this.storage = new BlockStorage(size, size);
         
         // Mesh Three.js per il rendering
         this.mesh = null;
@@ -41,26 +43,6 @@ export class Chunk {
         console.log(`Chunk created at (${x}, ${z}) with size ${size}`);
     }
     
-    /**
-     * Crea l'array 3D per i voxel
-     * @returns {Array} Array 3D inizializzato
-     */
-    createVoxelArray() {
-        const array = [];
-        
-        for (let x = 0; x < this.size; x++) {
-            array[x] = [];
-            for (let y = 0; y < this.size; y++) {
-                array[x][y] = [];
-                for (let z = 0; z < this.size; z++) {
-                    array[x][y][z] = null; // null = aria, string = tipo voxel
-                }
-            }
-        }
-        
-        return array;
-    }
-    
     /**
      * Imposta un voxel alla posizione specificata
      * @param {number} x - Coordinata X locale al chunk
@@ -74,13 +56,20 @@ export class Chunk {
             return false;
         }
         
-        const oldVoxel = this.voxels[x][y][z];
-        this.voxels[x][y][z] = voxelType;
+        // null = aria
+        const id = voxelType === null ? BlockRegistry.AIR : BlockRegistry.getId(voxelType);
+        if (id === undefined) {
+            console.warn(`Unknown voxel type: ${voxelType}`);
+            return false;
+        }
+        
+        const oldId = this.storage.getId(x, y, z);
+        this.storage.setId(x, y, z, id);
         
         // Aggiorna contatori
-        if (oldVoxel === null && voxelType !== null) {
+        if (oldId === BlockRegistry.AIR && id !== BlockRegistry.AIR) {
             this.solidVoxelCount++;
-        } else if (oldVoxel !== null && voxelType === null) {
+        } else if (oldId !== BlockRegistry.AIR && id === BlockRegistry.AIR) {
             this.solidVoxelCount--;
         }
         
@@ -104,7 +93,8 @@ export class Chunk {
         }
         
         this.lastAccess = Date.now();
-        return this.voxels[x][y][z];
+        const id = this.storage.getId(x, y, z);
+        return id === BlockRegistry.AIR ? null : BlockRegistry.getName(id);
     }
     
     /**
@@ -115,9 +105,7 @@ export class Chunk {
      * @returns {boolean}
      */
     isValidPosition(x, y, z) {
-        return x >= 0 && x < this.size &&
-               y >= 0 && y < this.size &&
-               z >= 0 && z < this.size;
+        return this.storage.contains(x, y, z);
     }
     
     /**
@@ -179,7 +167,7 @@ export class Chunk {
         for (let x = 0; x < this.size; x++) {
             for (let y = 0; y < this.size; y++) {
                 for (let z = 0; z < this.size; z++) {
-                    const voxelType = this.voxels[x][y][z];
+                    const voxelType = this.getVoxel(x, y, z);
                     if (voxelType !== null) {
                         solidVoxels.push({ x, y, z, type: voxelType });
                     }
@@ -255,13 +243,7 @@ export class Chunk {
      * Svuota il chunk (rimuovi tutti i voxel)
      */
     clear() {
-        for (let x = 0; x < this.size; x++) {
-            for (let y = 0; y < this.size; y++) {
-                for (let z = 0; z < this.size; z++) {
-                    this.voxels[x][y][z] = null;
-                }
-            }
-        }
+        this.storage.clear();
         
         this.solidVoxelCount = 0;
         this.needsUpdate = true;
@@ -308,30 +290,17 @@ export class Chunk {
     
     /**
      * Serializza il chunk per il salvataggio
+     * I voxel sono salvati come palette di nomi e sequenze di indici (vedi BlockStorage)
      * @returns {Object} Dati serializzati
      */
     serialize() {
-        const data = {
+        return {
             x: this.x,
             z: this.z,
             size: this.size,
             generated: this.generated,
-            voxels: []
+            ...this.storage.serialize()
         };
-        
-        // Salva solo i voxel solidi per efficienza
-        for (let x = 0; x < this.size; x++) {
-            for (let y = 0; y < this.size; y++) {
-                for (let z = 0; z < this.size; z++) {
-                    const voxelType = this.voxels[x][y][z];
-                    if (voxelType !== null) {
-                        data.voxels.push({ x, y, z, type: voxelType });
-                    }
-                }
-            }
-        }
-        
-        return data;
     }
     
     /**
@@ -346,12 +315,18 @@ export class Chunk {
         this.size = data.size;
         this.generated = data.generated;
         
-        // Ripristina i voxel
-        data.voxels.forEach(voxel => {
-            this.setVoxel(voxel.x, voxel.y, voxel.z, voxel.type);
-        });
+        if (data.palette) {
+            this.storage = BlockStorage.deserialize(data, data.size, data.size);
+            this.solidVoxelCount = this.storage.countBlocks();
+        } else {
+            // Formato precedente: elenco dei voxel solidi
+            this.storage = new BlockStorage(data.size, data.size);
+            data.voxels.forEach(voxel => {
+                this.setVoxel(voxel.x, voxel.y, voxel.z, voxel.type);
+            });
+        }
         
-        console.log(`Chunk (${this.x}, ${this.z}) deserialized with ${data.voxels.length} voxels`);
+        console.log(`Chunk (${this.x}, ${this.z}) deserialized with ${this.solidVoxelCount} voxels`);
     }
     
     /**
@@ -391,7 +366,7 @@ export class Chunk {
             this.mesh = null;
         }
         
-        this.voxels = null;
+        this.storage = null;
         console.log(`Chunk (${this.x}, ${this.z}) disposed`);
     }
 }
\ No newline at end of file
@@ -11,6 +11,11 @@ import { Player } from '../player/Player.js';
 import { InputManager } from './InputManager.js';
 import { PhysicsManager } from './PhysicsManager.js';
 import { TimeManager } from '../utils/TimeManager.js';
+import { SkySystem } from '../world/sky/SkySystem.js';
+import { WaterSystem } from '../world/water/WaterSystem.js';
+import { BlockHighlight } from '../player/BlockHighlight.js';
+import { BlockEditor } from '../player/BlockEditor.js';
+import { BreakOverlay } from '../player/BreakOverlay.js';
 import { Stats } from '../utils/Stats.js';
 
 export class Game {
@@ -20,12 +25,16 @@ export class Game {
      * @param {AssetManager} options.assetManager - Gestore delle risorse
      * @param {UIManager} options.uiManager - Gestore dell'interfaccia utente
      * @param {DebugManager} options.debugManager - Gestore del debug
+     * @param {AudioManager} [options.audioManager] - Gestore dell'audio (filtro subacqueo, suoni dei blocchi)
+     * @param {NetworkManager} [options.networkManager] - Gestore del multiplayer (modifiche ai blocchi)
      * @param {Object} options.config - Configurazione del gioco
      */
     constructor(options) {
         this.assetManager = options.assetManager;
         this.uiManager = options.uiManager;
         this.debugManager = options.debugManager;
+        this.audioManager = options.audioManager || null;
+        this.networkManager = options.networkManager || null;
         this.config = options.config;
         
         // Stato del gioco
@@ -40,6 +49,13 @@ export class Game {
         
         // Inizializza i manager
         this.timeManager = new TimeManager();
+        
+        // Ciclo giorno/notte: sposta sole e luna e colora cielo, nebbia e luce ambientale
+        this.skySystem = new SkySystem(this.scene, this.timeManager, {
+            sunLight: this.sunLight,
+            moonLight: this.moonLight,
+            ambientLight: this.ambientLight
+        });
         this.inputManager = new InputManager(this);
         this.physicsManager = new PhysicsManager(this.config.PHYSICS);
         
@@ -53,6 +69,29 @@ export class Game {
         this.world = new World(this);
         this.player = new Player(this);
         
+        // Acqua: onde, riflessi ed effetto subacqueo (nebbia blu, audio attutito)
+        this.waterSystem = new WaterSystem(this.scene, this.world.voxelWorld.meshFactory.waterMaterial, {
+            audioManager: this.audioManager
+        });
+        
+        // Le sezioni riflesse nell'acqua restano visibili anche fuori dall'inquadratura
+        if (this.waterSystem.reflection) {
+            this.world.voxelWorld.culling.addCamera(this.waterSystem.reflection.camera);
+        }
+        
+        // Contorno del blocco sotto il mirino
+        this.blockHighlight = new BlockHighlight(this.scene);
+        
+        // Crepe del blocco che il giocatore sta scavando
+        this.breakOverlay = new BreakOverlay(this.scene);
+        
+        // Blocchi rotti e piazzati dal giocatore: mondo, suoni e server
+        this.blockEditor = new BlockEditor(this.world.voxelWorld, {
+            audioManager: this.audioManager,
+            networkManager: this.networkManager
+        });
+        this.player.blockEditor = this.blockEditor;
+        
         // Aggiungi il giocatore alla scena
         this.scene.add(this.player.object);
         
@@ -103,7 +142,7 @@ export class Game {
         // Aggiungi la nebbia per limitare la visibilità
         const fogColor = new THREE.Color(0xC8D6E5);
         const fogNear = this.config.WORLD.CHUNK_SIZE * (this.config.WORLD.RENDER_DISTANCE - 2);
-        const fogFar = this.config.WORLD.CHUNK_SIZE * this.config.WORLD.RENDER_DISTANCE;
+        const fogFar = this._getFogFar(this.config.WORLD.RENDER_DISTANCE);
         this.scene.fog = new THREE.Fog(fogColor, fogNear, fogFar);
         
         console.log('Scene initialized');
@@ -137,7 +176,7 @@ export class Game {
      * @private
      */
     _initLighting() {
-        const { AMBIENT_INTENSITY, AMBIENT_COLOR, SUN } = this.config.LIGHTING;
+        const { AMBIENT_INTENSITY, AMBIENT_COLOR, SUN, MOON } = this.config.LIGHTING;
         
         // Luce ambientale
         this.ambientLight = new THREE.AmbientLight(
@@ -175,6 +214,21 @@ export class Game {
         
         this.scene.add(this.sunLight);
         
+        // Luce direzionale (luna), posizionata dal SkySystem opposta al sole
+        this.moonLight = new THREE.DirectionalLight(
+            MOON.COLOR,
+            MOON.INTENSITY
+        );
+        
+        this.moonLight.position.set(
+            MOON.POSITION.x,
+            MOON.POSITION.y,
+            MOON.POSITION.z
+        );
+        this.moonLight.castShadow = MOON.CAST_SHADOW;
+        
+        this.scene.add(this.moonLight);
+        
         console.log('Lighting initialized');
     }
     
@@ -248,6 +302,11 @@ export class Game {
         // Rilascia le risorse
         this.inputManager.dispose();
         this.world.dispose();
+        this.skySystem.dispose();
+        this.waterSystem.dispose();
+        this.blockHighlight.dispose();
+        this.breakOverlay.dispose();
+        this.blockEditor.dispose();
         
         console.log('Game stopped');
     }
@@ -274,10 +333,18 @@ export class Game {
             this.physicsManager.update(this.timeManager.deltaTime);
             
             // Aggiorna il mondo
-            this.world.update(this.timeManager.deltaTime);
+            this.world.update(this.timeManager.deltaTime, this.player.position, this.camera);
             
             // Aggiorna il giocatore
-            this.player.update(this.timeManager.deltaTime);
+            this.player.update(this.timeManager.deltaTime, this.world.voxelWorld);
+            this.blockHighlight.update(this.player.target);
+            this.breakOverlay.update(this.player.blockBreaker.position, this.player.blockBreaker.getStage());
+            
+            // Aggiorna il ciclo giorno/notte attorno alla camera
+            this.skySystem.update(this.timeManager.deltaTime, this.camera.position);
+            
+            // Aggiorna l'acqua, dopo il cielo che colora la nebbia
+            this.waterSystem.update(this.timeManager.deltaTime, this.camera, this.world);
             
             // Aggiorna l'interfaccia utente
             this.uiManager.update(this.timeManager.deltaTime);
@@ -288,7 +355,8 @@ export class Game {
             }
         }
         
-        // Renderizza la scena
+        // Renderizza i riflessi dell'acqua, poi la scena
+        this.waterSystem.render(this.renderer, this.scene, this.camera);
         this.renderer.render(this.scene, this.camera);
         
         // Termina le statistiche
@@ -330,7 +398,7 @@ export class Game {
         
         // Aggiorna la nebbia
         const fogNear = this.config.WORLD.CHUNK_SIZE * (distance - 2);
-        const fogFar = this.config.WORLD.CHUNK_SIZE * distance;
+        const fogFar = this._getFogFar(distance);
         this.scene.fog.near = fogNear;
         this.scene.fog.far = fogFar;
         
@@ -340,6 +408,18 @@ export class Game {
         }
     }
     
+    /**
+     * Distanza alla quale la nebbia copre tutto: il terreno lontano (LOD) la porta oltre i chunk caricati
+     * @param {number} distance - Distanza di rendering in chunk
+     * @returns {number} Distanza in blocchi
+     * @private
+     */
+    _getFogFar(distance) {
+        const { LOD_ENABLED, LOD } = this.config.PERFORMANCE;
+        const lodDistance = LOD_ENABLED ? Math.max(...LOD.RINGS.map(ring => ring.DISTANCE)) : 0;
+        return this.config.WORLD.CHUNK_SIZE * Math.max(distance, lodDistance);
+    }
+    
     /**
      * Aggiorna la qualità grafica
      * @param {string} quality - Livello di qualità ('low', 'medium', 'high')
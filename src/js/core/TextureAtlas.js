@@ -0,0 +1,238 @@
+/**
+ * TextureAtlas.js - Atlante delle texture dei blocchi
+ *
+ * Disegna le texture (anche SVG) in un'unica texture a griglia, così un chunk
+ * viene disegnato con un solo materiale. Ogni tile ha un bordo (padding) che ripete
+ * i pixel del suo contorno, per evitare che il filtro legga le tile vicine.
+ *
+ * Le mesh indicano la tile con l'attributo `textureIndex` (indice nella lista
+ * delle texture) e usano UV in blocchi: il materiale ripete la tile con fract().
+ *
+ * @author Pietro
+ * @version 0.1.0-alpha
+ */
+
+import * as THREE from 'three';
+import { CONFIG } from '../config/config.js';
+import { BlockRegistry } from '../world/BlockRegistry.js';
+
+/**
+ * Classe per costruire e usare un atlante di texture
+ */
+export class TextureAtlas {
+    /**
+     * @param {Object} options
+     * @param {number} options.tileSize - Lato di una tile in pixel
+     * @param {number} options.padding - Pixel ripetuti attorno a ogni tile
+     */
+    constructor({ tileSize = 16, padding = 2 } = {}) {
+        this.tileSize = tileSize;
+        this.padding = padding;
+        this.cellSize = tileSize + padding * 2;
+        
+        this.names = [];
+        this.columns = 0;
+        this.rows = 0;
+        this.canvas = null;
+        this.texture = null;
+    }
+    
+    /**
+     * Ottieni le texture dei blocchi da mettere nell'atlante
+     * L'ordine è quello di BlockRegistry.getTextureNames(): la tile di una texture
+     * ha lo stesso indice usato dai mesher
+     * @returns {Array<{name: string, url: string}>}
+     */
+    static getBlockTextures() {
+        return BlockRegistry.getTextureNames().map(name => ({
+            name,
+            url: `${CONFIG.PATHS.TEXTURES}blocks/${name}.svg`
+        }));
+    }
+    
+    /**
+     * Costruisci l'atlante
+     * Le texture che non si caricano diventano tile magenta
+     * @param {Array<{name: string, url: string}>} textures - Texture nell'ordine delle tile
+     * @param {Function} loadImage - Carica un'immagine da un URL (Promise)
+     * @returns {Promise<TextureAtlas>}
+     */
+    async build(textures, loadImage) {
+        this.names = textures.map(({ name }) => name);
+        this.columns = Math.max(1, Math.ceil(Math.sqrt(textures.length)));
+        this.rows = Math.max(1, Math.ceil(textures.length / this.columns));
+        
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = this.columns * this.cellSize;
+        this.canvas.height = this.rows * this.cellSize;
+        
+        const context = this.canvas.getContext('2d');
+        context.imageSmoothingEnabled = false;
+        
+        const images = await Promise.all(textures.map(async ({ name, url }) => {
+            try {
+                return await loadImage(url);
+            } catch (error) {
+                console.warn(`Failed to load atlas texture ${name}:`, error);
+                return null;
+            }
+        }));
+        images.forEach((image, index) => this.drawTile(context, index, image));
+        
+        this.texture = new THREE.CanvasTexture(this.canvas);
+        this.texture.magFilter = THREE.NearestFilter;
+        this.texture.minFilter = THREE.NearestFilter;
+        this.texture.generateMipmaps = false;
+        this.texture.colorSpace = THREE.SRGBColorSpace;
+        
+        console.log(`TextureAtlas built: ${textures.length} tiles, ${this.canvas.width}x${this.canvas.height}`);
+        return this;
+    }
+    
+    /**
+     * Disegna una tile e ripeti il suo contorno nel padding
+     * @param {CanvasRenderingContext2D} context
+     * @param {number} index - Indice della tile
+     * @param {HTMLImageElement|null} image - Null per la tile di fallback
+     * @private
+     */
+    drawTile(context, index, image) {
+        const { x, y } = this.getTileOrigin(index);
+        const tile = this.tileSize;
+        const pad = this.padding;
+        
+        if (image) {
+            context.drawImage(image, x, y, tile, tile);
+        } else {
+            context.fillStyle = '#ff00ff'; // Magenta per indicare texture mancante
+            context.fillRect(x, y, tile, tile);
+        }
+        
+        if (pad === 0) return;
+        
+        // Righe sopra e sotto, poi colonne a sinistra e a destra (compresi gli angoli)
+        context.drawImage(this.canvas, x, y, tile, 1, x, y - pad, tile, pad);
+        context.drawImage(this.canvas, x, y + tile - 1, tile, 1, x, y + tile, tile, pad);
+        context.drawImage(this.canvas, x, y - pad, 1, tile + pad * 2, x - pad, y - pad, pad, tile + pad * 2);
+        context.drawImage(this.canvas, x + tile - 1, y - pad, 1, tile + pad * 2, x + tile, y - pad, pad, tile + pad * 2);
+    }
+    
+    /**
+     * Ottieni l'angolo in alto a sinistra di una tile, in pixel (senza padding)
+     * @param {number} index
+     * @returns {{x: number, y: number}}
+     */
+    getTileOrigin(index) {
+        return {
+            x: (index % this.columns) * this.cellSize + this.padding,
+            y: Math.floor(index / this.columns) * this.cellSize + this.padding
+        };
+    }
+    
+    /**
+     * Ottieni l'indice della tile di una texture
+     * @param {string} textureName
+     * @returns {number} -1 se la texture non è nell'atlante
+     */
+    getTextureIndex(textureName) {
+        return this.names.indexOf(textureName);
+    }
+    
+    /**
+     * Ottieni le UV di una texture nell'atlante
+     * @param {string} textureName
+     * @returns {{u0: number, v0: number, u1: number, v1: number}|null} Angoli in basso a sinistra e in alto a destra
+     */
+    getUV(textureName) {
+        const index = this.getTextureIndex(textureName);
+        if (index === -1) return null;
+        
+        const { x, y } = this.getTileOrigin(index);
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        
+        // La texture è capovolta (flipY): la riga 0 del canvas è v = 1
+        return {
+            u0: x / width,
+            v0: 1 - (y + this.tileSize) / height,
+            u1: (x + this.tileSize) / width,
+            v1: 1 - y / height
+        };
+    }
+    
+    /**
+     * Ottieni le UV della faccia di un blocco
+     * @param {string} blockName - Nome del blocco (es. 'grass')
+     * @param {string} face - 'top', 'side' o 'bottom'
+     * @returns {Object|null} Vedi getUV()
+     */
+    getFaceUV(blockName, face) {
+        return this.getUV(BlockRegistry.getFaceTexture(blockName, face));
+    }
+    
+    /**
+     * Crea un materiale che disegna le tile dell'atlante
+     * La geometria deve avere gli attributi uv (in blocchi) e textureIndex
+     * @param {Object} parameters - Parametri aggiuntivi di MeshLambertMaterial
+     * @returns {THREE.MeshLambertMaterial}
+     */
+    createMaterial(parameters = {}) {
+        const material = new THREE.MeshLambertMaterial({ ...parameters, map: this.texture });
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        
+        const uniforms = {
+            atlasColumns: { value: this.columns },
+            atlasCellSize: { value: new THREE.Vector2(this.cellSize / width, this.cellSize / height) },
+            atlasTileSize: { value: new THREE.Vector2(this.tileSize / width, this.tileSize / height) },
+            atlasPadding: { value: new THREE.Vector2(this.padding / width, this.padding / height) }
+        };
+        
+        material.onBeforeCompile = shader => {
+            Object.assign(shader.uniforms, uniforms);
+            
+            shader.vertexShader = `
+                attribute float textureIndex;
+                uniform float atlasColumns;
+                uniform vec2 atlasCellSize;
+                uniform vec2 atlasTileSize;
+                uniform vec2 atlasPadding;
+                varying vec2 vTileUv;
+                varying vec2 vTileOrigin;
+            ` + shader.vertexShader.replace('#include <uv_vertex>', `
+                #include <uv_vertex>
+                vTileUv = uv;
+                vec2 atlasCell = vec2(mod(textureIndex, atlasColumns), floor(textureIndex / atlasColumns));
+                vTileOrigin = vec2(
+                    atlasCell.x * atlasCellSize.x + atlasPadding.x,
+                    1.0 - atlasCell.y * atlasCellSize.y - atlasPadding.y - atlasTileSize.y
+                );
+            `);
+            
+            shader.fragmentShader = `
+                uniform vec2 atlasTileSize;
+                varying vec2 vTileUv;
+                varying vec2 vTileOrigin;
+            ` + shader.fragmentShader.replace('#include <map_fragment>', `
+                #ifdef USE_MAP
+                    vec4 sampledDiffuseColor = texture2D(map, vTileOrigin + fract(vTileUv) * atlasTileSize);
+                    diffuseColor *= sampledDiffuseColor;
+                #endif
+            `);
+        };
+        material.customProgramCacheKey = () => 'texture-atlas';
+        
+        return material;
+    }
+    
+    /**
+     * Rilascia la texture dell'atlante
+     */
+    dispose() {
+        if (this.texture) {
+            this.texture.dispose();
+            this.texture = null;
+        }
+        this.canvas = null;
+    }
+}
\ No newline at end of file
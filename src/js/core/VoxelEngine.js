@@ -1,15 +1,15 @@
 /**
  * VoxelEngine.js - Core del motore voxel per 3D Pit Word
- * 
+ *
  * Implementa il sistema di gestione voxel basato su chunk con ottimizzazioni
  * per performance seguendo le best practices identificate nella ricerca.
- * 
+ *
  * Features:
  * - Chunk-based world management
  * - Greedy meshing per ottimizzazione
  * - InstancedMesh per performance
  * - Raycasting per interazione
- * 
+ *
  * @author Pietro
  * @version 0.1.0-alpha
  */
@@ -17,6 +17,10 @@
 import * as THREE from 'three';
 import { Chunk } from './Chunk.js';
 import { VoxelMesher } from './VoxelMesher.js';
+import { BlockRegistry } from '../world/BlockRegistry.js';
+import { RenderPass } from '../world/meshing/RenderPass.js';
+import { TranslucentSorter } from '../world/meshing/TranslucentSorter.js';
+import { VoxelRaycaster } from '../world/VoxelRaycaster.js';
 import { ObjectPool } from '../utils/ObjectPool.js';
 
 /**
@@ -53,6 +57,9 @@ export class VoxelEngine {
         // Materiali voxel
         this.materials = this.createMaterials();
         
+        // Facce traslucide ordinate dalla più lontana
+        this.translucentSorter = new TranslucentSorter();
+        
         // Performance tracking
         this.stats = {
             chunksLoaded: 0,
@@ -65,21 +72,35 @@ export class VoxelEngine {
     }
     
     /**
-     * Crea i materiali per i diversi tipi di voxel
+     * Crea i materiali per le texture dei blocchi (vedi BlockRegistry.getTextureNames)
+     * Per ora sono colori: le facce di un blocco usano la texture della loro faccia.
+     * Ogni materiale segue la passata di disegno del blocco della texture (vedi RenderPass)
      */
     createMaterials() {
         const materials = new Map();
         
-        // Materiale base per voxel
-        const baseMaterial = new THREE.MeshLambertMaterial({
-            color: 0x00ff00,
-            transparent: false,
-            side: THREE.FrontSide
+        const passes = new Map(); // texture -> passata del blocco
+        BlockRegistry.getNames().forEach(name => {
+            ['top', 'side', 'bottom'].forEach(face => {
+                passes.set(BlockRegistry.getFaceTexture(name, face), RenderPass.get(BlockRegistry.getId(name)));
+            });
         });
         
-        materials.set('grass', baseMaterial);
-        materials.set('stone', new THREE.MeshLambertMaterial({ color: 0x888888 }));
-        materials.set('dirt', new THREE.MeshLambertMaterial({ color: 0x8B4513 }));
+        const colors = {
+            grass_top: 0x00ff00,
+            grass_side: 0x6B8E23,
+            dirt: 0x8B4513,
+            stone: 0x888888
+        };
+        
+        BlockRegistry.getTextureNames().forEach(texture => {
+            materials.set(texture, new THREE.MeshLambertMaterial({
+                color: colors[texture] || 0xcccccc,
+                vertexColors: true, // Occlusione ambientale
+                side: THREE.FrontSide,
+                ...RenderPass.getMaterialOptions(passes.get(texture) || 'opaque')
+            }));
+        });
         
         return materials;
     }
@@ -98,6 +119,9 @@ export class VoxelEngine {
         // Processa la coda di generazione chunk
         this.processChunkQueue();
         
+        // Riordina le facce traslucide se il giocatore si è spostato
+        this.translucentSorter.update(playerPosition);
+        
         // Aggiorna statistiche
         this.updateStats();
     }
@@ -175,6 +199,10 @@ export class VoxelEngine {
             
             this.scene.add(mesh);
             chunk.mesh = mesh;
+            
+            mesh.children
+                .filter(child => child.userData.renderPass === 'translucent')
+                .forEach(child => this.translucentSorter.add(child));
         }
         
         this.chunks.set(chunkKey, chunk);
@@ -241,11 +269,11 @@ export class VoxelEngine {
         if (chunk.mesh) {
             this.scene.remove(chunk.mesh);
             
-            // Restituisci oggetti al pool
-            if (chunk.mesh.geometry) {
-                chunk.mesh.geometry.dispose();
-            }
-            this.meshPool.release(chunk.mesh);
+            // Libera le geometrie di ogni passata
+            chunk.mesh.children.forEach(child => {
+                this.translucentSorter.remove(child);
+                child.geometry.dispose();
+            });
         }
         
         this.chunks.delete(chunkKey);
@@ -270,38 +298,37 @@ export class VoxelEngine {
     
     /**
      * Raycasting per interazione con voxel
+     * Attraversa la griglia dei voxel (vedi VoxelRaycaster) invece di intersecare le mesh
      * @param {THREE.Camera} camera
      * @param {THREE.Vector2} mousePos - Posizione mouse normalizzata (-1 a 1)
+     * @param {number} maxDistance - Distanza massima in unità del mondo
      * @returns {Object|null} Informazioni sul voxel colpito
      */
-    raycast(camera, mousePos) {
+    raycast(camera, mousePos, maxDistance = this.config.chunkSize * this.config.renderDistance) {
         this.raycaster.setFromCamera(mousePos, camera);
         
-        const meshes = [];
-        this.chunks.forEach(chunk => {
-            if (chunk.mesh) {
-                meshes.push(chunk.mesh);
-            }
-        });
-        
-        const intersects = this.raycaster.intersectObjects(meshes);
+        // Il raggio in coordinate voxel
+        const { voxelSize, chunkSize } = this.config;
+        const origin = this.raycaster.ray.origin.clone().divideScalar(voxelSize);
+        const getVoxel = (x, y, z) => {
+            const chunk = this.chunks.get(`${Math.floor(x / chunkSize)},${Math.floor(z / chunkSize)}`);
+            if (!chunk) return null;
+            return chunk.getVoxel(x - Math.floor(x / chunkSize) * chunkSize, y, z - Math.floor(z / chunkSize) * chunkSize);
+        };
         
-        if (intersects.length > 0) {
-            const intersection = intersects[0];
-            const worldPos = intersection.point;
-            
-            // Converti in coordinate voxel
-            const voxelPos = this.worldToVoxel(worldPos, intersection.face.normal);
-            
-            return {
-                position: voxelPos,
-                normal: intersection.face.normal,
-                distance: intersection.distance,
-                chunk: this.getChunkAt(worldPos)
-            };
+        const result = VoxelRaycaster.cast(getVoxel, origin, this.raycaster.ray.direction, maxDistance / voxelSize);
+        if (!result.hit) {
+            return null;
         }
         
-        return null;
+        const { x, y, z } = result.position;
+        const position = new THREE.Vector3(x, y, z);
+        return {
+            position,
+            normal: result.normal,
+            distance: result.distance * voxelSize,
+            chunk: this.getChunkAt(position.clone().addScalar(0.5).multiplyScalar(voxelSize))
+        };
     }
     
     /**
@@ -1,20 +1,24 @@
 /**
  * VoxelMesher.js - Sistema di meshing per voxel
- * 
+ *
  * Implementa algoritmi di meshing ottimizzati per convertire
  * i dati voxel in mesh Three.js renderizzabili.
- * 
+ *
  * Features:
- * - Greedy Meshing per ridurre il numero di facce
+ * - Greedy Meshing per ridurre il numero di facce (ChunkMeshBuilder, lo stesso del mondo)
  * - Face Culling per nascondere facce interne
- * - Supporto multi-materiale
+ * - Supporto multi-materiale (un gruppo per texture)
+ * - Una mesh per passata di disegno (opachi, cutout, traslucidi)
  * - Ottimizzazioni per performance
- * 
+ *
  * @author Pietro
  * @version 0.1.0-alpha
  */
 
 import * as THREE from 'three';
+import { BlockRegistry } from '../world/BlockRegistry.js';
+import { ChunkMeshBuilder } from '../world/meshing/ChunkMeshBuilder.js';
+import { RENDER_PASSES } from '../world/meshing/RenderPass.js';
 
 /**
  * Classe per la generazione di mesh da dati voxel
@@ -33,541 +37,247 @@ export class VoxelMesher {
         // Cache per geometrie riutilizzabili
         this.geometryCache = new Map();
         
-        // Definizioni delle facce dei cubi
-        this.faceDefinitions = this.createFaceDefinitions();
+        // Costruttori dei vertici: con facce unite e con una faccia per lato esposto
+        this.greedyMesher = new ChunkMeshBuilder();
+        this.simpleMesher = new ChunkMeshBuilder({ merge: false });
         
-        console.log('VoxelMesher initialized with config:', this.config);
-    }
-    
-    /**
-     * Crea le definizioni delle facce per i cubi voxel
-     */
-    createFaceDefinitions() {
-        const size = this.config.voxelSize;
-        const half = size / 2;
+        // Materiale per le texture senza materiale
+        this.fallbackMaterial = new THREE.MeshLambertMaterial({ color: 0xff00ff });
         
-        return {
-            // Faccia superiore (Y+)
-            top: {
-                vertices: [
-                    [-half, half, -half], [half, half, -half], [half, half, half],
-                    [-half, half, -half], [half, half, half], [-half, half, half]
-                ],
-                normal: [0, 1, 0],
-                uvs: [[0, 0], [1, 0], [1, 1], [0, 0], [1, 1], [0, 1]]
-            },
-            // Faccia inferiore (Y-)
-            bottom: {
-                vertices: [
-                    [-half, -half, half], [half, -half, half], [half, -half, -half],
-                    [-half, -half, half], [half, -half, -half], [-half, -half, -half]
-                ],
-                normal: [0, -1, 0],
-                uvs: [[0, 1], [1, 1], [1, 0], [0, 1], [1, 0], [0, 0]]
-            },
-            // Faccia nord (Z-)
-            north: {
-                vertices: [
-                    [-half, -half, -half], [half, -half, -half], [half, half, -half],
-                    [-half, -half, -half], [half, half, -half], [-half, half, -half]
-                ],
-                normal: [0, 0, -1],
-                uvs: [[1, 1], [0, 1], [0, 0], [1, 1], [0, 0], [1, 0]]
-            },
-            // Faccia sud (Z+)
-            south: {
-                vertices: [
-                    [half, -half, half], [-half, -half, half], [-half, half, half],
-                    [half, -half, half], [-half, half, half], [half, half, half]
-                ],
-                normal: [0, 0, 1],
-                uvs: [[0, 1], [1, 1], [1, 0], [0, 1], [1, 0], [0, 0]]
-            },
-            // Faccia est (X+)
-            east: {
-                vertices: [
-                    [half, -half, -half], [half, -half, half], [half, half, half],
-                    [half, -half, -half], [half, half, half], [half, half, -half]
-                ],
-                normal: [1, 0, 0],
-                uvs: [[0, 1], [1, 1], [1, 0], [0, 1], [1, 0], [0, 0]]
-            },
-            // Faccia ovest (X-)
-            west: {
-                vertices: [
-                    [-half, -half, half], [-half, -half, -half], [-half, half, -half],
-                    [-half, -half, half], [-half, half, -half], [-half, half, half]
-                ],
-                normal: [-1, 0, 0],
-                uvs: [[0, 1], [1, 1], [1, 0], [0, 1], [1, 0], [0, 0]]
-            }
-        };
+        console.log('VoxelMesher initialized with config:', this.config);
     }
     
     /**
      * Genera mesh per un chunk
+     * Il chunk diventa un gruppo con una mesh per passata di disegno (opachi, cutout, traslucidi);
+     * la geometria di ogni mesh ha un gruppo per texture, ogni gruppo usa il materiale della sua texture
      * @param {Chunk} chunk - Chunk da processare
-     * @param {Map} materials - Mappa dei materiali per tipo voxel
-     * @returns {THREE.Mesh|null} Mesh generata
+     * @param {Map|THREE.Material|Object} materials - Mappa dei materiali per nome della texture (vedi BlockRegistry.getTextureNames),
+     * un solo materiale per tutto il chunk (vedi TextureAtlas.createMaterial) oppure un materiale per passata ({opaque, cutout, translucent})
+     * @returns {THREE.Group|null} Mesh generate, userData.renderPass indica la passata di ognuna
      */
     generateMesh(chunk, materials) {
         if (chunk.isEmpty()) {
             return null;
         }
         
-        const geometry = this.config.enableGreedyMeshing ?
+        const geometries = this.config.enableGreedyMeshing ?
             this.generateGreedyMesh(chunk) :
             this.generateSimpleMesh(chunk);
         
-        if (!geometry || geometry.attributes.position.count === 0) {
+        const group = new THREE.Group();
+        RENDER_PASSES.forEach(pass => {
+            const geometry = geometries[pass];
+            if (!geometry) return;
+            
+            const mesh = new THREE.Mesh(geometry, this.getMaterial(geometry, materials, pass));
+            mesh.castShadow = pass !== 'translucent';
+            mesh.receiveShadow = true;
+            mesh.userData.renderPass = pass;
+            group.add(mesh);
+        });
+        
+        if (group.children.length === 0) {
             return null;
         }
         
-        // Usa il primo materiale disponibile per ora
-        // TODO: Implementare supporto multi-materiale
-        const material = materials.get('grass') || new THREE.MeshLambertMaterial({ color: 0x00ff00 });
-        
-        const mesh = new THREE.Mesh(geometry, material);
-        mesh.castShadow = true;
-        mesh.receiveShadow = true;
-        
         // Aggiungi metadati
-        mesh.userData = {
+        group.userData = {
             chunkX: chunk.x,
             chunkZ: chunk.z,
             voxelCount: chunk.getSolidVoxelCount()
         };
         
-        return mesh;
+        return group;
     }
     
     /**
-     * Genera mesh semplice (una faccia per ogni lato esposto)
-     * @param {Chunk} chunk
-     * @returns {THREE.BufferGeometry}
+     * Scegli il materiale di una mesh
+     * Il materiale dell'atlante o quello della passata, oppure uno per gruppo nell'ordine dei gruppi
+     * @returns {THREE.Material|Array<THREE.Material>}
      */
-    generateSimpleMesh(chunk) {
-        const vertices = [];
-        const normals = [];
-        const uvs = [];
-        const indices = [];
-        
-        let vertexIndex = 0;
-        
-        const exposedFaces = chunk.getExposedFaces();
-        
-        exposedFaces.forEach(faceData => {
-            const { x, y, z, face } = faceData;
-            const faceDefinition = this.faceDefinitions[face];
-            
-            if (!faceDefinition) return;
-            
-            // Aggiungi vertici per questa faccia
-            faceDefinition.vertices.forEach(vertex => {
-                vertices.push(
-                    x * this.config.voxelSize + vertex[0],
-                    y * this.config.voxelSize + vertex[1],
-                    z * this.config.voxelSize + vertex[2]
-                );
-            });
-            
-            // Aggiungi normali
-            for (let i = 0; i < 6; i++) {
-                normals.push(...faceDefinition.normal);
-            }
-            
-            // Aggiungi UV coordinates
-            if (this.config.generateUVs) {
-                faceDefinition.uvs.forEach(uv => {
-                    uvs.push(uv[0], uv[1]);
-                });
-            }
-            
-            // Aggiungi indici per i triangoli
-            for (let i = 0; i < 6; i++) {
-                indices.push(vertexIndex + i);
-            }
-            
-            vertexIndex += 6;
-        });
-        
-        // Crea geometria
-        const geometry = new THREE.BufferGeometry();
-        
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-        
-        if (this.config.generateNormals && normals.length > 0) {
-            geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    getMaterial(geometry, materials, pass) {
+        if (materials.isMaterial) {
+            return materials;
         }
-        
-        if (this.config.generateUVs && uvs.length > 0) {
-            geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+        if (!(materials instanceof Map)) {
+            return materials[pass] || this.fallbackMaterial;
         }
-        
-        geometry.setIndex(indices);
-        
-        // Calcola normali se non generate manualmente
-        if (!this.config.generateNormals) {
-            geometry.computeVertexNormals();
-        }
-        
-        return geometry;
+        return geometry.userData.textures.map(texture => materials.get(texture) || this.fallbackMaterial);
     }
     
     /**
-     * Genera mesh con greedy meshing (ottimizzato)
+     * Genera mesh semplice (una faccia per ogni lato esposto)
      * @param {Chunk} chunk
-     * @returns {THREE.BufferGeometry}
+     * @returns {Object} Geometria di ogni passata ({opaque, cutout, translucent}, null se vuota)
      */
-    generateGreedyMesh(chunk) {
-        const vertices = [];
-        const normals = [];
-        const uvs = [];
-        const indices = [];
-        
-        let vertexIndex = 0;
-        
-        // Processa ogni direzione separatamente
-        const directions = [
-            { name: 'top', axis: 1, dir: 1 },
-            { name: 'bottom', axis: 1, dir: -1 },
-            { name: 'north', axis: 2, dir: -1 },
-            { name: 'south', axis: 2, dir: 1 },
-            { name: 'east', axis: 0, dir: 1 },
-            { name: 'west', axis: 0, dir: -1 }
-        ];
-        
-        directions.forEach(direction => {
-            const quads = this.generateGreedyQuads(chunk, direction);
-            
-            quads.forEach(quad => {
-                const quadVertices = this.createQuadVertices(quad, direction);
-                const faceDefinition = this.faceDefinitions[direction.name];
-                
-                // Aggiungi vertici
-                quadVertices.forEach(vertex => {
-                    vertices.push(vertex.x, vertex.y, vertex.z);
-                });
-                
-                // Aggiungi normali
-                for (let i = 0; i < 4; i++) {
-                    normals.push(...faceDefinition.normal);
-                }
-                
-                // Aggiungi UV (scalate per la dimensione del quad)
-                if (this.config.generateUVs) {
-                    const scaleU = quad.width;
-                    const scaleV = quad.height;
-                    
-                    uvs.push(0, 0);
-                    uvs.push(scaleU, 0);
-                    uvs.push(scaleU, scaleV);
-                    uvs.push(0, scaleV);
-                }
-                
-                // Aggiungi indici per due triangoli
-                indices.push(
-                    vertexIndex, vertexIndex + 1, vertexIndex + 2,
-                    vertexIndex, vertexIndex + 2, vertexIndex + 3
-                );
-                
-                vertexIndex += 4;
-            });
-        });
-        
-        // Crea geometria
-        const geometry = new THREE.BufferGeometry();
-        
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-        
-        if (this.config.generateNormals && normals.length > 0) {
-            geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
-        }
-        
-        if (this.config.generateUVs && uvs.length > 0) {
-            geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
-        }
-        
-        geometry.setIndex(indices);
-        
-        if (!this.config.generateNormals) {
-            geometry.computeVertexNormals();
-        }
-        
-        return geometry;
+    generateSimpleMesh(chunk) {
+        return this.createGeometries(this.buildMeshes(chunk, this.simpleMesher));
     }
     
     /**
-     * Genera quad ottimizzati per una direzione usando greedy meshing
+     * Genera mesh con greedy meshing (ottimizzato)
+     * Unisce solo facce dello stesso tipo di blocco e con lo stesso orientamento
      * @param {Chunk} chunk
-     * @param {Object} direction
-     * @returns {Array} Array di quad
+     * @returns {Object} Geometria di ogni passata ({opaque, cutout, translucent}, null se vuota)
      */
-    generateGreedyQuads(chunk, direction) {
-        const quads = [];
-        const size = chunk.size;
-        const visited = new Set();
-        
-        // Determina gli assi basandosi sulla direzione
-        const axes = this.getAxesForDirection(direction.axis);
-        const [u, v, w] = axes;
-        
-        // Scansiona il piano
-        for (let wPos = 0; wPos < size; wPos++) {
-            for (let vPos = 0; vPos < size; vPos++) {
-                for (let uPos = 0; uPos < size; uPos++) {
-                    const pos = this.createPosition(uPos, vPos, wPos, direction.axis);
-                    const key = `${pos.x},${pos.y},${pos.z},${direction.name}`;
-                    
-                    if (visited.has(key)) continue;
-                    
-                    // Verifica se questa faccia dovrebbe essere renderizzata
-                    if (!this.shouldRenderFace(chunk, pos.x, pos.y, pos.z, direction)) {
-                        continue;
-                    }
-                    
-                    // Trova il quad più grande possibile
-                    const quad = this.findLargestQuad(chunk, pos, direction, visited);
-                    if (quad) {
-                        quads.push(quad);
-                    }
-                }
-            }
-        }
-        
-        return quads;
+    generateGreedyMesh(chunk) {
+        return this.createGeometries(this.buildMeshes(chunk, this.greedyMesher));
     }
     
     /**
-     * Trova il quad più grande possibile partendo da una posizione
+     * Costruisci i vertici del chunk con ChunkMeshBuilder, sezione per sezione
+     * Senza luce tutto è illuminato dal cielo, i colori contengono solo l'occlusione ambientale
      * @param {Chunk} chunk
-     * @param {Object} startPos
-     * @param {Object} direction
-     * @param {Set} visited
-     * @returns {Object|null} Quad trovato
+     * @param {ChunkMeshBuilder} builder
+     * @returns {Object} Vertici per passata ({opaque, cutout, translucent}, null se la passata non ha facce)
      */
-    findLargestQuad(chunk, startPos, direction, visited) {
-        const voxelType = chunk.getVoxel(startPos.x, startPos.y, startPos.z);
-        if (!voxelType) return null;
-        
-        let width = 1;
-        let height = 1;
-        
-        // Espandi in larghezza
-        const axes = this.getAxesForDirection(direction.axis);
-        const [uAxis, vAxis] = axes;
-        
-        // Trova larghezza massima
-        while (this.canExpandQuad(chunk, startPos, direction, width, 1, voxelType)) {
-            width++;
-        }
-        
-        // Trova altezza massima
-        while (this.canExpandQuad(chunk, startPos, direction, width, height, voxelType)) {
-            height++;
-        }
-        
-        // Segna come visitati
-        for (let h = 0; h < height; h++) {
-            for (let w = 0; w < width; w++) {
-                const pos = this.getQuadPosition(startPos, direction, w, h);
-                const key = `${pos.x},${pos.y},${pos.z},${direction.name}`;
-                visited.add(key);
-            }
-        }
-        
-        return {
-            x: startPos.x,
-            y: startPos.y,
-            z: startPos.z,
-            width,
+    buildMeshes(chunk, builder) {
+        const { storage } = chunk;
+        const { size, height, sectionHeight } = storage;
+        const sectionMeshes = builder.build({
+            sections: storage.getSectionData(),
+            light: null,
+            lightBorders: null,
+            sectionYs: storage.sections.map((_, sectionY) => sectionY),
+            size,
             height,
-            type: voxelType,
-            direction: direction.name
-        };
+            sectionHeight,
+            x: chunk.x,
+            z: chunk.z
+        });
+        
+        const meshes = {};
+        RENDER_PASSES.forEach(pass => {
+            const parts = sectionMeshes
+                .filter(({ mesh }) => mesh && mesh[pass])
+                .map(({ sectionY, mesh }) => ({ offsetY: sectionY * sectionHeight, meshData: mesh[pass] }));
+            meshes[pass] = parts.length > 0 ? this.mergeSections(parts) : null;
+        });
+        return meshes;
     }
     
     /**
-     * Verifica se un quad può essere espanso
-     * @param {Chunk} chunk
-     * @param {Object} startPos
-     * @param {Object} direction
-     * @param {number} width
-     * @param {number} height
-     * @param {string} voxelType
-     * @returns {boolean}
+     * Unisci i vertici delle sezioni di una passata in un solo array
+     * Le posizioni passano da coordinate della sezione a coordinate del chunk scalate di voxelSize;
+     * i quad vengono raggruppati per texture (ChunkMeshBuilder li raggruppa per tipo di blocco,
+     * ma un blocco può avere texture diverse sopra e sui lati)
+     * @param {Array<{offsetY: number, meshData: Object}>} parts - Vertici di ogni sezione e altezza della sezione nel chunk
+     * @returns {Object} {positions, normals, uvs, colors, textureIndices, indices, groups};
+     * groups sono intervalli {texture, textureIndex, start, count} di indici con la stessa texture
      */
-    canExpandQuad(chunk, startPos, direction, width, height, voxelType) {
-        // Verifica tutti i voxel nel quad espanso
-        for (let h = 0; h < height; h++) {
-            for (let w = 0; w < width; w++) {
-                const pos = this.getQuadPosition(startPos, direction, w, h);
-                
-                // Verifica limiti
-                if (!chunk.isValidPosition(pos.x, pos.y, pos.z)) {
-                    return false;
+    mergeSections(parts) {
+        const voxelSize = this.config.voxelSize;
+        const textureNames = BlockRegistry.getTextureNames();
+        
+        // Quad di ogni texture: indice della sezione e primo vertice del quad nella sezione
+        const quadsByTexture = new Map();
+        let quadCount = 0;
+        parts.forEach(({ meshData }, part) => {
+            for (let vertex = 0; vertex < meshData.textureIndices.length; vertex += 4) {
+                const textureIndex = meshData.textureIndices[vertex];
+                if (!quadsByTexture.has(textureIndex)) {
+                    quadsByTexture.set(textureIndex, []);
                 }
+                quadsByTexture.get(textureIndex).push(part, vertex);
+                quadCount++;
+            }
+        });
+        
+        const positions = new Float32Array(quadCount * 12);
+        const normals = new Float32Array(quadCount * 12);
+        const uvs = new Float32Array(quadCount * 8);
+        const colors = new Float32Array(quadCount * 12);
+        const textureIndices = new Float32Array(quadCount * 4);
+        const indices = new Uint32Array(quadCount * 6);
+        const groups = [];
+        
+        let quad = 0;
+        quadsByTexture.forEach((quads, textureIndex) => {
+            groups.push({
+                texture: textureNames[textureIndex],
+                textureIndex,
+                start: quad * 6,
+                count: quads.length / 2 * 6
+            });
+            
+            for (let i = 0; i < quads.length; i += 2) {
+                const { offsetY, meshData } = parts[quads[i]];
+                const from = quads[i + 1];
+                const to = quad * 4;
                 
-                // Verifica tipo voxel
-                if (chunk.getVoxel(pos.x, pos.y, pos.z) !== voxelType) {
-                    return false;
+                for (let c = 0; c < 4; c++) {
+                    const source = (from + c) * 3;
+                    const target = (to + c) * 3;
+                    positions[target] = meshData.positions[source] * voxelSize;
+                    positions[target + 1] = (meshData.positions[source + 1] + offsetY) * voxelSize;
+                    positions[target + 2] = meshData.positions[source + 2] * voxelSize;
                 }
+                normals.set(meshData.normals.subarray(from * 3, from * 3 + 12), to * 3);
+                colors.set(meshData.colors.subarray(from * 3, from * 3 + 12), to * 3);
+                uvs.set(meshData.uvs.subarray(from * 2, from * 2 + 8), to * 2);
+                textureIndices.fill(textureIndex, to, to + 4);
                 
-                // Verifica se la faccia dovrebbe essere renderizzata
-                if (!this.shouldRenderFace(chunk, pos.x, pos.y, pos.z, direction)) {
-                    return false;
+                // Stessi triangoli del quad originale, riferiti ai nuovi vertici
+                const first = from / 4 * 6;
+                for (let k = 0; k < 6; k++) {
+                    indices[quad * 6 + k] = meshData.indices[first + k] - from + to;
                 }
+                quad++;
             }
-        }
+        });
         
-        return true;
+        return { positions, normals, uvs, colors, textureIndices, indices, groups };
     }
     
     /**
-     * Ottieni la posizione di un punto nel quad
-     * @param {Object} startPos
-     * @param {Object} direction
-     * @param {number} u
-     * @param {number} v
+     * Crea la geometria di ogni passata dai vertici di buildMeshes()
+     * @param {Object} meshes - Vertici per passata, null se la passata non ha facce
      * @returns {Object}
      */
-    getQuadPosition(startPos, direction, u, v) {
-        const pos = { x: startPos.x, y: startPos.y, z: startPos.z };
-        
-        switch (direction.axis) {
-            case 0: // X axis
-                pos.y += v;
-                pos.z += u;
-                break;
-            case 1: // Y axis
-                pos.x += u;
-                pos.z += v;
-                break;
-            case 2: // Z axis
-                pos.x += u;
-                pos.y += v;
-                break;
-        }
-        
-        return pos;
-    }
-    
-    /**
-     * Verifica se una faccia dovrebbe essere renderizzata
-     * @param {Chunk} chunk
-     * @param {number} x
-     * @param {number} y
-     * @param {number} z
-     * @param {Object} direction
-     * @returns {boolean}
-     */
-    shouldRenderFace(chunk, x, y, z, direction) {
-        if (!chunk.isSolid(x, y, z)) {
-            return false;
-        }
-        
-        return chunk.isFaceExposed(x, y, z, direction.name);
+    createGeometries(meshes) {
+        const geometries = {};
+        RENDER_PASSES.forEach(pass => {
+            geometries[pass] = meshes[pass] ? this.createGeometry(meshes[pass]) : null;
+        });
+        return geometries;
     }
     
     /**
-     * Crea vertici per un quad
-     * @param {Object} quad
-     * @param {Object} direction
-     * @returns {Array} Array di vertici
+     * Crea la geometria dai vertici di mergeSections()
+     * L'attributo textureIndex contiene l'indice della texture di ogni vertice
+     * (per gli atlanti), i gruppi le stesse texture per i materiali separati;
+     * l'attributo color l'occlusione ambientale (materiali con vertexColors)
+     * @param {Object} meshData
+     * @returns {THREE.BufferGeometry}
      */
-    createQuadVertices(quad, direction) {
-        const size = this.config.voxelSize;
-        const vertices = [];
+    createGeometry(meshData) {
+        const geometry = new THREE.BufferGeometry();
         
-        const x = quad.x * size;
-        const y = quad.y * size;
-        const z = quad.z * size;
-        const w = quad.width * size;
-        const h = quad.height * size;
+        geometry.setAttribute('position', new THREE.BufferAttribute(meshData.positions, 3));
         
-        switch (direction.name) {
-            case 'top':
-                vertices.push(
-                    { x: x, y: y + size, z: z },
-                    { x: x + w, y: y + size, z: z },
-                    { x: x + w, y: y + size, z: z + h },
-                    { x: x, y: y + size, z: z + h }
-                );
-                break;
-            case 'bottom':
-                vertices.push(
-                    { x: x, y: y, z: z + h },
-                    { x: x + w, y: y, z: z + h },
-                    { x: x + w, y: y, z: z },
-                    { x: x, y: y, z: z }
-                );
-                break;
-            case 'north':
-                vertices.push(
-                    { x: x, y: y, z: z },
-                    { x: x + w, y: y, z: z },
-                    { x: x + w, y: y + h, z: z },
-                    { x: x, y: y + h, z: z }
-                );
-                break;
-            case 'south':
-                vertices.push(
-                    { x: x + w, y: y, z: z + size },
-                    { x: x, y: y, z: z + size },
-                    { x: x, y: y + h, z: z + size },
-                    { x: x + w, y: y + h, z: z + size }
-                );
-                break;
-            case 'east':
-                vertices.push(
-                    { x: x + size, y: y, z: z },
-                    { x: x + size, y: y, z: z + w },
-                    { x: x + size, y: y + h, z: z + w },
-                    { x: x + size, y: y + h, z: z }
-                );
-                break;
-            case 'west':
-                vertices.push(
-                    { x: x, y: y, z: z + w },
-                    { x: x, y: y, z: z },
-                    { x: x, y: y + h, z: z },
-                    { x: x, y: y + h, z: z + w }
-                );
-                break;
+        if (this.config.generateNormals) {
+            geometry.setAttribute('normal', new THREE.BufferAttribute(meshData.normals, 3));
         }
         
-        return vertices;
-    }
-    
-    /**
-     * Ottieni gli assi per una direzione
-     * @param {number} axis
-     * @returns {Array}
-     */
-    getAxesForDirection(axis) {
-        switch (axis) {
-            case 0: return [1, 2, 0]; // X: Y, Z, X
-            case 1: return [0, 2, 1]; // Y: X, Z, Y
-            case 2: return [0, 1, 2]; // Z: X, Y, Z
-            default: return [0, 1, 2];
+        if (this.config.generateUVs) {
+            geometry.setAttribute('uv', new THREE.BufferAttribute(meshData.uvs, 2));
         }
-    }
-    
-    /**
-     * Crea posizione basandosi su assi
-     * @param {number} u
-     * @param {number} v
-     * @param {number} w
-     * @param {number} axis
-     * @returns {Object}
-     */
-    createPosition(u, v, w, axis) {
-        switch (axis) {
-            case 0: return { x: w, y: u, z: v };
-            case 1: return { x: u, y: w, z: v };
-            case 2: return { x: u, y: v, z: w };
-            default: return { x: u, y: v, z: w };
+        
+        geometry.setAttribute('color', new THREE.BufferAttribute(meshData.colors, 3));
+        geometry.setAttribute('textureIndex', new THREE.BufferAttribute(meshData.textureIndices, 1));
+        geometry.setIndex(new THREE.BufferAttribute(meshData.indices, 1));
+        
+        meshData.groups.forEach((group, index) => {
+            geometry.addGroup(group.start, group.count, index);
+        });
+        geometry.userData.textures = meshData.groups.map(group => group.texture);
+        
+        if (!this.config.generateNormals) {
+            geometry.computeVertexNormals();
         }
+        
+        return geometry;
     }
     
     /**
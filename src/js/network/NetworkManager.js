@@ -407,7 +407,7 @@ export class NetworkManager {
      * Handle chunk data
      */
     onChunkData(data) {
-        const { chunkX, chunkZ, blockData } = data;
+        const { chunkX, chunkZ, changes } = data;
         
         // Notify game
         this.emit('chunk_data', data);
@@ -437,11 +437,16 @@ export class NetworkManager {
      * Handle server info
      */
     onServerInfo(data) {
-        const { playerId, sessionId, serverVersion, maxPlayers, currentPlayers } = data;
+        const { playerId, sessionId, serverVersion, maxPlayers, currentPlayers, worldSeed } = data;
         
         this.playerId = playerId;
         this.sessionId = sessionId;
         
+        // Generate the same terrain as the server
+        if (worldSeed !== undefined && this.game && this.game.world) {
+            this.game.world.setSeed(worldSeed);
+        }
+        
         console.log(`Server info - ID: ${playerId}, Session: ${sessionId}`);
         console.log(`Server version: ${serverVersion}, Players: ${currentPlayers}/${maxPlayers}`);
         
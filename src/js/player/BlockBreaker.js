@@ -0,0 +1,117 @@
+import { CONFIG } from '../config/config.js';
+import { BlockRegistry } from '../world/BlockRegistry.js';
+
+/**
+ * BlockBreaker times the mining of the block under the crosshair while the button is held
+ * A block breaks after hardness × HARDNESS_TIME seconds, divided by the speed of the held
+ * tool when its type is the tool of the block. Moving the crosshair to another block or
+ * switching tool starts over. Blocks with negative hardness (bedrock) only break in creative mode, where every
+ * block breaks at once
+ */
+export class BlockBreaker {
+    constructor() {
+        this.position = null; // Block being mined, null when idle
+        this.blockType = null;
+        this.tool = null;
+        this.elapsed = 0;
+        this.duration = Infinity;
+        this.cooldown = 0; // Seconds before the next block starts, after one broke
+    }
+    
+    /**
+     * Get the seconds it takes to break a block
+     * @param {string} blockType - Block name
+     * @param {string|null} tool - Held tool (CONFIG.TOOLS key in lowercase), null for the hand
+     * @param {boolean} creative - Creative mode
+     * @returns {number} Seconds, Infinity for blocks that do not break
+     */
+    static getBreakTime(blockType, tool = null, creative = false) {
+        const definition = BlockRegistry.getDefinition(blockType);
+        if (!definition) return Infinity;
+        if (creative) return 0;
+        
+        const hardness = definition.hardness || 0;
+        if (hardness < 0) return Infinity;
+        
+        const toolDefinition = tool ? CONFIG.TOOLS[tool.toUpperCase()] : null;
+        const speed = toolDefinition && toolDefinition.type === definition.tool ? toolDefinition.speed : 1;
+        return hardness * CONFIG.PLAYER.MINING.HARDNESS_TIME / speed;
+    }
+    
+    /**
+     * Check if a block can be broken at all
+     */
+    static canBreak(blockType, creative = false) {
+        return BlockBreaker.getBreakTime(blockType, null, creative) !== Infinity;
+    }
+    
+    /**
+     * Advance the mining of the targeted block
+     * @param {Object} target - Block under the crosshair (see VoxelRaycaster)
+     * @param {string|null} tool - Held tool, null for the hand
+     * @param {boolean} creative - Creative mode
+     * @returns {boolean} True when the block is mined and should break
+     */
+    update(deltaTime, target, tool = null, creative = false) {
+        if (this.cooldown > 0) {
+            this.cooldown = Math.max(0, this.cooldown - deltaTime);
+            return false;
+        }
+        
+        if (!target.hit) {
+            this.cancel();
+            return false;
+        }
+        
+        // Another block (or the same block changed) or another tool: start over
+        const { x, y, z } = target.position;
+        if (!this.position || this.position.x !== x || this.position.y !== y || this.position.z !== z ||
+            this.blockType !== target.blockType || this.tool !== tool) {
+            this.position = { x, y, z };
+            this.blockType = target.blockType;
+            this.tool = tool;
+            this.elapsed = 0;
+            this.duration = BlockBreaker.getBreakTime(target.blockType, tool, creative);
+        }
+        
+        this.elapsed += deltaTime;
+        if (this.elapsed < this.duration) {
+            return false;
+        }
+        
+        this.cancel();
+        this.cooldown = CONFIG.PLAYER.MINING.BREAK_DELAY;
+        return true;
+    }
+    
+    /**
+     * Get the mining progress
+     * @returns {number} 0 to 1, 0 when idle or the block does not break
+     */
+    getProgress() {
+        if (!this.position || this.duration === Infinity) return 0;
+        return this.duration > 0 ? Math.min(1, this.elapsed / this.duration) : 1;
+    }
+    
+    /**
+     * Get the crack stage to draw on the block being mined
+     * @returns {number} 0 to STAGES - 1, -1 when there is nothing to draw
+     */
+    getStage() {
+        const progress = this.getProgress();
+        if (progress === 0) return -1;
+        return Math.min(CONFIG.PLAYER.MINING.STAGES - 1, Math.floor(progress * CONFIG.PLAYER.MINING.STAGES));
+    }
+    
+    /**
+     * Stop mining, the progress is lost
+     * The cooldown after a break goes on, so clicking again does not skip BREAK_DELAY
+     */
+    cancel() {
+        this.position = null;
+        this.blockType = null;
+        this.tool = null;
+        this.elapsed = 0;
+        this.duration = Infinity;
+    }
+}
\ No newline at end of file
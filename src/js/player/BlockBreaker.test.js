@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { CONFIG } from '../config/config.js';
+import { BlockBreaker } from './BlockBreaker.js';
+
+const { HARDNESS_TIME, BREAK_DELAY } = CONFIG.PLAYER.MINING;
+
+/**
+ * Raycast result for a block at the given position
+ */
+function targetAt(x, y, z, blockType = 'stone') {
+    return { hit: true, position: { x, y, z }, blockType };
+}
+
+describe('BlockBreaker', () => {
+    describe('getBreakTime', () => {
+        it('takes hardness × HARDNESS_TIME seconds by hand', () => {
+            expect(BlockBreaker.getBreakTime('stone')).toBeCloseTo(3 * HARDNESS_TIME);
+            expect(BlockBreaker.getBreakTime('leaves')).toBeCloseTo(0.5 * HARDNESS_TIME);
+        });
+        
+        it('divides the time by the speed of the right tool only', () => {
+            const { speed } = CONFIG.TOOLS.STONE_PICKAXE;
+            expect(BlockBreaker.getBreakTime('stone', 'stone_pickaxe')).toBeCloseTo(3 * HARDNESS_TIME / speed);
+            expect(BlockBreaker.getBreakTime('stone', 'wooden_shovel')).toBeCloseTo(3 * HARDNESS_TIME);
+        });
+        
+        it('never breaks bedrock or unknown blocks in survival', () => {
+            expect(BlockBreaker.getBreakTime('bedrock')).toBe(Infinity);
+            expect(BlockBreaker.getBreakTime('bedrock', 'diamond_pickaxe')).toBe(Infinity);
+            expect(BlockBreaker.getBreakTime('not_a_block')).toBe(Infinity);
+        });
+        
+        it('breaks every block at once in creative mode, bedrock included', () => {
+            expect(BlockBreaker.getBreakTime('stone', null, true)).toBe(0);
+            expect(BlockBreaker.getBreakTime('bedrock', null, true)).toBe(0);
+            expect(BlockBreaker.canBreak('bedrock')).toBe(false);
+            expect(BlockBreaker.canBreak('bedrock', true)).toBe(true);
+        });
+    });
+    
+    describe('update', () => {
+        it('breaks the block once its time has passed', () => {
+            const breaker = new BlockBreaker();
+            const target = targetAt(1, 2, 3, 'dirt');
+            const duration = BlockBreaker.getBreakTime('dirt');
+            
+            expect(breaker.update(duration / 2, target)).toBe(false);
+            expect(breaker.getProgress()).toBeCloseTo(0.5);
+            expect(breaker.update(duration / 2, target)).toBe(true);
+            expect(breaker.getProgress()).toBe(0);
+        });
+        
+        it('starts over on another block or another tool', () => {
+            const breaker = new BlockBreaker();
+            const duration = BlockBreaker.getBreakTime('stone');
+            
+            breaker.update(duration * 0.75, targetAt(0, 0, 0));
+            expect(breaker.update(duration * 0.5, targetAt(1, 0, 0))).toBe(false);
+            expect(breaker.getProgress()).toBeCloseTo(0.5);
+            
+            breaker.update(0, targetAt(1, 0, 0), 'wooden_pickaxe');
+            expect(breaker.getProgress()).toBe(0);
+        });
+        
+        it('mines faster with the right tool', () => {
+            const breaker = new BlockBreaker();
+            const duration = BlockBreaker.getBreakTime('stone', 'iron_pickaxe');
+            expect(breaker.update(duration, targetAt(0, 0, 0), 'iron_pickaxe')).toBe(true);
+        });
+        
+        it('never breaks bedrock in survival, at once in creative mode', () => {
+            const breaker = new BlockBreaker();
+            expect(breaker.update(1000, targetAt(0, 0, 0, 'bedrock'))).toBe(false);
+            expect(breaker.getStage()).toBe(-1);
+            
+            expect(new BlockBreaker().update(0, targetAt(0, 0, 0, 'bedrock'), null, true)).toBe(true);
+        });
+        
+        it('keeps the cooldown after a break when mining is cancelled', () => {
+            const breaker = new BlockBreaker();
+            const target = targetAt(0, 0, 0, 'leaves');
+            expect(breaker.update(BlockBreaker.getBreakTime('leaves'), target)).toBe(true);
+            
+            // Releasing the button and clicking again does not skip BREAK_DELAY
+            breaker.cancel();
+            expect(breaker.update(0, target, null, true)).toBe(false);
+            expect(breaker.update(BREAK_DELAY / 2, target, null, true)).toBe(false);
+            expect(breaker.update(BREAK_DELAY / 2, target, null, true)).toBe(false);
+            expect(breaker.update(0, target, null, true)).toBe(true);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,177 @@
+import * as THREE from 'three';
+import { BlockRegistry } from '../world/BlockRegistry.js';
+
+/**
+ * BlockEditor applies the blocks the player breaks and places
+ * An edit changes the voxel world (which relights and remeshes the chunks around the block,
+ * also across chunk borders), plays its sound and is sent to the server. Edits of other
+ * players come back from the server and are applied the same way, without sound.
+ * Every chunk that loads asks the server for the edits stored in it, including those made
+ * while the chunk was not loaded here
+ */
+export class BlockEditor {
+    /**
+     * @param {VoxelWorld} voxelWorld - World the blocks are set in
+     * @param {Object} options - audioManager and networkManager, both optional
+     */
+    constructor(voxelWorld, { audioManager = null, networkManager = null } = {}) {
+        this.voxelWorld = voxelWorld;
+        this.audioManager = audioManager;
+        this.networkManager = networkManager;
+        
+        // Own edits the server has not sent back yet, by "x,y,z", with their count
+        this.unconfirmedEdits = new Map();
+        
+        if (this.networkManager) {
+            this.onBlockChanged = data => this.applyRemoteChange(data);
+            this.networkManager.on('block_changed', this.onBlockChanged);
+            this.onChunkData = data => this.applyChunkChanges(data);
+            this.networkManager.on('chunk_data', this.onChunkData);
+            
+            this.onChunkLoaded = chunk => this.networkManager.requestChunk(chunk.x, chunk.z);
+            this.voxelWorld.on('chunk_loaded', this.onChunkLoaded);
+            this.voxelWorld.chunks.forEach(chunk => this.networkManager.requestChunk(chunk.x, chunk.z));
+        }
+    }
+    
+    /**
+     * Break a block
+     * @param {Object} position - Block coordinates {x, y, z}
+     * @returns {string|null} Block broken, null when there was nothing to break
+     */
+    breakBlock(position) {
+        const { x, y, z } = position;
+        const blockType = this.voxelWorld.getBlock(x, y, z);
+        if (blockType === null || blockType === 'air' || !this.setBlock(position, 'air')) {
+            return null;
+        }
+        
+        if (this.audioManager) {
+            this.audioManager.playBlockBreak(blockType, this.getCenter(position));
+        }
+        return blockType;
+    }
+    
+    /**
+     * Place a block
+     * @param {Object} position - Block coordinates {x, y, z}
+     * @param {string} blockType - Block name
+     * @param {Object} [box] - Box of the player {min, max} (see VoxelCollider.getBox), solid blocks are not placed in it
+     * @returns {boolean} True if the block was placed
+     */
+    placeBlock(position, blockType, box = null) {
+        if (!this.canPlace(position, blockType, box) || !this.setBlock(position, blockType)) {
+            return false;
+        }
+        
+        if (this.audioManager) {
+            this.audioManager.playBlockPlace(this.getCenter(position));
+        }
+        return true;
+    }
+    
+    /**
+     * Check if a block can be placed
+     * Blocks replace air and liquids only, and solid blocks must not overlap the box
+     */
+    canPlace(position, blockType, box = null) {
+        const definition = BlockRegistry.getDefinition(blockType);
+        if (!definition || blockType === 'air') return false;
+        
+        const { x, y, z } = position;
+        const current = this.voxelWorld.getBlock(x, y, z);
+        if (current === null || (current !== 'air' && !BlockRegistry.getDefinition(current).liquid)) {
+            return false;
+        }
+        
+        return definition.solid === false || !box || !this.intersects(position, box);
+    }
+    
+    /**
+     * Check if a block overlaps a box, touching faces do not overlap
+     */
+    intersects({ x, y, z }, box) {
+        return box.min.x < x + 1 && box.max.x > x &&
+            box.min.y < y + 1 && box.max.y > y &&
+            box.min.z < z + 1 && box.max.z > z;
+    }
+    
+    /**
+     * Set a block in the world and send the change to the server
+     */
+    setBlock(position, blockType) {
+        const { x, y, z } = position;
+        if (!this.voxelWorld.setBlock(x, y, z, blockType)) {
+            return false;
+        }
+        
+        if (this.networkManager) {
+            this.networkManager.sendBlockChange({ x, y, z }, blockType);
+            
+            const blockKey = `${x},${y},${z}`;
+            this.unconfirmedEdits.set(blockKey, (this.unconfirmedEdits.get(blockKey) || 0) + 1);
+        }
+        return true;
+    }
+    
+    /**
+     * Apply a block change received from the server
+     * The server sends changes back to the player who made them, those are already applied
+     * @param {Object} data - position, blockType and playerId of the change
+     */
+    applyRemoteChange({ position, blockType, playerId }) {
+        if (playerId === this.networkManager.playerId) {
+            const blockKey = `${position.x},${position.y},${position.z}`;
+            const count = this.unconfirmedEdits.get(blockKey) - 1;
+            if (count > 0) {
+                this.unconfirmedEdits.set(blockKey, count);
+            } else {
+                this.unconfirmedEdits.delete(blockKey);
+            }
+            return;
+        }
+        if (!BlockRegistry.getDefinition(blockType)) return;
+        
+        this.voxelWorld.setBlock(position.x, position.y, position.z, blockType);
+    }
+    
+    /**
+     * Apply the edits the server stores for a loaded chunk
+     * Blocks the player changed since are kept, the server has not seen those edits yet
+     * @param {Object} data - chunkX, chunkZ and changes ("x,y,z" local to the chunk -> block type)
+     */
+    applyChunkChanges({ chunkX, chunkZ, changes }) {
+        const chunk = this.voxelWorld.chunks.get(this.voxelWorld.getChunkKey(chunkX, chunkZ));
+        if (!chunk || !changes) return;
+        
+        Object.entries(changes).forEach(([blockKey, blockType]) => {
+            const [localX, y, localZ] = blockKey.split(',').map(Number);
+            const x = chunkX * chunk.size + localX;
+            const z = chunkZ * chunk.size + localZ;
+            
+            if (this.unconfirmedEdits.has(`${x},${y},${z}`) || !BlockRegistry.getDefinition(blockType) ||
+                chunk.getBlock(localX, y, localZ) === blockType) {
+                return;
+            }
+            this.voxelWorld.setBlock(x, y, z, blockType);
+        });
+    }
+    
+    /**
+     * Get the center of a block, where its sounds play
+     */
+    getCenter({ x, y, z }) {
+        return new THREE.Vector3(x + 0.5, y + 0.5, z + 0.5);
+    }
+    
+    /**
+     * Stop applying changes from the server
+     */
+    dispose() {
+        if (this.networkManager) {
+            this.networkManager.off('block_changed', this.onBlockChanged);
+            this.networkManager.off('chunk_data', this.onChunkData);
+            this.voxelWorld.off('chunk_loaded', this.onChunkLoaded);
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,54 @@
+import * as THREE from 'three';
+import { CONFIG } from '../config/config.js';
+
+// Outline a little larger than a block, so its edges do not fight with the block faces
+const OUTLINE_SIZE = 1.005;
+
+/**
+ * BlockHighlight outlines the block under the crosshair
+ * The outline is the wireframe of a block drawn at the block the player targets,
+ * hidden when nothing is in reach
+ */
+export class BlockHighlight {
+    /**
+     * @param {THREE.Scene} scene
+     */
+    constructor(scene) {
+        this.scene = scene;
+        
+        const { COLOR, OPACITY } = CONFIG.UI.BLOCK_HIGHLIGHT;
+        const geometry = new THREE.EdgesGeometry(new THREE.BoxGeometry(OUTLINE_SIZE, OUTLINE_SIZE, OUTLINE_SIZE));
+        const material = new THREE.LineBasicMaterial({ color: COLOR, transparent: true, opacity: OPACITY, fog: false });
+        
+        this.outline = new THREE.LineSegments(geometry, material);
+        this.outline.name = 'block-highlight';
+        this.outline.visible = false;
+        this.outline.matrixAutoUpdate = false;
+        this.scene.add(this.outline);
+    }
+    
+    /**
+     * Move the outline to the targeted block
+     * @param {Object} target - Raycast result (see VoxelRaycaster), the outline hides when it did not hit
+     */
+    update(target) {
+        if (!target || !target.hit) {
+            this.outline.visible = false;
+            return;
+        }
+        
+        const { x, y, z } = target.position;
+        this.outline.position.set(x + 0.5, y + 0.5, z + 0.5);
+        this.outline.updateMatrix();
+        this.outline.visible = true;
+    }
+    
+    /**
+     * Remove the outline from the scene
+     */
+    dispose() {
+        this.scene.remove(this.outline);
+        this.outline.geometry.dispose();
+        this.outline.material.dispose();
+    }
+}
\ No newline at end of file
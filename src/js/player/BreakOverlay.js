@@ -0,0 +1,117 @@
+import * as THREE from 'three';
+import { CONFIG } from '../config/config.js';
+
+// Pixels per side of the crack texture, the size of the block textures
+const TEXTURE_SIZE = 16;
+
+// Cracks drawn from the middle of a face, and pixels each one grows to at the last stage
+const CRACKS = 5;
+const CRACK_LENGTH = 12;
+
+// Box a little larger than a block, so the cracks do not fight with the block faces
+const OVERLAY_SIZE = 1.002;
+
+/**
+ * Create the crack textures, one per stage
+ * The cracks are random walks from the middle of the face (always the same ones), every
+ * stage draws a longer part of each, so the cracks grow from stage to stage
+ * @returns {THREE.DataTexture[]}
+ */
+function createStageTextures(stages) {
+    let seed = 7;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    
+    // Pixels of the cracks with the step they are reached at
+    const pixels = [];
+    for (let crack = 0; crack < CRACKS; crack++) {
+        let x = TEXTURE_SIZE / 2;
+        let y = TEXTURE_SIZE / 2;
+        let angle = (crack + random()) / CRACKS * Math.PI * 2;
+        for (let step = 0; step < CRACK_LENGTH; step++) {
+            angle += (random() - 0.5) * 1.2;
+            x = Math.min(TEXTURE_SIZE - 1, Math.max(0, x + Math.cos(angle)));
+            y = Math.min(TEXTURE_SIZE - 1, Math.max(0, y + Math.sin(angle)));
+            pixels.push({ index: Math.floor(y) * TEXTURE_SIZE + Math.floor(x), step });
+        }
+    }
+    
+    const textures = [];
+    for (let stage = 0; stage < stages; stage++) {
+        const data = new Uint8Array(TEXTURE_SIZE * TEXTURE_SIZE * 4);
+        const length = (stage + 1) / stages * CRACK_LENGTH;
+        pixels.forEach(({ index, step }) => {
+            if (step < length) {
+                data[index * 4 + 3] = 160; // Dark crack, the rgb stays black
+            }
+        });
+        
+        const texture = new THREE.DataTexture(data, TEXTURE_SIZE, TEXTURE_SIZE);
+        texture.magFilter = THREE.NearestFilter;
+        texture.minFilter = THREE.NearestFilter;
+        texture.needsUpdate = true;
+        textures.push(texture);
+    }
+    return textures;
+}
+
+/**
+ * BreakOverlay draws the cracks of the block being mined
+ * A box around the block shows the crack texture of the mining stage (see BlockBreaker),
+ * hidden when nothing is being mined
+ */
+export class BreakOverlay {
+    /**
+     * @param {THREE.Scene} scene
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.textures = createStageTextures(CONFIG.PLAYER.MINING.STAGES);
+        this.stage = -1;
+        
+        const material = new THREE.MeshBasicMaterial({
+            map: this.textures[0],
+            transparent: true,
+            depthWrite: false,
+            polygonOffset: true,
+            polygonOffsetFactor: -1,
+            polygonOffsetUnits: -1
+        });
+        
+        this.mesh = new THREE.Mesh(new THREE.BoxGeometry(OVERLAY_SIZE, OVERLAY_SIZE, OVERLAY_SIZE), material);
+        this.mesh.name = 'break-overlay';
+        this.mesh.visible = false;
+        this.mesh.matrixAutoUpdate = false;
+        this.scene.add(this.mesh);
+    }
+    
+    /**
+     * Move the cracks to the block being mined
+     * @param {Object|null} position - Block coordinates {x, y, z}, null when nothing is mined
+     * @param {number} stage - Crack stage, -1 hides the cracks
+     */
+    update(position, stage) {
+        if (!position || stage < 0) {
+            this.mesh.visible = false;
+            return;
+        }
+        
+        if (stage !== this.stage) {
+            this.stage = stage;
+            this.mesh.material.map = this.textures[stage];
+        }
+        
+        this.mesh.position.set(position.x + 0.5, position.y + 0.5, position.z + 0.5);
+        this.mesh.updateMatrix();
+        this.mesh.visible = true;
+    }
+    
+    /**
+     * Remove the overlay from the scene
+     */
+    dispose() {
+        this.scene.remove(this.mesh);
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+        this.textures.forEach(texture => texture.dispose());
+    }
+}
\ No newline at end of file
@@ -1,6 +1,8 @@
 import * as THREE from 'three';
-import * as CANNON from 'cannon-es';
 import { CONFIG } from '../config/config.js';
+import { BlockRegistry } from '../world/BlockRegistry.js';
+import { VoxelCollider } from './VoxelCollider.js';
+import { BlockBreaker } from './BlockBreaker.js';
 
 /**
  * Player class handles player movement, physics, and interactions
@@ -8,7 +10,7 @@ import { CONFIG } from '../config/config.js';
 export class Player {
     constructor(scene, world, camera) {
         this.scene = scene;
-        this.world = world; // Physics world
+        this.world = world;
         this.camera = camera;
         
         // Player state
@@ -43,18 +45,25 @@ export class Player {
         this.mouseMovement = { x: 0, y: 0 };
         this.isPointerLocked = false;
         
-        // Physics body
-        this.body = null;
-        this.initPhysics();
+        // Collision with the blocks of the voxel world passed to update()
+        this.voxelWorld = null;
+        this.collider = new VoxelCollider((x, y, z) => (this.voxelWorld ? this.voxelWorld.getBlock(x, y, z) : null));
         
-        // Player inventory and interaction
+        // Player inventory and interaction, the selected item is a block or a tool (see heldTool)
         this.selectedBlockType = 'dirt';
         this.inventory = new Map();
         this.initInventory();
         
         // Interaction
-        this.reach = CONFIG.PLAYER.REACH;
-        this.raycaster = new THREE.Raycaster();
+        this.reach = CONFIG.PLAYER.REACH_DISTANCE;
+        this.lookDirection = new THREE.Vector3();
+        this.target = { hit: false }; // Block under the crosshair, refreshed every update
+        this.blockEditor = null; // Applies the blocks broken and placed (see BlockEditor), set by the game
+        
+        // Mining while the left button is held
+        this.gameMode = CONFIG.PLAYER.GAME_MODE;
+        this.blockBreaker = new BlockBreaker();
+        this.isMining = false;
         
         // Event listeners
         this.setupEventListeners();
@@ -63,61 +72,39 @@ export class Player {
     }
     
     /**
-     * Initialize physics body
+     * Initialize player inventory
      */
-    initPhysics() {
-        // Create player physics body (capsule-like)
-        const shape = new CANNON.Cylinder(
-            CONFIG.PLAYER.RADIUS,
-            CONFIG.PLAYER.RADIUS,
-            CONFIG.PLAYER.HEIGHT,
-            8
-        );
-        
-        this.body = new CANNON.Body({
-            mass: CONFIG.PLAYER.MASS,
-            shape: shape,
-            position: new CANNON.Vec3(this.position.x, this.position.y, this.position.z),
-            material: new CANNON.Material({
-                friction: 0.1,
-                restitution: 0.0
-            })
+    initInventory() {
+        const blockTypes = BlockRegistry.getNames();
+        blockTypes.forEach(blockType => {
+            this.inventory.set(blockType, 64); // Start with 64 of each block type
+        });
+        this.getToolTypes().forEach(tool => {
+            this.inventory.set(tool, 1);
         });
-        
-        // Prevent body from rotating
-        this.body.fixedRotation = true;
-        this.body.updateMassProperties();
-        
-        // Add to physics world
-        this.world.addBody(this.body);
-        
-        // Ground detection
-        this.setupGroundDetection();
     }
     
     /**
-     * Setup ground detection for jumping
+     * Get the tool names, the CONFIG.TOOLS keys in lowercase
      */
-    setupGroundDetection() {
-        this.body.addEventListener('collide', (event) => {
-            const contact = event.contact;
-            const other = event.target === this.body ? event.body : event.target;
-            
-            // Check if collision is below the player
-            if (contact.ri.y < -CONFIG.PLAYER.HEIGHT / 2 + 0.1) {
-                this.isOnGround = true;
-            }
-        });
+    getToolTypes() {
+        return Object.keys(CONFIG.TOOLS).map(key => key.toLowerCase());
     }
     
     /**
-     * Initialize player inventory
+     * Get the items that can be selected: the blocks, then the tools
      */
-    initInventory() {
-        const blockTypes = Object.keys(CONFIG.BLOCKS.TYPES);
-        blockTypes.forEach(blockType => {
-            this.inventory.set(blockType, 64); // Start with 64 of each block type
-        });
+    getItemTypes() {
+        return [...BlockRegistry.getNames(), ...this.getToolTypes()];
+    }
+    
+    /**
+     * Tool in hand: the selected item when it is a tool in the inventory
+     * @returns {string|null} CONFIG.TOOLS key in lowercase, null for the hand
+     */
+    get heldTool() {
+        const item = this.selectedBlockType;
+        return CONFIG.TOOLS[item.toUpperCase()] && this.inventory.get(item) > 0 ? item : null;
     }
     
     /**
@@ -256,15 +243,17 @@ export class Player {
         
         event.preventDefault();
         
-        if (event.button === 0) { // Left click - break block
-            this.breakBlock();
+        if (event.button === 0) { // Left click - mine block while held
+            this.isMining = true;
         } else if (event.button === 2) { // Right click - place block
             this.placeBlock();
         }
     }
     
     onMouseUp(event) {
-        // Handle mouse up if needed
+        if (event.button === 0) {
+            this.stopMining();
+        }
     }
     
     /**
@@ -273,17 +262,17 @@ export class Player {
     onMouseWheel(event) {
         event.preventDefault();
         
-        const blockTypes = Object.keys(CONFIG.BLOCKS.TYPES);
-        const currentIndex = blockTypes.indexOf(this.selectedBlockType);
+        const itemTypes = this.getItemTypes();
+        const currentIndex = itemTypes.indexOf(this.selectedBlockType);
         let newIndex;
         
         if (event.deltaY > 0) {
-            newIndex = (currentIndex + 1) % blockTypes.length;
+            newIndex = (currentIndex + 1) % itemTypes.length;
         } else {
-            newIndex = (currentIndex - 1 + blockTypes.length) % blockTypes.length;
+            newIndex = (currentIndex - 1 + itemTypes.length) % itemTypes.length;
         }
         
-        this.selectedBlockType = blockTypes[newIndex];
+        this.selectedBlockType = itemTypes[newIndex];
         this.updateHotbarUI();
     }
     
@@ -296,6 +285,7 @@ export class Player {
         if (this.isPointerLocked) {
             console.log('Pointer locked');
         } else {
+            this.stopMining();
             console.log('Pointer unlocked');
         }
     }
@@ -306,15 +296,33 @@ export class Player {
     
     /**
      * Update player physics and movement
+     * @param {VoxelWorld} voxelWorld - Blocks the player collides with
      */
     update(deltaTime, voxelWorld) {
+        this.voxelWorld = voxelWorld;
         this.handleMovement(deltaTime);
-        this.updatePosition();
+        this.updatePosition(deltaTime);
         this.updateCamera();
         this.checkGroundCollision();
-        
-        // Reset ground state (will be set by collision detection)
-        this.isOnGround = false;
+        this.target = this.raycastBlocks();
+        this.updateMining(deltaTime);
+    }
+    
+    /**
+     * Mine the targeted block, it breaks when its break time is over (see BlockBreaker)
+     */
+    updateMining(deltaTime) {
+        if (this.isMining && this.blockBreaker.update(deltaTime, this.target, this.heldTool, this.gameMode === 'creative')) {
+            this.breakBlock();
+        }
+    }
+    
+    /**
+     * Stop mining, the progress on the block is lost
+     */
+    stopMining() {
+        this.isMining = false;
+        this.blockBreaker.cancel();
     }
     
     /**
@@ -342,27 +350,30 @@ export class Player {
         if (this.isRunning) currentSpeed *= CONFIG.PLAYER.RUN_MULTIPLIER;
         if (this.isCrouching) currentSpeed *= CONFIG.PLAYER.CROUCH_MULTIPLIER;
         
-        // Apply movement to physics body
+        // Apply movement to velocity
         if (this.isFlying) {
             // Flying mode
-            this.body.velocity.x = moveVector.x * currentSpeed;
-            this.body.velocity.z = moveVector.z * currentSpeed;
+            this.velocity.x = moveVector.x * currentSpeed;
+            this.velocity.z = moveVector.z * currentSpeed;
             
             if (this.keys.jump) {
-                this.body.velocity.y = currentSpeed;
+                this.velocity.y = currentSpeed;
             } else if (this.keys.crouch) {
-                this.body.velocity.y = -currentSpeed;
+                this.velocity.y = -currentSpeed;
             } else {
-                this.body.velocity.y = 0;
+                this.velocity.y = 0;
             }
         } else {
             // Normal movement
-            this.body.velocity.x = moveVector.x * currentSpeed;
-            this.body.velocity.z = moveVector.z * currentSpeed;
+            this.velocity.x = moveVector.x * currentSpeed;
+            this.velocity.z = moveVector.z * currentSpeed;
+            
+            // Gravity, up to the speed of a free fall
+            this.velocity.y = Math.max(this.velocity.y + CONFIG.PHYSICS.GRAVITY * deltaTime, -CONFIG.PLAYER.MAX_FALL_SPEED);
             
             // Jumping
             if (this.keys.jump && this.isOnGround && !this.isJumping) {
-                this.body.velocity.y = this.jumpSpeed;
+                this.velocity.y = this.jumpSpeed;
                 this.isJumping = true;
                 this.isOnGround = false;
             }
@@ -370,10 +381,14 @@ export class Player {
     }
     
     /**
-     * Update player position from physics body
+     * Move the player by its velocity through the blocks
      */
-    updatePosition() {
-        this.position.copy(this.body.position);
+    updatePosition(deltaTime) {
+        const result = this.collider.move(this.position, this.velocity, deltaTime, {
+            onGround: this.isOnGround && !this.isFlying,
+            sneaking: this.isCrouching && !this.isFlying
+        });
+        this.isOnGround = result.onGround;
     }
     
     /**
@@ -402,17 +417,13 @@ export class Player {
      */
     breakBlock() {
         const intersection = this.raycastBlocks();
-        if (intersection.hit) {
-            const { x, y, z } = intersection.position;
-            const blockType = intersection.blockType;
-            
-            // Add block to inventory
-            const currentCount = this.inventory.get(blockType) || 0;
-            this.inventory.set(blockType, currentCount + 1);
-            
-            // Remove block from world
-            // This would be handled by the voxel world
-            console.log(`Broke ${blockType} at (${x}, ${y}, ${z})`);
+        if (!intersection.hit || !this.blockEditor) return;
+        if (!BlockBreaker.canBreak(intersection.blockType, this.gameMode === 'creative')) return;
+        
+        const blockType = this.blockEditor.breakBlock(intersection.position);
+        if (blockType) {
+            this.addToInventory(blockType);
+            this.target = this.raycastBlocks();
         }
     }
     
@@ -421,35 +432,28 @@ export class Player {
      */
     placeBlock() {
         const intersection = this.raycastBlocks();
-        if (intersection.hit) {
-            const { x, y, z } = intersection.adjacent;
-            
-            // Check if player has blocks in inventory
-            const currentCount = this.inventory.get(this.selectedBlockType) || 0;
-            if (currentCount > 0) {
-                // Remove block from inventory
-                this.inventory.set(this.selectedBlockType, currentCount - 1);
-                
-                // Place block in world
-                // This would be handled by the voxel world
-                console.log(`Placed ${this.selectedBlockType} at (${x}, ${y}, ${z})`);
-            }
+        if (!intersection.hit || !this.blockEditor || !this.inventory.get(this.selectedBlockType)) return;
+        
+        // Not inside the player's own box
+        const box = this.collider.getBox(this.position);
+        if (this.blockEditor.placeBlock(intersection.adjacent, this.selectedBlockType, box)) {
+            this.removeFromInventory(this.selectedBlockType);
+            this.target = this.raycastBlocks();
         }
     }
     
     /**
      * Raycast to find block at crosshair
+     * @returns {Object} First block within reach along the view, see VoxelRaycaster
      */
     raycastBlocks() {
-        // This would use the voxel world's raycast method
-        // For now, return a mock result
-        return {
-            hit: false,
-            position: { x: 0, y: 0, z: 0 },
-            adjacent: { x: 0, y: 0, z: 0 },
-            blockType: 'dirt',
-            distance: 0
-        };
+        if (!this.voxelWorld) {
+            return { hit: false };
+        }
+        
+        this.camera.updateMatrixWorld();
+        this.camera.getWorldDirection(this.lookDirection);
+        return this.voxelWorld.raycast(this.camera.position, this.lookDirection, this.reach);
     }
     
     /**
@@ -458,11 +462,11 @@ export class Player {
     toggleFly() {
         this.isFlying = !this.isFlying;
         
+        this.velocity.y = 0;
+        
         if (this.isFlying) {
-            this.body.type = CANNON.Body.KINEMATIC;
             console.log('Flying mode enabled');
         } else {
-            this.body.type = CANNON.Body.DYNAMIC;
             console.log('Flying mode disabled');
         }
     }
@@ -471,9 +475,9 @@ export class Player {
      * Select hotbar slot
      */
     selectHotbarSlot(slot) {
-        const blockTypes = Object.keys(CONFIG.BLOCKS.TYPES);
-        if (slot >= 0 && slot < blockTypes.length) {
-            this.selectedBlockType = blockTypes[slot];
+        const itemTypes = this.getItemTypes();
+        if (slot >= 0 && slot < itemTypes.length) {
+            this.selectedBlockType = itemTypes[slot];
             this.updateHotbarUI();
         }
     }
@@ -484,8 +488,7 @@ export class Player {
     updateHotbarUI() {
         // Update UI to show selected block
         const hotbarSlots = document.querySelectorAll('.hotbar-slot');
-        const blockTypes = Object.keys(CONFIG.BLOCKS.TYPES);
-        const selectedIndex = blockTypes.indexOf(this.selectedBlockType);
+        const selectedIndex = this.getItemTypes().indexOf(this.selectedBlockType);
         
         hotbarSlots.forEach((slot, index) => {
             slot.classList.toggle('selected', index === selectedIndex);
@@ -503,9 +506,9 @@ export class Player {
                 z: Math.round(this.position.z * 100) / 100
             },
             velocity: {
-                x: Math.round(this.body.velocity.x * 100) / 100,
-                y: Math.round(this.body.velocity.y * 100) / 100,
-                z: Math.round(this.body.velocity.z * 100) / 100
+                x: Math.round(this.velocity.x * 100) / 100,
+                y: Math.round(this.velocity.y * 100) / 100,
+                z: Math.round(this.velocity.z * 100) / 100
             },
             rotation: {
                 x: Math.round(this.rotation.x * 180 / Math.PI),
@@ -528,7 +531,8 @@ export class Player {
      */
     setPosition(x, y, z) {
         this.position.set(x, y, z);
-        this.body.position.set(x, y, z);
+        this.velocity.set(0, 0, 0);
+        this.isOnGround = false;
         this.updateCamera();
     }
     
@@ -561,11 +565,6 @@ export class Player {
      * Dispose of player resources
      */
     dispose() {
-        // Remove physics body
-        if (this.body) {
-            this.world.removeBody(this.body);
-        }
-        
         // Remove event listeners
         document.removeEventListener('keydown', this.onKeyDown);
         document.removeEventListener('keyup', this.onKeyUp);
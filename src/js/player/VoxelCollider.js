@@ -0,0 +1,226 @@
+import { CONFIG } from '../config/config.js';
+import { BlockRegistry } from '../world/BlockRegistry.js';
+
+// Gap kept between the box and the faces it touches, so touching is not overlapping
+const EPSILON = 1e-4;
+
+// Distance a sneaking move is shortened by at a time until the box stays on ground
+const EDGE_STEP = 0.05;
+
+const AXES = ['x', 'y', 'z'];
+
+/**
+ * VoxelCollider moves an axis-aligned box (the player) through the blocks of the world
+ * The move is swept one axis at a time, vertical first: on each axis the box stops at
+ * the nearest face of a solid block it would cross, and that velocity component is
+ * cleared. Blocks the box already overlaps (placed inside it) are ignored, so it can
+ * walk out of them. A box on the ground steps up blocks up to stepHeight tall, and a
+ * sneaking box does not walk off edges. Unloaded chunks are solid: the player waits
+ * for them instead of falling through the world
+ */
+export class VoxelCollider {
+    /**
+     * @param {Function} getBlock - (x, y, z) => block name, null outside loaded chunks (see VoxelWorld.getBlock)
+     * @param {Object} options - width, height and stepHeight of the box, in blocks
+     */
+    constructor(getBlock, { width = CONFIG.PLAYER.WIDTH, height = CONFIG.PLAYER.HEIGHT, stepHeight = CONFIG.PLAYER.STEP_HEIGHT } = {}) {
+        this.getBlock = getBlock;
+        this.width = width;
+        this.height = height;
+        this.stepHeight = stepHeight;
+        this.worldHeight = CONFIG.WORLD.WORLD_HEIGHT;
+    }
+    
+    /**
+     * Check if a block stops the box
+     */
+    isSolid(x, y, z) {
+        if (y < 0) return true;
+        if (y >= this.worldHeight) return false;
+        
+        const block = this.getBlock(x, y, z);
+        if (block === null) return true;
+        
+        const definition = BlockRegistry.getDefinition(block);
+        return !definition || definition.solid !== false;
+    }
+    
+    /**
+     * Get the box of a position
+     * @param {THREE.Vector3} position - Bottom center of the box (the feet)
+     */
+    getBox(position) {
+        const half = this.width / 2;
+        return {
+            min: { x: position.x - half, y: position.y, z: position.z - half },
+            max: { x: position.x + half, y: position.y + this.height, z: position.z + half }
+        };
+    }
+    
+    /**
+     * Move the box by its velocity
+     * @param {THREE.Vector3} position - Bottom center of the box, moved in place
+     * @param {THREE.Vector3} velocity - Blocks per second, components stopped by a block are cleared
+     * @param {number} deltaTime - Seconds
+     * @param {Object} options - onGround: the box stood on ground (it may step up), sneaking: keep it on edges
+     * @returns {{onGround: boolean, collided: {x: boolean, y: boolean, z: boolean}, stepped: boolean}}
+     */
+    move(position, velocity, deltaTime, { onGround = false, sneaking = false } = {}) {
+        let dx = velocity.x * deltaTime;
+        const dy = velocity.y * deltaTime;
+        let dz = velocity.z * deltaTime;
+        
+        // Sneaking on ground: shorten the move until the box keeps ground under it
+        if (sneaking && onGround) {
+            ({ dx, dz } = this.keepOnEdge(position, dx, dz));
+        }
+        
+        const box = this.getBox(position);
+        const collided = { x: false, y: false, z: false };
+        
+        const movedY = this.sweep(box, 'y', dy);
+        collided.y = movedY !== dy;
+        const landed = collided.y && dy < 0;
+        
+        const movedX = this.sweep(box, 'x', dx);
+        const movedZ = this.sweep(box, 'z', dz);
+        collided.x = movedX !== dx;
+        collided.z = movedZ !== dz;
+        
+        // Blocked while walking on ground: try again from stepHeight higher
+        let stepped = false;
+        if ((collided.x || collided.z) && (onGround || landed) && this.stepHeight > 0) {
+            const step = this.tryStep(position, movedY, dx, dz, Math.hypot(movedX, movedZ));
+            if (step) {
+                Object.assign(box, step.box);
+                collided.x = step.movedX !== dx;
+                collided.z = step.movedZ !== dz;
+                collided.y = true;
+                stepped = true;
+            }
+        }
+        
+        position.set((box.min.x + box.max.x) / 2, box.min.y, (box.min.z + box.max.z) / 2);
+        AXES.forEach(axis => {
+            if (collided[axis]) {
+                velocity[axis] = 0;
+            }
+        });
+        
+        return { onGround: landed || stepped || (dy === 0 && this.isOnGround(position)), collided, stepped };
+    }
+    
+    /**
+     * Move a box along one axis until it touches a solid block
+     * @param {Object} box - Box to move, changed in place
+     * @param {string} axis - 'x', 'y' or 'z'
+     * @param {number} distance - Signed distance to move
+     * @returns {number} Signed distance moved
+     */
+    sweep(box, axis, distance) {
+        if (distance === 0) return 0;
+        
+        const [axisA, axisB] = AXES.filter(other => other !== axis);
+        const minA = Math.floor(box.min[axisA] + EPSILON);
+        const maxA = Math.floor(box.max[axisA] - EPSILON);
+        const minB = Math.floor(box.min[axisB] + EPSILON);
+        const maxB = Math.floor(box.max[axisB] - EPSILON);
+        
+        // Layers of blocks the leading face crosses, nearest first
+        const forward = distance > 0;
+        const face = forward ? box.max[axis] : box.min[axis];
+        const first = forward ? Math.floor(face + EPSILON) : Math.ceil(face - EPSILON) - 1;
+        const last = forward ? Math.ceil(face + distance - EPSILON) - 1 : Math.floor(face + distance + EPSILON);
+        const direction = forward ? 1 : -1;
+        let moved = distance;
+        
+        for (let layer = first; forward ? layer <= last : layer >= last; layer += direction) {
+            // Distance to the near face of the layer, blocks already overlapped are skipped
+            const limit = forward ? layer - face : layer + 1 - face;
+            if (forward ? limit < -EPSILON : limit > EPSILON) continue;
+            
+            if (this.isLayerSolid(axis, layer, axisA, minA, maxA, axisB, minB, maxB)) {
+                moved = forward ? Math.max(0, limit) : Math.min(0, limit);
+                break;
+            }
+        }
+        
+        box.min[axis] += moved;
+        box.max[axis] += moved;
+        return moved;
+    }
+    
+    /**
+     * Check if any block of a layer under the box footprint is solid
+     */
+    isLayerSolid(axis, layer, axisA, minA, maxA, axisB, minB, maxB) {
+        const cell = {};
+        cell[axis] = layer;
+        for (let a = minA; a <= maxA; a++) {
+            for (let b = minB; b <= maxB; b++) {
+                cell[axisA] = a;
+                cell[axisB] = b;
+                if (this.isSolid(cell.x, cell.y, cell.z)) return true;
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * Move horizontally from stepHeight higher, then back down onto the ground
+     * @param {number} movedY - Vertical distance already moved this step
+     * @param {number} reached - Horizontal distance reached without stepping
+     * @returns {Object|null} Box and distances moved, null when stepping does not get further
+     */
+    tryStep(position, movedY, dx, dz, reached) {
+        const box = this.getBox(position);
+        this.sweep(box, 'y', movedY);
+        const startY = box.min.y;
+        
+        const raised = this.sweep(box, 'y', this.stepHeight);
+        const movedX = this.sweep(box, 'x', dx);
+        const movedZ = this.sweep(box, 'z', dz);
+        this.sweep(box, 'y', -raised);
+        
+        if (Math.hypot(movedX, movedZ) <= reached + EPSILON || box.min.y <= startY + EPSILON) {
+            return null;
+        }
+        return { box, movedX, movedZ };
+    }
+    
+    /**
+     * Check if the box stands on a solid block
+     */
+    isOnGround(position) {
+        const box = this.getBox(position);
+        return this.sweep(box, 'y', -EPSILON * 10) === 0;
+    }
+    
+    /**
+     * Shorten a horizontal move so a box on ground does not leave it (sneaking)
+     * @returns {{dx: number, dz: number}}
+     */
+    keepOnEdge(position, dx, dz) {
+        const hasGround = (offsetX, offsetZ) => {
+            const box = this.getBox(position);
+            box.min.x += offsetX;
+            box.max.x += offsetX;
+            box.min.z += offsetZ;
+            box.max.z += offsetZ;
+            return this.sweep(box, 'y', -EDGE_STEP) !== -EDGE_STEP;
+        };
+        const shorten = value => (Math.abs(value) < EDGE_STEP ? 0 : value - Math.sign(value) * EDGE_STEP);
+        
+        while (dx !== 0 && !hasGround(dx, 0)) {
+            dx = shorten(dx);
+        }
+        while (dz !== 0 && !hasGround(0, dz)) {
+            dz = shorten(dz);
+        }
+        while (dx !== 0 && dz !== 0 && !hasGround(dx, dz)) {
+            dx = shorten(dx);
+            dz = shorten(dz);
+        }
+        return { dx, dz };
+    }
+}
\ No newline at end of file
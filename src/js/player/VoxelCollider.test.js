@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { VoxelCollider } from './VoxelCollider.js';
+
+/**
+ * World of stone blocks, air elsewhere; columns farther than `loaded` from the origin
+ * are in unloaded chunks (getBlock returns null like VoxelWorld.getBlock)
+ */
+function createWorld(loaded = 16) {
+    const blocks = new Set();
+    return {
+        fill(x0, y0, z0, x1, y1, z1) {
+            for (let x = x0; x <= x1; x++) {
+                for (let y = y0; y <= y1; y++) {
+                    for (let z = z0; z <= z1; z++) {
+                        blocks.add(`${x},${y},${z}`);
+                    }
+                }
+            }
+            return this;
+        },
+        getBlock(x, y, z) {
+            if (Math.abs(x) > loaded || Math.abs(z) > loaded) return null;
+            return blocks.has(`${x},${y},${z}`) ? 'stone' : 'air';
+        }
+    };
+}
+
+/**
+ * Collider of a player box (0.6 × 1.8, steps up one block) in a world
+ */
+function createCollider(world) {
+    return new VoxelCollider((x, y, z) => world.getBlock(x, y, z), { width: 0.6, height: 1.8, stepHeight: 1 });
+}
+
+// Ground with its top at y = 1
+const withFloor = world => world.fill(-4, 0, -4, 4, 0, 4);
+
+describe('VoxelCollider', () => {
+    it('lands on the ground and stays on it', () => {
+        const collider = createCollider(withFloor(createWorld()));
+        const position = new THREE.Vector3(0.5, 3, 0.5);
+        const velocity = new THREE.Vector3(0, -10, 0);
+        
+        const result = collider.move(position, velocity, 0.5);
+        expect(position.y).toBe(1);
+        expect(velocity.y).toBe(0);
+        expect(result.collided.y).toBe(true);
+        expect(result.onGround).toBe(true);
+        
+        expect(collider.move(position, velocity, 0.1).onGround).toBe(true);
+        expect(position.y).toBe(1);
+    });
+    
+    it('stops at walls it cannot step over', () => {
+        const collider = createCollider(withFloor(createWorld()).fill(2, 1, -1, 2, 2, 1));
+        const position = new THREE.Vector3(0.5, 1, 0.5);
+        const velocity = new THREE.Vector3(4, 0, 1);
+        
+        const result = collider.move(position, velocity, 0.5, { onGround: true });
+        expect(position.x).toBeCloseTo(1.7);
+        expect(position.z).toBeCloseTo(1);
+        expect(velocity.x).toBe(0);
+        expect(velocity.z).toBe(1);
+        expect(result.collided).toEqual({ x: true, y: false, z: false });
+        expect(result.stepped).toBe(false);
+    });
+    
+    it('steps up a block while walking on the ground', () => {
+        const collider = createCollider(withFloor(createWorld()).fill(2, 1, 0, 4, 1, 0));
+        const position = new THREE.Vector3(0.5, 1, 0.5);
+        const velocity = new THREE.Vector3(4, 0, 0);
+        
+        const result = collider.move(position, velocity, 0.5, { onGround: true });
+        expect(result.stepped).toBe(true);
+        expect(result.onGround).toBe(true);
+        expect(position.x).toBeCloseTo(2.5);
+        expect(position.y).toBeCloseTo(2);
+        
+        // Not in the air
+        position.set(0.5, 1.5, 0.5);
+        velocity.set(4, 0, 0);
+        expect(collider.move(position, velocity, 0.5).stepped).toBe(false);
+        expect(position.x).toBeCloseTo(1.7);
+    });
+    
+    it('walks out of a block placed inside the box', () => {
+        const collider = createCollider(withFloor(createWorld()).fill(0, 1, 0, 0, 1, 0));
+        const position = new THREE.Vector3(0.5, 1, 0.5);
+        const velocity = new THREE.Vector3(2, 0, 0);
+        
+        const result = collider.move(position, velocity, 0.5, { onGround: true });
+        expect(position.x).toBeCloseTo(1.5);
+        expect(position.y).toBe(1);
+        expect(result.collided.x).toBe(false);
+        expect(result.stepped).toBe(false);
+    });
+    
+    it('does not walk off edges while sneaking', () => {
+        const world = createWorld().fill(-4, 0, -4, 0, 0, 4);
+        const collider = createCollider(world);
+        const velocity = new THREE.Vector3(4, 0, 0);
+        
+        const sneaking = new THREE.Vector3(0.5, 1, 0.5);
+        collider.move(sneaking, velocity.clone(), 0.5, { onGround: true, sneaking: true });
+        expect(sneaking.x).toBeGreaterThan(1);
+        expect(sneaking.x - 0.3).toBeLessThan(1);
+        expect(collider.isOnGround(sneaking)).toBe(true);
+        
+        const walking = new THREE.Vector3(0.5, 1, 0.5);
+        collider.move(walking, velocity.clone(), 0.5, { onGround: true });
+        expect(walking.x).toBeCloseTo(2.5);
+        expect(collider.isOnGround(walking)).toBe(false);
+    });
+    
+    it('treats unloaded chunks and the bottom of the world as solid', () => {
+        const collider = createCollider(createWorld(4));
+        
+        // Walking into an unloaded column
+        const walking = new THREE.Vector3(3.5, 10, 0.5);
+        const result = collider.move(walking, new THREE.Vector3(4, 0, 0), 0.5);
+        expect(walking.x).toBeCloseTo(4.7);
+        expect(result.collided.x).toBe(true);
+        
+        // Standing in an unloaded column: nothing to fall through
+        const waiting = new THREE.Vector3(6.5, 10, 0.5);
+        expect(collider.move(waiting, new THREE.Vector3(0, -10, 0), 0.5).onGround).toBe(true);
+        expect(waiting.y).toBe(10);
+        
+        // Loaded column without ground
+        const falling = new THREE.Vector3(0.5, 2, 0.5);
+        collider.move(falling, new THREE.Vector3(0, -10, 0), 0.5);
+        expect(falling.y).toBe(0);
+    });
+})
\ No newline at end of file
@@ -0,0 +1,154 @@
+import { CONFIG } from '../config/config.js';
+
+/**
+ * SaveSlotMenu lists the saved worlds in the main menu
+ * and lets the player load, create or delete a save slot
+ */
+export class SaveSlotMenu {
+    constructor(uiManager) {
+        this.uiManager = uiManager;
+        
+        // UI elements
+        this.list = document.getElementById('save-slot-list');
+        this.nameInput = document.getElementById('new-save-name');
+        this.newButton = document.getElementById('btn-new-save');
+        
+        this.setupEventListeners();
+    }
+    
+    /**
+     * Get the save manager of the current world, if any
+     */
+    get saveManager() {
+        const game = this.uiManager.game;
+        return game && game.world ? game.world.saveManager : null;
+    }
+    
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.newButton) {
+            this.newButton.addEventListener('click', () => this.createSlot());
+        }
+        
+        if (this.nameInput) {
+            this.nameInput.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter') {
+                    this.createSlot();
+                }
+            });
+        }
+        
+        if (this.list) {
+            this.list.addEventListener('click', (event) => {
+                const button = event.target.closest('button[data-action]');
+                if (!button) return;
+                
+                const slotName = button.dataset.slot;
+                if (button.dataset.action === 'load') {
+                    this.uiManager.startGame(slotName);
+                } else if (button.dataset.action === 'delete') {
+                    this.deleteSlot(slotName);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Reload the slot list from the database
+     */
+    async refresh() {
+        if (!this.list) return;
+        
+        const saveManager = this.saveManager;
+        let slots = [];
+        
+        try {
+            slots = saveManager ? await saveManager.listSlots() : [];
+        } catch (error) {
+            console.error('Failed to list save slots:', error);
+        }
+        
+        this.list.innerHTML = '';
+        
+        if (slots.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'save-slot-empty';
+            empty.textContent = 'Nessun mondo salvato';
+            this.list.appendChild(empty);
+            return;
+        }
+        
+        slots.forEach(slot => this.list.appendChild(this.createSlotElement(slot)));
+    }
+    
+    /**
+     * Create the list item for a save slot
+     */
+    createSlotElement(slot) {
+        const item = document.createElement('li');
+        item.className = 'save-slot';
+        
+        const info = document.createElement('div');
+        info.className = 'save-slot-info';
+        
+        const name = document.createElement('strong');
+        name.textContent = slot.name;
+        
+        const details = document.createElement('small');
+        details.textContent = `Seed ${slot.seed} - ${new Date(slot.lastPlayed).toLocaleString()}`;
+        
+        info.appendChild(name);
+        info.appendChild(details);
+        
+        const actions = document.createElement('div');
+        actions.className = 'save-slot-actions';
+        actions.appendChild(this.createActionButton('load', slot.name, 'Carica'));
+        actions.appendChild(this.createActionButton('delete', slot.name, 'Elimina'));
+        
+        item.appendChild(info);
+        item.appendChild(actions);
+        
+        return item;
+    }
+    
+    /**
+     * Create a slot action button
+     */
+    createActionButton(action, slotName, label) {
+        const button = document.createElement('button');
+        button.className = 'menu-button';
+        button.dataset.action = action;
+        button.dataset.slot = slotName;
+        button.textContent = label;
+        return button;
+    }
+    
+    /**
+     * Start a new world in a new save slot
+     */
+    createSlot() {
+        const typedName = this.nameInput ? this.nameInput.value.trim() : '';
+        const slotName = typedName || CONFIG.SAVE.DEFAULT_SLOT;
+        
+        if (this.nameInput) {
+            this.nameInput.value = '';
+        }
+        
+        this.uiManager.startGame(slotName);
+    }
+    
+    /**
+     * Delete a save slot after confirmation
+     */
+    async deleteSlot(slotName) {
+        const saveManager = this.saveManager;
+        if (!saveManager) return;
+        
+        if (confirm(`Eliminare il mondo "${slotName}"?`)) {
+            await saveManager.deleteSlot(slotName);
+            await this.refresh();
+        }
+    }
+}
\ No newline at end of file
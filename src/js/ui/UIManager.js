@@ -1,4 +1,6 @@
 import { CONFIG } from '../config/config.js';
+import { SaveSlotMenu } from './SaveSlotMenu.js';
+import { BlockRegistry } from '../world/BlockRegistry.js';
 
 /**
  * UIManager handles all user interface elements and interactions
@@ -71,6 +73,9 @@ export class UIManager {
         // Create additional UI elements
         this.createInventoryPanel();
         this.createChatPanel();
+        
+        // Save slot list in the main menu
+        this.saveSlotMenu = new SaveSlotMenu(this);
     }
     
     /**
@@ -79,7 +84,7 @@ export class UIManager {
     initializeHotbar() {
         if (!this.elements.hotbar) return;
         
-        const blockTypes = Object.keys(CONFIG.BLOCKS.TYPES);
+        const blockTypes = BlockRegistry.getNames();
         this.elements.hotbar.innerHTML = '';
         
         blockTypes.slice(0, 9).forEach((blockType, index) => {
@@ -209,7 +214,7 @@ export class UIManager {
         const grid = document.getElementById('inventory-grid');
         if (!grid) return;
         
-        const blockTypes = Object.keys(CONFIG.BLOCKS.TYPES);
+        const blockTypes = BlockRegistry.getNames();
         grid.innerHTML = '';
         
         blockTypes.forEach(blockType => {
@@ -346,13 +351,22 @@ export class UIManager {
     }
     
     /**
-     * Start game
+     * Start game, optionally loading a save slot first
      */
-    startGame() {
+    async startGame(slotName = null) {
         this.hideMainMenu();
         this.showGameUI();
         
         if (this.game) {
+            if (slotName && this.game.world) {
+                try {
+                    await this.game.world.loadSave(slotName);
+                } catch (error) {
+                    console.error(`Failed to load save slot ${slotName}:`, error);
+                    this.showError('Impossibile caricare il salvataggio', error.message);
+                }
+            }
+            
             this.game.start();
         }
     }
@@ -365,6 +379,8 @@ export class UIManager {
             this.elements.mainMenu.style.display = 'flex';
         }
         this.isMenuOpen = true;
+        
+        this.saveSlotMenu.refresh();
     }
     
     /**
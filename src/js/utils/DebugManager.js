@@ -7,6 +7,16 @@
 
 import { CONFIG } from '../config/config.js';
 
+// Momenti del giorno accettati da 'time set' (0 = mezzanotte, 0.5 = mezzogiorno)
+const DAY_TIMES = {
+    sunrise: 0.25,
+    day: 0.3,
+    noon: 0.5,
+    sunset: 0.75,
+    night: 0.8,
+    midnight: 0
+};
+
 export class DebugManager {
     /**
      * Costruttore del Debug Manager
@@ -197,6 +207,19 @@ export class DebugManager {
                 this.log('Usage: spawn <type> <x> <y> <z>', 'error');
             }
         });
+        
+        this.addCommand('time', 'Show or change the time of day (set <time>, speed <x>)', (args) => {
+            const [action, value] = args;
+            if (action === 'set' && value !== undefined) {
+                this.setDayTime(value);
+            } else if (action === 'speed' && value !== undefined) {
+                this.setTimeSpeed(parseFloat(value));
+            } else if (!action) {
+                this.logTime();
+            } else {
+                this.log('Usage: time [set <hour|hh:mm|sunrise|day|noon|sunset|night|midnight> | speed <multiplier>]', 'error');
+            }
+        });
     }
     
     /**
@@ -348,8 +371,12 @@ export class DebugManager {
             return;
         }
         
+        const culling = voxelWorld.culling.getStats();
+        const lod = world.terrainLod.getStats();
         const info = [
             `Loaded Chunks: ${voxelWorld.loadedChunks.size}`,
+            `Sections: ${culling.visibleSections} visible, ${culling.hiddenSections} culled${culling.enabled ? '' : ' (off)'}`,
+            `LOD Tiles: ${lod.tiles}, ${lod.queuedTiles} queued${lod.enabled ? '' : ' (off)'}`,
             `Chunk Size: ${CONFIG.world.chunkSize}`,
             `World Height: ${CONFIG.world.worldHeight}`,
             `Seed: ${CONFIG.world.seed}`,
@@ -419,7 +446,8 @@ export class DebugManager {
      * @param {string} commandLine - Linea di comando
      */
     executeCommand(commandLine) {
-        const parts = commandLine.trim().split(' ');
+        // Accetta anche i comandi in stile chat (/time set day)
+        const parts = commandLine.trim().replace(/^\//, '').split(/\s+/);
         const commandName = parts[0].toLowerCase();
         const args = parts.slice(1);
         
@@ -609,6 +637,55 @@ export class DebugManager {
         }
     }
     
+    /**
+     * Imposta l'ora del giorno
+     * @param {string} value - Ora (0-24), orario hh:mm o momento del giorno (sunrise, day, noon, sunset, night, midnight)
+     */
+    setDayTime(value) {
+        const timeManager = this.game.timeManager;
+        if (!timeManager) return;
+        
+        let dayTime = DAY_TIMES[value.toLowerCase()];
+        if (dayTime === undefined) {
+            const [hours, minutes = 0] = value.split(':').map(Number);
+            if (!Number.isFinite(hours) || !Number.isFinite(minutes) || hours < 0 || hours > 24) {
+                this.log(`Invalid time: ${value}`, 'error');
+                return;
+            }
+            dayTime = (hours + minutes / 60) / 24;
+        }
+        
+        timeManager.setDayTime(dayTime % 1);
+        this.logTime();
+    }
+    
+    /**
+     * Imposta la velocità del ciclo giorno/notte
+     * @param {number} speed - Moltiplicatore del tempo di gioco (1 = normale, 0 = fermo)
+     */
+    setTimeSpeed(speed) {
+        const timeManager = this.game.timeManager;
+        if (!timeManager) return;
+        
+        if (!Number.isFinite(speed) || speed < 0) {
+            this.log('Time speed must be a number >= 0', 'error');
+            return;
+        }
+        
+        timeManager.setGameSpeed(speed);
+        this.log(`Time speed set to ${timeManager.getGameSpeed()}x`, 'info');
+    }
+    
+    /**
+     * Mostra l'ora del giorno corrente
+     */
+    logTime() {
+        const timeManager = this.game.timeManager;
+        if (!timeManager) return;
+        
+        this.log(`Day ${timeManager.getDayCount() + 1}, ${timeManager.formatDayTime()} (speed ${timeManager.getGameSpeed()}x)`, 'info');
+    }
+    
     /**
      * Pulisce la console
      */
@@ -0,0 +1,97 @@
+import { CONFIG } from '../config/config.js';
+
+// Lookup tables built once from CONFIG.BLOCKS
+const namesById = [];
+const idsByName = new Map();
+const definitionsByName = new Map();
+const textureNames = [];
+
+Object.entries(CONFIG.BLOCKS).forEach(([key, definition]) => {
+    const name = key.toLowerCase();
+    namesById[definition.id] = name;
+    idsByName.set(name, definition.id);
+    definitionsByName.set(name, definition);
+});
+
+// Texture names in block id order, each once (blocks may share textures: grass bottom is dirt)
+namesById.forEach(name => {
+    const { texture, textures } = definitionsByName.get(name);
+    const names = textures ? [textures.top, textures.side, textures.bottom] : [texture];
+    names.forEach(textureName => {
+        if (textureName && !textureNames.includes(textureName)) {
+            textureNames.push(textureName);
+        }
+    });
+});
+
+/**
+ * BlockRegistry maps block names to the numeric ids of CONFIG.BLOCKS
+ * Chunks and generators use lowercase names ('grass', 'coal_ore'), the key of a
+ * block in CONFIG.BLOCKS in lowercase; chunk storage holds the ids
+ */
+export class BlockRegistry {
+    /**
+     * Id of air, the value of empty storage
+     */
+    static get AIR() {
+        return CONFIG.BLOCKS.AIR.id;
+    }
+    
+    /**
+     * Get the id of a block name
+     * @returns {number|undefined} Undefined for unknown names
+     */
+    static getId(name) {
+        return idsByName.get(name);
+    }
+    
+    /**
+     * Get the name of a block id
+     * @returns {string|undefined} Undefined for unknown ids
+     */
+    static getName(id) {
+        return namesById[id];
+    }
+    
+    /**
+     * Get the CONFIG.BLOCKS definition of a block name
+     */
+    static getDefinition(name) {
+        return definitionsByName.get(name);
+    }
+    
+    /**
+     * Get every block name except air, in id order
+     */
+    static getNames() {
+        return namesById.filter(name => name !== undefined && name !== 'air');
+    }
+    
+    /**
+     * Get the texture of a block face
+     * Blocks define either one texture or textures {top, side, bottom}
+     * @param {string} face - 'top', 'side' or 'bottom'
+     * @returns {string|undefined} Undefined for unknown names and blocks without texture (air)
+     */
+    static getFaceTexture(name, face) {
+        const definition = definitionsByName.get(name);
+        if (!definition) return undefined;
+        return definition.textures ? definition.textures[face] : definition.texture;
+    }
+    
+    /**
+     * Get every texture name, in block id order
+     * The position of a texture in the list is its texture index
+     */
+    static getTextureNames() {
+        return textureNames.slice();
+    }
+    
+    /**
+     * Get the index of a texture name in getTextureNames()
+     * @returns {number} -1 for unknown textures
+     */
+    static getTextureIndex(textureName) {
+        return textureNames.indexOf(textureName);
+    }
+}
\ No newline at end of file
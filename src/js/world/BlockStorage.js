@@ -0,0 +1,220 @@
+import { CONFIG } from '../config/config.js';
+import { BlockRegistry } from './BlockRegistry.js';
+import { ChunkSection } from './ChunkSection.js';
+
+/**
+ * BlockStorage holds the blocks of a chunk as ids (see BlockRegistry)
+ * The chunk is split into vertical sections of CONFIG.WORLD.SECTION_HEIGHT blocks
+ * (see ChunkSection), so sky and solid rock cost almost nothing to store.
+ * Saved data uses a palette of the block names found in the chunk and runs of palette
+ * indices in (x, y, z) order, so it survives id changes and section size changes
+ */
+export class BlockStorage {
+    /**
+     * @param {Array<ChunkSection>} sections - Existing sections to use, empty sections otherwise
+     */
+    constructor(size, height, sections = null) {
+        this.size = size;
+        this.height = height;
+        this.sectionHeight = Math.min(CONFIG.WORLD.SECTION_HEIGHT, height);
+        this.sections = sections || Array.from(
+            { length: Math.ceil(height / this.sectionHeight) },
+            (_, i) => new ChunkSection(size, Math.min(this.sectionHeight, height - i * this.sectionHeight))
+        );
+    }
+    
+    /**
+     * Build storage from a 3D array of block names (terrain generator output)
+     */
+    static fromBlocks(blocks, size, height) {
+        const storage = new BlockStorage(size, height);
+        
+        for (let x = 0; x < size; x++) {
+            for (let y = 0; y < height; y++) {
+                for (let z = 0; z < size; z++) {
+                    const name = blocks[x][y][z] || 'air';
+                    const id = BlockRegistry.getId(name);
+                    if (id === undefined) {
+                        throw new Error(`Unknown block type: ${name}`);
+                    }
+                    storage.setId(x, y, z, id);
+                }
+            }
+        }
+        
+        storage.compact();
+        return storage;
+    }
+    
+    /**
+     * Build storage from section data (see getSectionData)
+     */
+    static fromSectionData(sectionData, size, height) {
+        const storage = new BlockStorage(size, height);
+        storage.sections = sectionData.map((data, i) => new ChunkSection(size, storage.sections[i].height, data));
+        return storage;
+    }
+    
+    /**
+     * Get the index of the section holding a height
+     */
+    getSectionIndex(y) {
+        return Math.floor(y / this.sectionHeight);
+    }
+    
+    /**
+     * Get the sections whose mesh a block change at a height affects:
+     * its own section, and the one above or below when the block is on its edge
+     */
+    getAffectedSections(y) {
+        const section = this.getSectionIndex(y);
+        const localY = y - section * this.sectionHeight;
+        const affected = [section];
+        
+        if (localY === 0 && section > 0) {
+            affected.push(section - 1);
+        }
+        if (localY === this.sections[section].height - 1 && section < this.sections.length - 1) {
+            affected.push(section + 1);
+        }
+        return affected;
+    }
+    
+    /**
+     * Check if local coordinates are inside the storage
+     */
+    contains(x, y, z) {
+        return x >= 0 && x < this.size && y >= 0 && y < this.height && z >= 0 && z < this.size;
+    }
+    
+    /**
+     * Get the block id at local coordinates (not bounds checked)
+     */
+    getId(x, y, z) {
+        const section = this.getSectionIndex(y);
+        return this.sections[section].getId(x, y - section * this.sectionHeight, z);
+    }
+    
+    /**
+     * Set the block id at local coordinates (not bounds checked)
+     */
+    setId(x, y, z, id) {
+        const section = this.getSectionIndex(y);
+        this.sections[section].setId(x, y - section * this.sectionHeight, z, id);
+    }
+    
+    /**
+     * Get the block name at local coordinates (not bounds checked)
+     */
+    getBlock(x, y, z) {
+        return BlockRegistry.getName(this.getId(x, y, z));
+    }
+    
+    /**
+     * Count the blocks that are not air
+     */
+    countBlocks() {
+        return this.sections.reduce((count, section) => count + section.blockCount, 0);
+    }
+    
+    /**
+     * Fill every section with air
+     */
+    clear() {
+        this.sections.forEach(section => section.fill(BlockRegistry.AIR));
+    }
+    
+    /**
+     * Release the typed arrays of sections holding a single block type
+     */
+    compact() {
+        this.sections.forEach(section => section.compact());
+    }
+    
+    /**
+     * Get the data of every section, to send to workers (see ChunkSection.toData)
+     */
+    getSectionData(copy = false) {
+        return this.sections.map(section => section.toData(copy));
+    }
+    
+    /**
+     * Get the count of sections in each state
+     * @returns {{empty: number, uniform: number, mixed: number}}
+     */
+    getSectionStats() {
+        const stats = { empty: 0, uniform: 0, mixed: 0 };
+        this.sections.forEach(section => stats[section.state]++);
+        return stats;
+    }
+    
+    /**
+     * Copy the storage
+     */
+    clone() {
+        return new BlockStorage(this.size, this.height, this.sections.map(section => section.clone()));
+    }
+    
+    /**
+     * Serialize with a palette of block names and run-length encoded palette indices
+     * @returns {{palette: Array<string>, runs: Array<number>}} runs holds [paletteIndex, length, ...] in (x, y, z) order
+     */
+    serialize() {
+        const palette = [];
+        const paletteIndex = new Map();
+        const runs = [];
+        
+        let runId = -1;
+        let length = 0;
+        const endRun = () => {
+            if (!paletteIndex.has(runId)) {
+                paletteIndex.set(runId, palette.length);
+                palette.push(BlockRegistry.getName(runId));
+            }
+            runs.push(paletteIndex.get(runId), length);
+        };
+        
+        for (let x = 0; x < this.size; x++) {
+            for (let y = 0; y < this.height; y++) {
+                for (let z = 0; z < this.size; z++) {
+                    const id = this.getId(x, y, z);
+                    if (id === runId) {
+                        length++;
+                        continue;
+                    }
+                    if (length > 0) endRun();
+                    runId = id;
+                    length = 1;
+                }
+            }
+        }
+        if (length > 0) endRun();
+        
+        return { palette, runs };
+    }
+    
+    /**
+     * Restore storage serialized by serialize()
+     * Unknown block names (removed blocks) become air
+     */
+    static deserialize({ palette, runs }, size, height) {
+        const storage = new BlockStorage(size, height);
+        const ids = palette.map(name => BlockRegistry.getId(name) || BlockRegistry.AIR);
+        
+        let offset = 0;
+        for (let i = 0; i < runs.length; i += 2) {
+            const id = ids[runs[i]];
+            const end = offset + runs[i + 1];
+            
+            for (; offset < end; offset++) {
+                const z = offset % size;
+                const y = Math.floor(offset / size) % height;
+                const x = Math.floor(offset / (size * height));
+                storage.setId(x, y, z, id);
+            }
+        }
+        
+        storage.compact();
+        return storage;
+    }
+}
\ No newline at end of file
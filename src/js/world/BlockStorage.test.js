@@ -0,0 +1,106 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { CONFIG } from '../config/config.js';
+import { BlockStorage } from './BlockStorage.js';
+import { Chunk } from './Chunk.js';
+
+const SIZE = 4;
+const HEIGHT = 40;
+const SECTION_HEIGHT = CONFIG.WORLD.SECTION_HEIGHT;
+
+/**
+ * 3D array of block names: stone below y = 10, a glass column and a torch on top of it
+ */
+function createBlocks() {
+    const blocks = Array.from({ length: SIZE }, () =>
+        Array.from({ length: HEIGHT }, (_, y) => new Array(SIZE).fill(y < 10 ? 'stone' : 'air')));
+    for (let y = 10; y < 30; y++) {
+        blocks[1][y][2] = 'glass';
+    }
+    blocks[1][30][2] = 'torch';
+    blocks[3][0][3] = 'bedrock';
+    return blocks;
+}
+
+/**
+ * Names of every block, as a 3D array like createBlocks
+ */
+function blockNames(storage) {
+    return Array.from({ length: storage.size }, (_, x) =>
+        Array.from({ length: storage.height }, (_, y) =>
+            Array.from({ length: storage.size }, (_, z) => storage.getBlock(x, y, z))));
+}
+
+describe('BlockStorage', () => {
+    afterEach(() => {
+        CONFIG.WORLD.SECTION_HEIGHT = SECTION_HEIGHT;
+    });
+    
+    describe('serialize', () => {
+        it('reads back the same blocks', () => {
+            const blocks = createBlocks();
+            const data = BlockStorage.fromBlocks(blocks, SIZE, HEIGHT).serialize();
+            const restored = BlockStorage.deserialize(data, SIZE, HEIGHT);
+            
+            expect(blockNames(restored)).toEqual(blocks);
+            expect(restored.countBlocks()).toBe(SIZE * 10 * SIZE + 21);
+        });
+        
+        it('keeps a palette of the blocks used and runs covering the chunk', () => {
+            const { palette, runs } = BlockStorage.fromBlocks(createBlocks(), SIZE, HEIGHT).serialize();
+            
+            expect([...palette].sort()).toEqual(['air', 'bedrock', 'glass', 'stone', 'torch']);
+            expect(runs.length % 2).toBe(0);
+            
+            const lengths = runs.filter((_, i) => i % 2 === 1);
+            expect(lengths.reduce((total, length) => total + length, 0)).toBe(SIZE * HEIGHT * SIZE);
+            expect(lengths.every(length => length > 0)).toBe(true);
+            expect(Math.max(...runs.filter((_, i) => i % 2 === 0))).toBe(palette.length - 1);
+        });
+        
+        it('reads data saved with another section height', () => {
+            const blocks = createBlocks();
+            CONFIG.WORLD.SECTION_HEIGHT = 8;
+            const data = BlockStorage.fromBlocks(blocks, SIZE, HEIGHT).serialize();
+            
+            CONFIG.WORLD.SECTION_HEIGHT = 16;
+            const restored = BlockStorage.deserialize(data, SIZE, HEIGHT);
+            expect(restored.sections.length).toBe(3);
+            expect(blockNames(restored)).toEqual(blocks);
+        });
+        
+        it('turns unknown block names into air', () => {
+            const data = {
+                palette: ['stone', 'removed_block', 'air'],
+                runs: [0, SIZE * HEIGHT, 1, SIZE * HEIGHT, 2, SIZE * HEIGHT * (SIZE - 2)]
+            };
+            const restored = BlockStorage.deserialize(data, SIZE, HEIGHT);
+            
+            expect(restored.getBlock(0, 5, 3)).toBe('stone');
+            expect(restored.getBlock(1, 5, 3)).toBe('air');
+            expect(restored.countBlocks()).toBe(SIZE * HEIGHT);
+        });
+    });
+    
+    describe('Chunk.deserialize', () => {
+        it('reads saves in the palette format', () => {
+            const chunk = new Chunk(3, -2, SIZE, HEIGHT);
+            chunk.setData(BlockStorage.fromBlocks(createBlocks(), SIZE, HEIGHT));
+            chunk.setBlock(0, 39, 0, 'planks');
+            
+            const restored = Chunk.deserialize(JSON.parse(JSON.stringify(chunk.serialize())));
+            expect(restored.x).toBe(3);
+            expect(restored.z).toBe(-2);
+            expect(restored.getBlock(0, 39, 0)).toBe('planks');
+            expect(restored.blockCount).toBe(chunk.blockCount);
+        });
+        
+        it('still reads saves made before the palette format', () => {
+            const blocks = createBlocks();
+            const restored = Chunk.deserialize({ x: 1, z: 1, size: SIZE, height: HEIGHT, blocks, isGenerated: true });
+            
+            expect(blockNames(restored.storage)).toEqual(blocks);
+            expect(restored.blockCount).toBe(SIZE * 10 * SIZE + 21);
+            expect(restored.isGenerated).toBe(true);
+        });
+    });
+});
\ No newline at end of file
@@ -1,4 +1,7 @@
 import * as THREE from 'three';
+import { BlockRegistry } from './BlockRegistry.js';
+import { BlockStorage } from './BlockStorage.js';
+import { ALL_CONNECTED } from './visibility/SectionConnectivity.js';
 
 /**
  * Chunk represents a section of the voxel world
@@ -11,22 +14,22 @@ export class Chunk {
         this.size = size; // Chunk size (width and depth)
         this.height = height; // Chunk height
         
-        // Block data - 3D array [x][y][z]
-        this.blocks = new Array(size);
-        for (let x = 0; x < size; x++) {
-            this.blocks[x] = new Array(height);
-            for (let y = 0; y < height; y++) {
-                this.blocks[x][y] = new Array(size).fill('air');
-            }
-        }
+        // Block data - ids in vertical sections, read and written by name
+        this.storage = new BlockStorage(size, height);
         
-        // 3D mesh representation
+        // 3D mesh representation - a group holding one group per section, with a mesh per render pass
         this.mesh = null;
+        this.sectionMeshes = []; // Section index -> mesh, null for sections with nothing visible
+        this.sectionConnectivity = []; // Section index -> faces seen through each other (see SectionConnectivity)
+        
+        // Skylight and block light (LightMap), set by LightEngine before the first mesh
+        this.light = null;
         
         // Chunk state
         this.isDirty = false; // Needs mesh regeneration
         this.isGenerated = false; // Has terrain data
         this.isLoaded = false; // Is in scene
+        this.isModified = false; // Edited since generation or last save
         
         // Metadata
         this.createdAt = Date.now();
@@ -41,14 +44,12 @@ export class Chunk {
      */
     getBlock(x, y, z) {
         // Bounds checking
-        if (x < 0 || x >= this.size || 
-            y < 0 || y >= this.height || 
-            z < 0 || z >= this.size) {
+        if (!this.storage.contains(x, y, z)) {
             return null; // Out of bounds
         }
         
         this.lastAccessed = Date.now();
-        return this.blocks[x][y][z];
+        return this.storage.getBlock(x, y, z);
     }
     
     /**
@@ -56,47 +57,49 @@ export class Chunk {
      */
     setBlock(x, y, z, blockType) {
         // Bounds checking
-        if (x < 0 || x >= this.size || 
-            y < 0 || y >= this.height || 
-            z < 0 || z >= this.size) {
+        if (!this.storage.contains(x, y, z)) {
             return false;
         }
         
-        const oldBlock = this.blocks[x][y][z];
-        this.blocks[x][y][z] = blockType;
-        
-        // Update block count
-        if (oldBlock === 'air' && blockType !== 'air') {
-            this.blockCount++;
-        } else if (oldBlock !== 'air' && blockType === 'air') {
-            this.blockCount--;
+        const id = BlockRegistry.getId(blockType);
+        if (id === undefined) {
+            console.warn(`Unknown block type: ${blockType}`);
+            return false;
         }
         
-        // Mark as dirty for mesh regeneration
+        this.writeBlock(x, y, z, id);
+        
+        // Mark as dirty for mesh regeneration and saving
         this.isDirty = true;
+        this.isModified = true;
         this.lastAccessed = Date.now();
         
         return true;
     }
     
     /**
-     * Set entire chunk data from generated terrain
+     * Write a block id and keep the block count (coordinates are not checked)
      */
-    setData(chunkData) {
-        this.blockCount = 0;
+    writeBlock(x, y, z, id) {
+        const air = BlockRegistry.AIR;
+        const oldId = this.storage.getId(x, y, z);
+        this.storage.setId(x, y, z, id);
         
-        for (let x = 0; x < this.size; x++) {
-            for (let y = 0; y < this.height; y++) {
-                for (let z = 0; z < this.size; z++) {
-                    const blockType = chunkData[x][y][z] || 'air';
-                    this.blocks[x][y][z] = blockType;
-                    
-                    if (blockType !== 'air') {
-                        this.blockCount++;
-                    }
-                }
-            }
+        // Update block count
+        if (oldId === air && id !== air) {
+            this.blockCount++;
+        } else if (oldId !== air && id === air) {
+            this.blockCount--;
         }
+    }
+    
+    /**
+     * Set entire chunk data from generated terrain
+     * @param {Array|BlockStorage} chunkData - 3D array of block names, or storage to take over
+     */
+    setData(chunkData) {
+        this.storage = chunkData instanceof BlockStorage ? chunkData : BlockStorage.fromBlocks(chunkData, this.size, this.height);
+        this.blockCount = this.storage.countBlocks();
         
         this.isGenerated = true;
         this.isDirty = true;
@@ -105,14 +108,6 @@ export class Chunk {
         console.log(`Chunk (${this.x}, ${this.z}) data set with ${this.blockCount} blocks`);
     }
     
-    /**
-     * Get chunk data as 3D array
-     */
-    getData() {
-        this.lastAccessed = Date.now();
-        return this.blocks;
-    }
-    
     /**
      * Set the 3D mesh for this chunk
      */
@@ -134,6 +129,40 @@ export class Chunk {
         }
     }
     
+    /**
+     * Replace the mesh of a section, creating the chunk group if needed
+     * The vertices of section meshes are relative to the section, placed at its height in the chunk group.
+     * Each mesh keeps the world bounds of its section in userData.bounds (see ChunkCulling)
+     * @param {THREE.Object3D|null} mesh - Group of render pass meshes, null when nothing is visible in the section
+     * @param {number} connectivity - Faces of the section seen through each other (see SectionConnectivity)
+     * @returns {THREE.Object3D|null} The previous mesh, for the caller to dispose
+     */
+    setSectionMesh(sectionY, mesh, connectivity = ALL_CONNECTED) {
+        if (!this.mesh) {
+            this.setMesh(new THREE.Group());
+        }
+        
+        const previous = this.sectionMeshes[sectionY] || null;
+        if (previous) {
+            this.mesh.remove(previous);
+        }
+        if (mesh) {
+            const { sectionHeight } = this.storage;
+            mesh.position.y = sectionY * sectionHeight;
+            mesh.userData.chunk = this;
+            mesh.userData.bounds = new THREE.Box3(
+                new THREE.Vector3(this.x * this.size, sectionY * sectionHeight, this.z * this.size),
+                new THREE.Vector3((this.x + 1) * this.size, (sectionY + 1) * sectionHeight, (this.z + 1) * this.size)
+            );
+            this.mesh.add(mesh);
+        }
+        
+        this.sectionMeshes[sectionY] = mesh;
+        this.sectionConnectivity[sectionY] = connectivity;
+        this.isDirty = false;
+        return previous;
+    }
+    
     /**
      * Get the 3D mesh for this chunk
      */
@@ -181,11 +210,15 @@ export class Chunk {
      */
     getBlocksOfType(blockType) {
         const blocks = [];
+        const id = BlockRegistry.getId(blockType);
+        if (id === undefined) {
+            return blocks;
+        }
         
         for (let x = 0; x < this.size; x++) {
             for (let y = 0; y < this.height; y++) {
                 for (let z = 0; z < this.size; z++) {
-                    if (this.blocks[x][y][z] === blockType) {
+                    if (this.storage.getId(x, y, z) === id) {
                         blocks.push({
                             local: { x, y, z },
                             world: {
@@ -206,21 +239,21 @@ export class Chunk {
      * Replace all blocks of one type with another
      */
     replaceBlocks(fromType, toType) {
+        const fromId = BlockRegistry.getId(fromType);
+        const toId = BlockRegistry.getId(toType);
+        if (fromId === undefined || toId === undefined) {
+            console.warn(`Unknown block type: ${fromId === undefined ? fromType : toType}`);
+            return 0;
+        }
+        
         let replacedCount = 0;
         
         for (let x = 0; x < this.size; x++) {
             for (let y = 0; y < this.height; y++) {
                 for (let z = 0; z < this.size; z++) {
-                    if (this.blocks[x][y][z] === fromType) {
-                        this.blocks[x][y][z] = toType;
+                    if (this.storage.getId(x, y, z) === fromId) {
+                        this.writeBlock(x, y, z, toId);
                         replacedCount++;
-                        
-                        // Update block count
-                        if (fromType === 'air' && toType !== 'air') {
-                            this.blockCount++;
-                        } else if (fromType !== 'air' && toType === 'air') {
-                            this.blockCount--;
-                        }
                     }
                 }
             }
@@ -228,6 +261,7 @@ export class Chunk {
         
         if (replacedCount > 0) {
             this.isDirty = true;
+            this.isModified = true;
             this.lastAccessed = Date.now();
         }
         
@@ -238,6 +272,12 @@ export class Chunk {
      * Fill a region with a specific block type
      */
     fillRegion(startX, startY, startZ, endX, endY, endZ, blockType) {
+        const id = BlockRegistry.getId(blockType);
+        if (id === undefined) {
+            console.warn(`Unknown block type: ${blockType}`);
+            return 0;
+        }
+        
         const minX = Math.max(0, Math.min(startX, endX));
         const maxX = Math.min(this.size - 1, Math.max(startX, endX));
         const minY = Math.max(0, Math.min(startY, endY));
@@ -250,22 +290,15 @@ export class Chunk {
         for (let x = minX; x <= maxX; x++) {
             for (let y = minY; y <= maxY; y++) {
                 for (let z = minZ; z <= maxZ; z++) {
-                    const oldBlock = this.blocks[x][y][z];
-                    this.blocks[x][y][z] = blockType;
+                    this.writeBlock(x, y, z, id);
                     filledCount++;
-                    
-                    // Update block count
-                    if (oldBlock === 'air' && blockType !== 'air') {
-                        this.blockCount++;
-                    } else if (oldBlock !== 'air' && blockType === 'air') {
-                        this.blockCount--;
-                    }
                 }
             }
         }
         
         if (filledCount > 0) {
             this.isDirty = true;
+            this.isModified = true;
             this.lastAccessed = Date.now();
         }
         
@@ -280,8 +313,16 @@ export class Chunk {
             return -1;
         }
         
+        const { storage } = this;
         for (let y = this.height - 1; y >= 0; y--) {
-            if (this.blocks[x][y][z] !== 'air') {
+            // Skip empty sections (the sky) whole
+            const sectionIndex = storage.getSectionIndex(y);
+            if (storage.sections[sectionIndex].isEmpty()) {
+                y = sectionIndex * storage.sectionHeight;
+                continue;
+            }
+            
+            if (storage.getId(x, y, z) !== BlockRegistry.AIR) {
                 return y;
             }
         }
@@ -335,6 +376,7 @@ export class Chunk {
         return {
             position: { x: this.x, z: this.z },
             size: { width: this.size, height: this.height, depth: this.size },
+            sections: this.storage.getSectionStats(),
             blocks: {
                 total: totalBlocks,
                 solid: this.blockCount,
@@ -357,6 +399,7 @@ export class Chunk {
     
     /**
      * Serialize chunk data for saving
+     * Blocks are saved as a palette of names and runs of palette indices (see BlockStorage)
      */
     serialize() {
         return {
@@ -364,7 +407,7 @@ export class Chunk {
             z: this.z,
             size: this.size,
             height: this.height,
-            blocks: this.blocks,
+            ...this.storage.serialize(),
             blockCount: this.blockCount,
             isGenerated: this.isGenerated,
             createdAt: this.createdAt
@@ -376,8 +419,12 @@ export class Chunk {
      */
     static deserialize(data) {
         const chunk = new Chunk(data.x, data.z, data.size, data.height);
-        chunk.blocks = data.blocks;
-        chunk.blockCount = data.blockCount || 0;
+        
+        // Saves made before the palette format hold a 3D array of names
+        chunk.storage = data.palette
+            ? BlockStorage.deserialize(data, data.size, data.height)
+            : BlockStorage.fromBlocks(data.blocks, data.size, data.height);
+        chunk.blockCount = chunk.storage.countBlocks();
         chunk.isGenerated = data.isGenerated || false;
         chunk.createdAt = data.createdAt || Date.now();
         chunk.isDirty = true; // Need to regenerate mesh
@@ -391,15 +438,7 @@ export class Chunk {
     clone() {
         const cloned = new Chunk(this.x, this.z, this.size, this.height);
         
-        // Deep copy blocks array
-        for (let x = 0; x < this.size; x++) {
-            for (let y = 0; y < this.height; y++) {
-                for (let z = 0; z < this.size; z++) {
-                    cloned.blocks[x][y][z] = this.blocks[x][y][z];
-                }
-            }
-        }
-        
+        cloned.storage = this.storage.clone();
         cloned.blockCount = this.blockCount;
         cloned.isGenerated = this.isGenerated;
         cloned.isDirty = true; // Need to generate new mesh
@@ -411,7 +450,12 @@ export class Chunk {
      * Dispose of chunk resources
      */
     dispose() {
-        // Dispose mesh if it exists
+        // Dispose section meshes and the mesh if it exists
+        this.sectionMeshes.forEach(mesh => {
+            if (mesh) mesh.children.forEach(passMesh => passMesh.geometry.dispose());
+        });
+        this.sectionMeshes = [];
+        
         if (this.mesh) {
             if (this.mesh.geometry) {
                 this.mesh.geometry.dispose();
@@ -427,7 +471,7 @@ export class Chunk {
         }
         
         // Clear block data
-        this.blocks = null;
+        this.storage = null;
         this.isLoaded = false;
         
         console.log(`Chunk (${this.x}, ${this.z}) disposed`);
@@ -0,0 +1,295 @@
+import * as THREE from 'three';
+import { CONFIG } from '../config/config.js';
+import { Chunk } from './Chunk.js';
+import { ChunkMeshBuilder } from './meshing/ChunkMeshBuilder.js';
+import { BlockStorage } from './BlockStorage.js';
+import { LightMap } from './lighting/LightMap.js';
+import { LodTileBuilder } from './lod/LodTileBuilder.js';
+import { ChunkWorkerPool } from './workers/ChunkWorkerPool.js';
+
+// Extra distance (in chunks) given to chunks outside the camera view
+const OUT_OF_VIEW_PENALTY = 4;
+
+/**
+ * ChunkPipeline generates chunks and builds the mesh data of their sections for VoxelWorld
+ * Both run in a ChunkWorkerPool when workers are available, on the main thread otherwise
+ * (also a job that failed on a worker, and every job once no worker is left).
+ * A chunk without light is lit by its first mesh job, with the light of its loaded neighbours
+ * (see LightEngine); meshes bake the light. Distant terrain tiles are built there too (see TerrainLod).
+ * Jobs run nearest chunks first, chunks in the camera view before the others
+ */
+export class ChunkPipeline {
+    /**
+     * @param {TerrainGenerator} terrainGenerator - Main thread generator, used when there are no workers
+     * @param {LightEngine} lightEngine - Light of the loaded chunks, for the borders of meshes
+     */
+    constructor(terrainGenerator, lightEngine) {
+        this.terrainGenerator = terrainGenerator;
+        this.lightEngine = lightEngine;
+        this.chunkSize = CONFIG.WORLD.CHUNK_SIZE;
+        this.worldHeight = CONFIG.WORLD.WORLD_HEIGHT;
+        
+        // Player chunk and camera frustum, for job priorities
+        this.playerChunk = { x: 0, z: 0 };
+        this.frustum = new THREE.Frustum();
+        this.hasFrustum = false;
+        this.viewProjection = new THREE.Matrix4();
+        this.chunkBounds = new THREE.Box3();
+        
+        this.meshBuilder = new ChunkMeshBuilder();
+        this.lodTileBuilder = new LodTileBuilder();
+        this.pendingSections = new Map(); // chunk key -> sections of the mesh job waiting in the pool
+        this.workerPool = this.createWorkerPool(chunkKey => this.getPriority(chunkKey));
+    }
+    
+    /**
+     * Start the chunk workers
+     * @returns {ChunkWorkerPool|null} Null when workers are unavailable or disabled
+     */
+    createWorkerPool(getPriority) {
+        const configured = CONFIG.PERFORMANCE.CHUNK_WORKERS;
+        if (configured <= 0 || !ChunkWorkerPool.isSupported()) {
+            return null;
+        }
+        
+        // Leave a core to the main thread
+        const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency ? navigator.hardwareConcurrency : 2;
+        const workerCount = Math.max(1, Math.min(configured, cores - 1));
+        
+        try {
+            const pool = new ChunkWorkerPool({ workerCount, getPriority });
+            pool.broadcast({ type: 'setSeed', seed: this.terrainGenerator.seed });
+            return pool;
+        } catch (error) {
+            console.warn('Chunk workers unavailable, generating on the main thread:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Update the player position and camera used to order jobs
+     * @param {THREE.Camera} camera - Optional, the last one is kept
+     */
+    updateView(playerPosition, camera = null) {
+        this.playerChunk = {
+            x: Math.floor(playerPosition.x / this.chunkSize),
+            z: Math.floor(playerPosition.z / this.chunkSize)
+        };
+        
+        if (camera) {
+            this.viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+            this.frustum.setFromProjectionMatrix(this.viewProjection);
+            this.hasFrustum = true;
+        }
+    }
+    
+    /**
+     * Get the priority of a chunk, lower runs first
+     * Distance from the player in chunks, larger for chunks outside the camera view
+     */
+    getPriority(chunkKey) {
+        const [x, z] = chunkKey.split(',').map(Number);
+        const distance = Math.sqrt((x - this.playerChunk.x) ** 2 + (z - this.playerChunk.z) ** 2);
+        
+        if (!this.hasFrustum) {
+            return distance;
+        }
+        
+        this.chunkBounds.min.set(x * this.chunkSize, 0, z * this.chunkSize);
+        this.chunkBounds.max.set((x + 1) * this.chunkSize, this.worldHeight, (z + 1) * this.chunkSize);
+        return this.frustum.intersectsBox(this.chunkBounds) ? distance : distance + OUT_OF_VIEW_PENALTY;
+    }
+    
+    /**
+     * Check if chunks are generated off the main thread
+     */
+    get usesWorkers() {
+        return this.workerPool !== null && this.workerPool.workers.length > 0;
+    }
+    
+    /**
+     * Run a job on the workers, on the main thread when it fails there (e.g. its worker crashed)
+     * @param {Function} runOnMainThread - Does the same work without workers
+     * @returns {Promise<Object|null>} Result of the job, null if it was cancelled
+     */
+    async runJob(chunkKey, message, transfer, runOnMainThread) {
+        try {
+            return await this.workerPool.run(chunkKey, message, transfer);
+        } catch (error) {
+            console.warn(`Chunk job ${message.type} of ${chunkKey} failed on a worker, running it on the main thread:`, error);
+            return runOnMainThread();
+        }
+    }
+    
+    /**
+     * Generate a chunk
+     * Callers build its mesh afterwards, which lights it
+     * @returns {Promise<Chunk|null>} Null if the job was cancelled
+     */
+    async generateChunk(chunkX, chunkZ, chunkKey) {
+        const generateOnMainThread = () => ({
+            blocks: this.terrainGenerator.generateChunk(chunkX, chunkZ, this.chunkSize, this.worldHeight)
+        });
+        const message = { type: 'generate', chunkX, chunkZ, size: this.chunkSize, height: this.worldHeight };
+        const result = this.usesWorkers ? await this.runJob(chunkKey, message, [], generateOnMainThread) : generateOnMainThread();
+        if (!result) return null;
+        
+        // Blocks from the main thread, section data from a worker
+        const chunk = new Chunk(chunkX, chunkZ, this.chunkSize, this.worldHeight);
+        chunk.setData(result.blocks || BlockStorage.fromSectionData(result.sections, this.chunkSize, this.worldHeight));
+        return chunk;
+    }
+    
+    /**
+     * Build the mesh data of sections of a chunk, lighting it first when it has no light
+     * A newer job for the same chunk key replaces one still waiting, and builds its sections too
+     * @param {Array<number>} sectionYs - Sections to build, all of them by default
+     * @returns {Promise<{meshes: Array<{sectionY: number, mesh: Object|null}>}|null>} Null if the job was cancelled
+     * (the mesh of a section is null when nothing is visible)
+     */
+    async buildMesh(chunk, chunkKey, sectionYs = null) {
+        const buildOnMainThread = ys => {
+            if (!chunk.light) {
+                this.lightEngine.lightChunk(chunk);
+            }
+            return { meshes: this.meshBuilder.build(this.getMeshInput(chunk, ys)) };
+        };
+        if (!this.usesWorkers) {
+            return buildOnMainThread(sectionYs);
+        }
+        
+        const requested = sectionYs || chunk.storage.sections.map((_, sectionY) => sectionY);
+        const replaced = this.pendingSections.get(chunkKey);
+        const ys = replaced ? Array.from(new Set([...replaced, ...requested])) : requested;
+        this.pendingSections.set(chunkKey, ys);
+        
+        // Workers get a copy, edits may change the chunk while the job runs
+        const input = this.getMeshInput(chunk, ys, true);
+        const transfer = [...input.sections, ...(input.light || []), ...(input.lightBorders || [])]
+            .filter(data => data && typeof data !== 'number')
+            .map(data => data.buffer);
+        const result = await this.runJob(chunkKey, { type: 'mesh', chunk: input }, transfer, () => buildOnMainThread(ys));
+        
+        if (this.pendingSections.get(chunkKey) === ys) {
+            this.pendingSections.delete(chunkKey);
+        }
+        
+        // Light computed by the worker
+        if (result && result.light && !chunk.light) {
+            chunk.light = LightMap.fromData(result.light, chunk.size, chunk.height);
+        }
+        return result;
+    }
+    
+    /**
+     * Sample and build the buffers of a distant terrain tile
+     * @param {Object} tile - {size, scale, x, z, mask}, see LodTileBuilder.sample()
+     * @param {Array<Object|null>} surfaces - Recorded surfaces of the chunks of the mask
+     * @returns {Promise<{meshData: Object|null}|null>} Null if the job was cancelled
+     * (meshData is null when the tile draws nothing)
+     */
+    async buildLodTile(tile, surfaces) {
+        const buildOnMainThread = () => ({
+            meshData: this.lodTileBuilder.build(LodTileBuilder.sample(tile, surfaces, this.terrainGenerator))
+        });
+        if (!this.usesWorkers) {
+            return buildOnMainThread();
+        }
+        
+        const message = { type: 'lodTile', tile, surfaces };
+        return this.runJob(ChunkPipeline.getTileJobKey(tile), message, [], buildOnMainThread);
+    }
+    
+    /**
+     * Get the key of the job of a tile: the chunk at its centre, for the priority, and its scale
+     * ("x,z,scale"), so tiles of different rings and chunk cancels do not replace each other
+     */
+    static getTileJobKey({ scale, x, z }) {
+        const center = Math.floor(scale / 2);
+        return `${x * scale + center},${z * scale + center},${scale}`;
+    }
+    
+    /**
+     * Cancel the job of a tile, waiting or running
+     */
+    cancelLodTile(tile) {
+        if (this.workerPool) {
+            this.workerPool.cancel(ChunkPipeline.getTileJobKey(tile));
+        }
+    }
+    
+    /**
+     * Get the input of the mesh builder for sections of a chunk
+     * Only the sections to build and the ones next to them are included, with their light
+     * once the chunk is lit
+     * @param {Array<number>} sectionYs - Sections to build, all of them by default
+     * @param {boolean} copy - Copy the block ids and light of the sections
+     */
+    getMeshInput(chunk, sectionYs = null, copy = false) {
+        const { storage, light } = chunk;
+        const count = storage.sections.length;
+        const ys = sectionYs || storage.sections.map((_, sectionY) => sectionY);
+        const sections = new Array(count);
+        const lightData = light ? new Array(count) : null;
+        
+        ys.forEach(sectionY => {
+            for (let i = Math.max(0, sectionY - 1); i <= Math.min(count - 1, sectionY + 1); i++) {
+                if (sections[i] === undefined) {
+                    sections[i] = storage.sections[i].toData(copy);
+                    if (light) lightData[i] = light.toData(i, copy);
+                }
+            }
+        });
+        
+        return {
+            sections,
+            light: lightData,
+            lightBorders: this.lightEngine.getBorderLight(chunk),
+            sectionYs: ys,
+            size: chunk.size,
+            height: chunk.height,
+            sectionHeight: storage.sectionHeight,
+            x: chunk.x,
+            z: chunk.z
+        };
+    }
+    
+    /**
+     * Cancel the job of a chunk, waiting or running
+     */
+    cancel(chunkKey) {
+        this.pendingSections.delete(chunkKey);
+        if (this.workerPool) {
+            this.workerPool.cancel(chunkKey);
+        }
+    }
+    
+    /**
+     * Cancel every job and switch the workers to a new seed
+     * Call after the seed of the main generator changed
+     */
+    resetSeed() {
+        this.pendingSections.clear();
+        if (this.workerPool) {
+            this.workerPool.cancelAll();
+            this.workerPool.broadcast({ type: 'setSeed', seed: this.terrainGenerator.seed });
+        }
+    }
+    
+    /**
+     * Get pipeline statistics
+     */
+    getStats() {
+        return this.workerPool ? this.workerPool.getStats() : { workers: 0 };
+    }
+    
+    /**
+     * Stop the workers
+     */
+    dispose() {
+        if (this.workerPool) {
+            this.workerPool.terminate();
+            this.workerPool = null;
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,133 @@
+import { BlockRegistry } from './BlockRegistry.js';
+
+/**
+ * ChunkSection holds the block ids of a horizontal slice of a chunk (see BlockStorage)
+ * A section filled with a single block, like the air of the sky or deep stone, only keeps
+ * that id: the typed array is allocated by the first write of a different block.
+ * Blocks are laid out as (x * height + y) * size + z, with y local to the section
+ */
+export class ChunkSection {
+    /**
+     * @param {Uint16Array|number} data - Block ids, or the id filling the whole section
+     */
+    constructor(size, height, data = BlockRegistry.AIR) {
+        this.size = size;
+        this.height = height;
+        this.ids = null;
+        this.uniformId = BlockRegistry.AIR;
+        this.blockCount = 0; // Number of non-air blocks
+        
+        if (data instanceof Uint16Array) {
+            this.ids = data;
+            this.blockCount = this.countBlocks();
+            this.compact();
+        } else {
+            this.fill(data);
+        }
+    }
+    
+    /**
+     * Get the storage state: 'empty' (only air), 'uniform' (one block type) or 'mixed'
+     */
+    get state() {
+        if (this.ids) return 'mixed';
+        return this.uniformId === BlockRegistry.AIR ? 'empty' : 'uniform';
+    }
+    
+    /**
+     * Check if the section holds only air
+     */
+    isEmpty() {
+        return this.blockCount === 0;
+    }
+    
+    /**
+     * Get the array index of local coordinates (not bounds checked)
+     */
+    index(x, y, z) {
+        return (x * this.height + y) * this.size + z;
+    }
+    
+    /**
+     * Get the block id at local coordinates (not bounds checked)
+     */
+    getId(x, y, z) {
+        return this.ids ? this.ids[this.index(x, y, z)] : this.uniformId;
+    }
+    
+    /**
+     * Set the block id at local coordinates (not bounds checked)
+     */
+    setId(x, y, z, id) {
+        if (!this.ids) {
+            if (id === this.uniformId) return;
+            this.ids = new Uint16Array(this.size * this.height * this.size).fill(this.uniformId);
+        }
+        
+        const index = this.index(x, y, z);
+        const air = BlockRegistry.AIR;
+        const oldId = this.ids[index];
+        this.ids[index] = id;
+        
+        if (oldId === air && id !== air) {
+            this.blockCount++;
+        } else if (oldId !== air && id === air) {
+            this.blockCount--;
+        }
+    }
+    
+    /**
+     * Fill the whole section with one block id, releasing the typed array
+     */
+    fill(id) {
+        this.ids = null;
+        this.uniformId = id;
+        this.blockCount = id === BlockRegistry.AIR ? 0 : this.size * this.height * this.size;
+    }
+    
+    /**
+     * Release the typed array if every block is the same
+     * Writes do not check it, call after bulk changes (generation, loading)
+     */
+    compact() {
+        if (!this.ids) return;
+        
+        const first = this.ids[0];
+        for (let i = 1; i < this.ids.length; i++) {
+            if (this.ids[i] !== first) return;
+        }
+        this.fill(first);
+    }
+    
+    /**
+     * Count the blocks that are not air
+     */
+    countBlocks() {
+        if (!this.ids) {
+            return this.uniformId === BlockRegistry.AIR ? 0 : this.size * this.height * this.size;
+        }
+        
+        const air = BlockRegistry.AIR;
+        let count = 0;
+        for (let i = 0; i < this.ids.length; i++) {
+            if (this.ids[i] !== air) count++;
+        }
+        return count;
+    }
+    
+    /**
+     * Get the section data to send to workers: the typed array, or the id filling the section
+     * @param {boolean} copy - Copy the typed array, so the section can change while it is used
+     */
+    toData(copy = false) {
+        if (!this.ids) return this.uniformId;
+        return copy ? this.ids.slice() : this.ids;
+    }
+    
+    /**
+     * Copy the section
+     */
+    clone() {
+        return new ChunkSection(this.size, this.height, this.toData(true));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,151 @@
+import { CONFIG } from '../config/config.js';
+
+const SAVES_STORE = 'saves';
+const REGIONS_STORE = 'regions';
+
+/**
+ * SaveDatabase wraps the IndexedDB database used for world saves
+ * Stores save slot metadata and region records (groups of chunks)
+ */
+export class SaveDatabase {
+    constructor(dbName = CONFIG.SAVE.DB_NAME, version = CONFIG.SAVE.DB_VERSION) {
+        this.dbName = dbName;
+        this.version = version;
+        this.db = null;
+        this.openPromise = null;
+    }
+    
+    /**
+     * Check if IndexedDB is available in this environment
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+    
+    /**
+     * Open (and upgrade if needed) the database
+     */
+    open() {
+        if (this.openPromise) {
+            return this.openPromise;
+        }
+        
+        this.openPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+            
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                
+                if (!db.objectStoreNames.contains(SAVES_STORE)) {
+                    db.createObjectStore(SAVES_STORE, { keyPath: 'name' });
+                }
+                
+                if (!db.objectStoreNames.contains(REGIONS_STORE)) {
+                    const regions = db.createObjectStore(REGIONS_STORE, { keyPath: ['slot', 'rx', 'rz'] });
+                    regions.createIndex('slot', 'slot', { unique: false });
+                }
+            };
+            
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            
+            request.onerror = () => {
+                this.openPromise = null;
+                reject(request.error);
+            };
+        });
+        
+        return this.openPromise;
+    }
+    
+    /**
+     * Run a single request inside a transaction and resolve with its result
+     */
+    async request(storeName, mode, operation) {
+        const db = await this.open();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const store = transaction.objectStore(storeName);
+            const request = operation(store);
+            
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+    
+    /**
+     * Get all save slot metadata records
+     */
+    getAllSaves() {
+        return this.request(SAVES_STORE, 'readonly', store => store.getAll());
+    }
+    
+    /**
+     * Get metadata for a single save slot
+     */
+    getSave(name) {
+        return this.request(SAVES_STORE, 'readonly', store => store.get(name));
+    }
+    
+    /**
+     * Create or update save slot metadata
+     */
+    putSave(save) {
+        return this.request(SAVES_STORE, 'readwrite', store => store.put(save));
+    }
+    
+    /**
+     * Get a region record, or undefined if it was never saved
+     */
+    getRegion(slot, rx, rz) {
+        return this.request(REGIONS_STORE, 'readonly', store => store.get([slot, rx, rz]));
+    }
+    
+    /**
+     * Write a region record
+     */
+    putRegion(region) {
+        return this.request(REGIONS_STORE, 'readwrite', store => store.put(region));
+    }
+    
+    /**
+     * Delete a save slot together with all of its regions
+     */
+    async deleteSave(name) {
+        const db = await this.open();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([SAVES_STORE, REGIONS_STORE], 'readwrite');
+            transaction.objectStore(SAVES_STORE).delete(name);
+            
+            const regionIndex = transaction.objectStore(REGIONS_STORE).index('slot');
+            const cursorRequest = regionIndex.openCursor(IDBKeyRange.only(name));
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+            
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+    
+    /**
+     * Close the database connection
+     */
+    close() {
+        if (this.db) {
+            this.db.close();
+        }
+        this.db = null;
+        this.openPromise = null;
+    }
+}
\ No newline at end of file
@@ -1,22 +1,64 @@
 import { CONFIG } from '../config/config.js';
+import { FractalNoise } from './noise/FractalNoise.js';
+import { CaveCarver } from './generation/CaveCarver.js';
+import { OreGenerator } from './generation/OreGenerator.js';
+import { Hydrology } from './generation/Hydrology.js';
+import { BiomeRegistry } from './biomes/BiomeRegistry.js';
+import { StructurePlacer } from './structures/StructurePlacer.js';
 
 /**
  * TerrainGenerator creates procedural terrain using noise functions
  * Generates different biomes and terrain features
+ *
+ * Shared by the browser and the server (no DOM or three.js dependencies).
+ * Generation only uses integer hashing and exactly rounded arithmetic,
+ * so the same seed and chunk coordinates give identical chunks in every engine.
  */
 export class TerrainGenerator {
     constructor(seed = null) {
-        this.seed = seed || Math.floor(Math.random() * 1000000);
-        this.noiseScale = CONFIG.WORLD.TERRAIN.NOISE_SCALE;
-        this.heightScale = CONFIG.WORLD.TERRAIN.HEIGHT_SCALE;
-        this.seaLevel = CONFIG.WORLD.TERRAIN.SEA_LEVEL;
+        this.seed = seed !== null && seed !== undefined ? seed | 0 : Math.floor(Math.random() * 1000000);
+        this.noiseScale = CONFIG.WORLD.TERRAIN.SCALE;
+        this.heightScale = CONFIG.WORLD.TERRAIN.HEIGHT_MULTIPLIER;
+        this.seaLevel = CONFIG.WORLD.SEA_LEVEL;
         
-        // Biome settings
-        this.biomes = CONFIG.WORLD.BIOMES;
+        // Biome definitions placed in climate space
+        this.biomeRegistry = new BiomeRegistry(CONFIG.WORLD.BIOMES, CONFIG.WORLD.BIOME_BLEND);
+        
+        // Optional generation stages (HYDROLOGY, OVERHANGS, CAVES, ORES, FEATURES, STRUCTURES)
+        this.stages = { ...CONFIG.WORLD.GENERATION.STAGES };
+        
+        // Noise sources
+        this.initNoise();
         
         console.log(`TerrainGenerator initialized with seed: ${this.seed}`);
     }
     
+    /**
+     * Create the seeded noise sources and generation stages
+     * Each source gets its own seed so height and climate axes are uncorrelated
+     */
+    initNoise() {
+        this.heightNoise = new FractalNoise(this.seed);
+        this.temperatureNoise = new FractalNoise(this.seed + 1, { octaves: 2, frequency: 0.004 });
+        this.humidityNoise = new FractalNoise(this.seed + 2, { octaves: 2, frequency: 0.004 });
+        this.continentalnessNoise = new FractalNoise(this.seed + 3, { octaves: 3, frequency: 0.0015 });
+        this.hydrology = new Hydrology(this.seed, (x, z) => this.generateBaseColumn(x, z).height);
+        this.caveCarver = new CaveCarver(this.seed);
+        this.oreGenerator = new OreGenerator(this.seed);
+        this.structurePlacer = new StructurePlacer(this.seed, this);
+    }
+    
+    /**
+     * Enable or disable an optional generation stage
+     */
+    setStageEnabled(stage, enabled) {
+        if (!(stage in this.stages)) {
+            console.warn(`Unknown generation stage: ${stage}`);
+            return;
+        }
+        this.stages[stage] = enabled;
+    }
+    
     /**
      * Generate a chunk of terrain data
      */
@@ -31,41 +73,115 @@ export class TerrainGenerator {
             }
         }
         
-        // Generate terrain for each column
+        // Stages 1 to 3 for each column: heightmap terrain, overhangs and caves
+        const columns = [];
         for (let x = 0; x < chunkSize; x++) {
             for (let z = 0; z < chunkSize; z++) {
-                const worldX = chunkX * chunkSize + x;
-                const worldZ = chunkZ * chunkSize + z;
-                
-                // Generate height and biome for this position
-                const terrainInfo = this.generateTerrainColumn(worldX, worldZ);
-                const height = Math.floor(terrainInfo.height);
-                const biome = terrainInfo.biome;
-                
-                // Fill column with blocks
-                this.fillTerrainColumn(chunkData, x, z, height, biome, chunkHeight);
-                
-                // Add features (trees, ores, etc.)
-                this.addFeatures(chunkData, x, z, worldX, worldZ, height, biome, chunkHeight);
+                columns.push(this.buildColumn(chunkData, x, z, chunkX * chunkSize + x, chunkZ * chunkSize + z, chunkHeight));
             }
         }
         
+        // Stage 4: ore veins in the remaining stone
+        if (this.stages.ORES) {
+            this.oreGenerator.generate(chunkData, chunkX, chunkZ, chunkSize, chunkHeight);
+        }
+        
+        // Stage 5: features (whole trees, canopies may reach neighbouring chunks)
+        if (this.stages.FEATURES) {
+            this.structurePlacer.placeTrees(chunkData, chunkX, chunkZ, chunkSize, chunkHeight, columns);
+        }
+        
+        // Stage 6: villages and dungeons
+        if (this.stages.STRUCTURES) {
+            this.structurePlacer.placeStructures(chunkData, chunkX, chunkZ, chunkSize, chunkHeight);
+        }
+        
         return chunkData;
     }
     
     /**
-     * Generate terrain information for a single column
+     * Generate the terrain of one column: heightmap blocks, then overhangs and caves
+     * These stages only read the column itself, so a column is the same whatever chunk it is built in
+     * @returns {Object} Column ({x, z, worldX, worldZ, height, biome, waterLevel})
+     */
+    buildColumn(chunkData, x, z, worldX, worldZ, chunkHeight) {
+        // Generate height, biome and water for this position
+        const terrainInfo = this.generateTerrainColumn(worldX, worldZ);
+        const height = Math.floor(terrainInfo.height);
+        const { biome, waterLevel, shoreLevel } = terrainInfo;
+        
+        // Stage 1: fill column with blocks
+        this.fillTerrainColumn(chunkData, x, z, height, biome, chunkHeight, waterLevel, shoreLevel);
+        const column = { x, z, worldX, worldZ, height, biome, waterLevel };
+        
+        // Stage 2: overhangs from 3D density around the surface (not under rivers and lakes)
+        if (this.stages.OVERHANGS && !(waterLevel > height)) {
+            this.caveCarver.shapeOverhangs(chunkData, column, this.getBiomeConfig(biome), chunkHeight);
+        }
+        
+        // Stage 3: worm and cheese caves
+        if (this.stages.CAVES) {
+            this.caveCarver.carveColumn(chunkData, column, chunkHeight);
+        }
+        
+        return column;
+    }
+    
+    /**
+     * Generate a single column of another chunk as generateChunk would, up to its ores
+     * Used to find structures starting next to a chunk without generating the neighbour
+     * @returns {{height: number, biome: string, getBlock: Function}} getBlock(y) gives the block with its ore
+     */
+    generateColumn(worldX, worldZ, chunkSize, chunkHeight) {
+        const chunkData = [Array.from({ length: chunkHeight }, () => ['air'])];
+        const { height, biome } = this.buildColumn(chunkData, 0, 0, worldX, worldZ, chunkHeight);
+        
+        const getBlock = y => {
+            const block = chunkData[0][y][0];
+            if (block === 'stone' && this.stages.ORES) {
+                return this.oreGenerator.getOreAt(worldX, y, worldZ, chunkSize, chunkHeight) || block;
+            }
+            return block;
+        };
+        return { height, biome, getBlock };
+    }
+    
+    /**
+     * Generate terrain information for a single column, with rivers and lakes
      */
     generateTerrainColumn(worldX, worldZ) {
+        const { height, biome } = this.generateBaseColumn(worldX, worldZ);
+        
+        if (!this.stages.HYDROLOGY) {
+            return { height, biome, waterLevel: this.seaLevel, shoreLevel: this.seaLevel };
+        }
+        
+        // Rivers and lakes lower the terrain and raise the water level
+        const water = this.hydrology.shapeColumn(worldX, worldZ, height);
+        return {
+            height: water.height,
+            biome: biome,
+            waterLevel: water.waterLevel,
+            shoreLevel: water.shoreLevel
+        };
+    }
+    
+    /**
+     * Generate height and biome of a column before rivers and lakes
+     */
+    generateBaseColumn(worldX, worldZ) {
         // Base height using multiple octaves of noise
         const baseHeight = this.generateHeight(worldX, worldZ);
         
         // Determine biome
-        const biome = this.determineBiome(worldX, worldZ);
+        const climate = this.sampleClimate(worldX, worldZ);
+        const biome = this.biomeRegistry.lookup(climate).id;
         
-        // Apply biome-specific height modifications
-        const biomeConfig = this.biomes[biome];
-        const finalHeight = baseHeight * biomeConfig.heightMultiplier + biomeConfig.heightOffset;
+        // Blend biome height profiles by climate distance so borders are smooth
+        let finalHeight = 0;
+        this.biomeRegistry.getWeights(climate).forEach(({ biome: biomeConfig, weight }) => {
+            finalHeight += (baseHeight * biomeConfig.heightMultiplier + biomeConfig.heightOffset) * weight;
+        });
         
         return {
             height: Math.max(1, finalHeight),
@@ -77,17 +193,8 @@ export class TerrainGenerator {
      * Generate base height using noise
      */
     generateHeight(x, z) {
-        // Multiple octaves for more interesting terrain
-        let height = 0;
-        let amplitude = 1;
-        let frequency = this.noiseScale;
-        
-        // Add multiple octaves
-        for (let i = 0; i < 4; i++) {
-            height += this.noise2D(x * frequency, z * frequency) * amplitude;
-            amplitude *= 0.5;
-            frequency *= 2;
-        }
+        // Fractal noise with OCTAVES/PERSISTENCE/LACUNARITY from the terrain config
+        let height = this.heightNoise.fbm2D(x, z);
         
         // Normalize and scale
         height = (height + 1) * 0.5; // Convert from [-1,1] to [0,1]
@@ -95,43 +202,54 @@ export class TerrainGenerator {
     }
     
     /**
-     * Determine biome based on temperature and humidity
+     * Sample the climate axes at a position, each in [0, 1]
      */
-    determineBiome(x, z) {
-        const temperature = this.noise2D(x * 0.01, z * 0.01);
-        const humidity = this.noise2D(x * 0.01 + 1000, z * 0.01 + 1000);
+    sampleClimate(x, z) {
+        // fBm rarely leaves [-0.7, 0.7], stretch it to cover the whole climate table
+        const normalize = value => Math.min(1, Math.max(0, 0.5 + value * 0.75));
         
-        // Simple biome determination
-        if (temperature > 0.3) {
-            if (humidity > 0.2) {
-                return 'forest';
-            } else {
-                return 'desert';
-            }
-        } else {
-            if (humidity > 0.0) {
-                return 'plains';
-            } else {
-                return 'mountains';
-            }
-        }
+        return {
+            temperature: normalize(this.temperatureNoise.fbm2D(x, z)),
+            humidity: normalize(this.humidityNoise.fbm2D(x, z)),
+            continentalness: normalize(this.continentalnessNoise.fbm2D(x, z))
+        };
+    }
+    
+    /**
+     * Determine biome based on temperature, humidity and continentalness
+     */
+    determineBiome(x, z) {
+        return this.biomeRegistry.lookup(this.sampleClimate(x, z)).id;
+    }
+    
+    /**
+     * Get the definition of a biome from its id
+     */
+    getBiomeConfig(biome) {
+        return this.biomeRegistry.get(biome);
     }
     
     /**
      * Fill a terrain column with appropriate blocks
+     * @param {number} waterLevel - Water fills the column from the surface up to y < waterLevel
+     * @param {number} shoreLevel - Level of the nearest water, beaches reach BEACH_HEIGHT above it
      */
-    fillTerrainColumn(chunkData, x, z, height, biome, chunkHeight) {
-        const biomeConfig = this.biomes[biome];
+    fillTerrainColumn(chunkData, x, z, height, biome, chunkHeight, waterLevel = this.seaLevel, shoreLevel = this.seaLevel) {
+        const biomeConfig = this.getBiomeConfig(biome);
+        
+        // Beds under water and beaches at the shore
+        const isShore = this.isShore(height, shoreLevel);
+        const shoreBlock = biomeConfig.shoreBlock ?? 'sand';
         
         for (let y = 0; y < Math.min(height, chunkHeight); y++) {
             let blockType;
             
             if (y === height - 1) {
                 // Surface block
-                blockType = biomeConfig.surfaceBlock;
+                blockType = isShore ? shoreBlock : biomeConfig.surfaceBlock;
             } else if (y >= height - 4) {
                 // Sub-surface blocks
-                blockType = biomeConfig.subSurfaceBlock;
+                blockType = isShore ? shoreBlock : biomeConfig.subSurfaceBlock;
             } else {
                 // Deep blocks
                 blockType = biomeConfig.deepBlock;
@@ -140,136 +258,41 @@ export class TerrainGenerator {
             chunkData[x][y][z] = blockType;
         }
         
-        // Add bedrock at the bottom
-        if (chunkHeight > 0) {
-            chunkData[x][0][z] = 'stone';
-        }
-    }
-    
-    /**
-     * Add terrain features like trees, ores, etc.
-     */
-    addFeatures(chunkData, x, z, worldX, worldZ, height, biome, chunkHeight) {
-        const biomeConfig = this.biomes[biome];
-        
-        // Trees
-        if (biomeConfig.treeChance > 0 && this.random(worldX, worldZ, 'tree') < biomeConfig.treeChance) {
-            this.generateTree(chunkData, x, z, height, chunkHeight);
-        }
-        
-        // Ores
-        this.generateOres(chunkData, x, z, worldX, worldZ, chunkHeight);
-        
-        // Grass and flowers
-        if (biome === 'plains' || biome === 'forest') {
-            if (height < chunkHeight && this.random(worldX, worldZ, 'grass') < 0.3) {
-                // Add grass on top of surface block
-                if (chunkData[x][height][z] === 'air') {
-                    // Could add grass blocks here if we had them
-                }
-            }
-        }
-    }
-    
-    /**
-     * Generate a simple tree
-     */
-    generateTree(chunkData, x, z, groundHeight, chunkHeight) {
-        const treeHeight = 4 + Math.floor(this.random(x, z, 'treeheight') * 3);
-        const trunkHeight = Math.floor(treeHeight * 0.7);
-        
-        // Generate trunk
-        for (let y = groundHeight; y < Math.min(groundHeight + trunkHeight, chunkHeight); y++) {
-            if (x >= 0 && x < chunkData.length && z >= 0 && z < chunkData[0][0].length) {
-                chunkData[x][y][z] = 'wood';
-            }
+        // Oceans, rivers and lakes
+        for (let y = Math.max(height, 0); y < Math.min(waterLevel, chunkHeight); y++) {
+            chunkData[x][y][z] = 'water';
         }
         
-        // Generate leaves
-        const leavesY = groundHeight + trunkHeight;
-        const leavesRadius = 2;
-        
-        for (let dx = -leavesRadius; dx <= leavesRadius; dx++) {
-            for (let dz = -leavesRadius; dz <= leavesRadius; dz++) {
-                for (let dy = 0; dy < 3; dy++) {
-                    const leafX = x + dx;
-                    const leafZ = z + dz;
-                    const leafY = leavesY + dy;
-                    
-                    if (leafX >= 0 && leafX < chunkData.length &&
-                        leafZ >= 0 && leafZ < chunkData[0][0].length &&
-                        leafY < chunkHeight) {
-                        
-                        const distance = Math.sqrt(dx * dx + dz * dz);
-                        if (distance <= leavesRadius && this.random(leafX, leafZ, 'leaves') > 0.3) {
-                            if (chunkData[leafX][leafY][leafZ] === 'air') {
-                                chunkData[leafX][leafY][leafZ] = 'leaves';
-                            }
-                        }
-                    }
-                }
-            }
+        // Add bedrock at the bottom
+        if (chunkHeight > 0) {
+            chunkData[x][0][z] = 'bedrock';
         }
     }
     
     /**
-     * Generate ore deposits
+     * Check if a column surface is a beach or a water bed (shore blocks instead of the biome surface)
      */
-    generateOres(chunkData, x, z, worldX, worldZ, chunkHeight) {
-        // Stone ore (common)
-        for (let y = 1; y < chunkHeight * 0.8; y++) {
-            if (chunkData[x][y][z] === 'stone' || chunkData[x][y][z] === 'dirt') {
-                if (this.random(worldX, worldZ, `ore_${y}`) < 0.02) {
-                    // Could add different ore types based on depth
-                    // For now, just keep as stone
-                }
-            }
-        }
+    isShore(height, shoreLevel) {
+        return height <= shoreLevel + CONFIG.WORLD.GENERATION.HYDROLOGY.BEACH_HEIGHT;
     }
     
     /**
-     * Simple 2D noise function (simplified Perlin-like noise)
-     */
-    noise2D(x, y) {
-        // Simple hash-based noise
-        const hash = this.hash2D(Math.floor(x), Math.floor(y));
-        const fx = x - Math.floor(x);
-        const fy = y - Math.floor(y);
-        
-        // Get corner values
-        const a = this.hash2D(Math.floor(x), Math.floor(y));
-        const b = this.hash2D(Math.floor(x) + 1, Math.floor(y));
-        const c = this.hash2D(Math.floor(x), Math.floor(y) + 1);
-        const d = this.hash2D(Math.floor(x) + 1, Math.floor(y) + 1);
-        
-        // Smooth interpolation
-        const u = this.smoothstep(fx);
-        const v = this.smoothstep(fy);
-        
-        // Bilinear interpolation
-        const i1 = this.lerp(a, b, u);
-        const i2 = this.lerp(c, d, u);
-        
-        return this.lerp(i1, i2, v);
-    }
-    
-    /**
-     * Hash function for 2D coordinates
+     * Pseudo-random number generator
      */
-    hash2D(x, y) {
-        let hash = (x * 374761393 + y * 668265263 + this.seed) % 2147483647;
-        hash = (hash ^ (hash >> 13)) * 1274126177;
-        hash = hash ^ (hash >> 16);
-        return (hash % 2000000) / 1000000 - 1; // Return value between -1 and 1
+    random(x, z, salt = '') {
+        const hash = this.hashInt(x, z, this.stringHash(salt));
+        return hash / 4294967296; // Return value between 0 and 1
     }
     
     /**
-     * Pseudo-random number generator
+     * Mix integer coordinates, seed and salt into an unsigned 32-bit hash
+     * Math.imul keeps every step in 32-bit integer range, so results never depend on float precision
      */
-    random(x, z, salt = '') {
-        const saltHash = this.stringHash(salt);
-        const hash = (x * 374761393 + z * 668265263 + this.seed + saltHash) % 2147483647;
-        return Math.abs(hash) / 2147483647;
+    hashInt(x, z, salt) {
+        let hash = (Math.imul(x, 374761393) + Math.imul(z, 668265263) + this.seed + salt) | 0;
+        hash = Math.imul(hash ^ (hash >>> 13), 1274126177);
+        hash = hash ^ (hash >>> 16);
+        return hash >>> 0;
     }
     
     /**
@@ -285,20 +308,6 @@ export class TerrainGenerator {
         return hash;
     }
     
-    /**
-     * Linear interpolation
-     */
-    lerp(a, b, t) {
-        return a + t * (b - a);
-    }
-    
-    /**
-     * Smooth step function for better interpolation
-     */
-    smoothstep(t) {
-        return t * t * (3 - 2 * t);
-    }
-    
     /**
      * Generate height map for a chunk (useful for preview)
      */
@@ -322,6 +331,22 @@ export class TerrainGenerator {
         return heightMap;
     }
     
+    /**
+     * Get the surface of a column without overhangs, caves and structures (distant terrain, see TerrainLod)
+     * @returns {{height: number, block: string, waterLevel: number}} Top of the ground, its block and top of the water (at most height when dry)
+     */
+    getSurfaceAt(x, z) {
+        const { height, biome, waterLevel, shoreLevel } = this.generateTerrainColumn(x, z);
+        const surface = Math.floor(height);
+        const biomeConfig = this.getBiomeConfig(biome);
+        
+        return {
+            height: surface,
+            block: this.isShore(surface, shoreLevel) ? (biomeConfig.shoreBlock ?? 'sand') : biomeConfig.surfaceBlock,
+            waterLevel: Math.ceil(waterLevel)
+        };
+    }
+    
     /**
      * Get biome at specific coordinates
      */
@@ -356,35 +381,6 @@ export class TerrainGenerator {
         return true;
     }
     
-    /**
-     * Generate structure placement positions for a chunk
-     */
-    generateStructurePlacements(chunkX, chunkZ, chunkSize, structureType) {
-        const placements = [];
-        const spacing = 32; // Minimum spacing between structures
-        
-        // Check a few potential positions in the chunk
-        for (let attempts = 0; attempts < 5; attempts++) {
-            const x = chunkX * chunkSize + Math.floor(this.random(chunkX, chunkZ, `struct_x_${attempts}`) * chunkSize);
-            const z = chunkZ * chunkSize + Math.floor(this.random(chunkX, chunkZ, `struct_z_${attempts}`) * chunkSize);
-            
-            if (this.canPlaceStructure(x, z, 8, 8)) {
-                const biome = this.getBiomeAt(x, z);
-                const height = this.getHeightAt(x, z);
-                
-                placements.push({
-                    x: x,
-                    y: Math.floor(height),
-                    z: z,
-                    biome: biome,
-                    type: structureType
-                });
-            }
-        }
-        
-        return placements;
-    }
-    
     /**
      * Get terrain statistics
      */
@@ -392,9 +388,11 @@ export class TerrainGenerator {
         return {
             seed: this.seed,
             noiseScale: this.noiseScale,
+            octaves: this.heightNoise.octaves,
             heightScale: this.heightScale,
             seaLevel: this.seaLevel,
-            biomes: Object.keys(this.biomes)
+            biomes: this.biomeRegistry.getIds(),
+            stages: { ...this.stages }
         };
     }
     
@@ -402,7 +400,8 @@ export class TerrainGenerator {
      * Set new seed and regenerate
      */
     setSeed(newSeed) {
-        this.seed = newSeed;
+        this.seed = newSeed | 0;
+        this.initNoise();
         console.log(`TerrainGenerator seed changed to: ${this.seed}`);
     }
 }
\ No newline at end of file
@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { TerrainGenerator } from './TerrainGenerator.js';
+
+const CHUNK_SIZE = 16;
+const CHUNK_HEIGHT = 256;
+
+// Worlds checked: the chunks around the spawn, and chunks far from it with another seed
+const WORLDS = [
+    { seed: 12345, centerX: 0, centerZ: 0 },
+    { seed: 99, centerX: 1, centerZ: 30 }
+];
+
+// Hashes of the chunks, pinned so any change to the generated terrain shows up here
+const EXPECTED = {
+    12345: {
+        '-1,-1': '6a26bebb', '-1,0': '717a1fa6', '-1,1': '4f13a8ad',
+        '0,-1': 'c0200218', '0,0': 'aea37435', '0,1': 'b172fc09',
+        '1,-1': '08f1202b', '1,0': '0215580b', '1,1': '4dee9d1b'
+    },
+    99: {
+        '0,29': '2b42c6b7', '0,30': '5c9a801a', '0,31': '41f48ad7',
+        '1,29': 'abd55160', '1,30': '5d648126', '1,31': '9a3d99cd',
+        '2,29': '923a4602', '2,30': 'e6f7ed10', '2,31': 'b69f9feb'
+    }
+};
+
+/**
+ * Hash the blocks of a chunk (FNV-1a over the block names, 32 bit)
+ * Only plain integer math, so the hash is the same in Node and in the browser
+ */
+function hashChunk(chunkData) {
+    let hash = 0x811c9dc5;
+    for (let x = 0; x < chunkData.length; x++) {
+        for (let y = 0; y < chunkData[x].length; y++) {
+            for (let z = 0; z < chunkData[x][y].length; z++) {
+                const block = chunkData[x][y][z];
+                for (let i = 0; i < block.length; i++) {
+                    hash = Math.imul(hash ^ block.charCodeAt(i), 0x01000193);
+                }
+                hash = Math.imul(hash ^ 0x2c, 0x01000193); // Separator
+            }
+        }
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Generate chunks in the given order with a new generator
+ * @returns {Object} Hash per "chunkX,chunkZ"
+ */
+function generateHashes(seed, coords) {
+    const generator = new TerrainGenerator(seed);
+    const hashes = {};
+    coords.forEach(([chunkX, chunkZ]) => {
+        hashes[`${chunkX},${chunkZ}`] = hashChunk(generator.generateChunk(chunkX, chunkZ, CHUNK_SIZE, CHUNK_HEIGHT));
+    });
+    return hashes;
+}
+
+/**
+ * Get the 3x3 chunks around a chunk
+ */
+function getCoords(centerX, centerZ) {
+    const coords = [];
+    for (let chunkX = centerX - 1; chunkX <= centerX + 1; chunkX++) {
+        for (let chunkZ = centerZ - 1; chunkZ <= centerZ + 1; chunkZ++) {
+            coords.push([chunkX, chunkZ]);
+        }
+    }
+    return coords;
+}
+
+describe('TerrainGenerator', () => {
+    beforeAll(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+    
+    afterAll(() => {
+        vi.restoreAllMocks();
+    });
+    
+    WORLDS.forEach(({ seed, centerX, centerZ }) => {
+        describe(`seed ${seed}`, () => {
+            const coords = getCoords(centerX, centerZ);
+            let forward;
+            
+            beforeAll(() => {
+                forward = generateHashes(seed, coords);
+            });
+            
+            it('generates the same chunks in reverse order', () => {
+                expect(generateHashes(seed, [...coords].reverse())).toEqual(forward);
+            });
+            
+            it('generates the pinned chunks', () => {
+                expect(forward).toEqual(EXPECTED[seed]);
+            });
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,84 @@
+import * as THREE from 'three';
+import { BlockRegistry } from './BlockRegistry.js';
+
+/**
+ * VoxelRaycaster walks a ray through the block grid (Amanatides & Woo) to find the
+ * first block it enters. It reads block data instead of intersecting meshes, so the
+ * block and face are exact, also on the edges between blocks.
+ * Air and liquids are passed through, and so is the block the ray starts in
+ */
+export class VoxelRaycaster {
+    /**
+     * Check if the ray stops at a block
+     * @param {string|null} blockType - Block name, null outside loaded chunks
+     */
+    static isTarget(blockType) {
+        if (blockType === null || blockType === 'air') return false;
+        const definition = BlockRegistry.getDefinition(blockType);
+        return Boolean(definition) && !definition.liquid;
+    }
+    
+    /**
+     * Find the first block along a ray
+     * @param {Function} getBlock - (x, y, z) => block name or null (see VoxelWorld.getBlock)
+     * @param {THREE.Vector3} origin - Start of the ray, in blocks
+     * @param {THREE.Vector3} direction - Direction of the ray, normalized here
+     * @param {number} maxDistance - Length of the ray, in blocks
+     * @returns {Object} hit, and when it is true: position of the block, adjacent block on the
+     *   face hit (where a block is placed), face normal, blockType, distance and point of entry
+     */
+    static cast(getBlock, origin, direction, maxDistance) {
+        const dir = direction.clone().normalize();
+        const position = { x: Math.floor(origin.x), y: Math.floor(origin.y), z: Math.floor(origin.z) };
+        
+        // Per axis: step direction, ray length to cross one block, ray length to the next boundary
+        const step = {};
+        const delta = {};
+        const next = {};
+        ['x', 'y', 'z'].forEach(axis => {
+            step[axis] = Math.sign(dir[axis]);
+            delta[axis] = dir[axis] !== 0 ? Math.abs(1 / dir[axis]) : Infinity;
+            if (dir[axis] > 0) {
+                next[axis] = (position[axis] + 1 - origin[axis]) / dir[axis];
+            } else if (dir[axis] < 0) {
+                next[axis] = (origin[axis] - position[axis]) / -dir[axis];
+            } else {
+                next[axis] = Infinity;
+            }
+        });
+        
+        const normal = new THREE.Vector3();
+        for (;;) {
+            // Cross the nearest boundary, the face entered looks back along that axis
+            let axis = 'z';
+            if (next.x < next.y && next.x < next.z) {
+                axis = 'x';
+            } else if (next.y < next.z) {
+                axis = 'y';
+            }
+            
+            const distance = next[axis];
+            if (distance > maxDistance) break;
+            
+            position[axis] += step[axis];
+            next[axis] += delta[axis];
+            normal.set(0, 0, 0);
+            normal[axis] = -step[axis];
+            
+            const blockType = getBlock(position.x, position.y, position.z);
+            if (VoxelRaycaster.isTarget(blockType)) {
+                return {
+                    hit: true,
+                    position: { ...position },
+                    adjacent: { x: position.x + normal.x, y: position.y + normal.y, z: position.z + normal.z },
+                    normal,
+                    blockType,
+                    distance,
+                    point: origin.clone().addScaledVector(dir, distance)
+                };
+            }
+        }
+        
+        return { hit: false };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { VoxelRaycaster } from './VoxelRaycaster.js';
+
+/**
+ * getBlock of a world with the given blocks ("x,y,z" -> name), air elsewhere
+ */
+function createWorld(blocks) {
+    return (x, y, z) => blocks[`${x},${y},${z}`] || 'air';
+}
+
+describe('VoxelRaycaster', () => {
+    describe('cast', () => {
+        it('follows an axis-aligned ray to the first block', () => {
+            const getBlock = createWorld({ '0,2,0': 'grass', '0,1,0': 'stone', '0,4,0': 'water' });
+            const result = VoxelRaycaster.cast(getBlock, new THREE.Vector3(0.5, 5.5, 0.5), new THREE.Vector3(0, -3, 0), 10);
+            
+            expect(result.hit).toBe(true);
+            expect(result.blockType).toBe('grass');
+            expect(result.position).toEqual({ x: 0, y: 2, z: 0 });
+            expect(result.adjacent).toEqual({ x: 0, y: 3, z: 0 });
+            expect(result.normal.toArray()).toEqual([0, 1, 0]);
+            expect(result.distance).toBeCloseTo(2.5);
+            expect(result.point.toArray()).toEqual([0.5, 3, 0.5]);
+        });
+        
+        it('passes through the block it starts in and misses beyond its length', () => {
+            const getBlock = createWorld({ '0,0,0': 'stone', '3,0,0': 'dirt' });
+            const origin = new THREE.Vector3(0.5, 0.5, 0.5);
+            const direction = new THREE.Vector3(1, 0, 0);
+            
+            expect(VoxelRaycaster.cast(getBlock, origin, direction, 2).hit).toBe(false);
+            expect(VoxelRaycaster.cast(getBlock, origin, direction, 3).position).toEqual({ x: 3, y: 0, z: 0 });
+        });
+        
+        it('keeps to the blocks the origin is in along a block edge', () => {
+            const origin = new THREE.Vector3(0.5, 1, 1);
+            const direction = new THREE.Vector3(1, 0, 0);
+            
+            // The ray runs along the edge of four rows of blocks and only walks the row of its origin (y = 1, z = 1)
+            expect(VoxelRaycaster.cast(createWorld({ '3,0,0': 'stone', '3,1,0': 'stone', '3,0,1': 'stone' }), origin, direction, 10).hit).toBe(false);
+            
+            const result = VoxelRaycaster.cast(createWorld({ '3,1,1': 'stone' }), origin, direction, 10);
+            expect(result.position).toEqual({ x: 3, y: 1, z: 1 });
+            expect(result.normal.toArray()).toEqual([-1, 0, 0]);
+            expect(result.distance).toBeCloseTo(2.5);
+        });
+        
+        it('goes diagonally through the corner between blocks', () => {
+            const getBlock = createWorld({ '1,1,0': 'stone' });
+            const result = VoxelRaycaster.cast(getBlock, new THREE.Vector3(0.5, 0.5, 0.5), new THREE.Vector3(1, 1, 0), 5);
+            
+            expect(result.position).toEqual({ x: 1, y: 1, z: 0 });
+            expect(result.distance).toBeCloseTo(Math.SQRT1_2);
+            expect(result.point.x).toBeCloseTo(1);
+            expect(result.point.y).toBeCloseTo(1);
+        });
+        
+        it('misses with a zero-length direction', () => {
+            const getBlock = createWorld({ '0,0,0': 'stone', '0,0,1': 'stone' });
+            expect(VoxelRaycaster.cast(getBlock, new THREE.Vector3(0.5, 0.5, 0.5), new THREE.Vector3(), 5)).toEqual({ hit: false });
+        });
+        
+        it('gives the normal and the adjacent cell of each face', () => {
+            const getBlock = createWorld({ '2,3,4': 'stone' });
+            const center = new THREE.Vector3(2.5, 3.5, 4.5);
+            const faces = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+            
+            faces.forEach(face => {
+                const normal = new THREE.Vector3(...face);
+                const origin = center.clone().addScaledVector(normal, 3);
+                const result = VoxelRaycaster.cast(getBlock, origin, normal.clone().negate(), 5);
+                
+                expect(result.position).toEqual({ x: 2, y: 3, z: 4 });
+                expect(result.normal.toArray()).toEqual(face);
+                expect(result.adjacent).toEqual({ x: 2 + face[0], y: 3 + face[1], z: 4 + face[2] });
+                expect(result.distance).toBeCloseTo(2.5);
+                expect(result.point.distanceTo(center.clone().addScaledVector(normal, 0.5))).toBeCloseTo(0);
+            });
+        });
+    });
+})
\ No newline at end of file
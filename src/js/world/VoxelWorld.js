@@ -2,24 +2,37 @@ import * as THREE from 'three';
 import { CONFIG } from '../config/config.js';
 import { Chunk } from './Chunk.js';
 import { TerrainGenerator } from './TerrainGenerator.js';
+import { ChunkPipeline } from './ChunkPipeline.js';
+import { ChunkMeshFactory } from './meshing/ChunkMeshFactory.js';
+import { LightEngine } from './lighting/LightEngine.js';
+import { ChunkCulling } from './visibility/ChunkCulling.js';
+import { VoxelRaycaster } from './VoxelRaycaster.js';
 
 /**
  * VoxelWorld manages the entire voxel-based world
  * Handles chunk loading/unloading, world generation, and block operations
  */
 export class VoxelWorld {
-    constructor(scene, assetManager) {
+    constructor(scene, assetManager, options = {}) {
         this.scene = scene;
         this.assetManager = assetManager;
         
         // World data
         this.chunks = new Map(); // Map<string, Chunk>
         this.loadedChunks = new Set();
+        this.pendingChunkLoads = new Map(); // Map<string, Object> chunks being loaded, by load token
         this.chunkLoadQueue = [];
         this.chunkUnloadQueue = [];
         
         // Terrain generation
-        this.terrainGenerator = new TerrainGenerator();
+        this.terrainGenerator = new TerrainGenerator(options.seed);
+        
+        // Persistence (optional)
+        this.saveManager = options.saveManager || null;
+        
+        // Listeners by event: chunk_loaded (the chunk, e.g. BlockEditor asks the server for its edits)
+        // and chunk_edited ({chunk, x, y, z} with the block position in the chunk, e.g. TerrainLod)
+        this.eventHandlers = new Map();
         
         // World settings
         this.chunkSize = CONFIG.WORLD.CHUNK_SIZE;
@@ -28,6 +41,7 @@ export class VoxelWorld {
         
         // Performance tracking
         this.chunksGenerated = 0;
+        this.chunksRestored = 0;
         this.chunksLoaded = 0;
         this.chunksUnloaded = 0;
         
@@ -35,9 +49,13 @@ export class VoxelWorld {
         this.playerPosition = new THREE.Vector3();
         this.lastPlayerChunk = { x: 0, z: 0 };
         
-        // Materials cache
-        this.blockMaterials = new Map();
-        this.initializeMaterials();
+        // Light of the loaded chunks; generation and meshing run in workers when available
+        this.lightEngine = new LightEngine((x, z) => this.chunks.get(this.getChunkKey(x, z)));
+        this.pipeline = new ChunkPipeline(this.terrainGenerator, this.lightEngine);
+        
+        // Block materials and chunk meshes, sections hidden behind terrain
+        this.meshFactory = new ChunkMeshFactory(assetManager);
+        this.culling = new ChunkCulling((x, z) => this.chunks.get(this.getChunkKey(x, z)));
         
         // Raycaster for block interaction
         this.raycaster = new THREE.Raycaster();
@@ -45,50 +63,15 @@ export class VoxelWorld {
         console.log('VoxelWorld initialized');
     }
     
-    /**
-     * Initialize block materials from textures
-     */
-    initializeMaterials() {
-        const blockTypes = Object.keys(CONFIG.BLOCKS.TYPES);
-        
-        blockTypes.forEach(blockType => {
-            const blockConfig = CONFIG.BLOCKS.TYPES[blockType];
-            const texturePath = `${CONFIG.PATHS.TEXTURES}/blocks/${blockConfig.texture}`;
-            
-            try {
-                const texture = this.assetManager.getTexture(texturePath);
-                if (texture) {
-                    texture.magFilter = THREE.NearestFilter;
-                    texture.minFilter = THREE.NearestFilter;
-                    texture.wrapS = THREE.RepeatWrapping;
-                    texture.wrapT = THREE.RepeatWrapping;
-                    
-                    const material = new THREE.MeshLambertMaterial({
-                        map: texture,
-                        transparent: blockConfig.transparent || false,
-                        opacity: blockConfig.opacity || 1.0
-                    });
-                    
-                    this.blockMaterials.set(blockType, material);
-                }
-            } catch (error) {
-                console.warn(`Failed to load texture for block ${blockType}:`, error);
-                // Create fallback material
-                const fallbackMaterial = new THREE.MeshLambertMaterial({
-                    color: blockConfig.color || 0x888888
-                });
-                this.blockMaterials.set(blockType, fallbackMaterial);
-            }
-        });
-        
-        console.log(`Initialized ${this.blockMaterials.size} block materials`);
-    }
-    
     /**
      * Update world based on player position
+     * @param {THREE.Camera} camera - Optional, chunks in its view load first, faces are sorted and culled for it
      */
-    update(playerPosition) {
+    update(playerPosition, camera = null) {
         this.playerPosition.copy(playerPosition);
+        this.pipeline.updateView(playerPosition, camera);
+        this.meshFactory.updateView(camera ? camera.position : playerPosition);
+        this.culling.update(camera ? camera.position : playerPosition, this.chunks, camera);
         
         const currentChunk = this.worldToChunk(playerPosition.x, playerPosition.z);
         
@@ -106,7 +89,6 @@ export class VoxelWorld {
      * Update which chunks should be loaded based on player position
      */
     updateChunkLoading(playerChunk) {
-        const chunksToLoad = new Set();
         const chunksToKeep = new Set();
         
         // Determine which chunks should be loaded
@@ -116,14 +98,13 @@ export class VoxelWorld {
                 const distance = Math.sqrt((x - playerChunk.x) ** 2 + (z - playerChunk.z) ** 2);
                 
                 if (distance <= this.renderDistance) {
-                    chunksToLoad.add(chunkKey);
                     chunksToKeep.add(chunkKey);
                 }
             }
         }
         
         // Queue chunks for loading
-        chunksToLoad.forEach(chunkKey => {
+        chunksToKeep.forEach(chunkKey => {
             if (!this.loadedChunks.has(chunkKey) && !this.chunkLoadQueue.includes(chunkKey)) {
                 this.chunkLoadQueue.push(chunkKey);
             }
@@ -135,13 +116,52 @@ export class VoxelWorld {
                 this.chunkUnloadQueue.push(chunkKey);
             }
         });
+        
+        // Drop loads of chunks that left render distance before they completed
+        this.chunkLoadQueue = this.chunkLoadQueue.filter(chunkKey => chunksToKeep.has(chunkKey));
+        Array.from(this.pendingChunkLoads.keys()).forEach(chunkKey => {
+            if (!chunksToKeep.has(chunkKey)) {
+                this.cancelChunkLoad(chunkKey);
+            }
+        });
+        
+        // Nearest and visible chunks first
+        this.chunkLoadQueue.sort((a, b) => this.pipeline.getPriority(a) - this.pipeline.getPriority(b));
+    }
+    
+    /**
+     * Load the block texture atlas, chunk meshes built afterwards use it
+     * @returns {Promise}
+     */
+    loadTextures() {
+        return this.assetManager ? this.meshFactory.loadAtlas() : Promise.resolve();
+    }
+    
+    /**
+     * Load every chunk in render distance of a position
+     * @returns {Promise} Resolves when the chunks are loaded
+     */
+    loadChunksAroundPosition(position) {
+        this.playerPosition.copy(position);
+        this.pipeline.updateView(position);
+        const playerChunk = this.worldToChunk(position.x, position.z);
+        
+        this.updateChunkLoading(playerChunk);
+        this.lastPlayerChunk = playerChunk;
+        
+        const loads = this.chunkLoadQueue.map(chunkKey => this.loadChunk(chunkKey));
+        this.chunkLoadQueue = [];
+        return Promise.all(loads);
     }
     
     /**
      * Process chunk loading and unloading queues
+     * With workers queued loads are handed to the pool, which runs the most urgent first,
+     * up to MAX_PENDING_CHUNK_LOADS at a time
      */
     processChunkQueues() {
         const maxOperationsPerFrame = CONFIG.PERFORMANCE.MAX_CHUNK_OPERATIONS_PER_FRAME;
+        const maxPendingLoads = CONFIG.PERFORMANCE.MAX_PENDING_CHUNK_LOADS;
         let operations = 0;
         
         // Process unloading first to free memory
@@ -152,7 +172,10 @@ export class VoxelWorld {
         }
         
         // Process loading
-        while (this.chunkLoadQueue.length > 0 && operations < maxOperationsPerFrame) {
+        const canLoad = () => this.pipeline.usesWorkers
+            ? this.pendingChunkLoads.size < maxPendingLoads
+            : operations < maxOperationsPerFrame;
+        while (this.chunkLoadQueue.length > 0 && canLoad()) {
             const chunkKey = this.chunkLoadQueue.shift();
             this.loadChunk(chunkKey);
             operations++;
@@ -161,293 +184,202 @@ export class VoxelWorld {
     
     /**
      * Load a chunk
+     * Saved data is used when available, otherwise the chunk is generated
      */
-    loadChunk(chunkKey) {
-        if (this.loadedChunks.has(chunkKey)) {
+    async loadChunk(chunkKey) {
+        if (this.loadedChunks.has(chunkKey) || this.pendingChunkLoads.has(chunkKey)) {
             return;
         }
         
         const { x, z } = this.parseChunkKey(chunkKey);
         
+        // cancelChunkLoad() drops the token, the load then stops at its next step
+        const load = {};
+        this.pendingChunkLoads.set(chunkKey, load);
+        const isCancelled = () => this.pendingChunkLoads.get(chunkKey) !== load;
+        
         try {
-            // Generate chunk data
-            const chunkData = this.terrainGenerator.generateChunk(x, z, this.chunkSize, this.worldHeight);
+            const savedData = this.saveManager ? await this.saveManager.loadChunk(x, z) : null;
+            if (isCancelled()) return;
             
-            // Create chunk object
-            const chunk = new Chunk(x, z, this.chunkSize, this.worldHeight);
-            chunk.setData(chunkData);
-            
-            // Generate mesh
-            const mesh = this.generateChunkMesh(chunk);
-            if (mesh) {
-                this.scene.add(mesh);
-                chunk.setMesh(mesh);
+            let chunk;
+            if (savedData) {
+                // Restore chunk from save
+                chunk = Chunk.deserialize(savedData);
+                this.chunksRestored++;
+            } else {
+                // Generate chunk data
+                chunk = await this.pipeline.generateChunk(x, z, chunkKey);
+                if (!chunk || isCancelled()) return;
+                this.chunksGenerated++;
             }
             
-            // Store chunk
+            // Light the chunk with the light of its loaded neighbours and mesh it
+            const result = await this.pipeline.buildMesh(chunk, chunkKey);
+            if (!result || isCancelled()) return;
+            
+            this.setSectionMeshes(chunk, result.meshes);
+            
+            // Store chunk, its light reaches the neighbours
             this.chunks.set(chunkKey, chunk);
             this.loadedChunks.add(chunkKey);
+            this.remeshSections(this.lightEngine.spreadToNeighbors(chunk));
             
             this.chunksLoaded++;
-            this.chunksGenerated++;
-            
+            this.emit('chunk_loaded', chunk);
+        
         } catch (error) {
             console.error(`Failed to load chunk ${chunkKey}:`, error);
+        } finally {
+            if (!isCancelled()) {
+                this.pendingChunkLoads.delete(chunkKey);
+            }
         }
     }
     
+    /**
+     * Stop loading a chunk, its worker job is cancelled
+     */
+    cancelChunkLoad(chunkKey) {
+        this.pendingChunkLoads.delete(chunkKey);
+        this.pipeline.cancel(chunkKey);
+    }
+    
     /**
      * Unload a chunk
+     * @param {boolean} save - Save the chunk first if it was modified, false to discard its edits
      */
-    unloadChunk(chunkKey) {
+    unloadChunk(chunkKey, save = true) {
         const chunk = this.chunks.get(chunkKey);
         if (!chunk) {
             return;
         }
         
-        // Remove mesh from scene
-        const mesh = chunk.getMesh();
-        if (mesh) {
-            this.scene.remove(mesh);
-            
-            // Dispose geometry and materials
-            if (mesh.geometry) {
-                mesh.geometry.dispose();
-            }
-            if (mesh.material) {
-                if (Array.isArray(mesh.material)) {
-                    mesh.material.forEach(material => material.dispose());
-                } else {
-                    mesh.material.dispose();
-                }
-            }
+        // Persist edits before the chunk data is dropped
+        if (save && chunk.isModified && this.saveManager) {
+            this.saveManager.saveChunk(chunk).catch(error => {
+                console.error(`Edits of unloaded chunk ${chunkKey} were not saved:`, error);
+            });
         }
         
+        // A remesh may still be running
+        this.pipeline.cancel(chunkKey);
+        
+        this.removeChunkMesh(chunk);
+        
         // Remove from collections
         this.chunks.delete(chunkKey);
         this.loadedChunks.delete(chunkKey);
+        this.culling.invalidate();
         
         this.chunksUnloaded++;
     }
     
     /**
-     * Generate mesh for a chunk
+     * Replace section meshes of a chunk with ones built from mesh data
+     * @param {Array<{sectionY: number, mesh: Object|null}>} meshes - Buffers from ChunkMeshBuilder, null when nothing is visible
      */
-    generateChunkMesh(chunk) {
-        const geometry = new THREE.BufferGeometry();
-        const vertices = [];
-        const normals = [];
-        const uvs = [];
-        const indices = [];
-        const materialGroups = new Map();
-        
-        let vertexIndex = 0;
-        
-        // Iterate through all blocks in the chunk
-        for (let x = 0; x < chunk.size; x++) {
-            for (let y = 0; y < chunk.height; y++) {
-                for (let z = 0; z < chunk.size; z++) {
-                    const blockType = chunk.getBlock(x, y, z);
-                    if (blockType === 'air') continue;
-                    
-                    // Check each face of the block
-                    const faces = [
-                        { dir: [0, 1, 0], corners: [[0, 1, 1], [1, 1, 1], [1, 1, 0], [0, 1, 0]] }, // top
-                        { dir: [0, -1, 0], corners: [[0, 0, 0], [1, 0, 0], [1, 0, 1], [0, 0, 1]] }, // bottom
-                        { dir: [1, 0, 0], corners: [[1, 0, 1], [1, 1, 1], [1, 1, 0], [1, 0, 0]] }, // right
-                        { dir: [-1, 0, 0], corners: [[0, 0, 0], [0, 1, 0], [0, 1, 1], [0, 0, 1]] }, // left
-                        { dir: [0, 0, 1], corners: [[0, 0, 1], [0, 1, 1], [1, 1, 1], [1, 0, 1]] }, // front
-                        { dir: [0, 0, -1], corners: [[1, 0, 0], [1, 1, 0], [0, 1, 0], [0, 0, 0]] }  // back
-                    ];
-                    
-                    faces.forEach(face => {
-                        const [dx, dy, dz] = face.dir;
-                        const neighborX = x + dx;
-                        const neighborY = y + dy;
-                        const neighborZ = z + dz;
-                        
-                        // Check if face should be rendered (no solid neighbor)
-                        const neighbor = chunk.getBlock(neighborX, neighborY, neighborZ);
-                        if (neighbor !== 'air' && neighbor !== null) return;
-                        
-                        // Add face vertices
-                        const faceVertices = face.corners.map(corner => [
-                            x + corner[0] + chunk.x * chunk.size,
-                            y + corner[1],
-                            z + corner[2] + chunk.z * chunk.size
-                        ]);
-                        
-                        faceVertices.forEach(vertex => {
-                            vertices.push(...vertex);
-                            normals.push(...face.dir);
-                        });
-                        
-                        // Add UVs
-                        uvs.push(0, 1, 1, 1, 1, 0, 0, 0);
-                        
-                        // Add indices
-                        const baseIndex = vertexIndex;
-                        indices.push(
-                            baseIndex, baseIndex + 1, baseIndex + 2,
-                            baseIndex, baseIndex + 2, baseIndex + 3
-                        );
-                        
-                        // Track material groups
-                        if (!materialGroups.has(blockType)) {
-                            materialGroups.set(blockType, []);
-                        }
-                        materialGroups.get(blockType).push(baseIndex, baseIndex + 1, baseIndex + 2, baseIndex, baseIndex + 2, baseIndex + 3);
-                        
-                        vertexIndex += 4;
-                    });
-                }
-            }
-        }
-        
-        if (vertices.length === 0) {
-            return null;
-        }
-        
-        // Set geometry attributes
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-        geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
-        geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
-        geometry.setIndex(indices);
-        
-        // Create materials array
-        const materials = [];
-        const groups = [];
-        let indexOffset = 0;
+    setSectionMeshes(chunk, meshes) {
+        const isNew = !chunk.getMesh();
         
-        materialGroups.forEach((faceIndices, blockType) => {
-            const material = this.blockMaterials.get(blockType) || this.blockMaterials.get('dirt');
-            materials.push(material);
-            
-            groups.push({
-                start: indexOffset,
-                count: faceIndices.length,
-                materialIndex: materials.length - 1
-            });
-            
-            indexOffset += faceIndices.length;
+        meshes.forEach(({ sectionY, mesh, connectivity }) => {
+            this.meshFactory.disposeSectionMesh(chunk.setSectionMesh(sectionY, this.meshFactory.createSectionMesh(mesh), connectivity));
         });
+        this.culling.invalidate();
         
-        // Create mesh
-        const mesh = new THREE.Mesh(geometry, materials);
-        
-        // Set material groups
-        groups.forEach(group => {
-            geometry.addGroup(group.start, group.count, group.materialIndex);
-        });
-        
-        return mesh;
+        if (isNew && chunk.getMesh()) {
+            this.scene.add(chunk.getMesh());
+        }
+    }
+    
+    /**
+     * Remove the meshes of a chunk from the scene and free their geometry
+     * Materials are shared by all chunks, the mesh factory releases them
+     */
+    removeChunkMesh(chunk) {
+        const group = chunk.getMesh();
+        if (group) {
+            this.scene.remove(group);
+            chunk.sectionMeshes.forEach(mesh => this.meshFactory.disposeSectionMesh(mesh));
+        }
+    }
+    
+    /**
+     * Get the loaded chunk holding world coordinates
+     * @returns {Object|null} {chunk, localX, localZ}, null when the chunk is not loaded
+     */
+    locateBlock(worldX, worldZ) {
+        const { x, z } = this.worldToChunk(worldX, worldZ);
+        const chunk = this.chunks.get(this.getChunkKey(x, z));
+        return chunk ? { chunk, localX: worldX - x * this.chunkSize, localZ: worldZ - z * this.chunkSize } : null;
     }
     
     /**
      * Get block at world coordinates
      */
     getBlock(worldX, worldY, worldZ) {
-        const chunkCoords = this.worldToChunk(worldX, worldZ);
-        const chunkKey = this.getChunkKey(chunkCoords.x, chunkCoords.z);
-        const chunk = this.chunks.get(chunkKey);
-        
-        if (!chunk) {
-            return null;
-        }
-        
-        const localX = worldX - chunkCoords.x * this.chunkSize;
-        const localZ = worldZ - chunkCoords.z * this.chunkSize;
-        
-        return chunk.getBlock(localX, worldY, localZ);
+        const location = this.locateBlock(worldX, worldZ);
+        return location ? location.chunk.getBlock(location.localX, worldY, location.localZ) : null;
     }
     
     /**
      * Set block at world coordinates
      */
     setBlock(worldX, worldY, worldZ, blockType) {
-        const chunkCoords = this.worldToChunk(worldX, worldZ);
-        const chunkKey = this.getChunkKey(chunkCoords.x, chunkCoords.z);
-        const chunk = this.chunks.get(chunkKey);
-        
-        if (!chunk) {
+        const location = this.locateBlock(worldX, worldZ);
+        if (!location || !location.chunk.setBlock(location.localX, worldY, location.localZ, blockType)) {
             return false;
         }
         
-        const localX = worldX - chunkCoords.x * this.chunkSize;
-        const localZ = worldZ - chunkCoords.z * this.chunkSize;
-        
-        const success = chunk.setBlock(localX, worldY, localZ, blockType);
-        
-        if (success) {
-            // Regenerate chunk mesh
-            this.regenerateChunkMesh(chunkKey);
-        }
-        
-        return success;
+        // Relight, then regenerate the meshes of the sections around the block and its light
+        this.remeshSections(this.lightEngine.updateBlock(worldX, worldY, worldZ));
+        this.emit('chunk_edited', { chunk: location.chunk, x: location.localX, y: worldY, z: location.localZ });
+        return true;
     }
     
     /**
-     * Regenerate mesh for a specific chunk
+     * Regenerate the section meshes of several chunks
+     * @param {Map<Chunk, Iterable<number>>} sectionsByChunk - Sections of each chunk, from LightEngine
      */
-    regenerateChunkMesh(chunkKey) {
+    remeshSections(sectionsByChunk) {
+        sectionsByChunk.forEach((sectionYs, chunk) => {
+            this.regenerateChunkMesh(this.getChunkKey(chunk.x, chunk.z), Array.from(sectionYs));
+        });
+    }
+    
+    /**
+     * Regenerate section meshes of a specific chunk
+     * A newer remesh of the same chunk replaces one still waiting in the worker pool
+     * @param {Array<number>} sectionYs - Sections to rebuild, all of them by default
+     */
+    regenerateChunkMesh(chunkKey, sectionYs = null) {
         const chunk = this.chunks.get(chunkKey);
         if (!chunk) return;
         
-        // Remove old mesh
-        const oldMesh = chunk.getMesh();
-        if (oldMesh) {
-            this.scene.remove(oldMesh);
-            if (oldMesh.geometry) oldMesh.geometry.dispose();
-        }
-        
-        // Generate new mesh
-        const newMesh = this.generateChunkMesh(chunk);
-        if (newMesh) {
-            this.scene.add(newMesh);
-            chunk.setMesh(newMesh);
-        }
+        this.pipeline.buildMesh(chunk, chunkKey, sectionYs).then(result => {
+            // The chunk may have been unloaded meanwhile
+            if (result && this.chunks.get(chunkKey) === chunk) {
+                this.setSectionMeshes(chunk, result.meshes);
+            }
+        }).catch(error => {
+            console.error(`Failed to mesh chunk ${chunkKey}:`, error);
+        });
     }
     
     /**
-     * Raycast to find block intersection
+     * Find the first block along a ray, through the block data (see VoxelRaycaster)
+     * @returns {Object} hit, position, adjacent (placement cell), normal, blockType, distance, point
+     */
+    raycast(origin, direction, maxDistance = CONFIG.PLAYER.REACH_DISTANCE) {
+        return VoxelRaycaster.cast((x, y, z) => this.getBlock(x, y, z), origin, direction, maxDistance);
+    }
+    
+    /**
+     * Raycast from a camera through a screen position (normalized device coordinates)
      */
     raycastBlocks(camera, mousePosition) {
         this.raycaster.setFromCamera(mousePosition, camera);
-        
-        const intersects = [];
-        this.chunks.forEach(chunk => {
-            const mesh = chunk.getMesh();
-            if (mesh) {
-                const chunkIntersects = this.raycaster.intersectObject(mesh);
-                intersects.push(...chunkIntersects);
-            }
-        });
-        
-        if (intersects.length > 0) {
-            const intersection = intersects[0];
-            const point = intersection.point;
-            const normal = intersection.face.normal;
-            
-            // Calculate block coordinates
-            const blockX = Math.floor(point.x);
-            const blockY = Math.floor(point.y);
-            const blockZ = Math.floor(point.z);
-            
-            // Calculate adjacent block coordinates for placement
-            const adjacentX = blockX + Math.round(normal.x);
-            const adjacentY = blockY + Math.round(normal.y);
-            const adjacentZ = blockZ + Math.round(normal.z);
-            
-            return {
-                hit: true,
-                position: { x: blockX, y: blockY, z: blockZ },
-                adjacent: { x: adjacentX, y: adjacentY, z: adjacentZ },
-                distance: intersection.distance,
-                normal: normal
-            };
-        }
-        
-        return { hit: false };
+        return this.raycast(this.raycaster.ray.origin, this.raycaster.ray.direction);
     }
     
     /**
@@ -475,6 +407,73 @@ export class VoxelWorld {
         return { x, z };
     }
     
+    /**
+     * Add event listener
+     */
+    on(event, handler) {
+        if (!this.eventHandlers.has(event)) {
+            this.eventHandlers.set(event, []);
+        }
+        this.eventHandlers.get(event).push(handler);
+    }
+    
+    /**
+     * Remove event listener
+     */
+    off(event, handler) {
+        const handlers = this.eventHandlers.get(event);
+        if (handlers) {
+            const index = handlers.indexOf(handler);
+            if (index !== -1) {
+                handlers.splice(index, 1);
+            }
+        }
+    }
+    
+    /**
+     * Emit event
+     */
+    emit(event, data) {
+        const handlers = this.eventHandlers.get(event);
+        if (handlers) {
+            handlers.forEach(handler => {
+                try {
+                    handler(data);
+                } catch (error) {
+                    console.error(`Error in event handler for ${event}:`, error);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Save every loaded chunk that was modified since the last save
+     */
+    saveModifiedChunks() {
+        if (!this.saveManager) {
+            return Promise.resolve();
+        }
+        
+        const modified = Array.from(this.chunks.values()).filter(chunk => chunk.isModified);
+        return this.saveManager.saveChunks(modified);
+    }
+    
+    /**
+     * Change the world seed and drop every loaded chunk
+     * @param {boolean} save - Save the modified chunks first, false to discard them (the save slot changes)
+     */
+    setSeed(seed, save = true) {
+        Array.from(this.chunks.keys()).forEach(chunkKey => this.unloadChunk(chunkKey, save));
+        Array.from(this.pendingChunkLoads.keys()).forEach(chunkKey => this.cancelChunkLoad(chunkKey));
+        this.chunkLoadQueue = [];
+        this.chunkUnloadQueue = [];
+        this.terrainGenerator.setSeed(seed);
+        this.pipeline.resetSeed();
+        
+        // Force chunk loading on the next update
+        this.lastPlayerChunk = { x: NaN, z: NaN };
+    }
+    
     /**
      * Get world statistics
      */
@@ -482,9 +481,11 @@ export class VoxelWorld {
         return {
             chunksLoaded: this.loadedChunks.size,
             chunksGenerated: this.chunksGenerated,
+            chunksRestored: this.chunksRestored,
             chunksInMemory: this.chunks.size,
             chunkLoadQueue: this.chunkLoadQueue.length,
             chunkUnloadQueue: this.chunkUnloadQueue.length,
+            workers: this.pipeline.getStats(),
             totalChunksLoaded: this.chunksLoaded,
             totalChunksUnloaded: this.chunksUnloaded
         };
@@ -494,17 +495,10 @@ export class VoxelWorld {
      * Cleanup resources
      */
     dispose() {
-        // Unload all chunks
-        const chunkKeys = Array.from(this.chunks.keys());
-        chunkKeys.forEach(chunkKey => {
-            this.unloadChunk(chunkKey);
-        });
-        
-        // Dispose materials
-        this.blockMaterials.forEach(material => {
-            material.dispose();
-        });
-        this.blockMaterials.clear();
+        // Unload all chunks, then stop the workers and dispose materials
+        Array.from(this.chunks.keys()).forEach(chunkKey => this.unloadChunk(chunkKey));
+        this.pipeline.dispose();
+        this.meshFactory.dispose();
         
         console.log('VoxelWorld disposed');
     }
@@ -1,6 +1,6 @@
 /**
  * 3D Pit Word - World Manager
- * 
+ *
  * Gestisce il mondo di gioco, inclusi chunk, generazione del terreno,
  * fisica e interazioni con i blocchi.
  */
@@ -10,6 +10,8 @@ import * as CANNON from 'cannon-es';
 import { CONFIG } from '../config/config.js';
 import { VoxelWorld } from './VoxelWorld.js';
 import { TerrainGenerator } from './TerrainGenerator.js';
+import { WorldSaveManager } from './WorldSaveManager.js';
+import { TerrainLod } from './lod/TerrainLod.js';
 
 export class World {
     /**
@@ -21,19 +23,28 @@ export class World {
         this.scene = game.scene;
         this.assetManager = game.assetManager;
         
+        // Stato del mondo
+        this.isLoaded = false;
+        this.seed = Math.floor(Math.random() * 1000000);
+        
+        // Salvataggi del mondo
+        this.saveManager = new WorldSaveManager();
+        
         // Mondo voxel
-        this.voxelWorld = new VoxelWorld(this.scene, this.assetManager);
+        this.voxelWorld = new VoxelWorld(this.scene, this.assetManager, {
+            seed: this.seed,
+            saveManager: this.saveManager
+        });
+        
+        // Terreno lontano a bassa risoluzione, oltre la distanza di rendering
+        this.terrainLod = new TerrainLod(this.scene, this.voxelWorld);
         
         // Mondo fisico
         this.physicsWorld = new CANNON.World();
         this.initPhysics();
         
         // Generatore del terreno
-        this.terrainGenerator = new TerrainGenerator();
-        
-        // Stato del mondo
-        this.isLoaded = false;
-        this.seed = Math.random() * 1000000;
+        this.terrainGenerator = new TerrainGenerator(this.seed);
         
         // Performance tracking
         this.lastUpdate = 0;
@@ -68,24 +79,121 @@ export class World {
         try {
             console.log('Loading world around player position:', playerPosition);
             
+            // Atlante delle texture dei blocchi, prima di costruire le mesh
+            await this.voxelWorld.loadTextures();
+            
             // Genera i chunk iniziali attorno al giocatore
             await this.voxelWorld.loadChunksAroundPosition(playerPosition);
             
             this.isLoaded = true;
             console.log('World loaded successfully');
-            
+        
         } catch (error) {
             console.error('Error loading world:', error);
             throw error;
         }
     }
     
+    /**
+     * Apre uno slot di salvataggio e ripristina seed, giocatore e tempo di gioco
+     * @param {string} slotName - Nome dello slot di salvataggio
+     * @returns {Promise<Object>} Metadati dello slot
+     */
+    async loadSave(slotName) {
+        // Salva il mondo corrente prima di cambiare slot
+        if (this.saveManager.slotName) {
+            await this.save();
+        }
+        this.saveManager.stopAutosave();
+        
+        // Scarta i chunk caricati prima di cambiare slot: scaricati dopo,
+        // le loro modifiche finirebbero nello slot aperto
+        this.setSeed(this.seed, true);
+        
+        const metadata = await this.saveManager.openSlot(slotName, this.seed);
+        
+        // Applica il seed salvato e ricarica i chunk dallo slot aperto, anche con lo stesso seed
+        // (quelli caricati durante l'apertura venivano dallo slot precedente)
+        this.setSeed(metadata.seed, true);
+        
+        this.restorePlayerState(metadata);
+        
+        this.saveManager.startAutosave(() => this.save());
+        
+        return metadata;
+    }
+    
+    /**
+     * Imposta il seed del mondo e rigenera i chunk caricati
+     * @param {number} seed - Seed del mondo (es. ricevuto dal server in server_info)
+     * @param {boolean} discardChunks - Scarta i chunk senza salvarli e li ricarica anche se il seed non cambia
+     */
+    setSeed(seed, discardChunks = false) {
+        if (seed === this.seed && !discardChunks) return;
+        
+        this.seed = seed;
+        this.voxelWorld.setSeed(seed, !discardChunks);
+        this.terrainGenerator.setSeed(seed);
+        this.terrainLod.reset();
+    }
+    
+    /**
+     * Ripristina posizione, inventario e tempo di gioco dai metadati salvati
+     * @param {Object} metadata - Metadati dello slot
+     * @private
+     */
+    restorePlayerState(metadata) {
+        const player = this.game.player;
+        
+        if (player && metadata.player) {
+            const { x, y, z } = metadata.player.position;
+            player.setPosition(x, y, z);
+        }
+        
+        if (player && metadata.inventory && metadata.inventory.length > 0) {
+            player.inventory = new Map(metadata.inventory);
+        }
+        
+        if (this.game.timeManager) {
+            this.game.timeManager.gameTime = metadata.gameTime || 0;
+        }
+    }
+    
+    /**
+     * Salva i chunk modificati e lo stato del giocatore nello slot corrente
+     * @returns {Promise} Promise che si risolve a salvataggio completato
+     */
+    save() {
+        if (!this.saveManager.slotName) {
+            return Promise.resolve();
+        }
+        
+        const player = this.game.player;
+        const metadata = {
+            seed: this.seed,
+            gameTime: this.game.timeManager ? this.game.timeManager.gameTime : 0
+        };
+        
+        if (player) {
+            metadata.player = {
+                position: { x: player.position.x, y: player.position.y, z: player.position.z }
+            };
+            metadata.inventory = Array.from(player.inventory.entries());
+        }
+        
+        return Promise.all([
+            this.voxelWorld.saveModifiedChunks(),
+            this.saveManager.saveMetadata(metadata)
+        ]);
+    }
+    
     /**
      * Aggiorna il mondo
      * @param {number} deltaTime - Tempo trascorso dall'ultimo frame
      * @param {THREE.Vector3} playerPosition - Posizione attuale del giocatore
+     * @param {THREE.Camera} camera - Camera del giocatore, i chunk inquadrati vengono caricati prima
      */
-    update(deltaTime, playerPosition) {
+    update(deltaTime, playerPosition, camera) {
         const now = performance.now();
         
         // Limita gli aggiornamenti per performance
@@ -97,7 +205,10 @@ export class World {
         this.physicsWorld.step(deltaTime);
         
         // Aggiorna il mondo voxel
-        this.voxelWorld.update(playerPosition);
+        this.voxelWorld.update(playerPosition, camera);
+        
+        // Aggiorna il terreno lontano attorno ai chunk caricati
+        this.terrainLod.update(playerPosition);
         
         this.lastUpdate = now;
     }
@@ -193,20 +304,31 @@ export class World {
             chunksGenerated: this.voxelWorld.chunksGenerated,
             physicsBodies: this.physicsWorld.bodies.length,
             seed: this.seed,
-            isLoaded: this.isLoaded
+            isLoaded: this.isLoaded,
+            lod: this.terrainLod.getStats(),
+            save: this.saveManager.getStats()
         };
     }
     
     /**
      * Pulisce le risorse del mondo
+     * @returns {Promise} Promise che si risolve a salvataggio completato
      */
     dispose() {
         console.log('Disposing world resources...');
         
+        // Salva prima di rilasciare i chunk: le scritture partono subito
+        // e il database si chiude quando sono finite
+        const saved = this.save().catch(error => {
+            console.error('Error saving world:', error);
+        });
+        this.saveManager.dispose();
+        
         // Pulisci il mondo voxel
         if (this.voxelWorld) {
             this.voxelWorld.dispose();
         }
+        this.terrainLod.dispose();
         
         // Pulisci il mondo fisico
         this.physicsWorld.bodies.forEach(body => {
@@ -214,5 +336,6 @@ export class World {
         });
         
         console.log('World disposed');
+        return saved;
     }
 }
\ No newline at end of file
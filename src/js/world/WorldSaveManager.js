@@ -0,0 +1,283 @@
+import { CONFIG } from '../config/config.js';
+import { SaveDatabase } from './SaveDatabase.js';
+
+/**
+ * WorldSaveManager persists worlds in IndexedDB
+ * Chunks are grouped into regions of REGION_SIZE x REGION_SIZE chunks,
+ * each region is stored as a single record per save slot
+ */
+export class WorldSaveManager {
+    constructor(database = new SaveDatabase()) {
+        this.database = database;
+        this.isSupported = SaveDatabase.isSupported();
+        
+        // Active save slot
+        this.slotName = null;
+        this.metadata = null;
+        
+        // Region records already read from the database, keyed by "rx,rz"
+        this.regionCache = new Map();
+        
+        // Writes are chained so regions are never written concurrently,
+        // a failed write does not stop the ones after it
+        this.writeQueue = Promise.resolve();
+        
+        // Autosave
+        this.regionSize = CONFIG.SAVE.REGION_SIZE;
+        this.autosaveInterval = CONFIG.SAVE.AUTOSAVE_INTERVAL;
+        this.autosaveTimer = null;
+        
+        // Statistics
+        this.chunksSaved = 0;
+        this.chunksRestored = 0;
+        this.lastSaveTime = 0;
+        
+        if (!this.isSupported) {
+            console.warn('IndexedDB not available, world saves are disabled');
+        }
+    }
+    
+    /**
+     * List all save slots, most recently played first
+     */
+    async listSlots() {
+        if (!this.isSupported) return [];
+        
+        const saves = await this.database.getAllSaves();
+        return saves.sort((a, b) => b.lastPlayed - a.lastPlayed);
+    }
+    
+    /**
+     * Open a save slot, creating it with the given seed if it does not exist
+     * Returns the slot metadata (seed, player, inventory, game time)
+     */
+    async openSlot(slotName, seed) {
+        this.slotName = slotName;
+        this.regionCache.clear();
+        
+        if (!this.isSupported) {
+            this.metadata = this.createMetadata(slotName, seed);
+            return this.metadata;
+        }
+        
+        const existing = await this.database.getSave(slotName);
+        this.metadata = existing || this.createMetadata(slotName, seed);
+        this.metadata.lastPlayed = Date.now();
+        await this.database.putSave(this.metadata);
+        
+        console.log(`Save slot "${slotName}" opened (seed: ${this.metadata.seed})`);
+        return this.metadata;
+    }
+    
+    /**
+     * Create metadata for a new save slot
+     */
+    createMetadata(slotName, seed) {
+        return {
+            name: slotName,
+            seed: seed,
+            player: null,
+            inventory: [],
+            gameTime: 0,
+            createdAt: Date.now(),
+            lastPlayed: Date.now()
+        };
+    }
+    
+    /**
+     * Delete a save slot and all of its regions
+     */
+    async deleteSlot(slotName) {
+        if (!this.isSupported) return;
+        
+        await this.database.deleteSave(slotName);
+        if (slotName === this.slotName) {
+            this.stopAutosave();
+            this.slotName = null;
+            this.metadata = null;
+            this.regionCache.clear();
+        }
+    }
+    
+    /**
+     * Convert chunk coordinates to region coordinates
+     */
+    chunkToRegion(chunkX, chunkZ) {
+        return {
+            rx: Math.floor(chunkX / this.regionSize),
+            rz: Math.floor(chunkZ / this.regionSize)
+        };
+    }
+    
+    /**
+     * Read a region record, using the cache when possible
+     */
+    getRegion(rx, rz) {
+        const regionKey = `${rx},${rz}`;
+        
+        if (!this.regionCache.has(regionKey)) {
+            const regionPromise = this.database.getRegion(this.slotName, rx, rz)
+                .then(region => region || { slot: this.slotName, rx, rz, chunks: {} })
+                .catch(error => {
+                    this.regionCache.delete(regionKey);
+                    throw error;
+                });
+            this.regionCache.set(regionKey, regionPromise);
+        }
+        
+        return this.regionCache.get(regionKey);
+    }
+    
+    /**
+     * Load saved chunk data, or null if the chunk was never saved
+     */
+    async loadChunk(chunkX, chunkZ) {
+        if (!this.isSupported || !this.slotName) return null;
+        
+        const { rx, rz } = this.chunkToRegion(chunkX, chunkZ);
+        
+        try {
+            const region = await this.getRegion(rx, rz);
+            const data = region.chunks[`${chunkX},${chunkZ}`] || null;
+            if (data) {
+                this.chunksRestored++;
+            }
+            return data;
+        } catch (error) {
+            console.error(`Failed to load chunk ${chunkX},${chunkZ} from save:`, error);
+            return null;
+        }
+    }
+    
+    /**
+     * Save a single chunk
+     */
+    saveChunk(chunk) {
+        return this.saveChunks([chunk]);
+    }
+    
+    /**
+     * Save modified chunks, writing each touched region once
+     * Chunks of regions that fail to write are marked modified again, to be saved next time
+     * @returns {Promise} Rejects when a region could not be written
+     */
+    saveChunks(chunks) {
+        if (!this.isSupported || !this.slotName || chunks.length === 0) {
+            return Promise.resolve();
+        }
+        
+        // Serialize now so later edits do not leak into this write; an edit meanwhile
+        // marks the chunk modified again
+        const byRegion = new Map();
+        chunks.forEach(chunk => {
+            const { rx, rz } = this.chunkToRegion(chunk.x, chunk.z);
+            const regionKey = `${rx},${rz}`;
+            if (!byRegion.has(regionKey)) {
+                byRegion.set(regionKey, { rx, rz, chunks: [], entries: [] });
+            }
+            const region = byRegion.get(regionKey);
+            region.chunks.push(chunk);
+            region.entries.push([`${chunk.x},${chunk.z}`, chunk.serialize()]);
+            chunk.isModified = false;
+        });
+        
+        const slotName = this.slotName;
+        const pending = Array.from(byRegion.values());
+        const write = this.writeQueue.then(async () => {
+            while (pending.length > 0) {
+                const { rx, rz, entries } = pending[0];
+                const region = await this.getRegion(rx, rz);
+                
+                // The cached region only changes once the write succeeded
+                const record = { ...region, slot: slotName, chunks: { ...region.chunks }, updatedAt: Date.now() };
+                entries.forEach(([chunkKey, data]) => {
+                    record.chunks[chunkKey] = data;
+                });
+                await this.database.putRegion(record);
+                Object.assign(region, record);
+                this.chunksSaved += entries.length;
+                pending.shift();
+            }
+        }).catch(error => {
+            pending.forEach(region => region.chunks.forEach(chunk => {
+                chunk.isModified = true;
+            }));
+            throw error;
+        });
+        
+        this.writeQueue = write.catch(() => {});
+        return write;
+    }
+    
+    /**
+     * Update slot metadata (seed, player state, game time)
+     * @returns {Promise} Rejects when the metadata could not be written
+     */
+    saveMetadata(updates) {
+        if (!this.isSupported || !this.metadata) {
+            return Promise.resolve();
+        }
+        
+        Object.assign(this.metadata, updates, { lastPlayed: Date.now() });
+        const metadata = { ...this.metadata };
+        
+        const write = this.writeQueue
+            .then(() => this.database.putSave(metadata))
+            .then(() => {
+                this.lastSaveTime = Date.now();
+            });
+        
+        this.writeQueue = write.catch(() => {});
+        return write;
+    }
+    
+    /**
+     * Start the autosave timer
+     * @param {Function} saveCallback - Called on every autosave tick; a failed save is retried on the next one
+     */
+    startAutosave(saveCallback) {
+        this.stopAutosave();
+        
+        if (!this.isSupported || this.autosaveInterval <= 0) return;
+        
+        this.autosaveTimer = setInterval(() => {
+            Promise.resolve(saveCallback()).catch(error => {
+                console.error('Autosave failed:', error);
+            });
+        }, this.autosaveInterval);
+    }
+    
+    /**
+     * Stop the autosave timer
+     */
+    stopAutosave() {
+        if (this.autosaveTimer) {
+            clearInterval(this.autosaveTimer);
+            this.autosaveTimer = null;
+        }
+    }
+    
+    /**
+     * Get save statistics
+     */
+    getStats() {
+        return {
+            slot: this.slotName,
+            regionsCached: this.regionCache.size,
+            chunksSaved: this.chunksSaved,
+            chunksRestored: this.chunksRestored,
+            lastSaveTime: this.lastSaveTime
+        };
+    }
+    
+    /**
+     * Stop autosave and close the database
+     */
+    dispose() {
+        this.stopAutosave();
+        this.regionCache.clear();
+        
+        // Let pending writes finish before closing the connection
+        this.writeQueue.then(() => this.database.close());
+    }
+}
\ No newline at end of file
@@ -0,0 +1,160 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Chunk } from './Chunk.js';
+import { SaveDatabase } from './SaveDatabase.js';
+import { WorldSaveManager } from './WorldSaveManager.js';
+
+const CHUNK_SIZE = 4;
+const CHUNK_HEIGHT = 8;
+
+/**
+ * In-memory stand-in for the parts of IndexedDB used by SaveDatabase
+ * Records are cloned on the way in and out like the real store does
+ */
+function createFakeIndexedDB() {
+    const stores = new Map();
+    const keyPaths = new Map();
+    const fake = { failWrites: false };
+    
+    const keyOf = (storeName, value) => {
+        const keyPath = keyPaths.get(storeName);
+        return JSON.stringify(Array.isArray(keyPath) ? keyPath.map(path => value[path]) : value[keyPath]);
+    };
+    
+    const createTransaction = storeName => {
+        const transaction = { error: null };
+        const finish = (request, run) => setTimeout(() => {
+            try {
+                request.result = run();
+                transaction.oncomplete();
+            } catch (error) {
+                transaction.error = error;
+                transaction.onabort();
+            }
+        });
+        
+        transaction.objectStore = () => {
+            const records = stores.get(storeName);
+            const request = operation => {
+                const result = {};
+                finish(result, operation);
+                return result;
+            };
+            return {
+                get: key => request(() => structuredClone(records.get(JSON.stringify(key)))),
+                getAll: () => request(() => Array.from(records.values(), structuredClone)),
+                put: value => request(() => {
+                    if (fake.failWrites) throw new Error('QuotaExceededError');
+                    records.set(keyOf(storeName, value), structuredClone(value));
+                })
+            };
+        };
+        return transaction;
+    };
+    
+    fake.open = () => {
+        const request = {};
+        setTimeout(() => {
+            request.result = {
+                objectStoreNames: { contains: name => stores.has(name) },
+                createObjectStore: (name, { keyPath }) => {
+                    stores.set(name, new Map());
+                    keyPaths.set(name, keyPath);
+                    return { createIndex: () => {} };
+                },
+                transaction: createTransaction,
+                close: () => {}
+            };
+            request.onupgradeneeded();
+            request.onsuccess();
+        });
+        return request;
+    };
+    
+    return fake;
+}
+
+/**
+ * Chunk with a single block set, marked modified like a player edit
+ */
+function editedChunk(x, z, blockType = 'stone') {
+    const chunk = new Chunk(x, z, CHUNK_SIZE, CHUNK_HEIGHT);
+    chunk.setBlock(1, 2, 3, blockType);
+    return chunk;
+}
+
+describe('WorldSaveManager', () => {
+    let indexedDB;
+    
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        indexedDB = createFakeIndexedDB();
+        vi.stubGlobal('indexedDB', indexedDB);
+    });
+    
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+    
+    it('reads saved chunks back after a reload and a slot switch', async () => {
+        const database = new SaveDatabase();
+        const saveManager = new WorldSaveManager(database);
+        await saveManager.openSlot('A', 1);
+        
+        // Two chunks in different regions
+        const near = editedChunk(0, 0);
+        const far = editedChunk(40, -1, 'dirt');
+        await saveManager.saveChunks([near, far]);
+        expect(near.isModified).toBe(false);
+        expect(far.isModified).toBe(false);
+        
+        await saveManager.openSlot('B', 2);
+        expect(await saveManager.loadChunk(0, 0)).toBeNull();
+        
+        // A new manager on the same database reads from storage, not the cache
+        const reloaded = new WorldSaveManager(database);
+        const metadata = await reloaded.openSlot('A', 3);
+        expect(metadata.seed).toBe(1);
+        
+        const restored = Chunk.deserialize(await reloaded.loadChunk(40, -1));
+        expect(restored.getBlock(1, 2, 3)).toBe('dirt');
+        expect(restored.getBlock(0, 0, 0)).toBe('air');
+        expect(Chunk.deserialize(await reloaded.loadChunk(0, 0)).getBlock(1, 2, 3)).toBe('stone');
+    });
+    
+    it('reads chunks saved in the old 3D array format', async () => {
+        const blocks = Array.from({ length: CHUNK_SIZE }, () =>
+            Array.from({ length: CHUNK_HEIGHT }, () => new Array(CHUNK_SIZE).fill('air')));
+        blocks[1][2][3] = 'planks';
+        
+        const database = new SaveDatabase();
+        await database.putRegion({
+            slot: 'old', rx: 0, rz: 0,
+            chunks: { '2,5': { x: 2, z: 5, size: CHUNK_SIZE, height: CHUNK_HEIGHT, blocks, isGenerated: true } }
+        });
+        
+        const saveManager = new WorldSaveManager(database);
+        await saveManager.openSlot('old', 1);
+        const chunk = Chunk.deserialize(await saveManager.loadChunk(2, 5));
+        expect(chunk.getBlock(1, 2, 3)).toBe('planks');
+        expect(chunk.blockCount).toBe(1);
+        expect(chunk.isGenerated).toBe(true);
+    });
+    
+    it('keeps chunks modified and rejects when a write fails', async () => {
+        const saveManager = new WorldSaveManager(new SaveDatabase());
+        await saveManager.openSlot('A', 1);
+        
+        const chunk = editedChunk(0, 0);
+        indexedDB.failWrites = true;
+        await expect(saveManager.saveChunks([chunk])).rejects.toThrow('QuotaExceededError');
+        expect(chunk.isModified).toBe(true);
+        expect(await saveManager.loadChunk(0, 0)).toBeNull();
+        
+        // The failure does not block the next save
+        indexedDB.failWrites = false;
+        await saveManager.saveChunks([chunk]);
+        expect(chunk.isModified).toBe(false);
+        expect(Chunk.deserialize(await saveManager.loadChunk(0, 0)).getBlock(1, 2, 3)).toBe('stone');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,126 @@
+// Climate axes a biome can be placed on, each normalized to [0, 1]
+export const CLIMATE_AXES = ['temperature', 'humidity', 'continentalness'];
+
+// Fields every biome definition must provide
+const REQUIRED_FIELDS = [
+    'id', 'name',
+    'heightMultiplier', 'heightOffset',
+    'surfaceBlock', 'subSurfaceBlock', 'deepBlock',
+    'treeChance'
+];
+
+/**
+ * BiomeRegistry holds the biome definitions and places them in climate space
+ * Each biome covers a box of [min, max] ranges on the climate axes (Whittaker-style table);
+ * the lookup picks the box containing the climate and blending weights fall off
+ * with the distance to neighbouring boxes
+ */
+export class BiomeRegistry {
+    /**
+     * @param {Object} definitions - Biome definitions keyed by name (e.g. CONFIG.WORLD.BIOMES)
+     * @param {number} blendDistance - Climate distance over which neighbouring biomes blend
+     */
+    constructor(definitions = {}, blendDistance = 0.1) {
+        this.biomes = new Map();
+        this.blendDistance = blendDistance;
+        
+        Object.values(definitions).forEach(definition => this.register(definition));
+    }
+    
+    /**
+     * Register a biome definition
+     */
+    register(definition) {
+        const missing = REQUIRED_FIELDS.filter(field => definition[field] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Biome "${definition.id || definition.name}" is missing: ${missing.join(', ')}`);
+        }
+        
+        const hasRange = CLIMATE_AXES.some(axis => Array.isArray(definition[axis]));
+        if (!hasRange) {
+            throw new Error(`Biome "${definition.id}" needs at least one climate range (${CLIMATE_AXES.join(', ')})`);
+        }
+        
+        this.biomes.set(definition.id, definition);
+    }
+    
+    /**
+     * Get a biome definition by id
+     */
+    get(id) {
+        return this.biomes.get(id);
+    }
+    
+    /**
+     * Get all biome ids
+     */
+    getIds() {
+        return Array.from(this.biomes.keys());
+    }
+    
+    /**
+     * Distance from a climate point to the climate box of a biome (0 when inside)
+     * Axes a biome does not define do not constrain it
+     */
+    getClimateDistance(biome, climate) {
+        let sum = 0;
+        
+        for (const axis of CLIMATE_AXES) {
+            const range = biome[axis];
+            if (!Array.isArray(range)) continue;
+            
+            const value = climate[axis];
+            const outside = value < range[0] ? range[0] - value : value > range[1] ? value - range[1] : 0;
+            sum += outside * outside;
+        }
+        
+        return Math.sqrt(sum);
+    }
+    
+    /**
+     * Find the biome for a climate: the one whose box contains it, or the nearest one
+     */
+    lookup(climate) {
+        let best = null;
+        let bestDistance = Infinity;
+        
+        for (const biome of this.biomes.values()) {
+            const distance = this.getClimateDistance(biome, climate);
+            if (distance < bestDistance) {
+                best = biome;
+                bestDistance = distance;
+            }
+        }
+        
+        return best;
+    }
+    
+    /**
+     * Get blending weights of all biomes near a climate point
+     * @returns {Array<{biome: Object, weight: number}>} Weights normalized to sum to 1
+     */
+    getWeights(climate) {
+        const weights = [];
+        let total = 0;
+        
+        for (const biome of this.biomes.values()) {
+            const falloff = 1 - this.getClimateDistance(biome, climate) / this.blendDistance;
+            if (falloff <= 0) continue;
+            
+            const weight = falloff * falloff;
+            weights.push({ biome, weight });
+            total += weight;
+        }
+        
+        // Climate outside every box and blend range: use the nearest biome alone
+        if (total === 0) {
+            return [{ biome: this.lookup(climate), weight: 1 }];
+        }
+        
+        weights.forEach(entry => {
+            entry.weight /= total;
+        });
+        
+        return weights;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,116 @@
+import { CONFIG } from '../../config/config.js';
+import { FractalNoise } from '../noise/FractalNoise.js';
+
+// Blocks that caves and overhangs may remove
+const CARVABLE_BLOCKS = new Set(['stone', 'dirt', 'grass', 'sand']);
+
+/**
+ * CaveCarver shapes terrain with 3D density noise
+ * - Overhangs: displaces the surface so cliffs can lean out over air
+ * - Worm caves: long tunnels where two 3D noise fields both cross zero
+ * - Cheese caves: large caverns where 3D noise is above a threshold
+ * Never carves at or below BEDROCK_LEVEL; low cave floors fill with water or lava
+ */
+export class CaveCarver {
+    constructor(seed) {
+        this.settings = CONFIG.WORLD.GENERATION.CAVES;
+        this.bedrockLevel = CONFIG.WORLD.BEDROCK_LEVEL;
+        this.seaLevel = CONFIG.WORLD.SEA_LEVEL;
+        
+        const settings = this.settings;
+        this.cheeseNoise = new FractalNoise(seed + 10, { octaves: 2, frequency: settings.CHEESE_SCALE });
+        this.wormNoiseA = new FractalNoise(seed + 11, { octaves: 1, frequency: settings.WORM_SCALE });
+        this.wormNoiseB = new FractalNoise(seed + 12, { octaves: 1, frequency: settings.WORM_SCALE });
+        this.aquiferNoise = new FractalNoise(seed + 13, { octaves: 1, frequency: 0.01 });
+        this.overhangNoise = new FractalNoise(seed + 14, { octaves: 2, frequency: settings.OVERHANG_SCALE });
+        this.overhangMask = new FractalNoise(seed + 15, { octaves: 1, frequency: 0.01 });
+    }
+    
+    /**
+     * Check if a block is inside a worm tunnel
+     */
+    isWormCave(x, y, z) {
+        // Vertical axis is stretched so tunnels wind mostly horizontally
+        const radius = this.settings.WORM_RADIUS;
+        if (Math.abs(this.wormNoiseA.fbm3D(x, y * 2, z)) > radius) {
+            return false;
+        }
+        return Math.abs(this.wormNoiseB.fbm3D(x, y * 2, z)) < radius;
+    }
+    
+    /**
+     * Check if a block is inside a cheese cavern
+     */
+    isCheeseCave(x, y, z) {
+        return this.cheeseNoise.fbm3D(x, y * 1.5, z) > this.settings.CHEESE_THRESHOLD;
+    }
+    
+    /**
+     * Get the block that replaces a carved block (air, water or lava)
+     */
+    getCaveFill(x, y, z) {
+        if (y <= this.settings.LAVA_LEVEL) {
+            return 'lava';
+        }
+        
+        // Only some regions have flooded caves
+        if (y <= this.settings.WATER_LEVEL && this.aquiferNoise.fbm2D(x, z) > 0.3) {
+            return 'water';
+        }
+        
+        return 'air';
+    }
+    
+    /**
+     * Reshape the surface of a column with 3D density so cliffs can overhang
+     * Without noise the density is exactly the heightmap, so only masked regions change
+     */
+    shapeOverhangs(chunkData, column, biomeConfig, chunkHeight) {
+        const { x, z, worldX, worldZ, height } = column;
+        
+        const mask = this.overhangMask.fbm2D(worldX, worldZ);
+        if (mask < 0.1) return;
+        
+        const strength = Math.min(1, (mask - 0.1) * 4) * 1.5;
+        const range = this.settings.OVERHANG_RANGE;
+        
+        // Stay above sea level so shores are never holed
+        const bottom = Math.max(this.seaLevel + 1, height - range);
+        const top = Math.min(chunkHeight - 1, height + range);
+        
+        for (let y = bottom; y <= top; y++) {
+            const density = (height - y) / range + this.overhangNoise.fbm3D(worldX, y, worldZ) * strength;
+            const block = chunkData[x][y][z];
+            
+            if (density > 0 && block === 'air') {
+                chunkData[x][y][z] = biomeConfig.deepBlock;
+            } else if (density <= 0 && y < height && CARVABLE_BLOCKS.has(block)) {
+                chunkData[x][y][z] = 'air';
+            }
+        }
+    }
+    
+    /**
+     * Carve worm and cheese caves in a column
+     */
+    carveColumn(chunkData, column, chunkHeight) {
+        const { x, z, worldX, worldZ, height, waterLevel } = column;
+        const surfaceMargin = this.settings.SURFACE_MARGIN;
+        
+        // Tunnels may open at the surface only where no water can pour in
+        const canOpen = height > this.seaLevel + 2 && !(waterLevel > height);
+        
+        const top = Math.min(height, chunkHeight) - 1;
+        for (let y = this.bedrockLevel + 1; y <= top; y++) {
+            if (!CARVABLE_BLOCKS.has(chunkData[x][y][z])) continue;
+            
+            const depth = height - y;
+            const isCave = (depth > surfaceMargin && this.isCheeseCave(worldX, y, worldZ)) ||
+                ((depth > 3 || canOpen) && this.isWormCave(worldX, y, worldZ));
+            
+            if (isCave) {
+                chunkData[x][y][z] = this.getCaveFill(worldX, y, worldZ);
+            }
+        }
+    }
+}
\ No newline at end of file
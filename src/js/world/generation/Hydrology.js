@@ -0,0 +1,156 @@
+import { CONFIG } from '../../config/config.js';
+import { FractalNoise } from '../noise/FractalNoise.js';
+import { SeededRandom } from '../noise/SeededRandom.js';
+
+// Salt of the per-cell lake generator
+const SALT_LAKE = 200;
+
+// Directions sampled on the lake rim
+const RIM_DIRECTIONS = [
+    [1, 0], [1, 1], [0, 1], [-1, 1],
+    [-1, 0], [-1, -1], [0, -1], [1, -1]
+];
+
+/**
+ * Hydrology lowers the terrain for rivers and lakes and decides where water stands
+ * - Oceans: every column below SEA_LEVEL fills with water
+ * - Rivers: channels along the ridges of a meandering noise (where it crosses zero).
+ *   The channel is carved down to sea level near the coast and less and less inland,
+ *   so rivers start as shallow streams in the hills and flow downhill to the sea
+ * - Lakes: at most one per cell, in a bowl carved below the lowest point of its rim
+ */
+export class Hydrology {
+    /**
+     * @param {number} seed - World seed
+     * @param {Function} getHeight - Terrain height (x, z) before rivers and lakes
+     */
+    constructor(seed, getHeight) {
+        this.seed = seed;
+        this.getHeight = getHeight;
+        this.settings = CONFIG.WORLD.GENERATION.HYDROLOGY;
+        this.seaLevel = CONFIG.WORLD.SEA_LEVEL;
+        
+        this.riverNoise = new FractalNoise(seed + 20, { octaves: 2, frequency: this.settings.RIVER_SCALE });
+        
+        // Lakes by "cellX,cellZ", null for cells without a lake
+        this.lakes = new Map();
+    }
+    
+    /**
+     * Shape a terrain column with rivers and lakes
+     * @param {number} height - Terrain height before rivers and lakes
+     * @returns {{height: number, waterLevel: number, shoreLevel: number}} Water fills y < waterLevel above
+     * the ground; shoreLevel is the level of the nearest water, used to lay beaches
+     */
+    shapeColumn(x, z, height) {
+        let waterLevel = this.seaLevel;
+        let shoreLevel = this.seaLevel;
+        
+        // Rivers only cut into land, oceans are already water
+        if (height >= this.seaLevel) {
+            const river = this.carveRiver(x, z, height);
+            height = river.height;
+            waterLevel = Math.max(waterLevel, river.waterLevel);
+            shoreLevel = Math.max(shoreLevel, river.waterLevel);
+        }
+        
+        const lake = this.getLake(x, z);
+        if (lake) {
+            const dx = x - lake.x;
+            const dz = z - lake.z;
+            const distance = Math.sqrt(dx * dx + dz * dz);
+            
+            if (distance < lake.radius) {
+                // Bowl: deepest in the middle, one block below the surface at the rim
+                const falloff = 1 - (distance / lake.radius) * (distance / lake.radius);
+                height = Math.min(height, lake.level - 1 - Math.round(this.settings.LAKE_DEPTH * falloff));
+                waterLevel = Math.max(waterLevel, lake.level);
+            }
+            if (distance < lake.radius + this.settings.BEACH_WIDTH) {
+                shoreLevel = Math.max(shoreLevel, lake.level);
+            }
+        }
+        
+        return { height, waterLevel, shoreLevel };
+    }
+    
+    /**
+     * Carve the river valley at a column
+     * @returns {{height: number, waterLevel: number}} waterLevel is 0 outside river channels
+     */
+    carveRiver(x, z, height) {
+        const { RIVER_WIDTH, VALLEY_WIDTH, RIVER_DEPTH, RIVER_MAX_ELEVATION } = this.settings;
+        
+        // 0 on the ridge (where the noise crosses zero), growing away from it
+        const offset = Math.abs(this.riverNoise.warped2D(x, z));
+        if (offset >= VALLEY_WIDTH) {
+            return { height, waterLevel: 0 };
+        }
+        
+        // Carving weakens inland, so rivers rise with the terrain towards their source
+        const lowland = 1 - (height - this.seaLevel) / RIVER_MAX_ELEVATION;
+        if (lowland <= 0) {
+            return { height, waterLevel: 0 };
+        }
+        
+        // Channels narrow upstream; valley slopes ease into the channel, which is carved evenly
+        const channelWidth = RIVER_WIDTH * Math.max(0.3, lowland);
+        const inChannel = offset < channelWidth;
+        const t = inChannel ? 1 : (VALLEY_WIDTH - offset) / (VALLEY_WIDTH - channelWidth);
+        const strength = t * t * (3 - 2 * t) * lowland;
+        
+        const bed = this.seaLevel - RIVER_DEPTH;
+        const carved = Math.min(height, height - (height - bed) * strength);
+        
+        // Water reaches sea level at the mouth and stays one block deep upstream
+        return {
+            height: carved,
+            waterLevel: inChannel ? Math.max(this.seaLevel, Math.floor(carved) + 1) : 0
+        };
+    }
+    
+    /**
+     * Get the lake of the cell containing a position
+     * @returns {{x: number, z: number, radius: number, level: number}|null}
+     */
+    getLake(x, z) {
+        const cellSize = this.settings.LAKE_CELL_SIZE;
+        const cellX = Math.floor(x / cellSize);
+        const cellZ = Math.floor(z / cellSize);
+        const cellKey = `${cellX},${cellZ}`;
+        
+        if (!this.lakes.has(cellKey)) {
+            this.lakes.set(cellKey, this.createLake(cellX, cellZ));
+        }
+        return this.lakes.get(cellKey);
+    }
+    
+    /**
+     * Decide whether a cell has a lake, and where
+     * Lakes need a basin: a rim that is nearly level and above sea level
+     */
+    createLake(cellX, cellZ) {
+        const { LAKE_CELL_SIZE, LAKE_CHANCE, LAKE_MIN_RADIUS, LAKE_MAX_RADIUS, LAKE_MAX_SLOPE, BEACH_WIDTH } = this.settings;
+        const rng = SeededRandom.forChunk(this.seed, cellX, cellZ, SALT_LAKE);
+        if (rng.next() >= LAKE_CHANCE) return null;
+        
+        // Keep the lake and its shore inside the cell
+        const radius = LAKE_MIN_RADIUS + rng.nextInt(LAKE_MAX_RADIUS - LAKE_MIN_RADIUS + 1);
+        const margin = radius + BEACH_WIDTH;
+        const x = cellX * LAKE_CELL_SIZE + margin + rng.nextInt(LAKE_CELL_SIZE - 2 * margin);
+        const z = cellZ * LAKE_CELL_SIZE + margin + rng.nextInt(LAKE_CELL_SIZE - 2 * margin);
+        
+        // Terrain height on the rim circle
+        const rim = RIM_DIRECTIONS.map(([dx, dz]) => {
+            const scale = dx !== 0 && dz !== 0 ? Math.SQRT1_2 : 1;
+            return this.getHeight(Math.round(x + dx * radius * scale), Math.round(z + dz * radius * scale));
+        });
+        
+        const level = Math.floor(Math.min(...rim));
+        if (level <= this.seaLevel + 1 || Math.max(...rim) - level > LAKE_MAX_SLOPE) {
+            return null;
+        }
+        
+        return { x, z, radius, level };
+    }
+}
\ No newline at end of file
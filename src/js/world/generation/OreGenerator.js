@@ -0,0 +1,107 @@
+import { CONFIG } from '../../config/config.js';
+import { SeededRandom } from '../noise/SeededRandom.js';
+
+// Random walk directions used to grow veins
+const STEPS = [
+    [1, 0, 0], [-1, 0, 0],
+    [0, 1, 0], [0, -1, 0],
+    [0, 0, 1], [0, 0, -1]
+];
+
+/**
+ * OreGenerator places ore veins inside stone
+ * Each vein is a seeded random-walk blob starting in a depth band (minY..maxY)
+ * Veins from neighbouring chunks are replayed too, so veins crossing chunk borders stay whole
+ */
+export class OreGenerator {
+    constructor(seed) {
+        this.seed = seed;
+        this.ores = CONFIG.WORLD.GENERATION.ORES;
+    }
+    
+    /**
+     * Generate all ore veins that touch a chunk
+     */
+    generate(chunkData, chunkX, chunkZ, chunkSize, chunkHeight) {
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dz = -1; dz <= 1; dz++) {
+                this.ores.forEach((ore, oreIndex) => {
+                    const rng = SeededRandom.forChunk(this.seed, chunkX + dx, chunkZ + dz, oreIndex + 1);
+                    const originX = dx * chunkSize;
+                    const originZ = dz * chunkSize;
+                    
+                    for (let vein = 0; vein < ore.veinsPerChunk; vein++) {
+                        this.placeVein(chunkData, ore, rng, originX, originZ, chunkSize, chunkHeight);
+                    }
+                });
+            }
+        }
+    }
+    
+    /**
+     * Get the ore generate() puts at a block, if that block is stone
+     * Replays the veins of the chunk holding the block in the same order: the first vein
+     * reaching the block turns it into ore, later ones find no stone there
+     * @returns {string|null} Ore block, null when no vein reaches the block
+     */
+    getOreAt(worldX, y, worldZ, chunkSize, chunkHeight) {
+        const chunkX = Math.floor(worldX / chunkSize);
+        const chunkZ = Math.floor(worldZ / chunkSize);
+        const x = worldX - chunkX * chunkSize;
+        const z = worldZ - chunkZ * chunkSize;
+        let found = null;
+        
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dz = -1; dz <= 1; dz++) {
+                this.ores.forEach((ore, oreIndex) => {
+                    const rng = SeededRandom.forChunk(this.seed, chunkX + dx, chunkZ + dz, oreIndex + 1);
+                    for (let vein = 0; vein < ore.veinsPerChunk; vein++) {
+                        this.walkVein(ore, rng, dx * chunkSize, dz * chunkSize, chunkSize, chunkHeight, (veinX, veinY, veinZ) => {
+                            if (!found && veinX === x && veinY === y && veinZ === z) {
+                                found = ore.block;
+                            }
+                        });
+                    }
+                });
+            }
+        }
+        
+        return found;
+    }
+    
+    /**
+     * Grow one vein, writing only the blocks that fall inside the chunk
+     * @param {number} originX - Local X of the chunk the vein starts in
+     * @param {number} originZ - Local Z of the chunk the vein starts in
+     */
+    placeVein(chunkData, ore, rng, originX, originZ, chunkSize, chunkHeight) {
+        this.walkVein(ore, rng, originX, originZ, chunkSize, chunkHeight, (x, y, z) => {
+            if (x >= 0 && x < chunkSize && z >= 0 && z < chunkSize && y >= 0 && y < chunkHeight &&
+                chunkData[x][y][z] === 'stone') {
+                chunkData[x][y][z] = ore.block;
+            }
+        });
+    }
+    
+    /**
+     * Walk the blocks of one vein
+     * @param {Function} visit - Called with the local coordinates of every step, also outside the chunk
+     */
+    walkVein(ore, rng, originX, originZ, chunkSize, chunkHeight, visit) {
+        const maxY = Math.min(ore.maxY, chunkHeight - 1);
+        
+        // Always draw the same numbers, even for veins that miss this chunk
+        let x = originX + rng.nextInt(chunkSize);
+        let z = originZ + rng.nextInt(chunkSize);
+        let y = ore.minY + rng.nextInt(maxY - ore.minY + 1);
+        
+        for (let i = 0; i < ore.veinSize; i++) {
+            visit(x, y, z);
+            
+            const [stepX, stepY, stepZ] = STEPS[rng.nextInt(STEPS.length)];
+            x += stepX;
+            y = Math.min(maxY, Math.max(ore.minY, y + stepY));
+            z += stepZ;
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,448 @@
+import { CONFIG } from '../../config/config.js';
+import { BlockRegistry } from '../BlockRegistry.js';
+import { LightMap, MAX_LIGHT, SKY, BLOCK, FULL_SKY } from './LightMap.js';
+
+// Offsets of the six neighbours of a voxel
+const NEIGHBORS = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+
+// Offsets of the four chunks around a chunk: -x, +x, -z, +z (the order of getBorderLight)
+const SIDES = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+// Light emitted by each block id, and whether light goes through it
+const emission = [];
+const transmits = [];
+['air', ...BlockRegistry.getNames()].forEach(name => {
+    const id = BlockRegistry.getId(name);
+    const definition = BlockRegistry.getDefinition(name);
+    emission[id] = definition.light || 0;
+    transmits[id] = Boolean(definition.transparent);
+});
+
+/**
+ * LightEngine floods skylight and block light through the loaded chunks (see LightMap)
+ * Sunlight falls straight down at full level until a block stops it, then both kinds of
+ * light lose a level per block as they spread. Blocks with a `light` level in CONFIG.BLOCKS
+ * emit block light, blocks that are not transparent stop light.
+ * Light crosses chunk borders: every change returns the chunk sections whose meshes it reaches
+ */
+export class LightEngine {
+    /**
+     * @param {Function} getChunk - (chunkX, chunkZ) => loaded Chunk, undefined when not loaded
+     */
+    constructor(getChunk) {
+        this.getChunk = getChunk;
+        this.chunkSize = CONFIG.WORLD.CHUNK_SIZE;
+        this.worldHeight = CONFIG.WORLD.WORLD_HEIGHT;
+        
+        this.bounds = null; // Only chunk light spreads into, while a new chunk is lit
+        this.lastChunk = null; // Chunk of the last voxel looked up
+        this.changes = null; // Chunk -> sections whose light changed, while tracked
+    }
+    
+    /**
+     * Compute the light of a chunk that is not loaded yet, with the light coming in from its
+     * loaded neighbours. Only the chunk is written: see spreadToNeighbors once it is loaded
+     * @param {Object} chunk - Chunk, or {x, z, size, height, storage} in a worker
+     * @param {Array<Int16Array|null>} borderLight - Light of the neighbours (see getBorderLight),
+     * given by workers, which have no loaded chunks
+     */
+    lightChunk(chunk, borderLight = this.getBorderLight(chunk)) {
+        const { size, height, storage } = chunk;
+        const light = new LightMap(size, height);
+        const originX = chunk.x * size;
+        const originZ = chunk.z * size;
+        const queues = { [SKY]: [], [BLOCK]: [] };
+        chunk.light = light;
+        
+        // Sunlight falls to the first block that stops it
+        const skyHeights = new Int32Array(size * size); // Lowest voxel in sunlight, per column
+        let top = 0;
+        for (let x = 0; x < size; x++) {
+            for (let z = 0; z < size; z++) {
+                let y = height;
+                while (y > 0 && transmits[storage.getId(x, y - 1, z)]) y--;
+                skyHeights[x * size + z] = y;
+                top = Math.max(top, y);
+            }
+        }
+        
+        const firstSkySection = Math.ceil(top / light.sectionHeight);
+        for (let sectionY = firstSkySection; sectionY < light.sections.length; sectionY++) {
+            light.fillSection(sectionY, FULL_SKY);
+        }
+        
+        const skyStart = Math.min(height, firstSkySection * light.sectionHeight);
+        for (let x = 0; x < size; x++) {
+            for (let z = 0; z < size; z++) {
+                const skyHeight = skyHeights[x * size + z];
+                for (let y = skyHeight; y < skyStart; y++) {
+                    light.set(x, y, z, FULL_SKY);
+                }
+                
+                // Sunlight spreads sideways into the shade of taller columns
+                let shade = skyHeight;
+                SIDES.forEach(([dx, dz]) => {
+                    const nx = x + dx;
+                    const nz = z + dz;
+                    if (nx >= 0 && nx < size && nz >= 0 && nz < size) {
+                        shade = Math.max(shade, skyHeights[nx * size + nz]);
+                    }
+                });
+                for (let y = skyHeight; y < shade; y++) {
+                    queues[SKY].push(originX + x, y, originZ + z);
+                }
+            }
+        }
+        
+        // Light of the emitting blocks
+        storage.sections.forEach((section, sectionY) => {
+            if (section.isEmpty() || (!section.ids && !emission[section.uniformId])) return;
+            
+            const baseY = sectionY * storage.sectionHeight;
+            for (let x = 0; x < size; x++) {
+                for (let y = 0; y < section.height; y++) {
+                    for (let z = 0; z < size; z++) {
+                        const level = emission[section.getId(x, y, z)];
+                        if (level > 0) {
+                            light.setLevel(x, baseY + y, z, BLOCK, level);
+                            queues[BLOCK].push(originX + x, baseY + y, originZ + z);
+                        }
+                    }
+                }
+            }
+        });
+        
+        // Light of the loaded neighbours comes in across the borders
+        SIDES.forEach(([dx, dz], side) => {
+            const border = borderLight[side];
+            if (!border) return;
+            
+            this.forEachBorderVoxel(chunk, dx, dz, (x, y, z) => {
+                const across = border[y * size + (dx === 0 ? x : z)];
+                if (across < 0 || !transmits[storage.getId(x, y, z)]) return;
+                
+                [SKY, BLOCK].forEach(channel => {
+                    const level = ((across >> channel) & MAX_LIGHT) - 1;
+                    if (level > light.getLevel(x, y, z, channel)) {
+                        light.setLevel(x, y, z, channel, level);
+                        queues[channel].push(originX + x, y, originZ + z);
+                    }
+                });
+            });
+        });
+        
+        this.begin(chunk);
+        this.propagate(queues[SKY], SKY);
+        this.propagate(queues[BLOCK], BLOCK);
+        this.end();
+    }
+    
+    /**
+     * Spread light between a chunk that was just loaded and its loaded neighbours
+     * Also marks the neighbour sections with faces on the shared border, meshed without this light
+     * @returns {Map<Chunk, Set<number>>} Sections to remesh
+     */
+    spreadToNeighbors(chunk) {
+        const size = chunk.size;
+        const originX = chunk.x * size;
+        const originZ = chunk.z * size;
+        const queues = { [SKY]: [], [BLOCK]: [] };
+        
+        this.begin(null);
+        SIDES.forEach(([dx, dz]) => {
+            const neighbor = this.getLitChunk(chunk.x + dx, chunk.z + dz);
+            if (!neighbor) return;
+            
+            const faces = new Set();
+            this.forEachBorderVoxel(chunk, dx, dz, (x, y, z, nx, nz) => {
+                const id = chunk.storage.getId(x, y, z);
+                const neighborId = neighbor.storage.getId(nx, y, nz);
+                if (transmits[id] && neighborId !== BlockRegistry.AIR) {
+                    faces.add(neighbor.storage.getSectionIndex(y));
+                }
+                
+                // The brighter side of the border spreads into the other one
+                [SKY, BLOCK].forEach(channel => {
+                    const level = chunk.light.getLevel(x, y, z, channel);
+                    const neighborLevel = neighbor.light.getLevel(nx, y, nz, channel);
+                    if (level - 1 > neighborLevel && transmits[neighborId]) {
+                        queues[channel].push(originX + x, y, originZ + z);
+                    } else if (neighborLevel - 1 > level && transmits[id]) {
+                        queues[channel].push(neighbor.x * size + nx, y, neighbor.z * size + nz);
+                    }
+                });
+            });
+            this.addChanges(neighbor, faces);
+        });
+        
+        this.propagate(queues[SKY], SKY);
+        this.propagate(queues[BLOCK], BLOCK);
+        return this.end();
+    }
+    
+    /**
+     * Relight around a block that changed in a loaded chunk
+     * Light the old block let through or emitted is removed first, then the light of the
+     * neighbours and of the new block flows back in
+     * @param {Map} changes - Optional, changes of earlier updates to add to
+     * @returns {Map<Chunk, Set<number>>} Sections to remesh, with the ones of the block itself
+     */
+    updateBlock(x, y, z, changes = new Map()) {
+        this.begin(null, changes);
+        if (y < 0 || y >= this.worldHeight || !this.resolve(x, z)) {
+            return this.end();
+        }
+        
+        this.markChanged(x, y, z);
+        const id = this.getId(x, y, z);
+        
+        [BLOCK, SKY].forEach(channel => {
+            const queue = [];
+            const level = this.getLevel(x, y, z, channel);
+            if (level > 0) {
+                this.setLevel(x, y, z, channel, 0);
+                this.removeLight(x, y, z, channel, level, queue);
+            }
+            
+            if (channel === BLOCK && emission[id] > 0) {
+                this.setLevel(x, y, z, channel, emission[id]);
+                queue.push(x, y, z);
+            }
+            
+            if (transmits[id]) {
+                if (channel === SKY && y === this.worldHeight - 1) {
+                    this.setLevel(x, y, z, channel, MAX_LIGHT);
+                }
+                NEIGHBORS.forEach(([dx, dy, dz]) => {
+                    if (this.getLevel(x + dx, y + dy, z + dz, channel) > 0) {
+                        queue.push(x + dx, y + dy, z + dz);
+                    }
+                });
+                queue.push(x, y, z);
+            }
+            
+            this.propagate(queue, channel);
+        });
+        
+        return this.end();
+    }
+    
+    /**
+     * Get the light of the voxels of the loaded neighbours that touch a chunk, for the mesh builder
+     * @returns {Array<Int16Array|null>} -x, +x, -z, +z borders: packed light at y * size + the other
+     * horizontal coordinate, -1 for voxels that stop light; null for neighbours that are not loaded
+     */
+    getBorderLight(chunk) {
+        const { size, height } = chunk;
+        
+        return SIDES.map(([dx, dz]) => {
+            const neighbor = this.getLitChunk(chunk.x + dx, chunk.z + dz);
+            if (!neighbor) return null;
+            
+            const border = new Int16Array(size * height);
+            this.forEachBorderVoxel(chunk, dx, dz, (x, y, z, nx, nz) => {
+                const index = y * size + (dx === 0 ? x : z);
+                border[index] = transmits[neighbor.storage.getId(nx, y, nz)] ? neighbor.light.get(nx, y, nz) : -1;
+            });
+            return border;
+        });
+    }
+    
+    /**
+     * Call a function for every voxel of a chunk on the border with a neighbour
+     * @param {Function} callback - (x, y, z, neighborX, neighborZ) local coordinates in the chunk
+     * and of the voxel across the border in the neighbour
+     */
+    forEachBorderVoxel(chunk, dx, dz, callback) {
+        const { size, height } = chunk;
+        const edge = side => (side > 0 ? size - 1 : 0);
+        const across = side => (side > 0 ? 0 : size - 1);
+        
+        for (let t = 0; t < size; t++) {
+            const x = dx === 0 ? t : edge(dx);
+            const z = dz === 0 ? t : edge(dz);
+            const nx = dx === 0 ? t : across(dx);
+            const nz = dz === 0 ? t : across(dz);
+            for (let y = 0; y < height; y++) {
+                callback(x, y, z, nx, nz);
+            }
+        }
+    }
+    
+    /**
+     * Spread light from queued voxels (world coordinates, 3 numbers each)
+     */
+    propagate(queue, channel) {
+        for (let i = 0; i < queue.length; i += 3) {
+            const x = queue[i];
+            const y = queue[i + 1];
+            const z = queue[i + 2];
+            const level = this.getLevel(x, y, z, channel);
+            if (level <= 1) continue;
+            
+            for (const [dx, dy, dz] of NEIGHBORS) {
+                const id = this.getId(x + dx, y + dy, z + dz);
+                if (id === -1 || !transmits[id]) continue;
+                
+                // Sunlight keeps its level going down
+                const next = channel === SKY && dy === -1 && level === MAX_LIGHT ? MAX_LIGHT : level - 1;
+                if (this.getLevel(x + dx, y + dy, z + dz, channel) < next) {
+                    this.setLevel(x + dx, y + dy, z + dz, channel, next);
+                    queue.push(x + dx, y + dy, z + dz);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Remove the light that came from a voxel whose level was cleared
+     * Voxels lit from elsewhere are queued to spread their light back
+     * @param {number} level - Level the voxel had
+     * @param {Array<number>} relight - Queue for propagate()
+     */
+    removeLight(x, y, z, channel, level, relight) {
+        const queue = [x, y, z, level];
+        
+        for (let i = 0; i < queue.length; i += 4) {
+            const removed = queue[i + 3];
+            
+            for (const [dx, dy, dz] of NEIGHBORS) {
+                const nx = queue[i] + dx;
+                const ny = queue[i + 1] + dy;
+                const nz = queue[i + 2] + dz;
+                const neighborLevel = this.getLevel(nx, ny, nz, channel);
+                if (neighborLevel <= 0) continue;
+                
+                const sunlitBelow = channel === SKY && dy === -1 && removed === MAX_LIGHT;
+                if (neighborLevel < removed || sunlitBelow) {
+                    this.setLevel(nx, ny, nz, channel, 0);
+                    queue.push(nx, ny, nz, neighborLevel);
+                    
+                    // Emitting blocks keep their own light
+                    const emitted = channel === BLOCK ? emission[this.getId(nx, ny, nz)] : 0;
+                    if (emitted > 0) {
+                        this.setLevel(nx, ny, nz, channel, emitted);
+                        relight.push(nx, ny, nz);
+                    }
+                } else {
+                    relight.push(nx, ny, nz);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Start an operation
+     * @param {Chunk|null} bounds - Only chunk to read and write, null for every loaded chunk
+     * @param {Map} changes - Map to record changes in, when not bounded
+     */
+    begin(bounds, changes = new Map()) {
+        this.bounds = bounds;
+        this.lastChunk = null;
+        this.changes = bounds ? null : changes;
+    }
+    
+    /**
+     * End an operation
+     * @returns {Map<Chunk, Set<number>>} Sections whose light changed
+     */
+    end() {
+        const changes = this.changes || new Map();
+        this.bounds = null;
+        this.lastChunk = null;
+        this.changes = null;
+        return changes;
+    }
+    
+    /**
+     * Get a loaded chunk that has light
+     */
+    getLitChunk(chunkX, chunkZ) {
+        const chunk = this.getChunk(chunkX, chunkZ);
+        return chunk && chunk.light ? chunk : null;
+    }
+    
+    /**
+     * Get the chunk holding world coordinates, null outside the chunks the operation reaches
+     */
+    resolve(x, z) {
+        const chunkX = Math.floor(x / this.chunkSize);
+        const chunkZ = Math.floor(z / this.chunkSize);
+        const last = this.lastChunk;
+        if (last && last.x === chunkX && last.z === chunkZ) return last;
+        
+        const chunk = this.bounds
+            ? (this.bounds.x === chunkX && this.bounds.z === chunkZ ? this.bounds : null)
+            : this.getLitChunk(chunkX, chunkZ);
+        if (chunk) this.lastChunk = chunk;
+        return chunk;
+    }
+    
+    /**
+     * Get the block id at world coordinates, -1 outside the reachable chunks
+     */
+    getId(x, y, z) {
+        const chunk = y >= 0 && y < this.worldHeight ? this.resolve(x, z) : null;
+        if (!chunk) return -1;
+        return chunk.storage.getId(x - chunk.x * this.chunkSize, y, z - chunk.z * this.chunkSize);
+    }
+    
+    /**
+     * Get a light level at world coordinates, -1 outside the reachable chunks
+     */
+    getLevel(x, y, z, channel) {
+        const chunk = y >= 0 && y < this.worldHeight ? this.resolve(x, z) : null;
+        if (!chunk) return -1;
+        return chunk.light.getLevel(x - chunk.x * this.chunkSize, y, z - chunk.z * this.chunkSize, channel);
+    }
+    
+    /**
+     * Set a light level at world coordinates (inside a reachable chunk)
+     */
+    setLevel(x, y, z, channel, level) {
+        const chunk = this.resolve(x, z);
+        chunk.light.setLevel(x - chunk.x * this.chunkSize, y, z - chunk.z * this.chunkSize, channel, level);
+        this.markChanged(x, y, z);
+    }
+    
+    /**
+     * Record the sections whose meshes see the light of a voxel, across chunk borders
+     */
+    markChanged(x, y, z) {
+        if (!this.changes) return;
+        
+        const size = this.chunkSize;
+        const chunkX = Math.floor(x / size);
+        const chunkZ = Math.floor(z / size);
+        const localX = x - chunkX * size;
+        const localZ = z - chunkZ * size;
+        
+        this.addChunkChange(chunkX, chunkZ, y);
+        if (localX === 0) this.addChunkChange(chunkX - 1, chunkZ, y);
+        if (localX === size - 1) this.addChunkChange(chunkX + 1, chunkZ, y);
+        if (localZ === 0) this.addChunkChange(chunkX, chunkZ - 1, y);
+        if (localZ === size - 1) this.addChunkChange(chunkX, chunkZ + 1, y);
+    }
+    
+    /**
+     * Record the sections of a chunk around a height
+     */
+    addChunkChange(chunkX, chunkZ, y) {
+        const chunk = this.getLitChunk(chunkX, chunkZ);
+        if (chunk) {
+            this.addChanges(chunk, chunk.storage.getAffectedSections(y));
+        }
+    }
+    
+    /**
+     * Record sections of a chunk
+     * @param {Iterable<number>} sectionYs
+     */
+    addChanges(chunk, sectionYs) {
+        if (!this.changes.has(chunk)) {
+            this.changes.set(chunk, new Set());
+        }
+        const changed = this.changes.get(chunk);
+        sectionYs.forEach(sectionY => changed.add(sectionY));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,107 @@
+import { CONFIG } from '../../config/config.js';
+
+// Light levels go from 0 (dark) to MAX_LIGHT
+export const MAX_LIGHT = 15;
+
+// Shift of each light channel in a packed voxel light: skylight high 4 bits, block light low 4 bits
+export const SKY = 4;
+export const BLOCK = 0;
+
+// Packed light of open sky
+export const FULL_SKY = MAX_LIGHT << SKY;
+
+/**
+ * LightMap holds the skylight and block light of every voxel of a chunk (see LightEngine)
+ * Light is split in the same vertical sections as BlockStorage, one byte per voxel.
+ * A section with the same light everywhere, like the open sky or deep rock, only keeps
+ * that value: the typed array is allocated by the first write of a different value
+ */
+export class LightMap {
+    constructor(size, height) {
+        this.size = size;
+        this.height = height;
+        this.sectionHeight = Math.min(CONFIG.WORLD.SECTION_HEIGHT, height);
+        this.sections = new Array(Math.ceil(height / this.sectionHeight)).fill(0); // Uint8Array or uniform packed light
+    }
+    
+    /**
+     * Create a light map from the data of its sections (see toData), e.g. computed by a worker
+     */
+    static fromData(sections, size, height) {
+        const light = new LightMap(size, height);
+        light.sections = sections;
+        return light;
+    }
+    
+    /**
+     * Get the vertex brightness of a light level, fractional levels included
+     */
+    static getBrightness(level) {
+        const { FALLOFF, MIN_BRIGHTNESS } = CONFIG.LIGHTING.VOXEL_LIGHT;
+        return Math.max(MIN_BRIGHTNESS, Math.pow(FALLOFF, MAX_LIGHT - level));
+    }
+    
+    /**
+     * Get the height of a section
+     */
+    getSectionHeight(sectionY) {
+        return Math.min(this.sectionHeight, this.height - sectionY * this.sectionHeight);
+    }
+    
+    /**
+     * Get the packed light of local coordinates (not bounds checked)
+     */
+    get(x, y, z) {
+        const sectionY = Math.floor(y / this.sectionHeight);
+        const data = this.sections[sectionY];
+        if (typeof data === 'number') return data;
+        return data[(x * this.getSectionHeight(sectionY) + y - sectionY * this.sectionHeight) * this.size + z];
+    }
+    
+    /**
+     * Set the packed light of local coordinates (not bounds checked)
+     */
+    set(x, y, z, light) {
+        const sectionY = Math.floor(y / this.sectionHeight);
+        let data = this.sections[sectionY];
+        if (data === light) return;
+        
+        const sectionHeight = this.getSectionHeight(sectionY);
+        if (typeof data === 'number') {
+            data = new Uint8Array(this.size * sectionHeight * this.size).fill(data);
+            this.sections[sectionY] = data;
+        }
+        data[(x * sectionHeight + y - sectionY * this.sectionHeight) * this.size + z] = light;
+    }
+    
+    /**
+     * Get the level of a light channel (SKY or BLOCK)
+     */
+    getLevel(x, y, z, channel) {
+        return (this.get(x, y, z) >> channel) & MAX_LIGHT;
+    }
+    
+    /**
+     * Set the level of a light channel (SKY or BLOCK)
+     */
+    setLevel(x, y, z, channel, level) {
+        this.set(x, y, z, (this.get(x, y, z) & ~(MAX_LIGHT << channel)) | (level << channel));
+    }
+    
+    /**
+     * Fill a section with one packed light
+     */
+    fillSection(sectionY, light) {
+        this.sections[sectionY] = light;
+    }
+    
+    /**
+     * Get the light of a section for the mesh builder
+     * @param {boolean} copy - Copy the typed array, for workers
+     * @returns {Uint8Array|number} Packed light of each voxel, or of the whole section
+     */
+    toData(sectionY, copy = false) {
+        const data = this.sections[sectionY];
+        return copy && typeof data !== 'number' ? data.slice() : data;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,170 @@
+import { CONFIG } from '../../config/config.js';
+import { BlockRegistry } from '../BlockRegistry.js';
+import { FACES } from '../meshing/ChunkMeshBuilder.js';
+
+// Faces of a cell drawn by a tile: the top, and the four walls with the cell offset of their neighbour
+const TOP = 0;
+const WALLS = [[2, 1, 0], [3, -1, 0], [4, 0, 1], [5, 0, -1]];
+
+const WATER = BlockRegistry.getId('water');
+
+/**
+ * LodTileBuilder turns a grid of terrain samples into the buffers of a distant terrain tile
+ * Every cell is a column `scale` blocks wide with the surface block on top, and walls down
+ * to its lower neighbours. Walls towards cells drawn by something else (full detail chunks,
+ * tiles of another ring) become skirts reaching SKIRT_DEPTH blocks lower, so the seams
+ * between levels of detail never show the sky. Water is a flat top at the water level.
+ * The buffers have the layout of ChunkMeshBuilder.createBuffers (it does not use three.js,
+ * tiles are sampled and built in chunk workers)
+ */
+export class LodTileBuilder {
+    /**
+     * Sample the grid of a tile (see build()): one sample in the middle of each cell, from the
+     * recorded surface of its chunk or from the terrain generator
+     * @param {Object} tile - size (blocks per chunk side, also cells per tile side), scale, x and z
+     *   (tile position), mask ('1' for the chunks drawn at this scale, see TerrainLod.assignTiles)
+     * @param {Array<Object|null>} surfaces - Surface of each chunk of the mask, null when none
+     *   was recorded (see TerrainLod.recordSurface)
+     * @param {TerrainGenerator} terrainGenerator - Surface of the other chunks
+     */
+    static sample({ size, scale, x, z, mask }, surfaces, terrainGenerator) {
+        const stride = size + 2;
+        const grid = {
+            size,
+            scale,
+            heights: new Int16Array(stride * stride),
+            blocks: new Uint16Array(stride * stride),
+            waterLevels: new Int16Array(stride * stride),
+            owned: new Uint8Array(stride * stride)
+        };
+        
+        // Cells of s × s blocks: a chunk of the tile every size / s cells, the mask
+        // has the chunks of the tile and the ones around it
+        const tileSize = size * scale;
+        const cellsPerChunk = size / scale;
+        const maskSize = scale + 2;
+        for (let i = -1; i <= size; i++) {
+            for (let j = -1; j <= size; j++) {
+                const cell = (i + 1) * stride + j + 1;
+                const worldX = x * tileSize + i * scale + Math.floor(scale / 2);
+                const worldZ = z * tileSize + j * scale + Math.floor(scale / 2);
+                const chunkI = Math.floor(i / cellsPerChunk);
+                const chunkJ = Math.floor(j / cellsPerChunk);
+                const chunk = (chunkI + 1) * maskSize + chunkJ + 1;
+                const surface = surfaces[chunk];
+                
+                if (surface) {
+                    const column = (worldX - (x * scale + chunkI) * size) * size + worldZ - (z * scale + chunkJ) * size;
+                    grid.heights[cell] = surface.heights[column];
+                    grid.blocks[cell] = surface.blocks[column];
+                    grid.waterLevels[cell] = surface.waterLevels[column];
+                } else {
+                    const { height, block, waterLevel } = terrainGenerator.getSurfaceAt(worldX, worldZ);
+                    grid.heights[cell] = height;
+                    grid.blocks[cell] = BlockRegistry.getId(block);
+                    grid.waterLevels[cell] = waterLevel;
+                }
+                grid.owned[cell] = mask[chunk] === '1' ? 1 : 0;
+            }
+        }
+        
+        return grid;
+    }
+    
+    /**
+     * Build the buffers of a tile
+     * @param {Object} grid - Samples of the tile cells and of a border of one cell around them,
+     *   (size + 2)² values per array, cell (i, j) at (i + 1) * (size + 2) + j + 1:
+     *   size, scale (blocks per cell), heights, blocks (surface block ids), waterLevels,
+     *   owned (1 for the cells this tile draws)
+     * @returns {Object|null} Buffers and groups with the liquid depths of water, null when nothing is drawn
+     */
+    build({ size, scale, heights, blocks, waterLevels, owned }) {
+        const { SKIRT_DEPTH } = CONFIG.PERFORMANCE.LOD;
+        const stride = size + 2;
+        const quadsByType = new Map(); // Block id -> [x, z, bottom, top, face, depth, ...]
+        let quadCount = 0;
+        
+        const addQuad = (id, ...quad) => {
+            if (!quadsByType.has(id)) {
+                quadsByType.set(id, []);
+            }
+            quadsByType.get(id).push(...quad);
+            quadCount++;
+        };
+        
+        for (let i = 0; i < size; i++) {
+            for (let j = 0; j < size; j++) {
+                const cell = (i + 1) * stride + j + 1;
+                if (!owned[cell]) continue;
+                
+                const height = heights[cell];
+                const id = blocks[cell];
+                addQuad(id, i * scale, j * scale, height, height, TOP, 0);
+                
+                WALLS.forEach(([face, di, dj]) => {
+                    const neighbor = cell + di * stride + dj;
+                    const bottom = owned[neighbor] ? heights[neighbor] : Math.min(height, heights[neighbor]) - SKIRT_DEPTH;
+                    if (bottom < height) {
+                        addQuad(id, i * scale, j * scale, bottom, height, face, 0);
+                    }
+                });
+                
+                if (waterLevels[cell] > height) {
+                    const depth = Math.min(waterLevels[cell] - height, CONFIG.WATER.MAX_DEPTH);
+                    addQuad(WATER, i * scale, j * scale, waterLevels[cell], waterLevels[cell], TOP, depth);
+                }
+            }
+        }
+        
+        if (quadCount === 0) {
+            return null;
+        }
+        return this.createBuffers(quadsByType, quadCount, scale);
+    }
+    
+    /**
+     * Create the buffers of the quads, grouped by block type
+     * @param {Map<number, Array>} quadsByType - Block id -> [x, z, bottom, top, face, depth, ...]
+     */
+    createBuffers(quadsByType, quadCount, scale) {
+        const positions = new Float32Array(quadCount * 12);
+        const normals = new Float32Array(quadCount * 12);
+        const uvs = new Float32Array(quadCount * 8);
+        const colors = new Float32Array(quadCount * 12).fill(1);
+        const textureIndices = new Float32Array(quadCount * 4);
+        const indices = new Uint32Array(quadCount * 6);
+        const depths = new Float32Array(quadCount * 4);
+        const groups = [];
+        let quad = 0;
+        
+        quadsByType.forEach((quads, id) => {
+            const name = BlockRegistry.getName(id);
+            groups.push({ blockType: name, start: quad * 6, count: quads.length }); // 6 values and 6 indices per quad
+            const textures = {
+                top: BlockRegistry.getTextureIndex(BlockRegistry.getFaceTexture(name, 'top')),
+                side: BlockRegistry.getTextureIndex(BlockRegistry.getFaceTexture(name, 'side'))
+            };
+            
+            for (let q = 0; q < quads.length; q += 6) {
+                const [x, z, bottom, top, face, depth] = quads.slice(q, q + 6);
+                const { dir, corners, uvs: faceUVs, texture } = FACES[face];
+                const vertex = quad * 4;
+                
+                // Corners of a box one cell wide, UVs in blocks so the texture repeats per block
+                corners.forEach((corner, c) => {
+                    positions.set([x + corner[0] * scale, corner[1] ? top : bottom, z + corner[2] * scale], (vertex + c) * 3);
+                    normals.set(dir, (vertex + c) * 3);
+                    uvs.set([faceUVs[c * 2] * scale, faceUVs[c * 2 + 1] * (face === TOP ? scale : top - bottom)], (vertex + c) * 2);
+                });
+                textureIndices.fill(textures[texture], vertex, vertex + 4);
+                indices.set([vertex, vertex + 1, vertex + 2, vertex, vertex + 2, vertex + 3], quad * 6);
+                depths.fill(depth, vertex, vertex + 4);
+                
+                quad++;
+            }
+        });
+        
+        return { positions, normals, uvs, colors, textureIndices, indices, groups, depths };
+    }
+}
\ No newline at end of file
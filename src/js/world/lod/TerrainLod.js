@@ -0,0 +1,366 @@
+import * as THREE from 'three';
+import { CONFIG } from '../../config/config.js';
+import { BlockRegistry } from '../BlockRegistry.js';
+import { RenderPass } from '../meshing/RenderPass.js';
+
+// Blocks a distant cell looks through: trees would stand out as columns as wide as the cell
+const TREE_BLOCKS = [BlockRegistry.getId('wood'), BlockRegistry.getId('leaves')];
+const WATER = BlockRegistry.getId('water');
+
+/**
+ * TerrainLod draws the terrain beyond the render distance at a lower level of detail
+ * Around the player are rings of tiles (CONFIG.PERFORMANCE.LOD.RINGS): a tile of a ring
+ * with scale s covers s × s chunks with one cell per s × s blocks (see LodTileBuilder).
+ * Every chunk is drawn once: by its own meshes when it is loaded, else by the tile of the
+ * ring it falls in. Chunks in render distance that are not loaded yet belong to the finest
+ * ring, so the terrain fills in while they load. Tiles are reassigned when the player enters
+ * another chunk, and after loads and unloads in batches (CONFIG.PERFORMANCE.LOD.REASSIGN_CHUNKS)
+ * or once loading stops. Cells are sampled from the surface of chunks seen loaded, recorded
+ * when they load and when a block changes (edits and saved chunks show from afar), or from
+ * the terrain generator. Tiles are sampled and built in the chunk workers a few at a time,
+ * nearest first; a tile that is no longer needed stays until the tiles replacing it are built
+ */
+export class TerrainLod {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {VoxelWorld} voxelWorld - Loaded chunks, terrain generator and materials
+     */
+    constructor(scene, voxelWorld) {
+        this.scene = scene;
+        this.voxelWorld = voxelWorld;
+        this.enabled = CONFIG.PERFORMANCE.LOD_ENABLED;
+        this.rings = CONFIG.PERFORMANCE.LOD.RINGS.slice().sort((a, b) => a.DISTANCE - b.DISTANCE);
+        
+        this.group = new THREE.Group();
+        this.group.name = 'terrain-lod';
+        this.scene.add(this.group);
+        
+        this.tiles = new Map(); // Tile key -> { scale, x, z, mask, mesh }
+        this.buildQueue = []; // Tiles to build, nearest first
+        this.pendingTiles = new Map(); // Tile key -> tile being built in the workers
+        this.retiredTiles = []; // Tile keys to remove once the queue is empty
+        this.surfaces = new Map(); // Chunk key -> surface of the chunk, recorded on load and edit
+        
+        this.playerChunk = null;
+        this.chunkStamp = -1; // Loads and unloads of the voxel world when the tiles were assigned
+        
+        this.onChunkLoaded = chunk => {
+            if (this.enabled) this.recordSurface(chunk);
+        };
+        this.onChunkEdited = ({ chunk, x, z }) => {
+            const surface = this.surfaces.get(this.voxelWorld.getChunkKey(chunk.x, chunk.z));
+            if (surface) this.recordColumn(chunk, surface, x, z);
+        };
+        this.voxelWorld.on('chunk_loaded', this.onChunkLoaded);
+        this.voxelWorld.on('chunk_edited', this.onChunkEdited);
+    }
+    
+    /**
+     * Get the key of a tile
+     */
+    static getTileKey(scale, tileX, tileZ) {
+        return `${scale}:${tileX},${tileZ}`;
+    }
+    
+    /**
+     * Update the tiles around the player
+     * @param {THREE.Vector3} playerPosition
+     */
+    update(playerPosition) {
+        if (!this.enabled) return;
+        
+        const { REASSIGN_CHUNKS, MAX_TILES_PER_FRAME, MAX_PENDING_TILES } = CONFIG.PERFORMANCE.LOD;
+        const voxelWorld = this.voxelWorld;
+        const playerChunk = voxelWorld.worldToChunk(playerPosition.x, playerPosition.z);
+        const chunkStamp = voxelWorld.chunksLoaded + voxelWorld.chunksUnloaded;
+        
+        // After a reset the chunks loaded meanwhile have no surface yet
+        if (!this.playerChunk) {
+            voxelWorld.chunks.forEach(chunk => this.recordSurface(chunk));
+        }
+        
+        const moved = !this.playerChunk || playerChunk.x !== this.playerChunk.x || playerChunk.z !== this.playerChunk.z;
+        const changes = chunkStamp - this.chunkStamp;
+        const loading = voxelWorld.chunkLoadQueue.length > 0 || voxelWorld.pendingChunkLoads.size > 0;
+        if (moved || changes >= REASSIGN_CHUNKS || (changes > 0 && !loading)) {
+            this.playerChunk = playerChunk;
+            this.chunkStamp = chunkStamp;
+            if (moved) {
+                this.pruneSurfaces();
+            }
+            this.assignTiles();
+        }
+        
+        for (let started = 0; started < MAX_TILES_PER_FRAME && this.pendingTiles.size < MAX_PENDING_TILES && this.buildQueue.length > 0; started++) {
+            this.buildTile(this.buildQueue.shift());
+        }
+        
+        if (this.buildQueue.length === 0 && this.pendingTiles.size === 0 && this.retiredTiles.length > 0) {
+            this.retiredTiles.forEach(key => this.removeTile(key));
+            this.retiredTiles = [];
+        }
+    }
+    
+    /**
+     * Get the scale of the ring drawing a chunk
+     * @returns {number} 0 when the chunk is loaded or beyond the last ring
+     */
+    getChunkScale(chunkX, chunkZ) {
+        const distance = Math.sqrt((chunkX - this.playerChunk.x) ** 2 + (chunkZ - this.playerChunk.z) ** 2);
+        const { renderDistance } = this.voxelWorld;
+        
+        if (distance <= renderDistance + 1 && this.voxelWorld.chunks.has(this.voxelWorld.getChunkKey(chunkX, chunkZ))) {
+            return 0;
+        }
+        if (distance <= renderDistance) {
+            return this.rings[0].SCALE;
+        }
+        
+        const ring = this.rings.find(({ DISTANCE }) => distance <= DISTANCE);
+        return ring ? ring.SCALE : 0;
+    }
+    
+    /**
+     * Find the tiles each ring needs and queue the ones that changed
+     */
+    assignTiles() {
+        const needed = new Map();
+        
+        this.rings.forEach(({ SCALE: scale, DISTANCE }) => {
+            // The finest ring also covers chunks in render distance that are not loaded
+            const reach = Math.ceil(Math.max(DISTANCE, this.voxelWorld.renderDistance) / scale) + 1;
+            const centerX = Math.floor(this.playerChunk.x / scale);
+            const centerZ = Math.floor(this.playerChunk.z / scale);
+            
+            for (let tileX = centerX - reach; tileX <= centerX + reach; tileX++) {
+                for (let tileZ = centerZ - reach; tileZ <= centerZ + reach; tileZ++) {
+                    // Chunks of the tile drawn at this scale, and around it (their walls become skirts)
+                    let mask = '';
+                    let drawn = false;
+                    for (let chunkX = tileX * scale - 1; chunkX <= (tileX + 1) * scale; chunkX++) {
+                        for (let chunkZ = tileZ * scale - 1; chunkZ <= (tileZ + 1) * scale; chunkZ++) {
+                            const owned = this.getChunkScale(chunkX, chunkZ) === scale;
+                            const inside = chunkX >= tileX * scale && chunkX < (tileX + 1) * scale &&
+                                chunkZ >= tileZ * scale && chunkZ < (tileZ + 1) * scale;
+                            drawn = drawn || (owned && inside);
+                            mask += owned ? '1' : '0';
+                        }
+                    }
+                    if (drawn) {
+                        needed.set(TerrainLod.getTileKey(scale, tileX, tileZ), { scale, x: tileX, z: tileZ, mask });
+                    }
+                }
+            }
+        });
+        
+        // Builds of tiles that are gone or changed are dropped
+        this.pendingTiles.forEach((pending, key) => {
+            const tile = needed.get(key);
+            if (!tile || tile.mask !== pending.mask) {
+                this.pendingTiles.delete(key);
+                this.voxelWorld.pipeline.cancelLodTile(pending);
+            }
+        });
+        
+        // Tiles that are gone or changed are rebuilt, the old mesh stays until then
+        this.buildQueue = [];
+        needed.forEach((tile, key) => {
+            const current = this.pendingTiles.get(key) || this.tiles.get(key);
+            if (!current || current.mask !== tile.mask) {
+                this.buildQueue.push({ key, ...tile });
+            }
+        });
+        this.retiredTiles = Array.from(this.tiles.keys()).filter(key => !needed.has(key));
+        
+        const distance = ({ scale, x, z }) => {
+            const dx = (x + 0.5) * scale - this.playerChunk.x - 0.5;
+            const dz = (z + 0.5) * scale - this.playerChunk.z - 0.5;
+            return dx * dx + dz * dz;
+        };
+        this.buildQueue.sort((a, b) => distance(a) - distance(b));
+    }
+    
+    /**
+     * Sample and build the mesh of a tile in the chunk workers
+     * The mesh replaces the current one, unless the tile changed while it was built
+     */
+    buildTile(tile) {
+        const { key, scale, x, z, mask } = tile;
+        const size = CONFIG.WORLD.CHUNK_SIZE;
+        
+        // Recorded surfaces of the chunks of the mask, in its order
+        const surfaces = [];
+        for (let chunkX = x * scale - 1; chunkX <= (x + 1) * scale; chunkX++) {
+            for (let chunkZ = z * scale - 1; chunkZ <= (z + 1) * scale; chunkZ++) {
+                surfaces.push(this.surfaces.get(this.voxelWorld.getChunkKey(chunkX, chunkZ)) || null);
+            }
+        }
+        
+        this.pendingTiles.set(key, tile);
+        this.voxelWorld.pipeline.buildLodTile({ size, scale, x, z, mask }, surfaces).then(result => {
+            if (this.pendingTiles.get(key) !== tile) return;
+            this.pendingTiles.delete(key);
+            if (!result) return;
+            
+            const mesh = result.meshData ? this.createMesh(result.meshData) : null;
+            if (mesh) {
+                mesh.position.set(x * size * scale, 0, z * size * scale);
+                mesh.updateMatrix();
+                this.group.add(mesh);
+            }
+            
+            this.removeTile(key);
+            this.tiles.set(key, { scale, x, z, mask, mesh });
+        }).catch(error => {
+            console.error(`Failed to build distant terrain tile ${key}:`, error);
+            if (this.pendingTiles.get(key) === tile) {
+                this.pendingTiles.delete(key);
+            }
+        });
+    }
+    
+    /**
+     * Create the mesh of a tile with the chunk materials
+     */
+    createMesh(meshData) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(meshData.positions, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(meshData.normals, 3));
+        geometry.setAttribute('uv', new THREE.BufferAttribute(meshData.uvs, 2));
+        geometry.setAttribute('color', new THREE.BufferAttribute(meshData.colors, 3));
+        geometry.setAttribute('textureIndex', new THREE.BufferAttribute(meshData.textureIndices, 1));
+        geometry.setAttribute('liquidDepth', new THREE.BufferAttribute(meshData.depths, 1));
+        geometry.setIndex(new THREE.BufferAttribute(meshData.indices, 1));
+        geometry.computeBoundingBox();
+        geometry.computeBoundingSphere();
+        
+        const material = this.voxelWorld.meshFactory.getMeshMaterial(geometry, meshData.groups, 'opaque');
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.frustumCulled = CONFIG.PERFORMANCE.FRUSTUM_CULLING;
+        mesh.matrixAutoUpdate = false;
+        return mesh;
+    }
+    
+    /**
+     * Remove the mesh of a tile
+     */
+    removeTile(key) {
+        const tile = this.tiles.get(key);
+        if (!tile) return;
+        
+        if (tile.mesh) {
+            this.group.remove(tile.mesh);
+            tile.mesh.geometry.dispose();
+        }
+        this.tiles.delete(key);
+    }
+    
+    /**
+     * Forget the surfaces of chunks beyond the last ring
+     */
+    pruneSurfaces() {
+        const maxDistance = this.rings[this.rings.length - 1].DISTANCE + 1;
+        this.surfaces.forEach((surface, key) => {
+            const { x, z } = this.voxelWorld.parseChunkKey(key);
+            if (Math.sqrt((x - this.playerChunk.x) ** 2 + (z - this.playerChunk.z) ** 2) > maxDistance) {
+                this.surfaces.delete(key);
+            }
+        });
+    }
+    
+    /**
+     * Record the surface of a chunk: the top of the ground and of the water in every column
+     */
+    recordSurface(chunk) {
+        const { size } = chunk;
+        const surface = {
+            heights: new Int16Array(size * size),
+            blocks: new Uint16Array(size * size),
+            waterLevels: new Int16Array(size * size)
+        };
+        
+        for (let x = 0; x < size; x++) {
+            for (let z = 0; z < size; z++) {
+                this.recordColumn(chunk, surface, x, z);
+            }
+        }
+        this.surfaces.set(this.voxelWorld.getChunkKey(chunk.x, chunk.z), surface);
+    }
+    
+    /**
+     * Find the top of the ground and of the water in a column of a chunk
+     */
+    recordColumn(chunk, { heights, blocks, waterLevels }, x, z) {
+        const { size, storage } = chunk;
+        const column = x * size + z;
+        heights[column] = 0;
+        blocks[column] = 0;
+        waterLevels[column] = 0;
+        
+        for (let y = chunk.height - 1; y >= 0; y--) {
+            // Skip empty sections (the sky) whole
+            const sectionIndex = storage.getSectionIndex(y);
+            if (storage.sections[sectionIndex].isEmpty()) {
+                y = sectionIndex * storage.sectionHeight;
+                continue;
+            }
+            
+            const id = storage.getId(x, y, z);
+            if (id === WATER) {
+                waterLevels[column] = waterLevels[column] || y + 1;
+            } else if (RenderPass.isOpaque(id) && !TREE_BLOCKS.includes(id)) {
+                heights[column] = y + 1;
+                blocks[column] = id;
+                break;
+            }
+        }
+    }
+    
+    /**
+     * Turn the distant terrain on or off
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.group.visible = enabled;
+        if (!enabled) {
+            this.reset();
+        }
+    }
+    
+    /**
+     * Drop every tile and recorded surface, after the seed changed
+     */
+    reset() {
+        Array.from(this.tiles.keys()).forEach(key => this.removeTile(key));
+        this.pendingTiles.forEach(tile => this.voxelWorld.pipeline.cancelLodTile(tile));
+        this.pendingTiles.clear();
+        this.buildQueue = [];
+        this.retiredTiles = [];
+        this.surfaces.clear();
+        this.playerChunk = null;
+        this.chunkStamp = -1;
+    }
+    
+    /**
+     * Get LOD statistics
+     */
+    getStats() {
+        return {
+            enabled: this.enabled,
+            tiles: this.tiles.size,
+            queuedTiles: this.buildQueue.length,
+            buildingTiles: this.pendingTiles.size,
+            surfaces: this.surfaces.size
+        };
+    }
+    
+    /**
+     * Remove the tiles from the scene
+     */
+    dispose() {
+        this.reset();
+        this.voxelWorld.off('chunk_loaded', this.onChunkLoaded);
+        this.voxelWorld.off('chunk_edited', this.onChunkEdited);
+        this.scene.remove(this.group);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,47 @@
+// Brightness of a corner by occlusion value, 0 = corner enclosed by blocks, 3 = open
+const LEVELS = [0.45, 0.65, 0.82, 1];
+
+/**
+ * AmbientOcclusion shades face corners by the blocks around them (voxel ambient occlusion)
+ * A corner is darkened by the three blocks that touch it in the layer in front of the face:
+ * the two side neighbours and the diagonal one. ChunkMeshBuilder bakes the result into vertex colours
+ */
+export class AmbientOcclusion {
+    /**
+     * Get the occlusion value of a corner
+     * @param {boolean} side1 - Block beside the corner along the first face axis
+     * @param {boolean} side2 - Block beside the corner along the second face axis
+     * @param {boolean} diagonal - Block diagonal to the corner
+     * @returns {number} 0 (darkest) to 3 (open)
+     */
+    static getValue(side1, side2, diagonal) {
+        if (side1 && side2) return 0;
+        return 3 - (side1 + side2 + diagonal);
+    }
+    
+    /**
+     * Get the vertex brightness of an occlusion value
+     */
+    static getBrightness(value) {
+        return LEVELS[value];
+    }
+    
+    /**
+     * Write the indices of the two triangles of a quad with corners 0-3 counter-clockwise
+     * The quad is split along its brighter diagonal, so a dark corner only shades its own
+     * triangle and the shading looks the same whatever the quad orientation
+     * @param {Uint32Array|Array<number>} indices - Index buffer
+     * @param {number} offset - Position of the six indices in the buffer
+     * @param {number} vertex - Index of the first corner
+     * @param {number} value0 - Occlusion value or brightness of the first corner, then of the other three
+     */
+    static writeQuadIndices(indices, offset, vertex, value0, value1, value2, value3) {
+        const flip = value0 + value2 < value1 + value3;
+        indices[offset] = vertex;
+        indices[offset + 1] = vertex + 1;
+        indices[offset + 2] = flip ? vertex + 3 : vertex + 2;
+        indices[offset + 3] = flip ? vertex + 1 : vertex;
+        indices[offset + 4] = vertex + 2;
+        indices[offset + 5] = vertex + 3;
+    }
+}
\ No newline at end of file
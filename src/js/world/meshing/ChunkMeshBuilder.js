@@ -0,0 +1,410 @@
+import { CONFIG } from '../../config/config.js';
+import { BlockRegistry } from '../BlockRegistry.js';
+import { AmbientOcclusion } from './AmbientOcclusion.js';
+import { RenderPass, RENDER_PASSES } from './RenderPass.js';
+import { LightMap, MAX_LIGHT, SKY, BLOCK, FULL_SKY } from '../lighting/LightMap.js';
+import { SectionConnectivity } from '../visibility/SectionConnectivity.js';
+
+// UVs of the four corners of a face, v pointing up on side faces
+const FACE_UVS = [0, 0, 1, 0, 1, 1, 0, 1];
+
+// Block faces: outward direction, corners counter-clockwise seen from outside,
+// their UVs and the block texture used (see BlockRegistry.getFaceTexture)
+export const FACES = [
+    { dir: [0, 1, 0], corners: [[0, 1, 1], [1, 1, 1], [1, 1, 0], [0, 1, 0]], uvs: FACE_UVS, texture: 'top' },
+    { dir: [0, -1, 0], corners: [[0, 0, 0], [1, 0, 0], [1, 0, 1], [0, 0, 1]], uvs: FACE_UVS, texture: 'bottom' },
+    { dir: [1, 0, 0], corners: [[1, 0, 1], [1, 0, 0], [1, 1, 0], [1, 1, 1]], uvs: FACE_UVS, texture: 'side' }, // right
+    { dir: [-1, 0, 0], corners: [[0, 0, 0], [0, 0, 1], [0, 1, 1], [0, 1, 0]], uvs: FACE_UVS, texture: 'side' }, // left
+    { dir: [0, 0, 1], corners: [[0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1]], uvs: FACE_UVS, texture: 'side' }, // front
+    { dir: [0, 0, -1], corners: [[1, 0, 0], [0, 0, 0], [0, 1, 0], [1, 1, 0]], uvs: FACE_UVS, texture: 'side' }  // back
+];
+
+// Values stored per merged quad: x, y, z, face, width, height, liquid depth and the brightness of the four corners
+const QUAD_STRIDE = 11;
+
+// Block ids fit below this value, liquid depths are stored above it in the face keys
+const DEPTH_FACTOR = 4096;
+
+// Layout of each face: the axis it points along, the two tangent axes (quads are merged along
+// them, width along the first and height along the second), the tangent the texture u runs along,
+// the pairs of corners across each tangent (the shading is even along a tangent when both corners
+// of each pair match) and the blocks that shade each corner: offsets of the two side neighbours
+// and the diagonal one in the layer in front of the face (see AmbientOcclusion), 9 values per corner
+FACES.forEach(face => {
+    const tangents = [0, 1, 2].filter(axis => face.dir[axis] === 0);
+    face.axis = face.dir.findIndex(value => value !== 0);
+    face.tangents = tangents;
+    face.uvTangent = face.corners[0][tangents[0]] !== face.corners[1][tangents[0]] ? 0 : 1;
+    face.pairs = tangents.map((axis, t) => {
+        const other = tangents[1 - t];
+        return [0, 1, 2, 3].filter(c => !face.corners[c][axis]).flatMap(c => {
+            const pair = face.corners.findIndex(corner => corner[axis] && corner[other] === face.corners[c][other]);
+            return [c, pair];
+        });
+    });
+    face.occluders = new Int8Array(face.corners.flatMap(corner => {
+        const toward = axis => (corner[axis] ? 1 : -1);
+        const [side1, side2, diagonal] = [face.dir.slice(), face.dir.slice(), face.dir.slice()];
+        side1[tangents[0]] += toward(tangents[0]);
+        side2[tangents[1]] += toward(tangents[1]);
+        diagonal[tangents[0]] += toward(tangents[0]);
+        diagonal[tangents[1]] += toward(tangents[1]);
+        return [...side1, ...side2, ...diagonal];
+    }));
+});
+
+// Texture index of each face of each block id (see BlockRegistry.getTextureNames)
+const faceTextureIndices = [];
+BlockRegistry.getNames().forEach(name => {
+    faceTextureIndices[BlockRegistry.getId(name)] = FACES.map(({ texture }) => {
+        return BlockRegistry.getTextureIndex(BlockRegistry.getFaceTexture(name, texture));
+    });
+});
+
+// Liquid block ids, whose translucent faces carry the depth of their column (see WaterMaterial)
+const liquids = [];
+BlockRegistry.getNames().forEach(name => {
+    liquids[BlockRegistry.getId(name)] = Boolean(BlockRegistry.getDefinition(name).liquid);
+});
+
+/**
+ * ChunkMeshBuilder turns chunk sections into vertex buffers
+ * It does not use three.js, so it runs in chunk workers as well as on the main thread.
+ * Each section gets its own buffers, so an edit only rebuilds the sections it touches,
+ * and empty sections are skipped. A section has one set of buffers per render pass
+ * (opaque, cutout and translucent blocks, see RenderPass), drawn with different materials.
+ * Within a pass faces are grouped by block type: each group is a
+ * contiguous range of indices drawn with the material of its block. Each vertex also
+ * has the texture index of its face, to draw every group with a texture atlas, and
+ * a colour shading it by ambient occlusion and by the light in front of the face
+ * (smooth lighting: the average light of the voxels around the corner, see LightEngine).
+ * Translucent faces also get the depth of the liquid under them, for the water colour.
+ * Faces of the same block with the same corner shading (and liquid depth) are merged into
+ * larger quads (greedy meshing), only along the tangents the shading does not change across,
+ * so a merged quad looks the same as the faces it replaces; its UVs are in blocks and the
+ * materials repeat the texture
+ */
+export class ChunkMeshBuilder {
+    /**
+     * @param {Object} options
+     * @param {boolean} options.merge - Merge faces into larger quads (false = one quad per visible face)
+     */
+    constructor({ merge = true } = {}) {
+        this.merge = merge;
+    }
+    
+    /**
+     * Build the visible faces of chunk sections
+     * @param {Object} chunk - Section data and chunk position ({sections, light, lightBorders, sectionYs, size, height, sectionHeight, x, z});
+     * sections holds the data of the sections to build and of the ones above and below them (see BlockStorage.getSectionData),
+     * light the light of the same sections (see LightMap.toData), optional with lightBorders
+     * @returns {Array<{sectionY: number, mesh: Object|null, connectivity: number}>} One entry per section of sectionYs,
+     * see buildSection() and SectionConnectivity
+     */
+    build({ sectionYs, ...chunk }) {
+        const { sections, size, height, sectionHeight } = chunk;
+        return sectionYs.map(sectionY => ({
+            sectionY,
+            mesh: this.buildSection({ ...chunk, sectionY }),
+            connectivity: SectionConnectivity.compute(sections[sectionY], size, Math.min(sectionHeight, height - sectionY * sectionHeight))
+        }));
+    }
+    
+    /**
+     * Build the visible faces of one section, positioned in the section (see Chunk.setSectionMesh)
+     * @returns {Object|null} {opaque, cutout, translucent} or null when nothing is visible; each pass holds
+     * {positions, normals, uvs, colors, textureIndices, indices, groups}, or null when it has no face;
+     * groups are {blockType, start, count} ranges of indices. The translucent pass also has depths,
+     * the liquid depth of each vertex in blocks (0 for other blocks)
+     */
+    buildSection({ sections, light, lightBorders, sectionY, size, height, sectionHeight }) {
+        const air = BlockRegistry.AIR;
+        const data = sections[sectionY];
+        if (data === air) {
+            return null; // Empty section
+        }
+        
+        const sectionCount = Math.ceil(height / sectionHeight);
+        const heightOf = index => Math.min(sectionHeight, height - index * sectionHeight);
+        const readId = (sectionData, sectionSize, x, y, z) => {
+            return typeof sectionData === 'number' ? sectionData : sectionData[(x * sectionSize + y) * size + z];
+        };
+        
+        const localHeight = heightOf(sectionY);
+        const quadsByType = new Map(); // block id -> [x, y, z, face, width, height, depth, brightness × 4, ...]
+        let quadCount = 0;
+        
+        // Neighbours above and below the section are read from the sections next to it
+        const getId = (x, y, z) => {
+            if (x < 0 || x >= size || z < 0 || z >= size) return -1;
+            if (y < 0) {
+                return sectionY === 0 ? -1 : readId(sections[sectionY - 1], sectionHeight, x, y + sectionHeight, z);
+            }
+            if (y >= localHeight) {
+                return sectionY + 1 >= sectionCount ? -1 : readId(sections[sectionY + 1], heightOf(sectionY + 1), x, y - localHeight, z);
+            }
+            return readId(data, localHeight, x, y, z);
+        };
+        
+        // Packed light of a voxel next to the section, -1 when unknown or stopped by the voxel;
+        // light sections have the layout of block sections, voxels of the neighbour chunks
+        // come from the borders (see LightEngine.getBorderLight). Without light all is sunlit
+        const baseY = sectionY * sectionHeight;
+        const getLight = (x, y, z) => {
+            const chunkY = baseY + y;
+            if (!light || chunkY >= height) return FULL_SKY;
+            if (chunkY < 0) return -1;
+            
+            const insideX = x >= 0 && x < size;
+            const insideZ = z >= 0 && z < size;
+            if (insideX && insideZ) {
+                const index = Math.floor(chunkY / sectionHeight);
+                return readId(light[index], heightOf(index), x, chunkY - index * sectionHeight, z);
+            }
+            if (!insideX && !insideZ) return -1; // Diagonal chunk
+            
+            const border = lightBorders && lightBorders[insideZ ? (x < 0 ? 0 : 1) : (z < 0 ? 2 : 3)];
+            return border ? border[chunkY * size + (insideZ ? z : x)] : -1;
+        };
+        
+        // Opaque blocks shade, transparent ones and blocks of unknown neighbour chunks do not
+        const isOccluder = (x, y, z) => {
+            const id = getId(x, y, z);
+            return id !== -1 && RenderPass.isOpaque(id);
+        };
+        
+        // Sum of the sky light, block light and count of the voxels lighting a corner
+        const lightSum = new Int32Array(3);
+        const addLight = value => {
+            if (value === -1) return;
+            lightSum[0] += (value >> SKY) & MAX_LIGHT;
+            lightSum[1] += (value >> BLOCK) & MAX_LIGHT;
+            lightSum[2]++;
+        };
+        
+        // Brightness of the four corners of a face, written to out from offset: ambient occlusion
+        // times the average light of the voxel in front of the face and of the ones around the corner
+        // that light reaches, voxels of unloaded chunks left out
+        const shadeFace = (x, y, z, face, out, offset) => {
+            const { dir, occluders } = FACES[face];
+            const front = isOccluder(x + dir[0], y + dir[1], z + dir[2]) ? -1 : getLight(x + dir[0], y + dir[1], z + dir[2]);
+            
+            for (let corner = 0; corner < 4; corner++) {
+                const o = corner * 9;
+                const side1 = isOccluder(x + occluders[o], y + occluders[o + 1], z + occluders[o + 2]);
+                const side2 = isOccluder(x + occluders[o + 3], y + occluders[o + 4], z + occluders[o + 5]);
+                const diagonal = isOccluder(x + occluders[o + 6], y + occluders[o + 7], z + occluders[o + 8]);
+                
+                const light1 = side1 ? -1 : getLight(x + occluders[o], y + occluders[o + 1], z + occluders[o + 2]);
+                const light2 = side2 ? -1 : getLight(x + occluders[o + 3], y + occluders[o + 4], z + occluders[o + 5]);
+                lightSum.fill(0);
+                addLight(front);
+                addLight(light1);
+                addLight(light2);
+                if (light1 !== -1 || light2 !== -1) {
+                    addLight(diagonal ? -1 : getLight(x + occluders[o + 6], y + occluders[o + 7], z + occluders[o + 8]));
+                }
+                
+                const brightness = lightSum[2] === 0 ? 1 : LightMap.getBrightness(Math.max(lightSum[0], lightSum[1]) / lightSum[2]);
+                out[offset + corner] = AmbientOcclusion.getBrightness(AmbientOcclusion.getValue(side1, side2, diagonal)) * brightness;
+            }
+        };
+        
+        // Liquid blocks in the column from a voxel down, up to the section below
+        const maxLiquidDepth = Math.min(CONFIG.WATER.MAX_DEPTH, sectionHeight);
+        const getLiquidDepth = (id, x, y, z) => {
+            let depth = 1;
+            while (depth < maxLiquidDepth && getId(x, y - depth, z) === id) {
+                depth++;
+            }
+            return depth;
+        };
+        
+        // Faces of one layer of the section: key of the visible faces (block id and liquid depth,
+        // -1 when hidden) and brightness of their corners, width × height cells along the face tangents
+        const dims = [size, localHeight, size];
+        const maskKeys = new Int32Array(size * Math.max(size, localHeight));
+        const maskShades = new Float32Array(maskKeys.length * 4);
+        const position = [0, 0, 0];
+        
+        const isSameFace = (a, b) => {
+            return maskKeys[a] === maskKeys[b] &&
+                maskShades[a * 4] === maskShades[b * 4] && maskShades[a * 4 + 1] === maskShades[b * 4 + 1] &&
+                maskShades[a * 4 + 2] === maskShades[b * 4 + 2] && maskShades[a * 4 + 3] === maskShades[b * 4 + 3];
+        };
+        const isEven = (cell, pairs) => {
+            return maskShades[cell * 4 + pairs[0]] === maskShades[cell * 4 + pairs[1]] &&
+                maskShades[cell * 4 + pairs[2]] === maskShades[cell * 4 + pairs[3]];
+        };
+        
+        for (let face = 0; face < FACES.length; face++) {
+            const { dir, axis, tangents, pairs } = FACES[face];
+            const layerWidth = dims[tangents[0]];
+            const layerHeight = dims[tangents[1]];
+            
+            for (position[axis] = 0; position[axis] < dims[axis]; position[axis]++) {
+                let cell = 0;
+                for (position[tangents[1]] = 0; position[tangents[1]] < layerHeight; position[tangents[1]]++) {
+                    for (position[tangents[0]] = 0; position[tangents[0]] < layerWidth; position[tangents[0]]++, cell++) {
+                        const x = position[0];
+                        const y = position[1];
+                        const z = position[2];
+                        const id = readId(data, localHeight, x, y, z);
+                        
+                        // Faces are hidden by opaque blocks and by the same transparent block,
+                        // faces on the chunk border are always drawn
+                        if (id === air || !RenderPass.isFaceVisible(id, getId(x + dir[0], y + dir[1], z + dir[2]))) {
+                            maskKeys[cell] = -1;
+                            continue;
+                        }
+                        
+                        maskKeys[cell] = liquids[id] ? getLiquidDepth(id, x, y, z) * DEPTH_FACTOR + id : id;
+                        shadeFace(x, y, z, face, maskShades, cell * 4);
+                    }
+                }
+                
+                // Merge each face with the equal ones after it: along the first tangent, then whole
+                // rows along the second, only where the shading is even along the tangent
+                cell = 0;
+                for (let j = 0; j < layerHeight; j++) {
+                    for (let i = 0; i < layerWidth; i++, cell++) {
+                        const key = maskKeys[cell];
+                        if (key === -1) continue;
+                        
+                        let quadWidth = 1;
+                        if (this.merge && isEven(cell, pairs[0])) {
+                            while (i + quadWidth < layerWidth && isSameFace(cell, cell + quadWidth)) {
+                                quadWidth++;
+                            }
+                        }
+                        
+                        let quadHeight = 1;
+                        if (this.merge && isEven(cell, pairs[1])) {
+                            while (j + quadHeight < layerHeight) {
+                                const row = cell + quadHeight * layerWidth;
+                                let k = 0;
+                                while (k < quadWidth && isSameFace(cell, row + k)) {
+                                    k++;
+                                }
+                                if (k < quadWidth) break;
+                                quadHeight++;
+                            }
+                        }
+                        
+                        position[tangents[0]] = i;
+                        position[tangents[1]] = j;
+                        const id = key % DEPTH_FACTOR;
+                        if (!quadsByType.has(id)) {
+                            quadsByType.set(id, []);
+                        }
+                        quadsByType.get(id).push(
+                            position[0], position[1], position[2], face, quadWidth, quadHeight, Math.floor(key / DEPTH_FACTOR),
+                            maskShades[cell * 4], maskShades[cell * 4 + 1], maskShades[cell * 4 + 2], maskShades[cell * 4 + 3]
+                        );
+                        quadCount++;
+                        
+                        for (let h = 0; h < quadHeight; h++) {
+                            maskKeys.fill(-1, cell + h * layerWidth, cell + h * layerWidth + quadWidth);
+                        }
+                    }
+                }
+            }
+        }
+        
+        if (quadCount === 0) {
+            return null;
+        }
+        
+        const meshes = {};
+        RENDER_PASSES.forEach(pass => {
+            const entries = Array.from(quadsByType).filter(([id]) => RenderPass.get(id) === pass);
+            meshes[pass] = entries.length > 0 ? this.createBuffers(entries, pass === 'translucent') : null;
+        });
+        return meshes;
+    }
+    
+    /**
+     * Create the buffers of the quads of one render pass
+     * @param {Array} entries - [block id, [x, y, z, face, width, height, depth, brightness × 4, ...]] pairs
+     * @param {boolean} writeDepths - Write the liquid depths of the vertices
+     */
+    createBuffers(entries, writeDepths = false) {
+        const quadCount = entries.reduce((count, [, quads]) => count + quads.length / QUAD_STRIDE, 0);
+        const positions = new Float32Array(quadCount * 12);
+        const normals = new Float32Array(quadCount * 12);
+        const uvs = new Float32Array(quadCount * 8);
+        const colors = new Float32Array(quadCount * 12);
+        const textureIndices = new Float32Array(quadCount * 4);
+        const indices = new Uint32Array(quadCount * 6);
+        const depths = writeDepths ? new Float32Array(quadCount * 4) : null;
+        const groups = [];
+        let quad = 0;
+        
+        entries.forEach(([id, quads]) => {
+            groups.push({ blockType: BlockRegistry.getName(id), start: quad * 6, count: quads.length / QUAD_STRIDE * 6 });
+            
+            for (let i = 0; i < quads.length; i += QUAD_STRIDE) {
+                const face = quads[i + 3];
+                const { dir, corners, uvs: faceUVs, tangents, uvTangent } = FACES[face];
+                const width = quads[i + 4];
+                const height = quads[i + 5];
+                const vertex = quad * 4;
+                
+                // Corners of the quad: the face corners stretched along the tangents, UVs in blocks
+                const uScale = uvTangent === 0 ? width : height;
+                const vScale = uvTangent === 0 ? height : width;
+                for (let c = 0; c < 4; c++) {
+                    const corner = corners[c];
+                    const offset = (vertex + c) * 3;
+                    for (let axis = 0; axis < 3; axis++) {
+                        const extent = axis === tangents[0] ? width : axis === tangents[1] ? height : 1;
+                        positions[offset + axis] = quads[i + axis] + corner[axis] * extent;
+                        normals[offset + axis] = dir[axis];
+                        colors[offset + axis] = quads[i + 7 + c];
+                    }
+                    uvs[(vertex + c) * 2] = faceUVs[c * 2] * uScale;
+                    uvs[(vertex + c) * 2 + 1] = faceUVs[c * 2 + 1] * vScale;
+                }
+                textureIndices.fill(faceTextureIndices[id][face], vertex, vertex + 4);
+                AmbientOcclusion.writeQuadIndices(indices, quad * 6, vertex, quads[i + 7], quads[i + 8], quads[i + 9], quads[i + 10]);
+                if (depths) {
+                    depths.fill(quads[i + 6], vertex, vertex + 4);
+                }
+                
+                quad++;
+            }
+        });
+        
+        const meshData = { positions, normals, uvs, colors, textureIndices, indices, groups };
+        if (depths) {
+            meshData.depths = depths;
+        }
+        return meshData;
+    }
+    
+    /**
+     * Get the buffers of the mesh data of a pass, to transfer them between threads instead of copying
+     */
+    static getTransferables(meshData) {
+        if (!meshData) return [];
+        return [
+            meshData.positions.buffer,
+            meshData.normals.buffer,
+            meshData.uvs.buffer,
+            meshData.colors.buffer,
+            meshData.textureIndices.buffer,
+            meshData.indices.buffer,
+            ...(meshData.depths ? [meshData.depths.buffer] : [])
+        ];
+    }
+    
+    /**
+     * Get the buffers of the section meshes returned by build()
+     */
+    static getSectionTransferables(sectionMeshes) {
+        return sectionMeshes.flatMap(({ mesh }) => {
+            if (!mesh) return [];
+            return RENDER_PASSES.flatMap(pass => ChunkMeshBuilder.getTransferables(mesh[pass]));
+        });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,216 @@
+import * as THREE from 'three';
+import { CONFIG } from '../../config/config.js';
+import { BlockRegistry } from '../BlockRegistry.js';
+import { TextureAtlas } from '../../core/TextureAtlas.js';
+import { RenderPass, RENDER_PASSES } from './RenderPass.js';
+import { TranslucentSorter } from './TranslucentSorter.js';
+import { WaterMaterial } from '../water/WaterMaterial.js';
+
+/**
+ * ChunkMeshFactory turns mesh data built by ChunkMeshBuilder into three.js meshes
+ * It owns the block materials, shared by every chunk mesh. Once the block texture atlas
+ * is loaded every mesh uses one atlas material per render pass, before that one material
+ * per block type. A section becomes a group with a mesh per render pass; translucent
+ * meshes are kept sorted back to front by the translucent sorter (see updateView).
+ * Water faces always use the water material, atlas or not
+ */
+export class ChunkMeshFactory {
+    constructor(assetManager) {
+        this.assetManager = assetManager;
+        
+        // Materials cache
+        this.blockMaterials = new Map();
+        this.atlasMaterials = null; // Render pass -> atlas material
+        this.waterMaterial = new WaterMaterial();
+        this.initializeMaterials();
+        
+        this.translucentSorter = new TranslucentSorter();
+    }
+    
+    /**
+     * Load the block texture atlas through the asset manager (built once, then cached)
+     */
+    async loadAtlas() {
+        const atlas = this.assetManager.getTextureAtlas('blocks') ||
+            await this.assetManager.loadTextureAtlas('blocks', TextureAtlas.getBlockTextures());
+        this.setAtlas(atlas);
+    }
+    
+    /**
+     * Draw the meshes created from now on with a texture atlas
+     * @param {TextureAtlas} atlas - Tiles in BlockRegistry texture order (see TextureAtlas.getBlockTextures)
+     */
+    setAtlas(atlas) {
+        this.disposeAtlasMaterials();
+        this.atlasMaterials = {};
+        RENDER_PASSES.forEach(pass => {
+            this.atlasMaterials[pass] = atlas.createMaterial({ vertexColors: true, ...RenderPass.getMaterialOptions(pass) });
+        });
+    }
+    
+    /**
+     * Initialize block materials from textures
+     */
+    initializeMaterials() {
+        const blockTypes = BlockRegistry.getNames();
+        
+        blockTypes.forEach(blockType => {
+            const blockConfig = BlockRegistry.getDefinition(blockType);
+            const textureName = BlockRegistry.getFaceTexture(blockType, 'side');
+            const texturePath = `${CONFIG.PATHS.TEXTURES}blocks/${textureName}`;
+            
+            const texture = this.assetManager ? this.assetManager.getTexture(texturePath) : null;
+            if (texture) {
+                texture.magFilter = THREE.NearestFilter;
+                texture.minFilter = THREE.NearestFilter;
+                texture.wrapS = THREE.RepeatWrapping;
+                texture.wrapT = THREE.RepeatWrapping;
+                
+                const material = new THREE.MeshLambertMaterial({
+                    map: texture,
+                    vertexColors: true,
+                    opacity: blockConfig.opacity || 1.0,
+                    ...RenderPass.getMaterialOptions(RenderPass.get(BlockRegistry.getId(blockType)))
+                });
+                
+                this.blockMaterials.set(blockType, material);
+            } else {
+                // Fallback material until the atlas is loaded
+                const fallbackMaterial = new THREE.MeshLambertMaterial({
+                    color: blockConfig.color || 0x888888,
+                    vertexColors: true,
+                    ...RenderPass.getMaterialOptions(RenderPass.get(BlockRegistry.getId(blockType)))
+                });
+                this.blockMaterials.set(blockType, fallbackMaterial);
+            }
+        });
+        
+        console.log(`Initialized ${this.blockMaterials.size} block materials`);
+    }
+    
+    /**
+     * Create the meshes of a section from the buffers of ChunkMeshBuilder
+     * @param {Object|null} sectionMesh - Buffers of each render pass, null when nothing is visible
+     * @returns {THREE.Group|null} One mesh per render pass with faces
+     */
+    createSectionMesh(sectionMesh) {
+        if (!sectionMesh) {
+            return null;
+        }
+        
+        const group = new THREE.Group();
+        RENDER_PASSES.forEach(pass => {
+            const mesh = this.createMesh(sectionMesh[pass], pass);
+            if (!mesh) return;
+            
+            mesh.userData.renderPass = pass;
+            group.add(mesh);
+            if (pass === 'translucent') {
+                this.translucentSorter.add(mesh);
+            }
+        });
+        return group;
+    }
+    
+    /**
+     * Create a mesh from the buffers of one render pass
+     * @param {Object|null} meshData - Buffers and groups, null when the pass has no face
+     * @param {string} pass - Render pass of the faces (see RenderPass)
+     */
+    createMesh(meshData, pass = 'opaque') {
+        if (!meshData) {
+            return null;
+        }
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(meshData.positions, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(meshData.normals, 3));
+        geometry.setAttribute('uv', new THREE.BufferAttribute(meshData.uvs, 2));
+        geometry.setAttribute('color', new THREE.BufferAttribute(meshData.colors, 3));
+        geometry.setAttribute('textureIndex', new THREE.BufferAttribute(meshData.textureIndices, 1));
+        geometry.setIndex(new THREE.BufferAttribute(meshData.indices, 1));
+        if (meshData.depths) {
+            geometry.setAttribute('liquidDepth', new THREE.BufferAttribute(meshData.depths, 1));
+        }
+        
+        // Bounds of the faces in the section, three.js culls the mesh with them for every camera
+        geometry.computeBoundingBox();
+        geometry.computeBoundingSphere();
+        
+        const mesh = new THREE.Mesh(geometry, this.getMeshMaterial(geometry, meshData.groups, pass));
+        mesh.frustumCulled = CONFIG.PERFORMANCE.FRUSTUM_CULLING;
+        return mesh;
+    }
+    
+    /**
+     * Get the material of a mesh: the atlas material of its pass, or one material per
+     * group of faces (added to the geometry) before the atlas is loaded and for water
+     */
+    getMeshMaterial(geometry, groups, pass) {
+        const hasWater = groups.some(({ blockType }) => blockType === 'water');
+        if (this.atlasMaterials && !hasWater) {
+            return this.atlasMaterials[pass];
+        }
+        
+        return groups.map(({ blockType, start, count }, materialIndex) => {
+            geometry.addGroup(start, count, materialIndex);
+            return this.getGroupMaterial(blockType, pass);
+        });
+    }
+    
+    /**
+     * Get the material of the faces of a block type
+     */
+    getGroupMaterial(blockType, pass) {
+        if (blockType === 'water') {
+            return this.waterMaterial;
+        }
+        if (this.atlasMaterials) {
+            return this.atlasMaterials[pass];
+        }
+        return this.blockMaterials.get(blockType) || this.blockMaterials.get('dirt');
+    }
+    
+    /**
+     * Free the geometry of a section mesh and stop sorting it
+     * @param {THREE.Object3D|null} sectionMesh - Group returned by createSectionMesh()
+     */
+    disposeSectionMesh(sectionMesh) {
+        if (!sectionMesh) return;
+        sectionMesh.children.forEach(mesh => {
+            this.translucentSorter.remove(mesh);
+            mesh.geometry.dispose();
+        });
+    }
+    
+    /**
+     * Sort the translucent meshes back to front for a viewer
+     * @param {THREE.Vector3} position - Camera position
+     */
+    updateView(position) {
+        this.translucentSorter.update(position);
+    }
+    
+    /**
+     * Dispose the atlas materials
+     */
+    disposeAtlasMaterials() {
+        if (this.atlasMaterials) {
+            Object.values(this.atlasMaterials).forEach(material => material.dispose());
+            this.atlasMaterials = null;
+        }
+    }
+    
+    /**
+     * Dispose the block materials
+     */
+    dispose() {
+        this.blockMaterials.forEach(material => {
+            material.dispose();
+        });
+        this.blockMaterials.clear();
+        this.disposeAtlasMaterials();
+        this.waterMaterial.dispose();
+        this.translucentSorter.clear();
+    }
+}
\ No newline at end of file
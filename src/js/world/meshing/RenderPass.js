@@ -0,0 +1,56 @@
+import { BlockRegistry } from '../BlockRegistry.js';
+
+// Passes in drawing order: solid blocks, alpha-tested blocks (leaves), blended blocks (water, glass)
+export const RENDER_PASSES = ['opaque', 'cutout', 'translucent'];
+
+// Material options of each pass, plain values so the meshers stay free of three.js
+const MATERIAL_OPTIONS = {
+    opaque: {},
+    cutout: { alphaTest: 0.5 },
+    translucent: { transparent: true, depthWrite: false }
+};
+
+// Render pass of each block id: the `render` of its definition, transparent blocks default to cutout
+const passes = [];
+['air', ...BlockRegistry.getNames()].forEach(name => {
+    const { render, transparent } = BlockRegistry.getDefinition(name);
+    passes[BlockRegistry.getId(name)] = render || (transparent ? 'cutout' : 'opaque');
+});
+
+/**
+ * RenderPass sorts blocks into the passes their faces are drawn in, and tells which faces
+ * two neighbouring blocks hide. Opaque blocks hide every face behind them, transparent ones
+ * only the faces of the same block (no walls between two water or glass blocks)
+ */
+export class RenderPass {
+    /**
+     * Get the render pass of a block id
+     * @returns {string} One of RENDER_PASSES
+     */
+    static get(id) {
+        return passes[id];
+    }
+    
+    /**
+     * Check if a block id hides what is behind it (and shades its neighbours)
+     */
+    static isOpaque(id) {
+        return passes[id] === 'opaque';
+    }
+    
+    /**
+     * Check if the face of a block towards a neighbour is drawn
+     * @param {number} id - Block with the face, not air
+     * @param {number} neighbor - Block in front of the face, -1 when unknown (faces on chunk borders are drawn)
+     */
+    static isFaceVisible(id, neighbor) {
+        return neighbor === -1 || (!RenderPass.isOpaque(neighbor) && neighbor !== id);
+    }
+    
+    /**
+     * Get the material options of a pass (alpha test, blending)
+     */
+    static getMaterialOptions(pass) {
+        return { ...MATERIAL_OPTIONS[pass] };
+    }
+}
\ No newline at end of file
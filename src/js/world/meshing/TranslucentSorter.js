@@ -0,0 +1,122 @@
+import * as THREE from 'three';
+
+const viewPosition = new THREE.Vector3();
+const center = new THREE.Vector3();
+const inverseMatrix = new THREE.Matrix4();
+
+/**
+ * TranslucentSorter keeps translucent meshes drawn back to front, as blending needs
+ * Meshes get a renderOrder from their distance to the viewer (three.js draws transparent
+ * objects by renderOrder first), and the quads of each mesh, the four vertices and six indices
+ * written by the meshers, are reordered in its index buffer, farthest first within each group.
+ * Sorting runs again only when the viewer enters another block or meshes are added
+ */
+export class TranslucentSorter {
+    constructor() {
+        this.entries = new Map(); // mesh -> {centers, indices, groups, order, distances}
+        this.viewCell = null;
+        this.needsSort = false;
+    }
+    
+    /**
+     * Start sorting a translucent mesh
+     */
+    add(mesh) {
+        const { geometry } = mesh;
+        const positions = geometry.attributes.position.array;
+        const indices = geometry.index.array.slice();
+        const quadCount = indices.length / 6;
+        
+        // Center of each quad, the average of its four vertices
+        const centers = new Float32Array(quadCount * 3);
+        for (let quad = 0; quad < quadCount; quad++) {
+            for (let axis = 0; axis < 3; axis++) {
+                let sum = 0;
+                for (let c = 0; c < 4; c++) {
+                    sum += positions[(quad * 4 + c) * 3 + axis];
+                }
+                centers[quad * 3 + axis] = sum / 4;
+            }
+        }
+        
+        if (!geometry.boundingSphere) {
+            geometry.computeBoundingSphere();
+        }
+        
+        // Quads are only reordered inside their group, which selects their material
+        const groups = geometry.groups.length > 0 ? geometry.groups : [{ start: 0, count: indices.length }];
+        
+        this.entries.set(mesh, {
+            centers,
+            indices,
+            groups,
+            order: new Uint32Array(quadCount),
+            distances: new Float32Array(quadCount)
+        });
+        this.needsSort = true;
+    }
+    
+    /**
+     * Stop sorting a mesh (removed or disposed)
+     */
+    remove(mesh) {
+        this.entries.delete(mesh);
+    }
+    
+    /**
+     * Sort the meshes for a viewer position
+     * @param {THREE.Vector3} position - Camera position in world space
+     */
+    update(position) {
+        const cell = `${Math.floor(position.x)},${Math.floor(position.y)},${Math.floor(position.z)}`;
+        if (cell === this.viewCell && !this.needsSort) return;
+        this.viewCell = cell;
+        this.needsSort = false;
+        
+        // Farthest meshes first
+        const meshes = [];
+        this.entries.forEach((entry, mesh) => {
+            mesh.updateWorldMatrix(true, false);
+            center.copy(mesh.geometry.boundingSphere.center).applyMatrix4(mesh.matrixWorld);
+            meshes.push({ mesh, distance: center.distanceToSquared(position) });
+            
+            // Quads in mesh space
+            viewPosition.copy(position).applyMatrix4(inverseMatrix.copy(mesh.matrixWorld).invert());
+            this.sortQuads(mesh, entry, viewPosition);
+        });
+        meshes.sort((a, b) => b.distance - a.distance);
+        meshes.forEach(({ mesh }, index) => {
+            mesh.renderOrder = index;
+        });
+    }
+    
+    /**
+     * Reorder the quads of a mesh, farthest from a position first
+     */
+    sortQuads(mesh, { centers, indices, groups, order, distances }, position) {
+        for (let quad = 0; quad < order.length; quad++) {
+            const dx = centers[quad * 3] - position.x;
+            const dy = centers[quad * 3 + 1] - position.y;
+            const dz = centers[quad * 3 + 2] - position.z;
+            distances[quad] = dx * dx + dy * dy + dz * dz;
+            order[quad] = quad;
+        }
+        groups.forEach(({ start, count }) => {
+            order.subarray(start / 6, (start + count) / 6).sort((a, b) => distances[b] - distances[a]);
+        });
+        
+        const index = mesh.geometry.index;
+        order.forEach((quad, slot) => {
+            index.array.set(indices.subarray(quad * 6, quad * 6 + 6), slot * 6);
+        });
+        index.needsUpdate = true;
+    }
+    
+    /**
+     * Stop sorting every mesh
+     */
+    clear() {
+        this.entries.clear();
+        this.viewCell = null;
+    }
+}
\ No newline at end of file
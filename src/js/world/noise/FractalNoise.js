@@ -0,0 +1,143 @@
+import { CONFIG } from '../../config/config.js';
+import { GradientNoise } from './GradientNoise.js';
+
+// Offsets that decorrelate the two warp fields from the sampled field
+const WARP_OFFSET_A = 31.7;
+const WARP_OFFSET_B = 57.3;
+
+/**
+ * FractalNoise layers octaves of gradient noise
+ * Defaults come from CONFIG.WORLD.TERRAIN (OCTAVES, PERSISTENCE, LACUNARITY, SCALE)
+ */
+export class FractalNoise {
+    /**
+     * @param {number} seed - Noise seed
+     * @param {Object} options - octaves, persistence, lacunarity, frequency, type ('simplex' | 'perlin')
+     */
+    constructor(seed = 0, options = {}) {
+        const terrain = CONFIG.WORLD.TERRAIN;
+        
+        this.noise = new GradientNoise(seed);
+        this.octaves = options.octaves ?? terrain.OCTAVES;
+        this.persistence = options.persistence ?? terrain.PERSISTENCE;
+        this.lacunarity = options.lacunarity ?? terrain.LACUNARITY;
+        this.frequency = options.frequency ?? terrain.SCALE;
+        this.type = options.type ?? 'simplex';
+        
+        // Sum of octave amplitudes, used to normalize results
+        this.amplitudeSum = 0;
+        let amplitude = 1;
+        for (let i = 0; i < this.octaves; i++) {
+            this.amplitudeSum += amplitude;
+            amplitude *= this.persistence;
+        }
+    }
+    
+    /**
+     * Sample the base noise in 2D
+     */
+    sample2D(x, y) {
+        return this.type === 'perlin' ? this.noise.perlin2D(x, y) : this.noise.simplex2D(x, y);
+    }
+    
+    /**
+     * Sample the base noise in 3D
+     */
+    sample3D(x, y, z) {
+        return this.type === 'perlin' ? this.noise.perlin3D(x, y, z) : this.noise.simplex3D(x, y, z);
+    }
+    
+    /**
+     * Fractal Brownian motion in 2D, result in [-1, 1]
+     */
+    fbm2D(x, y) {
+        let value = 0;
+        let amplitude = 1;
+        let frequency = this.frequency;
+        
+        for (let i = 0; i < this.octaves; i++) {
+            value += this.sample2D(x * frequency, y * frequency) * amplitude;
+            amplitude *= this.persistence;
+            frequency *= this.lacunarity;
+        }
+        
+        return value / this.amplitudeSum;
+    }
+    
+    /**
+     * Fractal Brownian motion in 3D, result in [-1, 1]
+     */
+    fbm3D(x, y, z) {
+        let value = 0;
+        let amplitude = 1;
+        let frequency = this.frequency;
+        
+        for (let i = 0; i < this.octaves; i++) {
+            value += this.sample3D(x * frequency, y * frequency, z * frequency) * amplitude;
+            amplitude *= this.persistence;
+            frequency *= this.lacunarity;
+        }
+        
+        return value / this.amplitudeSum;
+    }
+    
+    /**
+     * Ridged multifractal in 2D, result in [0, 1]
+     * Sharp crests where the base noise crosses zero (mountain ridges, river beds)
+     */
+    ridged2D(x, y) {
+        let value = 0;
+        let amplitude = 1;
+        let frequency = this.frequency;
+        
+        for (let i = 0; i < this.octaves; i++) {
+            const ridge = 1 - Math.abs(this.sample2D(x * frequency, y * frequency));
+            value += ridge * ridge * amplitude;
+            amplitude *= this.persistence;
+            frequency *= this.lacunarity;
+        }
+        
+        return value / this.amplitudeSum;
+    }
+    
+    /**
+     * Ridged multifractal in 3D, result in [0, 1]
+     */
+    ridged3D(x, y, z) {
+        let value = 0;
+        let amplitude = 1;
+        let frequency = this.frequency;
+        
+        for (let i = 0; i < this.octaves; i++) {
+            const ridge = 1 - Math.abs(this.sample3D(x * frequency, y * frequency, z * frequency));
+            value += ridge * ridge * amplitude;
+            amplitude *= this.persistence;
+            frequency *= this.lacunarity;
+        }
+        
+        return value / this.amplitudeSum;
+    }
+    
+    /**
+     * Domain-warped fBm in 2D, result in [-1, 1]
+     * @param {number} strength - Warp distance in world units
+     */
+    warped2D(x, y, strength = 40) {
+        const warpX = this.fbm2D(x + WARP_OFFSET_A, y + WARP_OFFSET_B);
+        const warpY = this.fbm2D(x - WARP_OFFSET_B, y + WARP_OFFSET_A);
+        
+        return this.fbm2D(x + warpX * strength, y + warpY * strength);
+    }
+    
+    /**
+     * Domain-warped fBm in 3D, result in [-1, 1]
+     * @param {number} strength - Warp distance in world units
+     */
+    warped3D(x, y, z, strength = 40) {
+        const warpX = this.fbm3D(x + WARP_OFFSET_A, y, z + WARP_OFFSET_B);
+        const warpY = this.fbm3D(x - WARP_OFFSET_B, y + WARP_OFFSET_A, z);
+        const warpZ = this.fbm3D(x, y - WARP_OFFSET_A, z - WARP_OFFSET_B);
+        
+        return this.fbm3D(x + warpX * strength, y + warpY * strength, z + warpZ * strength);
+    }
+}
\ No newline at end of file
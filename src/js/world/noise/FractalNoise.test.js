@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { FractalNoise } from './FractalNoise.js';
+import { SeededRandom } from './SeededRandom.js';
+
+/**
+ * Sample points spread over positive and negative coordinates
+ */
+function samplePoints(count) {
+    const random = new SeededRandom(11);
+    return Array.from({ length: count }, () => [0, 0, 0].map(() => (random.next() - 0.5) * 5000));
+}
+
+describe('FractalNoise', () => {
+    const points = samplePoints(300);
+    
+    it('gives the same values for the same seed and different ones for another seed', () => {
+        const a = new FractalNoise(7);
+        const b = new FractalNoise(7);
+        const other = new FractalNoise(8);
+        
+        points.slice(0, 50).forEach(([x, y, z]) => {
+            expect(a.fbm2D(x, z)).toBe(b.fbm2D(x, z));
+            expect(a.warped3D(x, y, z)).toBe(b.warped3D(x, y, z));
+        });
+        const differing = points.slice(0, 50).filter(([x, , z]) => a.fbm2D(x, z) !== other.fbm2D(x, z));
+        expect(differing.length).toBeGreaterThan(40);
+    });
+    
+    it('keeps fBm and warped fBm in [-1, 1] and ridged noise in [0, 1]', () => {
+        ['simplex', 'perlin'].forEach(type => {
+            const noise = new FractalNoise(3, { type, octaves: 5, frequency: 0.01 });
+            points.forEach(([x, y, z]) => {
+                [noise.fbm2D(x, z), noise.fbm3D(x, y, z), noise.warped2D(x, z), noise.warped3D(x, y, z)].forEach(value => {
+                    expect(value).toBeGreaterThanOrEqual(-1);
+                    expect(value).toBeLessThanOrEqual(1);
+                });
+                [noise.ridged2D(x, z), noise.ridged3D(x, y, z)].forEach(value => {
+                    expect(value).toBeGreaterThanOrEqual(0);
+                    expect(value).toBeLessThanOrEqual(1);
+                });
+            });
+        });
+    });
+    
+    it('uses a single octave as the base noise', () => {
+        const noise = new FractalNoise(5, { octaves: 1, frequency: 1, type: 'perlin' });
+        points.slice(0, 20).forEach(([x, y, z]) => {
+            expect(noise.fbm3D(x, y, z)).toBeCloseTo(noise.noise.perlin3D(x, y, z), 12);
+        });
+    });
+    
+    // Pinned values: a change here changes every generated world
+    it('keeps the values of seed 7 with the terrain settings', () => {
+        const noise = new FractalNoise(7);
+        expect(noise.fbm2D(10, 20)).toBeCloseTo(-0.3263989981767355, 10);
+        expect(noise.ridged2D(10, 20)).toBeCloseTo(0.4515975154510173, 10);
+    });
+})
\ No newline at end of file
@@ -0,0 +1,231 @@
+import { SeededRandom } from './SeededRandom.js';
+
+// Gradient directions: edges of a cube (3D) and unit-ish vectors in the plane (2D)
+const GRAD3 = [
+    [1, 1, 0], [-1, 1, 0], [1, -1, 0], [-1, -1, 0],
+    [1, 0, 1], [-1, 0, 1], [1, 0, -1], [-1, 0, -1],
+    [0, 1, 1], [0, -1, 1], [0, 1, -1], [0, -1, -1]
+];
+const GRAD2 = [
+    [1, 1], [-1, 1], [1, -1], [-1, -1],
+    [1, 0], [-1, 0], [0, 1], [0, -1]
+];
+
+// Simplex skew factors
+const F2 = 0.5 * (Math.sqrt(3) - 1);
+const G2 = (3 - Math.sqrt(3)) / 6;
+const F3 = 1 / 3;
+const G3 = 1 / 6;
+
+/**
+ * GradientNoise provides seeded Perlin and simplex noise in 2D and 3D
+ * All functions return values roughly in [-1, 1] and are continuous (no grid artifacts)
+ */
+export class GradientNoise {
+    constructor(seed = 0) {
+        this.seed = seed | 0;
+        
+        // Doubled permutation table avoids wrapping indices
+        const permutation = new SeededRandom(this.seed).shuffle(Array.from({ length: 256 }, (_, i) => i));
+        this.perm = new Uint8Array(512);
+        this.permMod12 = new Uint8Array(512);
+        for (let i = 0; i < 512; i++) {
+            this.perm[i] = permutation[i & 255];
+            this.permMod12[i] = this.perm[i] % 12;
+        }
+    }
+    
+    /**
+     * Quintic fade curve (6t^5 - 15t^4 + 10t^3)
+     */
+    fade(t) {
+        return t * t * t * (t * (t * 6 - 15) + 10);
+    }
+    
+    /**
+     * Linear interpolation
+     */
+    lerp(a, b, t) {
+        return a + t * (b - a);
+    }
+    
+    /**
+     * 2D Perlin noise
+     */
+    perlin2D(x, y) {
+        const xi = Math.floor(x);
+        const yi = Math.floor(y);
+        const xf = x - xi;
+        const yf = y - yi;
+        const X = xi & 255;
+        const Y = yi & 255;
+        
+        const perm = this.perm;
+        const g00 = GRAD2[perm[X + perm[Y]] & 7];
+        const g10 = GRAD2[perm[X + 1 + perm[Y]] & 7];
+        const g01 = GRAD2[perm[X + perm[Y + 1]] & 7];
+        const g11 = GRAD2[perm[X + 1 + perm[Y + 1]] & 7];
+        
+        const n00 = g00[0] * xf + g00[1] * yf;
+        const n10 = g10[0] * (xf - 1) + g10[1] * yf;
+        const n01 = g01[0] * xf + g01[1] * (yf - 1);
+        const n11 = g11[0] * (xf - 1) + g11[1] * (yf - 1);
+        
+        const u = this.fade(xf);
+        const v = this.fade(yf);
+        
+        return this.lerp(this.lerp(n00, n10, u), this.lerp(n01, n11, u), v);
+    }
+    
+    /**
+     * 3D Perlin noise (improved, Perlin 2002)
+     */
+    perlin3D(x, y, z) {
+        const xi = Math.floor(x);
+        const yi = Math.floor(y);
+        const zi = Math.floor(z);
+        const xf = x - xi;
+        const yf = y - yi;
+        const zf = z - zi;
+        const X = xi & 255;
+        const Y = yi & 255;
+        const Z = zi & 255;
+        
+        const perm = this.perm;
+        const A = perm[X] + Y;
+        const AA = perm[A] + Z;
+        const AB = perm[A + 1] + Z;
+        const B = perm[X + 1] + Y;
+        const BA = perm[B] + Z;
+        const BB = perm[B + 1] + Z;
+        
+        const u = this.fade(xf);
+        const v = this.fade(yf);
+        const w = this.fade(zf);
+        
+        const grad = (hash, dx, dy, dz) => {
+            const g = GRAD3[this.permMod12[hash]];
+            return g[0] * dx + g[1] * dy + g[2] * dz;
+        };
+        
+        return this.lerp(
+            this.lerp(
+                this.lerp(grad(AA, xf, yf, zf), grad(BA, xf - 1, yf, zf), u),
+                this.lerp(grad(AB, xf, yf - 1, zf), grad(BB, xf - 1, yf - 1, zf), u),
+                v
+            ),
+            this.lerp(
+                this.lerp(grad(AA + 1, xf, yf, zf - 1), grad(BA + 1, xf - 1, yf, zf - 1), u),
+                this.lerp(grad(AB + 1, xf, yf - 1, zf - 1), grad(BB + 1, xf - 1, yf - 1, zf - 1), u),
+                v
+            ),
+            w
+        );
+    }
+    
+    /**
+     * 2D simplex noise
+     */
+    simplex2D(x, y) {
+        // Skew input space to find the simplex cell
+        const s = (x + y) * F2;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const t = (i + j) * G2;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+        
+        // Upper or lower triangle of the cell
+        const i1 = x0 > y0 ? 1 : 0;
+        const j1 = x0 > y0 ? 0 : 1;
+        
+        const x1 = x0 - i1 + G2;
+        const y1 = y0 - j1 + G2;
+        const x2 = x0 - 1 + 2 * G2;
+        const y2 = y0 - 1 + 2 * G2;
+        
+        const ii = i & 255;
+        const jj = j & 255;
+        const perm = this.perm;
+        
+        const corner = (gi, dx, dy) => {
+            let c = 0.5 - dx * dx - dy * dy;
+            if (c < 0) return 0;
+            c *= c;
+            const g = GRAD3[gi];
+            return c * c * (g[0] * dx + g[1] * dy);
+        };
+        
+        const n0 = corner(this.permMod12[ii + perm[jj]], x0, y0);
+        const n1 = corner(this.permMod12[ii + i1 + perm[jj + j1]], x1, y1);
+        const n2 = corner(this.permMod12[ii + 1 + perm[jj + 1]], x2, y2);
+        
+        return 70 * (n0 + n1 + n2);
+    }
+    
+    /**
+     * 3D simplex noise
+     */
+    simplex3D(x, y, z) {
+        // Skew input space to find the simplex cell
+        const s = (x + y + z) * F3;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const k = Math.floor(z + s);
+        const t = (i + j + k) * G3;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+        const z0 = z - (k - t);
+        
+        // Which of the six tetrahedra of the cell we are in
+        let i1, j1, k1, i2, j2, k2;
+        if (x0 >= y0) {
+            if (y0 >= z0) {
+                i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 1; k2 = 0;
+            } else if (x0 >= z0) {
+                i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 0; k2 = 1;
+            } else {
+                i1 = 0; j1 = 0; k1 = 1; i2 = 1; j2 = 0; k2 = 1;
+            }
+        } else {
+            if (y0 < z0) {
+                i1 = 0; j1 = 0; k1 = 1; i2 = 0; j2 = 1; k2 = 1;
+            } else if (x0 < z0) {
+                i1 = 0; j1 = 1; k1 = 0; i2 = 0; j2 = 1; k2 = 1;
+            } else {
+                i1 = 0; j1 = 1; k1 = 0; i2 = 1; j2 = 1; k2 = 0;
+            }
+        }
+        
+        const x1 = x0 - i1 + G3;
+        const y1 = y0 - j1 + G3;
+        const z1 = z0 - k1 + G3;
+        const x2 = x0 - i2 + 2 * G3;
+        const y2 = y0 - j2 + 2 * G3;
+        const z2 = z0 - k2 + 2 * G3;
+        const x3 = x0 - 1 + 3 * G3;
+        const y3 = y0 - 1 + 3 * G3;
+        const z3 = z0 - 1 + 3 * G3;
+        
+        const ii = i & 255;
+        const jj = j & 255;
+        const kk = k & 255;
+        const perm = this.perm;
+        const permMod12 = this.permMod12;
+        
+        const corner = (gi, dx, dy, dz) => {
+            let c = 0.6 - dx * dx - dy * dy - dz * dz;
+            if (c < 0) return 0;
+            c *= c;
+            const g = GRAD3[gi];
+            return c * c * (g[0] * dx + g[1] * dy + g[2] * dz);
+        };
+        
+        const n0 = corner(permMod12[ii + perm[jj + perm[kk]]], x0, y0, z0);
+        const n1 = corner(permMod12[ii + i1 + perm[jj + j1 + perm[kk + k1]]], x1, y1, z1);
+        const n2 = corner(permMod12[ii + i2 + perm[jj + j2 + perm[kk + k2]]], x2, y2, z2);
+        const n3 = corner(permMod12[ii + 1 + perm[jj + 1 + perm[kk + 1]]], x3, y3, z3);
+        
+        return 32 * (n0 + n1 + n2 + n3);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { GradientNoise } from './GradientNoise.js';
+import { SeededRandom } from './SeededRandom.js';
+
+const FUNCTIONS = ['perlin2D', 'perlin3D', 'simplex2D', 'simplex3D'];
+
+/**
+ * Sample points spread over positive and negative coordinates
+ */
+function samplePoints(count) {
+    const random = new SeededRandom(3);
+    return Array.from({ length: count }, () => [0, 0, 0].map(() => (random.next() - 0.5) * 2000));
+}
+
+describe('GradientNoise', () => {
+    const points = samplePoints(500);
+    
+    it('gives the same values for the same seed', () => {
+        const a = new GradientNoise(42);
+        const b = new GradientNoise(42);
+        FUNCTIONS.forEach(name => {
+            points.slice(0, 50).forEach(point => {
+                expect(a[name](...point)).toBe(b[name](...point));
+            });
+        });
+    });
+    
+    it('gives different values for different seeds', () => {
+        const a = new GradientNoise(42);
+        const b = new GradientNoise(43);
+        FUNCTIONS.forEach(name => {
+            const differing = points.slice(0, 50).filter(point => a[name](...point) !== b[name](...point));
+            expect(differing.length).toBeGreaterThan(40);
+        });
+    });
+    
+    it('stays in [-1, 1]', () => {
+        const noise = new GradientNoise(7);
+        FUNCTIONS.forEach(name => {
+            points.forEach(point => {
+                const value = noise[name](...point);
+                expect(value).toBeGreaterThanOrEqual(-1);
+                expect(value).toBeLessThanOrEqual(1);
+            });
+        });
+    });
+    
+    it('is zero on the Perlin lattice', () => {
+        const noise = new GradientNoise(42);
+        expect(noise.perlin2D(3, 7)).toBe(0);
+        expect(noise.perlin3D(3, 7, -2)).toBe(0);
+    });
+    
+    // Pinned values: a change here changes every generated world
+    it('keeps the values of seed 42', () => {
+        const noise = new GradientNoise(42);
+        
+        expect(noise.perlin2D(0.5, 0.5)).toBeCloseTo(0.125, 10);
+        expect(noise.perlin2D(-100.25, 33.5)).toBeCloseTo(-0.353515625, 10);
+        expect(noise.perlin3D(12.3, -4.7, 8.1)).toBeCloseTo(0.4412562191862533, 10);
+        expect(noise.perlin3D(-100.25, 33.5, 0.75)).toBeCloseTo(-0.09108448028564453, 10);
+        
+        expect(noise.simplex2D(0.5, 0.5)).toBeCloseTo(-0.3071565136272162, 10);
+        expect(noise.simplex2D(12.3, -4.7)).toBeCloseTo(0.19932810285849148, 10);
+        expect(noise.simplex3D(12.3, -4.7, 8.1)).toBeCloseTo(-0.15244590380246995, 10);
+        expect(noise.simplex3D(-100.25, 33.5, 0.75)).toBeCloseTo(-0.6377489583333437, 10);
+    });
+})
\ No newline at end of file
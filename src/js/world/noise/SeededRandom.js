@@ -0,0 +1,58 @@
+/**
+ * SeededRandom is a small deterministic PRNG (mulberry32)
+ * The same seed always yields the same sequence in every JS engine
+ */
+export class SeededRandom {
+    constructor(seed = 0) {
+        this.state = seed | 0;
+    }
+    
+    /**
+     * Create a generator for a chunk, so per-chunk placement does not depend on generation order
+     * @param {number} seed - World seed
+     * @param {number} salt - Distinguishes independent sequences in the same chunk
+     */
+    static forChunk(seed, chunkX, chunkZ, salt = 0) {
+        let hash = (Math.imul(chunkX, 374761393) + Math.imul(chunkZ, 668265263) + Math.imul(salt, 1013904223) + seed) | 0;
+        hash = Math.imul(hash ^ (hash >>> 13), 1274126177);
+        return new SeededRandom(hash ^ (hash >>> 16));
+    }
+    
+    /**
+     * Next unsigned 32-bit integer
+     */
+    nextUint32() {
+        this.state = (this.state + 0x6D2B79F5) | 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return (t ^ (t >>> 14)) >>> 0;
+    }
+    
+    /**
+     * Next float in [0, 1)
+     */
+    next() {
+        return this.nextUint32() / 4294967296;
+    }
+    
+    /**
+     * Next integer in [0, max)
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+    
+    /**
+     * Shuffle an array in place (Fisher-Yates)
+     */
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = this.nextInt(i + 1);
+            const tmp = array[i];
+            array[i] = array[j];
+            array[j] = tmp;
+        }
+        return array;
+    }
+}
\ No newline at end of file
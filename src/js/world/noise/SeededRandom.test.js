@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { SeededRandom } from './SeededRandom.js';
+
+/**
+ * First values of a generator
+ */
+function take(random, count) {
+    return Array.from({ length: count }, () => random.nextUint32());
+}
+
+describe('SeededRandom', () => {
+    it('matches the reference mulberry32 sequence', () => {
+        expect(take(new SeededRandom(1), 3)).toEqual([2693262067, 11749833, 2265367787]);
+    });
+    
+    it('repeats the sequence for the same seed only', () => {
+        expect(take(new SeededRandom(1234), 20)).toEqual(take(new SeededRandom(1234), 20));
+        expect(take(new SeededRandom(1234), 20)).not.toEqual(take(new SeededRandom(1235), 20));
+    });
+    
+    it('keeps next() and nextInt() in range', () => {
+        const random = new SeededRandom(-77);
+        for (let i = 0; i < 1000; i++) {
+            const value = random.next();
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+            
+            const integer = random.nextInt(6);
+            expect(Number.isInteger(integer)).toBe(true);
+            expect(integer).toBeGreaterThanOrEqual(0);
+            expect(integer).toBeLessThan(6);
+        }
+    });
+    
+    it('gives each chunk and salt its own sequence', () => {
+        const sequence = (chunkX, chunkZ, salt) => take(SeededRandom.forChunk(99, chunkX, chunkZ, salt), 5);
+        expect(sequence(3, -4, 0)).toEqual(sequence(3, -4, 0));
+        expect(sequence(3, -4, 0)).not.toEqual(sequence(-4, 3, 0));
+        expect(sequence(3, -4, 0)).not.toEqual(sequence(3, -4, 1));
+        expect(take(SeededRandom.forChunk(99, 3, -4), 5)).not.toEqual(take(SeededRandom.forChunk(100, 3, -4), 5));
+    });
+    
+    it('shuffles into a permutation of the array', () => {
+        const shuffled = new SeededRandom(5).shuffle(Array.from({ length: 50 }, (_, i) => i));
+        expect([...shuffled].sort((a, b) => a - b)).toEqual(Array.from({ length: 50 }, (_, i) => i));
+        expect(shuffled).toEqual(new SeededRandom(5).shuffle(Array.from({ length: 50 }, (_, i) => i)));
+    });
+})
\ No newline at end of file
@@ -0,0 +1,125 @@
+import * as THREE from 'three';
+import { CONFIG } from '../../config/config.js';
+
+const VERTEX_SHADER = `
+    varying vec3 vDirection;
+    
+    void main() {
+        vDirection = normalize(position);
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+// Gradient from the horizon to the zenith, with a glow around the sun
+const FRAGMENT_SHADER = `
+    uniform vec3 zenithColor;
+    uniform vec3 horizonColor;
+    uniform vec3 sunColor;
+    uniform vec3 sunDirection;
+    
+    varying vec3 vDirection;
+    
+    void main() {
+        float height = max(vDirection.y, 0.0);
+        vec3 color = mix(horizonColor, zenithColor, pow(height, 0.6));
+        
+        float sunAmount = max(dot(vDirection, sunDirection), 0.0);
+        color += sunColor * (pow(sunAmount, 400.0) + 0.25 * pow(sunAmount, 8.0));
+        
+        gl_FragColor = vec4(color, 1.0);
+        #include <colorspace_fragment>
+    }
+`;
+
+/**
+ * SkyDome draws the sky around the camera: a gradient dome and a star field
+ * Both ignore fog and depth, and follow the camera so they never get closer
+ */
+export class SkyDome {
+    constructor(scene) {
+        this.scene = scene;
+        const { DOME_RADIUS, STAR_COUNT } = CONFIG.LIGHTING.SKY;
+        
+        this.object = new THREE.Group();
+        this.object.name = 'sky';
+        
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                zenithColor: { value: new THREE.Color() },
+                horizonColor: { value: new THREE.Color() },
+                sunColor: { value: new THREE.Color() },
+                sunDirection: { value: new THREE.Vector3(0, 1, 0) }
+            },
+            vertexShader: VERTEX_SHADER,
+            fragmentShader: FRAGMENT_SHADER,
+            side: THREE.BackSide,
+            depthWrite: false,
+            fog: false
+        });
+        this.dome = new THREE.Mesh(new THREE.SphereGeometry(DOME_RADIUS, 32, 16), this.material);
+        this.dome.renderOrder = -2;
+        this.object.add(this.dome);
+        
+        this.stars = this.createStars(STAR_COUNT, DOME_RADIUS * 0.95);
+        this.stars.renderOrder = -1;
+        this.object.add(this.stars);
+        
+        this.scene.add(this.object);
+    }
+    
+    /**
+     * Create a star field scattered on a sphere
+     */
+    createStars(count, radius) {
+        const positions = new Float32Array(count * 3);
+        const direction = new THREE.Vector3();
+        for (let i = 0; i < count; i++) {
+            direction.randomDirection().multiplyScalar(radius).toArray(positions, i * 3);
+        }
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        
+        const material = new THREE.PointsMaterial({
+            color: 0xffffff,
+            size: 1.5,
+            sizeAttenuation: false,
+            transparent: true,
+            opacity: 0,
+            depthWrite: false,
+            fog: false
+        });
+        return new THREE.Points(geometry, material);
+    }
+    
+    /**
+     * Update the sky colors and the stars
+     * @param {THREE.Vector3} center - Camera position
+     * @param {Object} sky - zenith, horizon and sun colors, sunDirection (unit vector),
+     *                       starAngle (rotation of the night sky), starOpacity (0 by day, 1 at night)
+     */
+    update(center, { zenith, horizon, sun, sunDirection, starAngle, starOpacity }) {
+        this.object.position.copy(center);
+        
+        const uniforms = this.material.uniforms;
+        uniforms.zenithColor.value.copy(zenith);
+        uniforms.horizonColor.value.copy(horizon);
+        uniforms.sunColor.value.copy(sun);
+        uniforms.sunDirection.value.copy(sunDirection);
+        
+        this.stars.rotation.z = starAngle;
+        this.stars.material.opacity = starOpacity;
+        this.stars.visible = starOpacity > 0;
+    }
+    
+    /**
+     * Remove the sky from the scene and release its resources
+     */
+    dispose() {
+        this.scene.remove(this.object);
+        this.dome.geometry.dispose();
+        this.material.dispose();
+        this.stars.geometry.dispose();
+        this.stars.material.dispose();
+    }
+}
\ No newline at end of file
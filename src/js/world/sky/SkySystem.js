@@ -0,0 +1,141 @@
+import * as THREE from 'three';
+import { CONFIG } from '../../config/config.js';
+import { SkyDome } from './SkyDome.js';
+
+// Sun height (sine of its elevation) over which the sky fades between night and day
+const DAWN_START = -0.15;
+const DAWN_END = 0.2;
+
+// Sun height within which the horizon takes the twilight colors
+const TWILIGHT_RANGE = 0.3;
+
+/**
+ * SkySystem drives the day/night cycle from the TimeManager day time
+ * It moves the sun and moon lights along an arc around the player, fades the sky dome
+ * from day to twilight to night and tints the fog and the ambient light to match
+ */
+export class SkySystem {
+    /**
+     * @param {THREE.Scene} scene - Scene whose background and fog are tinted
+     * @param {TimeManager} timeManager - Source of the day time
+     * @param {Object} lights - sunLight and moonLight (DirectionalLight), ambientLight
+     */
+    constructor(scene, timeManager, { sunLight, moonLight, ambientLight }) {
+        this.scene = scene;
+        this.timeManager = timeManager;
+        this.sunLight = sunLight;
+        this.moonLight = moonLight;
+        this.ambientLight = ambientLight;
+        
+        // Directional lights shine towards their target, kept on the player
+        this.scene.add(this.sunLight.target, this.moonLight.target);
+        
+        const { DAY, TWILIGHT, NIGHT } = CONFIG.LIGHTING.SKY;
+        this.palette = {
+            day: { zenith: new THREE.Color(DAY.ZENITH), horizon: new THREE.Color(DAY.HORIZON) },
+            twilight: { zenith: new THREE.Color(TWILIGHT.ZENITH), horizon: new THREE.Color(TWILIGHT.HORIZON) },
+            night: { zenith: new THREE.Color(NIGHT.ZENITH), horizon: new THREE.Color(NIGHT.HORIZON) }
+        };
+        this.ambientColor = new THREE.Color(CONFIG.LIGHTING.AMBIENT_COLOR);
+        
+        // Current sky state, shared with the dome
+        this.sky = {
+            zenith: new THREE.Color(),
+            horizon: new THREE.Color(),
+            sun: new THREE.Color(),
+            sunDirection: new THREE.Vector3(),
+            starAngle: 0,
+            starOpacity: 0
+        };
+        this.moonDirection = new THREE.Vector3();
+        this.sunColor = new THREE.Color();
+        this.targetSunColor = new THREE.Color();
+        this.firstUpdate = true;
+        
+        this.dome = new SkyDome(scene);
+        
+        if (!(this.scene.background instanceof THREE.Color)) {
+            this.scene.background = new THREE.Color();
+        }
+    }
+    
+    /**
+     * Get the unit vector towards the sun for a day time
+     * @param {number} dayTime - 0 midnight, 0.25 sunrise, 0.5 noon, 0.75 sunset
+     * @param {THREE.Vector3} target - Vector to write
+     */
+    static getSunDirection(dayTime, target = new THREE.Vector3()) {
+        const angle = (dayTime - 0.25) * Math.PI * 2;
+        return target.set(Math.cos(angle), Math.sin(angle), CONFIG.LIGHTING.SKY.ORBIT_TILT).normalize();
+    }
+    
+    /**
+     * Update lights, sky and fog for the current day time
+     * @param {number} deltaTime - Seconds since the last frame
+     * @param {THREE.Vector3} center - Player or camera position
+     */
+    update(deltaTime, center) {
+        const { SUN, MOON, AMBIENT_INTENSITY, SKY } = CONFIG.LIGHTING;
+        const dayTime = this.timeManager.getDayTime();
+        const sky = this.sky;
+        
+        const sunDirection = SkySystem.getSunDirection(dayTime, sky.sunDirection);
+        const sunHeight = sunDirection.y;
+        const daylight = THREE.MathUtils.smoothstep(sunHeight, DAWN_START, DAWN_END);
+        const twilight = Math.max(0, 1 - Math.abs(sunHeight) / TWILIGHT_RANGE);
+        
+        // Sky gradient: night to day, then the warm twilight band on the horizon
+        const { day, night } = this.palette;
+        sky.zenith.lerpColors(night.zenith, day.zenith, daylight).lerp(this.palette.twilight.zenith, twilight * 0.5);
+        sky.horizon.lerpColors(night.horizon, day.horizon, daylight).lerp(this.palette.twilight.horizon, twilight * 0.8);
+        
+        // Sun: TimeManager intensity and color, eased so dawn and dusk do not flash
+        const { r, g, b } = this.timeManager.getSunLightColor();
+        this.targetSunColor.setRGB(r, g, b);
+        if (this.firstUpdate) {
+            this.sunColor.copy(this.targetSunColor);
+            this.firstUpdate = false;
+        } else {
+            this.sunColor.lerp(this.targetSunColor, Math.min(1, deltaTime * SKY.COLOR_TRANSITION));
+        }
+        const sunUp = THREE.MathUtils.smoothstep(sunHeight, -0.05, 0.05);
+        this.sunLight.color.copy(this.sunColor);
+        this.sunLight.intensity = SUN.INTENSITY * this.timeManager.getSunLightIntensity() * sunUp;
+        sky.sun.copy(this.sunColor).multiplyScalar(sunUp);
+        
+        // Moon: opposite the sun, bright only while the sun is down
+        this.moonLight.intensity = MOON.INTENSITY * (1 - daylight);
+        
+        this.placeLight(this.sunLight, center, sunDirection);
+        this.placeLight(this.moonLight, center, this.moonDirection.copy(sunDirection).negate());
+        
+        // Ambient light and fog take the sky color
+        this.ambientLight.color.copy(this.ambientColor).lerp(sky.horizon, 0.5);
+        this.ambientLight.intensity = AMBIENT_INTENSITY * THREE.MathUtils.lerp(SKY.NIGHT_AMBIENT, 1, daylight);
+        if (this.scene.fog) {
+            this.scene.fog.color.copy(sky.horizon);
+        }
+        this.scene.background.copy(sky.horizon);
+        
+        // Stars turn with the sun and show once it has set
+        sky.starAngle = (dayTime - 0.25) * Math.PI * 2;
+        sky.starOpacity = 1 - THREE.MathUtils.smoothstep(sunHeight, DAWN_START, 0.05);
+        this.dome.update(center, sky);
+    }
+    
+    /**
+     * Put a directional light on its orbit around a point, shining at it
+     */
+    placeLight(light, center, direction) {
+        light.target.position.copy(center);
+        light.position.copy(direction).multiplyScalar(CONFIG.LIGHTING.SKY.ORBIT_DISTANCE).add(center);
+    }
+    
+    /**
+     * Remove the sky from the scene
+     */
+    dispose() {
+        this.dome.dispose();
+        this.scene.remove(this.sunLight.target, this.moonLight.target);
+    }
+}
\ No newline at end of file
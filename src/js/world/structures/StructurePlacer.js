@@ -0,0 +1,176 @@
+import { CONFIG } from '../../config/config.js';
+import { SeededRandom } from '../noise/SeededRandom.js';
+import { StructureWriter } from './StructureWriter.js';
+import { TreeStructure } from './templates/TreeStructure.js';
+import { VillageStructure } from './templates/VillageStructure.js';
+import { DungeonStructure } from './templates/DungeonStructure.js';
+
+// Salts of the per-region origin generators
+const SALT_TREE = 100;
+const SALT_VILLAGE = 101;
+const SALT_DUNGEON = 102;
+
+// Horizontal distance from its origin a structure may place blocks at (see the templates)
+const TREE_REACH = 3; // Widest spruce ring
+const VILLAGE_REACH = 16; // Longest street, houses stay beside it
+const DUNGEON_REACH = 65; // Four corridors of 15 blocks in a row, then half a room and its wall
+
+/**
+ * StructurePlacer decides where structures go and builds them across chunk borders
+ * Origins come from the seed (per column for trees, per region for villages and dungeons),
+ * so they never depend on generation order. A chunk builds every structure whose origin is
+ * close enough to reach it, also those starting in neighbouring chunks, and keeps only the
+ * blocks inside itself: each chunk is a pure function of the seed and its coordinates.
+ * Structures are built in world order (trees, then villages, then dungeons, each by origin),
+ * so overlapping structures end up the same in every chunk they reach
+ */
+export class StructurePlacer {
+    constructor(seed, terrainGenerator) {
+        this.seed = seed;
+        this.terrain = terrainGenerator;
+        this.settings = CONFIG.WORLD.GENERATION.STRUCTURES;
+        
+        this.trees = new TreeStructure();
+        this.villages = new VillageStructure(terrainGenerator);
+        this.dungeons = new DungeonStructure();
+    }
+    
+    /**
+     * Grow the trees that reach a chunk, whole
+     * Origins are decided on the terrain before any tree: on the chunk data for its own columns,
+     * on columns generated alone (see TerrainGenerator.generateColumn) for the neighbouring ones
+     * @param {Array<Object>} columns - Heightmap columns ({x, z, worldX, worldZ, height, biome})
+     */
+    placeTrees(chunkData, chunkX, chunkZ, chunkSize, chunkHeight, columns) {
+        const writer = new StructureWriter(this, chunkData, chunkX, chunkZ, chunkSize, chunkHeight);
+        const trees = [];
+        
+        columns.forEach(({ x, z, worldX, worldZ, height, biome }) => {
+            const biomeConfig = this.getTreeBiome(worldX, worldZ, biome);
+            if (biomeConfig && this.isOnGround(y => chunkData[x][y][z], height, chunkHeight, biomeConfig)) {
+                trees.push({ worldX, worldZ, height, biomeConfig });
+            }
+        });
+        
+        // Columns of the neighbouring chunks close enough for a canopy to reach this chunk
+        const minX = chunkX * chunkSize;
+        const minZ = chunkZ * chunkSize;
+        for (let worldX = minX - TREE_REACH; worldX < minX + chunkSize + TREE_REACH; worldX++) {
+            for (let worldZ = minZ - TREE_REACH; worldZ < minZ + chunkSize + TREE_REACH; worldZ++) {
+                const inside = worldX >= minX && worldX < minX + chunkSize && worldZ >= minZ && worldZ < minZ + chunkSize;
+                if (inside) continue;
+                
+                // Cheap checks first, few columns are worth generating
+                const biomeConfig = this.getTreeBiome(worldX, worldZ, this.terrain.getBiomeAt(worldX, worldZ));
+                if (!biomeConfig) continue;
+                
+                const column = this.terrain.generateColumn(worldX, worldZ, chunkSize, chunkHeight);
+                if (this.isOnGround(column.getBlock, column.height, chunkHeight, biomeConfig)) {
+                    trees.push({ worldX, worldZ, height: column.height, biomeConfig });
+                }
+            }
+        }
+        
+        trees.sort((a, b) => a.worldX - b.worldX || a.worldZ - b.worldZ);
+        trees.forEach(({ worldX, worldZ, height, biomeConfig }) => {
+            const rng = SeededRandom.forChunk(this.seed, worldX, worldZ, SALT_TREE);
+            this.trees.build(writer, worldX, height, worldZ, rng, biomeConfig.treeType);
+        });
+    }
+    
+    /**
+     * Get the biome of a column if the seed puts a tree on it
+     * @returns {Object|null} Biome definition, null when the column has no tree
+     */
+    getTreeBiome(worldX, worldZ, biome) {
+        const biomeConfig = this.terrain.getBiomeConfig(biome);
+        if (biomeConfig.treeChance <= 0 || this.terrain.random(worldX, worldZ, 'tree') >= biomeConfig.treeChance) {
+            return null;
+        }
+        return biomeConfig;
+    }
+    
+    /**
+     * Check if a tree may stand on a column: only on untouched ground, overhangs and caves may have removed it
+     * @param {Function} getBlock - (y) => block of the column
+     */
+    isOnGround(getBlock, height, chunkHeight, biomeConfig) {
+        return height < chunkHeight && getBlock(height - 1) === biomeConfig.surfaceBlock && getBlock(height) === 'air';
+    }
+    
+    /**
+     * Build the villages and dungeons that reach a chunk
+     */
+    placeStructures(chunkData, chunkX, chunkZ, chunkSize, chunkHeight) {
+        const writer = new StructureWriter(this, chunkData, chunkX, chunkZ, chunkSize, chunkHeight);
+        
+        this.getRegionOrigins(this.settings.VILLAGE, SALT_VILLAGE, VILLAGE_REACH, chunkX, chunkZ, chunkSize).forEach(village => {
+            const biome = this.terrain.getBiomeAt(village.x, village.z);
+            if (this.settings.VILLAGE.BIOMES.includes(biome) && this.terrain.canPlaceStructure(village.x, village.z, 9, 9)) {
+                this.villages.build(writer, village.x, village.z, village.rng, this.terrain.getBiomeConfig(biome));
+            }
+        });
+        
+        this.getRegionOrigins(this.settings.DUNGEON, SALT_DUNGEON, DUNGEON_REACH, chunkX, chunkZ, chunkSize).forEach(dungeon => {
+            const { MIN_Y, MAX_Y, SURFACE_MARGIN } = this.settings.DUNGEON;
+            const surface = Math.floor(this.terrain.getHeightAt(dungeon.x, dungeon.z));
+            const y = Math.min(MIN_Y + dungeon.rng.nextInt(MAX_Y - MIN_Y + 1), surface - SURFACE_MARGIN);
+            if (y >= MIN_Y) {
+                this.dungeons.build(writer, dungeon.x, y, dungeon.z, dungeon.rng);
+            }
+        });
+    }
+    
+    /**
+     * Get the origins of a region-based structure close enough to reach a chunk
+     * @param {number} reach - Horizontal distance from its origin the structure may place blocks at
+     * @returns {Array<{x: number, z: number, rng: SeededRandom}>} In region order
+     */
+    getRegionOrigins(settings, salt, reach, chunkX, chunkZ, chunkSize) {
+        const minX = chunkX * chunkSize - reach;
+        const maxX = (chunkX + 1) * chunkSize - 1 + reach;
+        const minZ = chunkZ * chunkSize - reach;
+        const maxZ = (chunkZ + 1) * chunkSize - 1 + reach;
+        const regionBlocks = settings.REGION_SIZE * chunkSize;
+        const origins = [];
+        
+        for (let regionX = Math.floor(minX / regionBlocks); regionX <= Math.floor(maxX / regionBlocks); regionX++) {
+            for (let regionZ = Math.floor(minZ / regionBlocks); regionZ <= Math.floor(maxZ / regionBlocks); regionZ++) {
+                const origin = this.getRegionOrigin(settings, salt, regionX, regionZ, chunkSize);
+                if (origin && origin.x >= minX && origin.x <= maxX && origin.z >= minZ && origin.z <= maxZ) {
+                    origins.push(origin);
+                }
+            }
+        }
+        
+        return origins;
+    }
+    
+    /**
+     * Get the origin of a region-based structure
+     * Each region holds at most one candidate, kept away from the region border
+     * @returns {{x: number, z: number, rng: SeededRandom}|null} World position and the generator to build with
+     */
+    getRegionOrigin(settings, salt, regionX, regionZ, chunkSize) {
+        const size = settings.REGION_SIZE;
+        
+        const rng = SeededRandom.forChunk(this.seed, regionX, regionZ, salt);
+        if (rng.next() >= settings.CHANCE) return null;
+        
+        const originChunkX = regionX * size + 1 + rng.nextInt(size - 2);
+        const originChunkZ = regionZ * size + 1 + rng.nextInt(size - 2);
+        
+        return {
+            x: originChunkX * chunkSize + rng.nextInt(chunkSize),
+            z: originChunkZ * chunkSize + rng.nextInt(chunkSize),
+            rng
+        };
+    }
+    
+    /**
+     * Check if a structure block may replace the current block
+     */
+    canReplace(current, replace) {
+        return replace ? current !== 'bedrock' : current === 'air';
+    }
+}
\ No newline at end of file
@@ -0,0 +1,61 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { TerrainGenerator } from '../TerrainGenerator.js';
+
+const CHUNK_SIZE = 16;
+const CHUNK_HEIGHT = 256;
+
+// A village of seed 99 spread over four chunks, with trees around it
+const SEED = 99;
+const CHUNKS = [[1, 30], [2, 30], [1, 31], [2, 31]];
+
+/**
+ * Count the blocks of a type in a chunk
+ */
+function countBlocks(chunkData, block) {
+    let count = 0;
+    chunkData.forEach(column => column.forEach(row => row.forEach(current => {
+        if (current === block) count++;
+    })));
+    return count;
+}
+
+/**
+ * Generate chunks in the given order with a new generator
+ * @returns {Array} Chunk data in the order of CHUNKS
+ */
+function generateChunks(order) {
+    const generator = new TerrainGenerator(SEED);
+    const chunks = new Map();
+    order.forEach(([chunkX, chunkZ]) => {
+        chunks.set(`${chunkX},${chunkZ}`, generator.generateChunk(chunkX, chunkZ, CHUNK_SIZE, CHUNK_HEIGHT));
+    });
+    return CHUNKS.map(([chunkX, chunkZ]) => chunks.get(`${chunkX},${chunkZ}`));
+}
+
+describe('StructurePlacer', () => {
+    let forward;
+    
+    beforeAll(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        forward = generateChunks(CHUNKS);
+    });
+    
+    afterAll(() => {
+        vi.restoreAllMocks();
+    });
+    
+    it('builds the village across chunk borders', () => {
+        forward.forEach(chunkData => {
+            expect(countBlocks(chunkData, 'planks')).toBeGreaterThan(0);
+        });
+    });
+    
+    it('generates the same chunks in reverse order', () => {
+        expect(generateChunks([...CHUNKS].reverse())).toEqual(forward);
+    });
+    
+    it('generates the same chunk alone as after its neighbours', () => {
+        const last = CHUNKS.length - 1;
+        expect(generateChunks([CHUNKS[last]])[last]).toEqual(forward[last]);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,47 @@
+/**
+ * StructureWriter lets structure templates place blocks in world coordinates
+ * Blocks inside the chunk being generated are written, the others are skipped:
+ * the chunks they fall in build the same structure when they generate
+ */
+export class StructureWriter {
+    /**
+     * @param {StructurePlacer} placer - Decides which blocks a structure may replace
+     */
+    constructor(placer, chunkData, chunkX, chunkZ, chunkSize, chunkHeight) {
+        this.placer = placer;
+        this.chunkData = chunkData;
+        this.chunkX = chunkX;
+        this.chunkZ = chunkZ;
+        this.chunkSize = chunkSize;
+        this.chunkHeight = chunkHeight;
+    }
+    
+    /**
+     * Place a block
+     * @param {boolean} replace - True to overwrite anything but bedrock, false to fill air only
+     */
+    setBlock(worldX, y, worldZ, block, replace = true) {
+        if (y < 0 || y >= this.chunkHeight) return;
+        
+        const x = worldX - this.chunkX * this.chunkSize;
+        const z = worldZ - this.chunkZ * this.chunkSize;
+        if (x < 0 || x >= this.chunkSize || z < 0 || z >= this.chunkSize) return;
+        
+        if (this.placer.canReplace(this.chunkData[x][y][z], replace)) {
+            this.chunkData[x][y][z] = block;
+        }
+    }
+    
+    /**
+     * Fill an inclusive box of blocks
+     */
+    fill(x1, y1, z1, x2, y2, z2, block, replace = true) {
+        for (let x = Math.min(x1, x2); x <= Math.max(x1, x2); x++) {
+            for (let y = Math.min(y1, y2); y <= Math.max(y1, y2); y++) {
+                for (let z = Math.min(z1, z2); z <= Math.max(z1, z2); z++) {
+                    this.setBlock(x, y, z, block, replace);
+                }
+            }
+        }
+    }
+}
\ No newline at end of file
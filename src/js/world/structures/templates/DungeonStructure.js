@@ -0,0 +1,91 @@
+// Horizontal directions a dungeon grows in
+const DIRECTIONS = [
+    [1, 0], [-1, 0], [0, 1], [0, -1]
+];
+
+/**
+ * DungeonStructure builds an underground chain of rooms linked by corridors
+ * Walls are cobblestone and replace whatever is there (caves included),
+ * so every room and corridor is closed; all shells are built before any interior
+ * is carved, so corridors open into the rooms
+ */
+export class DungeonStructure {
+    /**
+     * Build a dungeon whose first room floor is at (x, y, z)
+     */
+    build(writer, x, y, z, rng) {
+        const rooms = this.layoutRooms(x, y, z, rng);
+        const corridors = [];
+        for (let i = 1; i < rooms.length; i++) {
+            corridors.push(...this.layoutCorridor(rooms[i - 1], rooms[i]));
+        }
+        
+        // Shells first, then interiors
+        rooms.forEach(room => {
+            writer.fill(room.minX - 1, room.y - 1, room.minZ - 1, room.maxX + 1, room.y + room.height, room.maxZ + 1, 'cobblestone');
+        });
+        corridors.forEach(cell => {
+            writer.fill(cell.x - 1, cell.y - 1, cell.z - 1, cell.x + 1, cell.y + 2, cell.z + 1, 'cobblestone');
+        });
+        
+        rooms.forEach(room => {
+            writer.fill(room.minX, room.y, room.minZ, room.maxX, room.y + room.height - 1, room.maxZ, 'air');
+        });
+        corridors.forEach(cell => {
+            writer.fill(cell.x, cell.y, cell.z, cell.x, cell.y + 1, cell.z, 'air');
+        });
+    }
+    
+    /**
+     * Place 3 to 5 rooms, each a few blocks away from the previous one
+     * @returns {Array<Object>} Rooms ({x, z, minX, maxX, minZ, maxZ, y, height})
+     */
+    layoutRooms(x, y, z, rng) {
+        const count = 3 + rng.nextInt(3);
+        const rooms = [];
+        let centerX = x;
+        let centerZ = z;
+        
+        for (let i = 0; i < count; i++) {
+            const halfX = 2 + rng.nextInt(3);
+            const halfZ = 2 + rng.nextInt(3);
+            rooms.push({
+                x: centerX,
+                z: centerZ,
+                minX: centerX - halfX,
+                maxX: centerX + halfX,
+                minZ: centerZ - halfZ,
+                maxZ: centerZ + halfZ,
+                y,
+                height: 4
+            });
+            
+            const [dirX, dirZ] = DIRECTIONS[rng.nextInt(DIRECTIONS.length)];
+            const distance = 10 + rng.nextInt(6);
+            centerX += dirX * distance;
+            centerZ += dirZ * distance;
+        }
+        
+        return rooms;
+    }
+    
+    /**
+     * L-shaped corridor between two room centers: along X first, then along Z
+     * @returns {Array<{x: number, y: number, z: number}>} Corridor floor cells
+     */
+    layoutCorridor(from, to) {
+        const cells = [];
+        const stepX = Math.sign(to.x - from.x);
+        const stepZ = Math.sign(to.z - from.z);
+        
+        for (let x = from.x; x !== to.x; x += stepX) {
+            cells.push({ x, y: from.y, z: from.z });
+        }
+        for (let z = from.z; z !== to.z; z += stepZ) {
+            cells.push({ x: to.x, y: from.y, z });
+        }
+        cells.push({ x: to.x, y: from.y, z: to.z });
+        
+        return cells;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,71 @@
+/**
+ * TreeStructure builds whole trees, canopies may spread into neighbouring chunks
+ * - oak: short trunk with a rounded canopy
+ * - spruce: tall trunk with a conical canopy
+ */
+export class TreeStructure {
+    /**
+     * Build a tree standing on the block below (x, y, z)
+     * @param {string} type - Tree shape ('oak' or 'spruce')
+     */
+    build(writer, x, y, z, rng, type = 'oak') {
+        if (type === 'spruce') {
+            this.buildSpruce(writer, x, y, z, rng);
+        } else {
+            this.buildOak(writer, x, y, z, rng);
+        }
+    }
+    
+    /**
+     * Oak: two wide leaf layers around the top of the trunk and two narrow ones above
+     */
+    buildOak(writer, x, y, z, rng) {
+        const height = 4 + rng.nextInt(3);
+        
+        for (let dy = height - 3; dy <= height; dy++) {
+            const radius = dy >= height - 1 ? 1 : 2;
+            
+            for (let dx = -radius; dx <= radius; dx++) {
+                for (let dz = -radius; dz <= radius; dz++) {
+                    // Trim corners (always on the top layer) so the canopy is not a cube
+                    const corner = Math.abs(dx) === radius && Math.abs(dz) === radius;
+                    if (corner && (dy === height || rng.next() < 0.5)) continue;
+                    
+                    writer.setBlock(x + dx, y + dy, z + dz, 'leaves', false);
+                }
+            }
+        }
+        
+        this.buildTrunk(writer, x, y, z, height);
+    }
+    
+    /**
+     * Spruce: leaf rings alternating in size, widening towards the bottom
+     */
+    buildSpruce(writer, x, y, z, rng) {
+        const height = 6 + rng.nextInt(4);
+        
+        for (let dy = 2; dy <= height; dy++) {
+            const fromTop = height - dy;
+            const radius = fromTop === 0 ? 0 : Math.min(1 + Math.floor(fromTop / 3), fromTop % 2 === 0 ? 1 : 3);
+            
+            for (let dx = -radius; dx <= radius; dx++) {
+                for (let dz = -radius; dz <= radius; dz++) {
+                    if (dx * dx + dz * dz > radius * radius + 1) continue;
+                    writer.setBlock(x + dx, y + dy, z + dz, 'leaves', false);
+                }
+            }
+        }
+        
+        this.buildTrunk(writer, x, y, z, height);
+    }
+    
+    /**
+     * Trunk from the ground up, through the leaves
+     */
+    buildTrunk(writer, x, y, z, height) {
+        for (let dy = 0; dy < height; dy++) {
+            writer.setBlock(x, y + dy, z, 'wood');
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,142 @@
+// Directions of the village streets, houses sit on the left of each street
+const STREETS = [
+    [1, 0], [0, 1], [-1, 0], [0, -1]
+];
+
+/**
+ * VillageStructure builds a village around a well
+ * Four streets leave the well and each may have a house on its left side,
+ * so houses of different streets never overlap. Houses stand on cobblestone
+ * foundations that follow the terrain height
+ */
+export class VillageStructure {
+    constructor(terrainGenerator) {
+        this.terrain = terrainGenerator;
+    }
+    
+    /**
+     * Get the first air level above the terrain (ignores caves and overhangs)
+     */
+    getGroundY(x, z) {
+        return Math.floor(this.terrain.getHeightAt(x, z));
+    }
+    
+    /**
+     * Build a village centered on (x, z)
+     */
+    build(writer, x, z, rng, biomeConfig) {
+        const pathBlock = biomeConfig.surfaceBlock === 'grass' ? 'dirt' : 'cobblestone';
+        
+        STREETS.forEach(([dirX, dirZ]) => {
+            const length = 10 + rng.nextInt(6);
+            this.buildStreet(writer, x, z, dirX, dirZ, length, pathBlock);
+            
+            if (rng.next() < 0.85) {
+                this.buildHouseAlong(writer, x, z, dirX, dirZ, length, rng);
+            }
+        });
+        
+        this.buildWell(writer, x, this.getGroundY(x, z), z);
+    }
+    
+    /**
+     * Lay a 3-wide path on the terrain surface
+     */
+    buildStreet(writer, x, z, dirX, dirZ, length, pathBlock) {
+        for (let step = 2; step <= length; step++) {
+            for (let side = -1; side <= 1; side++) {
+                const pathX = x + dirX * step - dirZ * side;
+                const pathZ = z + dirZ * step + dirX * side;
+                writer.setBlock(pathX, this.getGroundY(pathX, pathZ) - 1, pathZ, pathBlock);
+            }
+        }
+    }
+    
+    /**
+     * Place a house on the left of a street, with its door facing the street
+     */
+    buildHouseAlong(writer, x, z, dirX, dirZ, length, rng) {
+        // Odd sizes so the door can sit in the middle of a wall
+        const halfWidth = 2 + rng.nextInt(2);
+        const halfDepth = 2 + rng.nextInt(2);
+        const along = 3 + halfWidth + rng.nextInt(length - 2 - 2 * halfWidth);
+        
+        // Left of (dirX, dirZ) is (-dirZ, dirX)
+        const leftX = -dirZ;
+        const leftZ = dirX;
+        const centerX = x + dirX * along + leftX * (halfDepth + 2);
+        const centerZ = z + dirZ * along + leftZ * (halfDepth + 2);
+        
+        const extentX = Math.abs(dirX) * halfWidth + Math.abs(leftX) * halfDepth;
+        const extentZ = Math.abs(dirZ) * halfWidth + Math.abs(leftZ) * halfDepth;
+        
+        this.buildHouse(writer, {
+            minX: centerX - extentX,
+            maxX: centerX + extentX,
+            minZ: centerZ - extentZ,
+            maxZ: centerZ + extentZ,
+            floorY: this.getGroundY(centerX, centerZ),
+            doorX: centerX - leftX * halfDepth,
+            doorZ: centerZ - leftZ * halfDepth
+        });
+    }
+    
+    /**
+     * Build a house: foundation, plank walls with log corners, windows and a stepped roof
+     */
+    buildHouse(writer, house) {
+        const { minX, maxX, minZ, maxZ, floorY, doorX, doorZ } = house;
+        const wallHeight = 3;
+        
+        for (let x = minX; x <= maxX; x++) {
+            for (let z = minZ; z <= maxZ; z++) {
+                const edgeX = x === minX || x === maxX;
+                const edgeZ = z === minZ || z === maxZ;
+                
+                // Foundation down to the terrain, which may be lower than the floor
+                const groundY = Math.min(this.getGroundY(x, z), floorY);
+                writer.fill(x, groundY - 1, z, x, floorY - 1, z, 'cobblestone');
+                
+                for (let dy = 0; dy < wallHeight; dy++) {
+                    let block = 'air';
+                    if (edgeX && edgeZ) {
+                        block = 'wood';
+                    } else if (edgeX || edgeZ) {
+                        // Windows in the middle of the walls, at eye level
+                        const middle = edgeX ? z === Math.floor((minZ + maxZ) / 2) : x === Math.floor((minX + maxX) / 2);
+                        block = middle && dy === 1 ? 'air' : 'planks';
+                    }
+                    writer.setBlock(x, floorY + dy, z, block);
+                }
+                
+                writer.setBlock(x, floorY + wallHeight, z, 'planks');
+                if (!edgeX && !edgeZ) {
+                    writer.setBlock(x, floorY + wallHeight + 1, z, 'planks');
+                }
+            }
+        }
+        
+        // Door
+        writer.setBlock(doorX, floorY, doorZ, 'air');
+        writer.setBlock(doorX, floorY + 1, doorZ, 'air');
+    }
+    
+    /**
+     * Build the well: a water shaft in a cobblestone ring, under a small plank roof
+     */
+    buildWell(writer, x, y, z) {
+        // Paved square around the ring
+        writer.fill(x - 2, y - 1, z - 2, x + 2, y - 1, z + 2, 'cobblestone');
+        
+        // Ring and shaft
+        writer.fill(x - 1, y - 5, z - 1, x + 1, y, z + 1, 'cobblestone');
+        writer.fill(x, y - 4, z, x, y - 1, z, 'water');
+        writer.setBlock(x, y, z, 'air');
+        
+        // Corner posts and roof
+        [[-1, -1], [-1, 1], [1, -1], [1, 1]].forEach(([dx, dz]) => {
+            writer.fill(x + dx, y + 1, z + dz, x + dx, y + 2, z + dz, 'wood');
+        });
+        writer.fill(x - 1, y + 3, z - 1, x + 1, y + 3, z + 1, 'planks');
+    }
+}
\ No newline at end of file
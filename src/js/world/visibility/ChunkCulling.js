@@ -0,0 +1,222 @@
+import * as THREE from 'three';
+import { CONFIG } from '../../config/config.js';
+import { SectionConnectivity, SECTION_FACES, ALL_CONNECTED } from './SectionConnectivity.js';
+
+/**
+ * ChunkCulling hides the chunk sections the camera cannot see
+ * Cave culling: starting from the section of the camera it walks from section to section, leaving
+ * each one only through faces connected to the one it came in by (see SectionConnectivity) and
+ * never back towards the camera. Sections the walk does not reach are hidden; it runs again when
+ * the camera enters another section or a section is rebuilt.
+ * Frustum culling: every update the bounds of the reached sections are tested against the view
+ * frustum of the camera and of the other cameras drawing the world (see addCamera, e.g. the water
+ * reflection), sections outside all of them are hidden. three.js still culls each mesh on its own
+ * bounds for every camera
+ */
+export class ChunkCulling {
+    /**
+     * @param {Function} getChunk - (chunkX, chunkZ) => loaded Chunk or undefined
+     */
+    constructor(getChunk) {
+        this.getChunk = getChunk;
+        this.enabled = CONFIG.PERFORMANCE.OCCLUSION_CULLING;
+        this.frustumCulling = CONFIG.PERFORMANCE.FRUSTUM_CULLING;
+        
+        this.viewSection = null; // Key of the section the camera was in at the last walk
+        this.needsUpdate = true;
+        this.reached = new Set(); // Keys of the sections reached by the last walk
+        this.sections = []; // Meshes of the reached sections, tested against the frustums
+        
+        // Cameras the sections must stay visible for, besides the one passed to update()
+        this.cameras = [];
+        this.frustums = [];
+        this.viewProjection = new THREE.Matrix4();
+        
+        this.visibleSections = 0;
+        this.occludedSections = 0;
+        this.outOfViewSections = 0;
+    }
+    
+    /**
+     * Get the key of a section
+     */
+    static getSectionKey(chunkX, sectionY, chunkZ) {
+        return `${chunkX},${sectionY},${chunkZ}`;
+    }
+    
+    /**
+     * Walk again on the next update, after sections were built or chunks loaded
+     */
+    invalidate() {
+        this.needsUpdate = true;
+    }
+    
+    /**
+     * Turn cave culling on or off, every section is reached when off
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.viewSection = null;
+        this.needsUpdate = true;
+    }
+    
+    /**
+     * Keep the sections in the view of another camera visible (e.g. the water reflection camera)
+     * Its matrices are used as they are, its owner updates them when it renders
+     */
+    addCamera(camera) {
+        this.cameras.push(camera);
+    }
+    
+    /**
+     * Stop keeping the sections in the view of a camera visible
+     */
+    removeCamera(camera) {
+        this.cameras = this.cameras.filter(other => other !== camera);
+    }
+    
+    /**
+     * Update the visibility of the section meshes for a camera
+     * @param {THREE.Vector3} position - Camera position
+     * @param {Map<string, Chunk>} chunks - Loaded chunks
+     * @param {THREE.Camera} camera - Camera for frustum culling, optional (no frustum culling without it)
+     */
+    update(position, chunks, camera = null) {
+        // Section the walk starts from, none when cave culling is off or the camera is outside
+        // the loaded world: every section is reached then
+        let viewSection = null;
+        let startX = 0;
+        let startY = 0;
+        let startZ = 0;
+        if (this.enabled) {
+            const size = CONFIG.WORLD.CHUNK_SIZE;
+            startX = Math.floor(position.x / size);
+            startZ = Math.floor(position.z / size);
+            const chunk = this.getChunk(startX, startZ);
+            if (chunk) {
+                const { sectionHeight, sections } = chunk.storage;
+                startY = Math.min(Math.max(Math.floor(position.y / sectionHeight), 0), sections.length - 1);
+                viewSection = ChunkCulling.getSectionKey(startX, startY, startZ);
+            }
+        }
+        
+        if (viewSection !== this.viewSection || this.needsUpdate) {
+            this.viewSection = viewSection;
+            this.needsUpdate = false;
+            if (viewSection) {
+                this.walk(startX, startY, startZ);
+            }
+            this.collectSections(chunks, key => viewSection === null || this.reached.has(key));
+        }
+        
+        this.cullFrustums(camera);
+    }
+    
+    /**
+     * Find the sections visible from a section, breadth first
+     */
+    walk(startX, startY, startZ) {
+        const reached = this.reached;
+        reached.clear();
+        reached.add(ChunkCulling.getSectionKey(startX, startY, startZ));
+        
+        // [chunkX, sectionY, chunkZ, face entered by (-1 for the start), faces crossed so far (bits)]
+        const queue = [[startX, startY, startZ, -1, 0]];
+        for (let i = 0; i < queue.length; i++) {
+            const [x, y, z, entry, directions] = queue[i];
+            const chunk = this.getChunk(x, z);
+            const connectivity = chunk.sectionConnectivity[y] ?? ALL_CONNECTED;
+            const sectionCount = chunk.storage.sections.length;
+            
+            SECTION_FACES.forEach(([dx, dy, dz], face) => {
+                if (directions & (1 << (face ^ 1))) return;
+                if (entry !== -1 && !SectionConnectivity.connects(connectivity, entry, face)) return;
+                
+                const nextY = y + dy;
+                if (nextY < 0 || nextY >= sectionCount) return;
+                
+                const key = ChunkCulling.getSectionKey(x + dx, nextY, z + dz);
+                if (reached.has(key) || !this.getChunk(x + dx, z + dz)) return;
+                
+                reached.add(key);
+                queue.push([x + dx, nextY, z + dz, face ^ 1, directions | (1 << face)]);
+            });
+        }
+    }
+    
+    /**
+     * Hide the sections the walk did not reach and keep the others
+     * @param {Function} isReached - (sectionKey) => boolean
+     */
+    collectSections(chunks, isReached) {
+        this.sections = [];
+        this.occludedSections = 0;
+        
+        chunks.forEach(chunk => {
+            chunk.sectionMeshes.forEach((mesh, sectionY) => {
+                if (!mesh) return;
+                if (!isReached(ChunkCulling.getSectionKey(chunk.x, sectionY, chunk.z))) {
+                    mesh.visible = false;
+                    this.occludedSections++;
+                    return;
+                }
+                
+                this.sections.push(mesh);
+            });
+        });
+    }
+    
+    /**
+     * Show the reached sections inside the frustum of a camera or of the added cameras, hide the others
+     * @param {THREE.Camera|null} camera - Every reached section is shown without it
+     */
+    cullFrustums(camera) {
+        let frustumCount = 0;
+        if (camera && this.frustumCulling) {
+            camera.updateMatrixWorld();
+            this.setFrustum(frustumCount++, camera);
+            this.cameras.forEach(other => this.setFrustum(frustumCount++, other));
+        }
+        
+        this.visibleSections = 0;
+        this.outOfViewSections = 0;
+        for (let i = 0; i < this.sections.length; i++) {
+            const mesh = this.sections[i];
+            let visible = frustumCount === 0;
+            for (let f = 0; f < frustumCount && !visible; f++) {
+                visible = this.frustums[f].intersectsBox(mesh.userData.bounds);
+            }
+            
+            mesh.visible = visible;
+            if (visible) {
+                this.visibleSections++;
+            } else {
+                this.outOfViewSections++;
+            }
+        }
+    }
+    
+    /**
+     * Set a frustum of the pool from the matrices of a camera
+     */
+    setFrustum(index, camera) {
+        if (!this.frustums[index]) {
+            this.frustums[index] = new THREE.Frustum();
+        }
+        this.viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+        this.frustums[index].setFromProjectionMatrix(this.viewProjection);
+    }
+    
+    /**
+     * Get culling statistics
+     */
+    getStats() {
+        return {
+            enabled: this.enabled,
+            visibleSections: this.visibleSections,
+            hiddenSections: this.occludedSections + this.outOfViewSections,
+            occludedSections: this.occludedSections,
+            outOfViewSections: this.outOfViewSections
+        };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,100 @@
+import { RenderPass } from '../meshing/RenderPass.js';
+
+// Faces of a section, in ChunkMeshBuilder order: up, down, +x, -x, +z, -z; the opposite of a face is face ^ 1
+export const SECTION_FACES = [[0, 1, 0], [0, -1, 0], [1, 0, 0], [-1, 0, 0], [0, 0, 1], [0, 0, -1]];
+
+// Bit of each pair of faces in a connectivity mask, 15 pairs
+const pairBits = [];
+let pairCount = 0;
+for (let a = 0; a < 6; a++) {
+    for (let b = a + 1; b < 6; b++) {
+        pairBits[a * 6 + b] = pairBits[b * 6 + a] = 1 << pairCount++;
+    }
+}
+
+// Connectivity of a section open from every face to every other (air, sections not built yet)
+export const ALL_CONNECTED = (1 << pairCount) - 1;
+
+/**
+ * SectionConnectivity tells which faces of a chunk section see each other through it
+ * Voxels that are not opaque (air, water, leaves) are flood filled; every open region
+ * connects the faces it touches. The result is a bit mask of face pairs, built with
+ * the section mesh (it does not use three.js) and walked by ChunkCulling
+ */
+export class SectionConnectivity {
+    /**
+     * Compute the face connectivity of a section
+     * @param {Uint8Array|Uint16Array|number} data - Block ids of the section (see BlockStorage.getSectionData), or one id for all
+     * @param {number} size - Width and depth of the section
+     * @param {number} height - Height of the section
+     * @returns {number} Connectivity mask
+     */
+    static compute(data, size, height) {
+        if (typeof data === 'number') {
+            return RenderPass.isOpaque(data) ? 0 : ALL_CONNECTED;
+        }
+        
+        const visited = new Uint8Array(data.length);
+        const stack = new Int32Array(data.length);
+        const strideX = size * height;
+        let connectivity = 0;
+        
+        for (let start = 0; start < data.length; start++) {
+            if (visited[start] || RenderPass.isOpaque(data[start])) continue;
+            
+            // Flood fill the open region of this voxel, noting the faces it touches
+            let faces = 0;
+            let top = 0;
+            stack[top++] = start;
+            visited[start] = 1;
+            
+            while (top > 0) {
+                const index = stack[--top];
+                const x = Math.floor(index / strideX);
+                const y = Math.floor(index / size) % height;
+                const z = index % size;
+                
+                if (y === height - 1) faces |= 1;
+                if (y === 0) faces |= 2;
+                if (x === size - 1) faces |= 4;
+                if (x === 0) faces |= 8;
+                if (z === size - 1) faces |= 16;
+                if (z === 0) faces |= 32;
+                
+                const visit = neighbor => {
+                    if (!visited[neighbor] && !RenderPass.isOpaque(data[neighbor])) {
+                        visited[neighbor] = 1;
+                        stack[top++] = neighbor;
+                    }
+                };
+                if (x > 0) visit(index - strideX);
+                if (x < size - 1) visit(index + strideX);
+                if (y > 0) visit(index - size);
+                if (y < height - 1) visit(index + size);
+                if (z > 0) visit(index - 1);
+                if (z < size - 1) visit(index + 1);
+            }
+            
+            for (let a = 0; a < 6; a++) {
+                for (let b = a + 1; b < 6; b++) {
+                    if ((faces >> a & 1) && (faces >> b & 1)) {
+                        connectivity |= pairBits[a * 6 + b];
+                    }
+                }
+            }
+            if (connectivity === ALL_CONNECTED) break;
+        }
+        
+        return connectivity;
+    }
+    
+    /**
+     * Check if a section connects two of its faces
+     * @param {number} connectivity - Mask from compute()
+     * @param {number} from - Face index (see SECTION_FACES)
+     * @param {number} to - Face index, not from
+     */
+    static connects(connectivity, from, to) {
+        return (connectivity & pairBits[from * 6 + to]) !== 0;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,141 @@
+import * as THREE from 'three';
+import { CONFIG } from '../../config/config.js';
+
+// Vertex: liquid depth of the face, world position and reflection coordinates for the fragment shader
+const VERTEX_PARS = `
+    uniform mat4 reflectionMatrix;
+    attribute float liquidDepth;
+    varying float vLiquidDepth;
+    varying float vWaterUp;
+    varying vec3 vWaterPosition;
+    varying vec4 vReflectionCoord;
+`;
+
+const VERTEX_MAIN = `
+    vLiquidDepth = liquidDepth;
+    vWaterUp = max(normal.y, 0.0);
+    vec4 waterWorldPosition = modelMatrix * vec4(transformed, 1.0);
+    vWaterPosition = waterWorldPosition.xyz;
+    vReflectionCoord = reflectionMatrix * waterWorldPosition;
+`;
+
+// Fragment: a few crossing sine waves give the slope of the surface
+const FRAGMENT_PARS = `
+    uniform vec3 shallowColor;
+    uniform vec3 deepColor;
+    uniform float shallowOpacity;
+    uniform float deepOpacity;
+    uniform float maxDepth;
+    uniform float waterTime;
+    uniform float waveStrength;
+    uniform sampler2D reflectionMap;
+    uniform float reflectionStrength;
+    uniform float reflectionDistortion;
+    varying float vLiquidDepth;
+    varying float vWaterUp;
+    varying vec3 vWaterPosition;
+    varying vec4 vReflectionCoord;
+    
+    vec2 getWaveSlope(vec2 p, float t) {
+        return vec2(
+            sin(p.x * 1.3 + t * 1.1) + 0.6 * sin((p.x + p.y) * 0.7 + t * 1.7) + 0.25 * sin(p.y * 2.9 - t * 2.3),
+            cos(p.y * 1.1 + t * 1.3) + 0.6 * cos((p.x - p.y) * 0.9 + t * 1.5) + 0.25 * cos(p.x * 2.7 + t * 2.1)
+        );
+    }
+`;
+
+// Deeper water is darker and less see-through
+const COLOR_FRAGMENT = `
+    float depthFactor = clamp((vLiquidDepth - 1.0) / max(maxDepth - 1.0, 1.0), 0.0, 1.0);
+    diffuseColor.rgb *= mix(shallowColor, deepColor, depthFactor);
+    diffuseColor.a *= mix(shallowOpacity, deepOpacity, depthFactor);
+`;
+
+// Only the top faces get waves, tilted in world space then taken to view space
+const NORMAL_FRAGMENT = `
+    vec2 waveSlope = getWaveSlope(vWaterPosition.xz, waterTime) * waveStrength * vWaterUp;
+    normal = normalize(normal + (viewMatrix * vec4(waveSlope.x, 0.0, waveSlope.y, 0.0)).xyz);
+`;
+
+// Reflections grow at grazing angles (Fresnel), rippled by the waves
+const REFLECTION_FRAGMENT = `
+    vec4 reflectionCoord = vReflectionCoord;
+    reflectionCoord.xy += waveSlope * reflectionDistortion * reflectionCoord.w;
+    vec3 reflectionColor = texture2DProj(reflectionMap, reflectionCoord).rgb;
+    float fresnel = pow(1.0 - clamp(dot(normal, normalize(vViewPosition)), 0.0, 1.0), 3.0);
+    float reflectionAmount = reflectionStrength * vWaterUp * mix(0.25, 1.0, fresnel);
+    outgoingLight = mix(outgoingLight, reflectionColor, reflectionAmount);
+    diffuseColor.a = mix(diffuseColor.a, 1.0, reflectionAmount * 0.5);
+`;
+
+/**
+ * WaterMaterial draws the faces of water blocks
+ * Color and opacity go from shallow to deep with the `liquidDepth` attribute written by
+ * ChunkMeshBuilder, the surface normal moves with animated waves and the top faces mix in
+ * the planar reflection rendered by WaterReflection. Vertex colors keep the voxel light
+ */
+export class WaterMaterial extends THREE.MeshPhongMaterial {
+    constructor() {
+        const { SHININESS } = CONFIG.WATER;
+        super({
+            vertexColors: true,
+            transparent: true,
+            depthWrite: false,
+            side: THREE.DoubleSide,
+            shininess: SHININESS,
+            specular: 0x666666
+        });
+        this.type = 'WaterMaterial';
+        
+        const { SHALLOW_COLOR, DEEP_COLOR, SHALLOW_OPACITY, DEEP_OPACITY, MAX_DEPTH, WAVE_STRENGTH, REFLECTION } = CONFIG.WATER;
+        this.uniforms = {
+            shallowColor: { value: new THREE.Color(SHALLOW_COLOR) },
+            deepColor: { value: new THREE.Color(DEEP_COLOR) },
+            shallowOpacity: { value: SHALLOW_OPACITY },
+            deepOpacity: { value: DEEP_OPACITY },
+            maxDepth: { value: MAX_DEPTH },
+            waterTime: { value: 0 },
+            waveStrength: { value: WAVE_STRENGTH },
+            reflectionMap: { value: null },
+            reflectionMatrix: { value: new THREE.Matrix4() },
+            reflectionStrength: { value: 0 },
+            reflectionDistortion: { value: REFLECTION.DISTORTION }
+        };
+    }
+    
+    onBeforeCompile(shader) {
+        Object.assign(shader.uniforms, this.uniforms);
+        
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `#include <common>\n${VERTEX_PARS}`)
+            .replace('#include <project_vertex>', `#include <project_vertex>\n${VERTEX_MAIN}`);
+        
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', `#include <common>\n${FRAGMENT_PARS}`)
+            .replace('#include <map_fragment>', COLOR_FRAGMENT)
+            .replace('#include <normal_fragment_begin>', `#include <normal_fragment_begin>\n${NORMAL_FRAGMENT}`)
+            .replace('#include <opaque_fragment>', `${REFLECTION_FRAGMENT}\n#include <opaque_fragment>`);
+    }
+    
+    /**
+     * Move the waves
+     * @param {number} time - Seconds since the water started
+     */
+    update(time) {
+        this.uniforms.waterTime.value = time * CONFIG.WATER.WAVE_SPEED;
+    }
+    
+    /**
+     * Set the planar reflection mixed into the top faces
+     * @param {THREE.Texture|null} texture - Reflected scene, null for none
+     * @param {THREE.Matrix4} matrix - World position to reflection texture coordinates
+     * @param {number} strength - 0 (no reflection) to 1
+     */
+    setReflection(texture, matrix, strength) {
+        this.uniforms.reflectionMap.value = texture;
+        this.uniforms.reflectionStrength.value = texture ? strength : 0;
+        if (matrix) {
+            this.uniforms.reflectionMatrix.value.copy(matrix);
+        }
+    }
+}
\ No newline at end of file
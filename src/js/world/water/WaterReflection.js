@@ -0,0 +1,130 @@
+import * as THREE from 'three';
+import { CONFIG } from '../../config/config.js';
+
+const cameraPosition = new THREE.Vector3();
+const lookTarget = new THREE.Vector3();
+const cameraUp = new THREE.Vector3();
+const drawingSize = new THREE.Vector2();
+const plane = new THREE.Plane();
+const clipPlane = new THREE.Vector4();
+const clipCorner = new THREE.Vector4();
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Texture matrix bias: clip space [-1, 1] to texture space [0, 1]
+const BIAS = new THREE.Matrix4().set(
+    0.5, 0.0, 0.0, 0.5,
+    0.0, 0.5, 0.0, 0.5,
+    0.0, 0.0, 0.5, 0.5,
+    0.0, 0.0, 0.0, 1.0
+);
+
+/**
+ * WaterReflection renders the scene mirrored about the water surface into a texture
+ * The mirror camera clips everything under the surface with an oblique near plane.
+ * To stay cheap the texture has a fraction of the screen resolution and is refreshed
+ * every few frames, and one horizontal plane is used, the surface under the camera
+ */
+export class WaterReflection {
+    /**
+     * @param {WaterMaterial} material - Material reading the reflection
+     */
+    constructor(material) {
+        this.material = material;
+        this.camera = new THREE.PerspectiveCamera();
+        this.textureMatrix = new THREE.Matrix4();
+        this.renderTarget = new THREE.WebGLRenderTarget(1, 1);
+        this.frame = 0;
+    }
+    
+    /**
+     * Render the reflection of the scene for a camera
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {THREE.Scene} scene
+     * @param {THREE.PerspectiveCamera} camera - Camera drawing the frame
+     * @param {number} surfaceY - Height of the water surface
+     */
+    render(renderer, scene, camera, surfaceY) {
+        const { RESOLUTION, UPDATE_INTERVAL, STRENGTH } = CONFIG.WATER.REFLECTION;
+        
+        // Nothing to reflect from under the surface
+        camera.updateMatrixWorld();
+        cameraPosition.setFromMatrixPosition(camera.matrixWorld);
+        if (cameraPosition.y <= surfaceY) {
+            this.material.setReflection(null, null, 0);
+            return;
+        }
+        
+        // The mirror camera only moves every few frames, its texture matrix with it
+        if (this.frame++ % UPDATE_INTERVAL !== 0) return;
+        
+        renderer.getDrawingBufferSize(drawingSize).multiplyScalar(RESOLUTION).floor();
+        if (this.renderTarget.width !== drawingSize.x || this.renderTarget.height !== drawingSize.y) {
+            this.renderTarget.setSize(Math.max(1, drawingSize.x), Math.max(1, drawingSize.y));
+        }
+        
+        this.updateCamera(camera, cameraPosition, surfaceY);
+        
+        // Hide the water itself and keep the shadow maps of the frame
+        const { shadowMap } = renderer;
+        const shadowAutoUpdate = shadowMap.autoUpdate;
+        const currentTarget = renderer.getRenderTarget();
+        this.material.visible = false;
+        shadowMap.autoUpdate = false;
+        
+        renderer.setRenderTarget(this.renderTarget);
+        renderer.clear();
+        renderer.render(scene, this.camera);
+        
+        renderer.setRenderTarget(currentTarget);
+        shadowMap.autoUpdate = shadowAutoUpdate;
+        this.material.visible = true;
+        
+        this.material.setReflection(this.renderTarget.texture, this.textureMatrix, STRENGTH);
+    }
+    
+    /**
+     * Mirror a camera about the plane y = surfaceY
+     */
+    updateCamera(camera, position, surfaceY) {
+        const mirror = this.camera;
+        
+        // Position, view target and up vector reflected about the plane
+        camera.getWorldDirection(lookTarget).add(position);
+        cameraUp.set(0, 1, 0).transformDirection(camera.matrixWorld);
+        mirror.position.set(position.x, 2 * surfaceY - position.y, position.z);
+        mirror.up.set(cameraUp.x, -cameraUp.y, cameraUp.z);
+        mirror.lookAt(lookTarget.x, 2 * surfaceY - lookTarget.y, lookTarget.z);
+        mirror.far = camera.far;
+        mirror.updateMatrixWorld();
+        mirror.projectionMatrix.copy(camera.projectionMatrix);
+        
+        this.textureMatrix.copy(BIAS).multiply(mirror.projectionMatrix).multiply(mirror.matrixWorldInverse);
+        
+        // Oblique near plane on the water surface (Lengyel), so nothing under it is reflected
+        plane.setFromNormalAndCoplanarPoint(UP, lookTarget.set(0, surfaceY, 0)).applyMatrix4(mirror.matrixWorldInverse);
+        clipPlane.set(plane.normal.x, plane.normal.y, plane.normal.z, plane.constant);
+        
+        const elements = mirror.projectionMatrix.elements;
+        clipCorner.set(
+            (Math.sign(clipPlane.x) + elements[8]) / elements[0],
+            (Math.sign(clipPlane.y) + elements[9]) / elements[5],
+            -1.0,
+            (1.0 + elements[10]) / elements[14]
+        );
+        clipPlane.multiplyScalar(2.0 / clipPlane.dot(clipCorner));
+        
+        elements[2] = clipPlane.x;
+        elements[6] = clipPlane.y;
+        elements[10] = clipPlane.z + 1.0;
+        elements[14] = clipPlane.w;
+        mirror.projectionMatrixInverse.copy(mirror.projectionMatrix).invert();
+    }
+    
+    /**
+     * Release the render target
+     */
+    dispose() {
+        this.material.setReflection(null, null, 0);
+        this.renderTarget.dispose();
+    }
+}
\ No newline at end of file
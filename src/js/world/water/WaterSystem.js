@@ -0,0 +1,131 @@
+import * as THREE from 'three';
+import { CONFIG } from '../../config/config.js';
+import { WaterReflection } from './WaterReflection.js';
+
+/**
+ * WaterSystem animates the water material, renders its reflection and switches the
+ * underwater effect: while the camera is inside a water block the fog closes in and
+ * turns blue, and the AudioManager muffles every sound
+ * Call update() after the sky (which sets the fog color) and render() before the frame
+ */
+export class WaterSystem {
+    /**
+     * @param {THREE.Scene} scene - Scene whose fog and background are tinted under water
+     * @param {WaterMaterial} material - Material of the water faces (see ChunkMeshFactory)
+     * @param {Object} options - audioManager (optional)
+     */
+    constructor(scene, material, { audioManager = null } = {}) {
+        this.scene = scene;
+        this.material = material;
+        this.audioManager = audioManager;
+        
+        this.reflection = CONFIG.WATER.REFLECTION.ENABLED ? new WaterReflection(material) : null;
+        this.time = 0;
+        this.surfaceY = CONFIG.WORLD.SEA_LEVEL;
+        
+        this.underwater = false;
+        this.fogColor = new THREE.Color(CONFIG.WATER.UNDERWATER.FOG_COLOR);
+        this.savedFog = null; // Fog distances to restore on leaving the water
+    }
+    
+    /**
+     * Animate the water and follow the camera in and out of it
+     * @param {number} deltaTime - Seconds since the last frame
+     * @param {THREE.Camera} camera
+     * @param {World} world - Source of the blocks around the camera
+     */
+    update(deltaTime, camera, world) {
+        this.time += deltaTime;
+        this.material.update(this.time);
+        
+        const x = Math.floor(camera.position.x);
+        const y = Math.floor(camera.position.y);
+        const z = Math.floor(camera.position.z);
+        this.setUnderwater(world.getBlock(x, y, z) === 'water');
+        this.surfaceY = this.findSurface(world, x, y, z);
+        
+        if (this.underwater) {
+            const fog = this.scene.fog;
+            if (fog) {
+                fog.color.copy(this.fogColor);
+            }
+            
+            // Distances set meanwhile (render distance) are the ones restored
+            const { FOG_NEAR, FOG_FAR } = CONFIG.WATER.UNDERWATER;
+            if (fog && fog.isFog && (fog.near !== FOG_NEAR || fog.far !== FOG_FAR)) {
+                this.savedFog = { near: fog.near, far: fog.far };
+                fog.near = FOG_NEAR;
+                fog.far = FOG_FAR;
+            }
+            if (this.scene.background instanceof THREE.Color) {
+                this.scene.background.copy(this.fogColor);
+            }
+        }
+    }
+    
+    /**
+     * Get the height of the water surface under (or around) the camera
+     * @returns {number} Top of the highest water block of the column, sea level when there is none
+     */
+    findSurface(world, x, y, z) {
+        const { SEARCH_DEPTH } = CONFIG.WATER.REFLECTION;
+        
+        // From inside the water, up to the surface
+        if (this.underwater) {
+            let top = y;
+            while (top - y < SEARCH_DEPTH && world.getBlock(x, top + 1, z) === 'water') {
+                top++;
+            }
+            return top + 1;
+        }
+        
+        // From above, down to the first water block
+        for (let depth = 1; depth <= SEARCH_DEPTH; depth++) {
+            const block = world.getBlock(x, y - depth, z);
+            if (block === 'water') return y - depth + 1;
+            if (block === null) break;
+        }
+        return CONFIG.WORLD.SEA_LEVEL;
+    }
+    
+    /**
+     * Switch the underwater fog and audio
+     */
+    setUnderwater(underwater) {
+        if (underwater === this.underwater) return;
+        this.underwater = underwater;
+        
+        // Under water the fog distances are set by update()
+        const fog = this.scene.fog;
+        if (!underwater && this.savedFog) {
+            fog.near = this.savedFog.near;
+            fog.far = this.savedFog.far;
+            this.savedFog = null;
+        }
+        
+        if (this.audioManager) {
+            this.audioManager.setUnderwater(underwater);
+        }
+    }
+    
+    /**
+     * Render the water reflection, before the frame
+     */
+    render(renderer, scene, camera) {
+        if (this.reflection && !this.underwater) {
+            this.reflection.render(renderer, scene, camera, this.surfaceY);
+        } else {
+            this.material.setReflection(null, null, 0);
+        }
+    }
+    
+    /**
+     * Leave the water and release the reflection
+     */
+    dispose() {
+        this.setUnderwater(false);
+        if (this.reflection) {
+            this.reflection.dispose();
+        }
+    }
+}
\ No newline at end of file
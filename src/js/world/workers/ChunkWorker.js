@@ -0,0 +1,82 @@
+import { TerrainGenerator } from '../TerrainGenerator.js';
+import { ChunkMeshBuilder } from '../meshing/ChunkMeshBuilder.js';
+import { BlockStorage } from '../BlockStorage.js';
+import { LightEngine } from '../lighting/LightEngine.js';
+import { LodTileBuilder } from '../lod/LodTileBuilder.js';
+
+/**
+ * Chunk worker: generates terrain and builds chunk meshes off the main thread
+ * Messages (see ChunkWorkerPool):
+ * - setSeed {seed}: (re)create the terrain generator
+ * - generate {chunkX, chunkZ, size, height}: generate the sections of a chunk
+ * - mesh {chunk}: mesh sections of a chunk (see ChunkPipeline.getMeshInput), lighting it first
+ *   when it has no light yet; the light is sent back with the meshes
+ * - lodTile {tile, surfaces}: sample and build a distant terrain tile (see LodTileBuilder.sample)
+ * Replies carry the job id with either a result or an error message
+ */
+let terrainGenerator = null;
+const meshBuilder = new ChunkMeshBuilder();
+const lodTileBuilder = new LodTileBuilder();
+
+// Workers have no loaded chunks, the light of the neighbours comes with the job
+const lightEngine = new LightEngine(() => undefined);
+
+/**
+ * Generate a chunk, structures of neighbouring chunks included (see StructurePlacer)
+ */
+function generate({ chunkX, chunkZ, size, height }) {
+    const blocks = terrainGenerator.generateChunk(chunkX, chunkZ, size, height);
+    const sections = BlockStorage.fromBlocks(blocks, size, height).getSectionData();
+    
+    return {
+        result: { sections },
+        transfer: sections.filter(data => typeof data !== 'number').map(data => data.buffer)
+    };
+}
+
+/**
+ * Mesh sections of a chunk, lit here when it has no light yet
+ */
+function mesh({ chunk }) {
+    let light = null;
+    if (!chunk.light) {
+        const { x, z, size, height, sections, lightBorders } = chunk;
+        const lit = { x, z, size, height, storage: BlockStorage.fromSectionData(sections, size, height), light: null };
+        lightEngine.lightChunk(lit, lightBorders);
+        light = lit.light.sections;
+        chunk.light = light;
+    }
+    
+    const meshes = meshBuilder.build(chunk);
+    const transfer = ChunkMeshBuilder.getSectionTransferables(meshes);
+    if (light) {
+        transfer.push(...light.filter(data => typeof data !== 'number').map(data => data.buffer));
+    }
+    return { result: { meshes, light }, transfer };
+}
+
+/**
+ * Sample and build a distant terrain tile
+ */
+function lodTile({ tile, surfaces }) {
+    const meshData = lodTileBuilder.build(LodTileBuilder.sample(tile, surfaces, terrainGenerator));
+    return { result: { meshData }, transfer: ChunkMeshBuilder.getTransferables(meshData) };
+}
+
+const jobs = { generate, mesh, lodTile };
+
+self.onmessage = event => {
+    const { jobId, type } = event.data;
+    
+    try {
+        if (type === 'setSeed') {
+            terrainGenerator = new TerrainGenerator(event.data.seed);
+            return;
+        }
+        
+        const { result, transfer } = jobs[type](event.data);
+        self.postMessage({ jobId, result }, transfer);
+    } catch (error) {
+        self.postMessage({ jobId, error: error.message });
+    }
+};
\ No newline at end of file
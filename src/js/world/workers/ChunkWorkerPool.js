@@ -0,0 +1,219 @@
+// Workers replaced after crashing, before the pool gives up on a worker that keeps failing
+const MAX_RESTARTS = 4;
+
+/**
+ * ChunkWorkerPool runs chunk jobs on a pool of Web Workers (see ChunkWorker)
+ * Jobs wait in a queue keyed by job type and chunk, so a chunk can have a job of each type
+ * waiting; whenever a worker is free the most urgent job starts.
+ * Priorities are computed at that moment, so they follow the camera while jobs wait.
+ * Cancelled jobs resolve with null, results of cancelled running jobs are discarded.
+ * A worker that crashes (an error outside a job, e.g. its script failed to load) rejects the
+ * job it was running and is replaced, up to MAX_RESTARTS times; without workers left every
+ * job is rejected
+ */
+export class ChunkWorkerPool {
+    /**
+     * Check if the environment can run workers
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+    
+    /**
+     * @param {Object} options
+     * @param {number} options.workerCount - Number of workers
+     * @param {Function} options.getPriority - Priority of the chunk key of a job, lower runs first
+     */
+    constructor({ workerCount, getPriority }) {
+        this.getPriority = getPriority;
+        this.workers = [];
+        this.idleWorkers = [];
+        this.queue = new Map(); // "type chunkKey" -> job waiting for a worker
+        this.running = new Map(); // jobId -> job
+        this.workerJobs = new Map(); // worker -> jobId of the job it runs
+        this.broadcasts = new Map(); // message type -> last message sent to every worker, for new workers
+        this.nextJobId = 1;
+        this.restarts = 0;
+        
+        for (let i = 0; i < workerCount; i++) {
+            this.addWorker();
+        }
+        
+        console.log(`ChunkWorkerPool started ${workerCount} workers`);
+    }
+    
+    /**
+     * Start a worker and send it the messages every worker got
+     */
+    addWorker() {
+        const worker = new Worker(new URL('./ChunkWorker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = event => this.handleMessage(worker, event.data);
+        worker.onerror = event => this.handleError(worker, event);
+        this.broadcasts.forEach(message => worker.postMessage(message));
+        this.workers.push(worker);
+        this.idleWorkers.push(worker);
+    }
+    
+    /**
+     * Send a message to every worker (e.g. the seed), after the jobs they are running
+     */
+    broadcast(message) {
+        this.broadcasts.set(message.type, message);
+        this.workers.forEach(worker => worker.postMessage(message));
+    }
+    
+    /**
+     * Queue a job, replacing the job of the same type for the same chunk
+     * @param {string} chunkKey - Chunk of the job, for its priority
+     * @param {Object} message - Message for the worker ({type, ...})
+     * @param {Array<ArrayBuffer>} transfer - Buffers moved to the worker with the message
+     * @returns {Promise<Object|null>} Result of the job, null if it was cancelled
+     */
+    run(chunkKey, message, transfer = []) {
+        const key = `${message.type} ${chunkKey}`;
+        this.cancelJobs(job => job.key === key);
+        
+        if (this.workers.length === 0) {
+            return Promise.reject(new Error('No chunk worker left'));
+        }
+        
+        return new Promise((resolve, reject) => {
+            this.queue.set(key, { key, chunkKey, message, transfer, resolve, reject, cancelled: false });
+            this.dispatch();
+        });
+    }
+    
+    /**
+     * Cancel the jobs of a chunk, waiting or running
+     */
+    cancel(chunkKey) {
+        this.cancelJobs(job => job.chunkKey === chunkKey);
+    }
+    
+    /**
+     * Cancel every job
+     */
+    cancelAll() {
+        this.cancelJobs(() => true);
+    }
+    
+    /**
+     * Cancel the waiting and running jobs a filter accepts
+     */
+    cancelJobs(filter) {
+        this.queue.forEach((job, key) => {
+            if (filter(job)) {
+                this.queue.delete(key);
+                job.resolve(null);
+            }
+        });
+        
+        this.running.forEach(job => {
+            if (!job.cancelled && filter(job)) {
+                job.cancelled = true;
+                job.resolve(null);
+            }
+        });
+    }
+    
+    /**
+     * Start the most urgent jobs on the free workers
+     */
+    dispatch() {
+        while (this.idleWorkers.length > 0 && this.queue.size > 0) {
+            let next = null;
+            let nextPriority = Infinity;
+            
+            this.queue.forEach(job => {
+                const priority = this.getPriority(job.chunkKey);
+                if (next === null || priority < nextPriority) {
+                    next = job;
+                    nextPriority = priority;
+                }
+            });
+            
+            this.queue.delete(next.key);
+            next.jobId = this.nextJobId++;
+            this.running.set(next.jobId, next);
+            
+            const worker = this.idleWorkers.pop();
+            this.workerJobs.set(worker, next.jobId);
+            worker.postMessage({ ...next.message, jobId: next.jobId }, next.transfer);
+        }
+    }
+    
+    /**
+     * Handle a reply from a worker
+     */
+    handleMessage(worker, data) {
+        const job = this.running.get(data.jobId);
+        this.running.delete(data.jobId);
+        this.workerJobs.delete(worker);
+        this.idleWorkers.push(worker);
+        
+        if (job && !job.cancelled) {
+            if (data.error) {
+                job.reject(new Error(data.error));
+            } else {
+                job.resolve(data.result);
+            }
+        }
+        
+        this.dispatch();
+    }
+    
+    /**
+     * Handle a crashed worker: reject its job, then replace it
+     */
+    handleError(worker, event) {
+        console.error('Chunk worker error:', event.message);
+        
+        const jobId = this.workerJobs.get(worker);
+        const job = this.running.get(jobId);
+        this.running.delete(jobId);
+        this.workerJobs.delete(worker);
+        if (job && !job.cancelled) {
+            job.reject(new Error(`Chunk worker crashed: ${event.message}`));
+        }
+        
+        worker.terminate();
+        this.workers = this.workers.filter(other => other !== worker);
+        this.idleWorkers = this.idleWorkers.filter(other => other !== worker);
+        
+        if (this.restarts < MAX_RESTARTS) {
+            this.restarts++;
+            this.addWorker();
+        } else if (this.workers.length === 0) {
+            console.error('Chunk workers keep crashing, no worker left');
+            this.queue.forEach(queued => queued.reject(new Error('No chunk worker left')));
+            this.queue.clear();
+        }
+        
+        this.dispatch();
+    }
+    
+    /**
+     * Get pool statistics
+     */
+    getStats() {
+        return {
+            workers: this.workers.length,
+            busyWorkers: this.workers.length - this.idleWorkers.length,
+            queuedJobs: this.queue.size,
+            runningJobs: this.running.size,
+            restarts: this.restarts
+        };
+    }
+    
+    /**
+     * Cancel every job and stop the workers
+     */
+    terminate() {
+        this.cancelAll();
+        this.workers.forEach(worker => worker.terminate());
+        this.workers = [];
+        this.idleWorkers = [];
+        this.running.clear();
+        this.workerJobs.clear();
+    }
+}
\ No newline at end of file
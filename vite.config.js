@@ -79,6 +79,11 @@ export default defineConfig({
     '**/*.gltf'
   ],
 
+  // Configurazione dei test: anche quelli del server, fuori da src
+  test: {
+    dir: resolve(__dirname)
+  },
+
   // Configurazione per il preview
   preview: {
     port: 4173,